@@ -0,0 +1,132 @@
+/**
+ * Measurement Fields
+ *
+ * The measurements taken for each garment, in inches, in the order they are written in the register:
+ *   label    - garment name in the measurement card customers get (en, hi, hinglish)
+ *   fields   - keys of MEASUREMENT_FIELDS
+ *   aliases  - words in the sheets' Garment Types column that mean this garment ("Kurta Pyjama")
+ *
+ * A garment added here can be saved over the API and the web interface straight away.
+ */
+
+const MEASUREMENT_FIELDS = {
+    length: { en: 'Length', hi: 'लंबाई', hinglish: 'Lambai' },
+    chest: { en: 'Chest', hi: 'छाती', hinglish: 'Chhati' },
+    under_bust: { en: 'Under bust', hi: 'छाती के नीचे', hinglish: 'Chhati ke neeche' },
+    waist: { en: 'Waist', hi: 'कमर', hinglish: 'Kamar' },
+    hip: { en: 'Seat', hi: 'सीट', hinglish: 'Seat' },
+    shoulder: { en: 'Shoulder', hi: 'कंधा', hinglish: 'Kandha' },
+    sleeve: { en: 'Sleeve', hi: 'बाजू', hinglish: 'Baju' },
+    sleeve_round: { en: 'Sleeve round', hi: 'बाजू गोलाई', hinglish: 'Baju golai' },
+    cuff: { en: 'Cuff', hi: 'कफ', hinglish: 'Cuff' },
+    armhole: { en: 'Armhole', hi: 'मुड्ढा', hinglish: 'Muddha' },
+    neck: { en: 'Neck', hi: 'गला', hinglish: 'Gala' },
+    front_neck: { en: 'Front neck', hi: 'आगे का गला', hinglish: 'Aage ka gala' },
+    back_neck: { en: 'Back neck', hi: 'पीछे का गला', hinglish: 'Peeche ka gala' },
+    thigh: { en: 'Thigh', hi: 'जांघ', hinglish: 'Jangh' },
+    knee: { en: 'Knee', hi: 'घुटना', hinglish: 'Ghutna' },
+    bottom: { en: 'Bottom', hi: 'मोहरी', hinglish: 'Mohri' },
+    salwar_length: { en: 'Salwar length', hi: 'सलवार लंबाई', hinglish: 'Salwar lambai' },
+    salwar_bottom: { en: 'Salwar bottom', hi: 'सलवार मोहरी', hinglish: 'Salwar mohri' }
+};
+
+// Coat and sherwani are measured the same way
+const COAT_FIELDS = ['length', 'chest', 'waist', 'hip', 'shoulder', 'sleeve', 'neck'];
+
+const GARMENTS = {
+    shirt: {
+        label: { en: 'Shirt', hi: 'शर्ट', hinglish: 'Shirt' },
+        fields: ['length', 'chest', 'waist', 'hip', 'shoulder', 'sleeve', 'cuff', 'neck'],
+        aliases: ['shirt', 'शर्ट']
+    },
+    kurta: {
+        label: { en: 'Kurta', hi: 'कुर्ता', hinglish: 'Kurta' },
+        fields: ['length', 'chest', 'waist', 'hip', 'shoulder', 'sleeve', 'cuff', 'neck'],
+        aliases: ['kurta', 'kurti', 'कुर्ता', 'कुर्ती']
+    },
+    pant: {
+        label: { en: 'Pant', hi: 'पैंट', hinglish: 'Pant' },
+        fields: ['length', 'waist', 'hip', 'thigh', 'knee', 'bottom'],
+        aliases: ['pant', 'pants', 'paint', 'trouser', 'trousers', 'पैंट']
+    },
+    pyjama: {
+        label: { en: 'Pyjama', hi: 'पायजामा', hinglish: 'Pyjama' },
+        fields: ['length', 'waist', 'hip', 'bottom'],
+        aliases: ['pyjama', 'pajama', 'payjama', 'churidar', 'पायजामा', 'चूड़ीदार']
+    },
+    coat: {
+        label: { en: 'Coat', hi: 'कोट', hinglish: 'Coat' },
+        fields: COAT_FIELDS,
+        aliases: ['coat', 'blazer', 'कोट']
+    },
+    sherwani: {
+        label: { en: 'Sherwani', hi: 'शेरवानी', hinglish: 'Sherwani' },
+        fields: COAT_FIELDS,
+        aliases: ['sherwani', 'achkan', 'शेरवानी']
+    },
+    jacket: {
+        label: { en: 'Jacket', hi: 'जैकेट', hinglish: 'Jacket' },
+        fields: ['length', 'chest', 'waist', 'hip', 'shoulder', 'neck'],
+        aliases: ['jacket', 'nehru', 'koti', 'waistcoat', 'जैकेट', 'कोटी']
+    },
+    blouse: {
+        label: { en: 'Blouse', hi: 'ब्लाउज', hinglish: 'Blouse' },
+        fields: ['length', 'chest', 'under_bust', 'waist', 'shoulder', 'sleeve', 'sleeve_round', 'armhole', 'front_neck', 'back_neck'],
+        aliases: ['blouse', 'ब्लाउज']
+    },
+    suit: {
+        label: { en: 'Suit', hi: 'सूट', hinglish: 'Suit' },
+        fields: ['length', 'chest', 'waist', 'hip', 'shoulder', 'sleeve', 'armhole', 'front_neck', 'back_neck', 'salwar_length', 'salwar_bottom'],
+        aliases: ['suit', 'salwar', 'kameez', 'सूट', 'सलवार']
+    }
+};
+
+class MeasurementFields {
+    getGarments() {
+        return Object.keys(GARMENTS);
+    }
+
+    isKnownGarment(garment) {
+        return Object.prototype.hasOwnProperty.call(GARMENTS, garment);
+    }
+
+    /**
+     * @returns {string[]} - Field keys of a garment, empty for unknown garments
+     */
+    getFields(garment) {
+        return this.isKnownGarment(garment) ? GARMENTS[garment].fields : [];
+    }
+
+    getGarmentLabel(garment, language = 'en') {
+        return this.isKnownGarment(garment) ? GARMENTS[garment].label[language] || GARMENTS[garment].label.en : garment;
+    }
+
+    getFieldLabel(field, language = 'en') {
+        const labels = MEASUREMENT_FIELDS[field];
+        return labels ? labels[language] || labels.en : field;
+    }
+
+    /**
+     * Garments named in a Garment Types cell, e.g. "Kurta Pyjama" -> ['kurta', 'pyjama']
+     */
+    findGarments(text) {
+        const words = (text || '').toString().toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+        return this.getGarments().filter(garment => GARMENTS[garment].aliases.some(alias => words.includes(alias)));
+    }
+
+    /**
+     * Garments with their fields and English labels, for the API and the web interface
+     */
+    describe() {
+        return this.getGarments().map(garment => ({
+            garment,
+            label: this.getGarmentLabel(garment),
+            fields: this.getFields(garment).map(field => ({ field, label: this.getFieldLabel(field) }))
+        }));
+    }
+}
+
+MeasurementFields.MEASUREMENT_FIELDS = MEASUREMENT_FIELDS;
+MeasurementFields.GARMENTS = GARMENTS;
+
+module.exports = MeasurementFields;
@@ -0,0 +1,155 @@
+/**
+ * Message Type Registry
+ *
+ * One declaration per order notification type:
+ *   template     - template file it is sent with (default: the type name). Its media is the
+ *                  "media" header of that template file
+ *   sheets       - per sheet tab, the columns the bot writes after sending:
+ *                  notified (Yes), notifiedDate (send date), reminderCount / reminderDate
+ *   eligible     - whether an order (webhook or sheet row fields) qualifies for the message
+ *   receipt      - PDF sent as the message's attachment: 'receipt' (order placed) or 'invoice' (picked up)
+ *   upi          - the message carries a UPI payment link ({upi_link}) and QR code for the amount due
+ *   variantOf    - type this one replaces on its sheets (fabric_welcome is the Fabric Orders welcome)
+ *
+ * A type without a notified column (reminders, delivery_delay) is never sent by a sheet edit -
+ * only by the bot itself.
+ *
+ * gas-code.js has the same table (MESSAGE_TYPE_REGISTRY) to decide what to send when a sheet is
+ * edited - a new type is added to both.
+ */
+
+// Sheet tabs, as in GoogleSheetsService.SHEET_NAMES
+const TAILOR_ORDERS = 'Tailor Orders';
+const FABRIC_ORDERS = 'Fabric Orders';
+const COMBINED_ORDERS = 'Combine Orders';
+
+// Tailor Orders and Fabric Orders share one column layout
+const orderSheets = (columns) => ({ [TAILOR_ORDERS]: columns, [FABRIC_ORDERS]: columns });
+
+// Same status words gas-code.js checks
+const statusIncludes = (...words) => (order) => {
+    const status = (order.delivery_status || '').toString().toLowerCase();
+    return words.some(word => status.includes(word));
+};
+const isReady = statusIncludes('ready', 'completed');
+const isPickedUp = statusIncludes('delivered', 'picked');
+const hasAmountDue = (order) => parseFloat(order.remaining_amount) > 0 && (order.payment_status || '').toString().toLowerCase() !== 'paid';
+const always = () => true;
+
+const MESSAGE_TYPES = {
+    welcome: {
+        sheets: { [TAILOR_ORDERS]: { notified: 'R' } },
+        eligible: always
+    },
+    order_confirmation: {
+        sheets: { [TAILOR_ORDERS]: { notified: 'S' } },
+        eligible: always,
+        receipt: 'receipt'
+    },
+    order_ready: {
+        sheets: orderSheets({ notified: 'T', notifiedDate: 'Y' }),
+        eligible: isReady
+    },
+    pickup_complete: {
+        sheets: orderSheets({ notified: 'V' }),
+        eligible: isPickedUp,
+        receipt: 'invoice'
+    },
+    delivery_notification: {
+        sheets: orderSheets({ notified: 'U' }),
+        eligible: statusIncludes('delivered', 'home delivery')
+    },
+    payment_reminder: {
+        sheets: { [TAILOR_ORDERS]: { notified: 'W', reminderCount: 'AB', reminderDate: 'AC' } },
+        eligible: hasAmountDue,
+        upi: true
+    },
+    pickup_reminder: {
+        sheets: orderSheets({ reminderCount: 'Z', reminderDate: 'AA' }),
+        eligible: (order) => isReady(order) && !isPickedUp(order)
+    },
+    // Apology with the new date after staff move the Delivery Date (count in column AE)
+    delivery_delay: {
+        sheets: orderSheets({}),
+        eligible: (order) => !isReady(order) && !isPickedUp(order)
+    },
+    fabric_welcome: {
+        variantOf: 'welcome',
+        sheets: { [FABRIC_ORDERS]: { notified: 'R' } },
+        eligible: always
+    },
+    fabric_purchase: {
+        variantOf: 'order_confirmation',
+        sheets: { [FABRIC_ORDERS]: { notified: 'S' } },
+        eligible: always,
+        receipt: 'receipt'
+    },
+    fabric_payment_reminder: {
+        variantOf: 'payment_reminder',
+        sheets: { [FABRIC_ORDERS]: { notified: 'W', reminderCount: 'AB', reminderDate: 'AC' } },
+        eligible: hasAmountDue,
+        upi: true
+    },
+    combined_order: {
+        sheets: { [COMBINED_ORDERS]: { notified: 'S' } },
+        eligible: (order) => !!(order.combined_order_id || order.order_id)
+    }
+};
+
+class MessageTypes {
+    getTypes() {
+        return Object.keys(MESSAGE_TYPES);
+    }
+
+    isKnownType(type) {
+        return Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, type);
+    }
+
+    /**
+     * @returns {string|null} - Template type for a message type, null for unknown types
+     */
+    getTemplate(type) {
+        if (!this.isKnownType(type)) return null;
+        return MESSAGE_TYPES[type].template || type;
+    }
+
+    /**
+     * Columns written for a type in one sheet
+     * @returns {Object} - { notified, notifiedDate, reminderCount, reminderDate } (column letters, any may be missing)
+     */
+    getSheetColumns(type, sheetName) {
+        if (!this.isKnownType(type)) return {};
+        return MESSAGE_TYPES[type].sheets[sheetName] || {};
+    }
+
+    /**
+     * Type to send for an order in a given sheet, e.g. payment_reminder in Fabric Orders -> fabric_payment_reminder
+     * @returns {string|null}
+     */
+    getTypeForSheet(type, sheetName) {
+        if (!this.isKnownType(type)) return null;
+        if (MESSAGE_TYPES[type].sheets[sheetName]) return type;
+        
+        return this.getTypes().find(candidate => MESSAGE_TYPES[candidate].variantOf === type && MESSAGE_TYPES[candidate].sheets[sheetName]) || type;
+    }
+
+    /**
+     * @returns {string|null} - 'receipt', 'invoice' or null when the type is sent without a PDF
+     */
+    getReceiptKind(type) {
+        if (!this.isKnownType(type)) return null;
+        return MESSAGE_TYPES[type].receipt || null;
+    }
+
+    hasPaymentRequest(type) {
+        return this.isKnownType(type) && !!MESSAGE_TYPES[type].upi;
+    }
+
+    isEligible(type, order) {
+        return this.isKnownType(type) && !!order && MESSAGE_TYPES[type].eligible(order);
+    }
+}
+
+MessageTypes.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = MessageTypes;
@@ -77,7 +77,9 @@ const TAILOR_COLUMNS = {
   PICKUP_REMINDER_COUNT: 25,      // Z - Pickup Reminder Count
   LAST_PICKUP_REMINDER_DATE: 26,  // AA - Last Pickup Reminder Date
   PAYMENT_REMINDER_COUNT: 27,     // AB - Payment Reminder Count
-  LAST_PAYMENT_REMINDER_DATE: 28  // AC - Last Payment Reminder Date
+  LAST_PAYMENT_REMINDER_DATE: 28, // AC - Last Payment Reminder Date
+  LANGUAGE: 29,                   // AD - Language (Hindi / English / Hinglish)
+  DELIVERY_DELAY_COUNT: 30        // AE - Delivery Delay Count (written by the bot)
 };
 
 const FABRIC_COLUMNS = {
@@ -109,7 +111,9 @@ const FABRIC_COLUMNS = {
   PICKUP_REMINDER_COUNT: 25,      // Z - Pickup Reminder Count
   LAST_PICKUP_REMINDER_DATE: 26,  // AA - Last Pickup Reminder Date
   PAYMENT_REMINDER_COUNT: 27,     // AB - Payment Reminder Count
-  LAST_PAYMENT_REMINDER_DATE: 28  // AC - Last Payment Reminder Date
+  LAST_PAYMENT_REMINDER_DATE: 28, // AC - Last Payment Reminder Date
+  LANGUAGE: 29,                   // AD - Language (Hindi / English / Hinglish)
+  DELIVERY_DELAY_COUNT: 30        // AE - Delivery Delay Count (written by the bot)
 };
 
 const COMBINED_COLUMNS = {
@@ -131,7 +135,8 @@ const COMBINED_COLUMNS = {
   PAYMENT_STATUS: 15,             // P - Payment Status
   ADVANCE_PARTIAL_PAYMENT: 16,    // Q - Advance/Partial Payment
   REMAINING_AMOUNT: 17,           // R - Remaining Amount
-  COMBINED_ORDER_NOTIFIED: 18     // S - Combined Order Notified
+  COMBINED_ORDER_NOTIFIED: 18,    // S - Combined Order Notified
+  LANGUAGE: 19                    // T - Language
 };
 
 // Valid order statuses that trigger messages
@@ -155,9 +160,135 @@ const MESSAGE_TYPES = {
   FABRIC_PURCHASE: 'fabric_purchase',
   FABRIC_PAYMENT_REMINDER: 'fabric_payment_reminder',
   COMBINED_ORDER: 'combined_order',
-  PICKUP_COMPLETE: 'pickup_complete'
+  PICKUP_COMPLETE: 'pickup_complete',
+  DELIVERY_DELAY: 'delivery_delay'
 };
 
+// Order rules shared by several message types (same status words as the bot)
+function statusIncludes(orderData, words) {
+  const deliveryStatus = (orderData.delivery_status || '').toString().toLowerCase();
+  return words.some(word => deliveryStatus.includes(word));
+}
+
+function isOrderReady(orderData) {
+  return statusIncludes(orderData, ['ready', 'completed']);
+}
+
+function isOrderPickedUp(orderData) {
+  return statusIncludes(orderData, ['delivered', 'picked']);
+}
+
+function hasAmountDue(orderData) {
+  return parseFloat(orderData.remaining_amount) > 0 && (orderData.payment_status || '').toString().toLowerCase() !== 'paid';
+}
+
+/**
+ * Message type registry - one declaration per notification type
+ *   sheets   - per sheet, names of columns (keys of TAILOR_COLUMNS / FABRIC_COLUMNS / COMBINED_COLUMNS):
+ *                notified      - set to "Yes" once sent; editing it sends the message (again)
+ *                triggers      - editing one of these sends the message automatically
+ *                notifiedDate  - set to the send time
+ *                reminderCount / reminderDate - counted up and dated for every reminder sent
+ *   eligible - rules the order must meet before the message is sent
+ *   welcome  - first message to a customer: sent automatically only once per phone number and
+ *              marked as sent on all sheets
+ * When one edit matches several types, the first one in this list is sent.
+ * The bot keeps the same table in config/message-types.js - add a new type to both.
+ */
+const MESSAGE_TYPE_REGISTRY = {
+  [MESSAGE_TYPES.WELCOME]: {
+    welcome: true,
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'WELCOME_NOTIFIED', triggers: ['ORDER_ID'] }
+    },
+    eligible: orderData => !!orderData.order_id
+  },
+  [MESSAGE_TYPES.ORDER_CONFIRMATION]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'CONFIRMATION_NOTIFIED' }
+    },
+    eligible: () => true
+  },
+  [MESSAGE_TYPES.ORDER_READY]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'READY_NOTIFIED', triggers: ['DELIVERY_STATUS'], notifiedDate: 'READY_NOTIFIED_DATE' },
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'READY_NOTIFIED', triggers: ['DELIVERY_STATUS'], notifiedDate: 'READY_NOTIFIED_DATE' }
+    },
+    eligible: isOrderReady
+  },
+  [MESSAGE_TYPES.PICKUP_COMPLETE]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'PICKUP_NOTIFIED', triggers: ['DELIVERY_STATUS'] },
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'PICKUP_NOTIFIED', triggers: ['DELIVERY_STATUS'] }
+    },
+    eligible: isOrderPickedUp
+  },
+  [MESSAGE_TYPES.DELIVERY_NOTIFICATION]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'DELIVERY_NOTIFIED', triggers: ['DELIVERY_STATUS'] },
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'DELIVERY_NOTIFIED', triggers: ['DELIVERY_STATUS'] }
+    },
+    eligible: orderData => statusIncludes(orderData, ['delivered', 'home delivery'])
+  },
+  [MESSAGE_TYPES.PAYMENT_REMINDER]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { notified: 'PAYMENT_NOTIFIED', reminderCount: 'PAYMENT_REMINDER_COUNT', reminderDate: 'LAST_PAYMENT_REMINDER_DATE' }
+    },
+    eligible: hasAmountDue
+  },
+  [MESSAGE_TYPES.PICKUP_REMINDER]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: { reminderCount: 'PICKUP_REMINDER_COUNT', reminderDate: 'LAST_PICKUP_REMINDER_DATE' },
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { reminderCount: 'PICKUP_REMINDER_COUNT', reminderDate: 'LAST_PICKUP_REMINDER_DATE' }
+    },
+    eligible: orderData => isOrderReady(orderData) && !isOrderPickedUp(orderData)
+  },
+  // Sent by the bot when staff move the Delivery Date of a late order - no notified column, never sent by an edit
+  [MESSAGE_TYPES.DELIVERY_DELAY]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.TAILOR_ORDERS]: {},
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: {}
+    },
+    eligible: orderData => !isOrderReady(orderData) && !isOrderPickedUp(orderData)
+  },
+  [MESSAGE_TYPES.FABRIC_WELCOME]: {
+    welcome: true,
+    sheets: {
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'WELCOME_NOTIFIED', triggers: ['ORDER_ID'] }
+    },
+    eligible: orderData => !!orderData.order_id
+  },
+  [MESSAGE_TYPES.FABRIC_PURCHASE]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'CONFIRMATION_NOTIFIED' }
+    },
+    eligible: () => true
+  },
+  [MESSAGE_TYPES.FABRIC_PAYMENT_REMINDER]: {
+    sheets: {
+      [CONFIG.SHEET_NAMES.FABRIC_ORDERS]: { notified: 'PAYMENT_NOTIFIED', reminderCount: 'PAYMENT_REMINDER_COUNT', reminderDate: 'LAST_PAYMENT_REMINDER_DATE' }
+    },
+    eligible: hasAmountDue
+  },
+  [MESSAGE_TYPES.COMBINED_ORDER]: {
+    welcome: true,
+    sheets: {
+      [CONFIG.SHEET_NAMES.COMBINED_ORDERS]: { notified: 'COMBINED_ORDER_NOTIFIED', triggers: ['COMBINED_ORDER_ID', 'MASTER_ORDER_ID'] }
+    },
+    eligible: orderData => !!orderData.combined_order_id
+  }
+};
+
+/**
+ * Column indexes of a monitored sheet
+ */
+function getSheetColumns(sheetName) {
+  if (sheetName === CONFIG.SHEET_NAMES.TAILOR_ORDERS) return TAILOR_COLUMNS;
+  if (sheetName === CONFIG.SHEET_NAMES.FABRIC_ORDERS) return FABRIC_COLUMNS;
+  if (sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS) return COMBINED_COLUMNS;
+  return null;
+}
+
 /**
  * Main function that runs when the sheet is edited
  * This is the trigger function for onChange events
@@ -242,7 +373,7 @@ function getOrderDataFromRow(sheet, row, sheetName) {
       return null;
     }
     
-    const maxColumns = sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS ? 19 : 29; // Combined has fewer columns
+    const maxColumns = sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS ? 20 : 31; // Combined has fewer columns
     const lastColumn = sheet.getLastColumn();
     const actualColumns = Math.min(maxColumns, lastColumn);
     
@@ -312,6 +443,8 @@ function extractTailorOrderData(values) {
     last_pickup_reminder_date: formatDate(values[TAILOR_COLUMNS.LAST_PICKUP_REMINDER_DATE]),
     payment_reminder_count: values[TAILOR_COLUMNS.PAYMENT_REMINDER_COUNT] || 0,
     last_payment_reminder_date: formatDate(values[TAILOR_COLUMNS.LAST_PAYMENT_REMINDER_DATE]),
+    language: values[TAILOR_COLUMNS.LANGUAGE] || '',
+    delivery_delay_count: values[TAILOR_COLUMNS.DELIVERY_DELAY_COUNT] || 0,
     
     // Additional fields for message templates
     order_type: 'Tailor',
@@ -366,6 +499,8 @@ function extractFabricOrderData(values) {
     last_pickup_reminder_date: formatDate(values[FABRIC_COLUMNS.LAST_PICKUP_REMINDER_DATE]),
     payment_reminder_count: values[FABRIC_COLUMNS.PAYMENT_REMINDER_COUNT] || 0,
     last_payment_reminder_date: formatDate(values[FABRIC_COLUMNS.LAST_PAYMENT_REMINDER_DATE]),
+    language: values[FABRIC_COLUMNS.LANGUAGE] || '',
+    delivery_delay_count: values[FABRIC_COLUMNS.DELIVERY_DELAY_COUNT] || 0,
     
     // Additional fields for message templates
     order_type: 'Fabric',
@@ -397,6 +532,7 @@ function extractCombinedOrderData(values) {
     order_date: formatDate(values[COMBINED_COLUMNS.ORDER_DATE]),
     festival: values[COMBINED_COLUMNS.FESTIVAL] || '',
     notes: values[COMBINED_COLUMNS.NOTES] || '',
+    language: values[COMBINED_COLUMNS.LANGUAGE] || '',
     
     // Fabric order details
     fabric_order_id: values[COMBINED_COLUMNS.FABRIC_ORDER_ID] || '',
@@ -437,238 +573,42 @@ function extractCombinedOrderData(values) {
 
 /**
  * Determine what type of message to send based on the sheet, column edited, and order data
+ * (see MESSAGE_TYPE_REGISTRY)
  */
 function determineMessageType(orderData, sheetName, columnEdited, editEvent) {
-  const orderType = orderData.order_type.toLowerCase();
-  const deliveryStatus = (orderData.delivery_status || '').toLowerCase();
-  const paymentStatus = (orderData.payment_status || '').toLowerCase();
+  const columns = getSheetColumns(sheetName);
+  if (!columns) return null;
   
-  // Handle different sheet types and column changes
-  if (sheetName === CONFIG.SHEET_NAMES.TAILOR_ORDERS) {
-    return determineTailorMessage(orderData, columnEdited);
-  } else if (sheetName === CONFIG.SHEET_NAMES.FABRIC_ORDERS) {
-    return determineFabricMessage(orderData, columnEdited);
-  } else if (sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS) {
-    return determineCombinedMessage(orderData, columnEdited);
-  }
-  
-  return null;
-}
-
-/**
- * Determine message type for Tailor Orders
- */
-function determineTailorMessage(orderData, columnEdited) {
-  const deliveryStatus = (orderData.delivery_status || '').toLowerCase();
-  const paymentStatus = (orderData.payment_status || '').toLowerCase();
+  // IMPORTANT: If this is part of a combined order (Master Order ID is not empty/zero),
+  // DO NOT send individual messages from the tailor or fabric sheet
   const masterOrderId = orderData.master_order_id || '';
   const isCombinedOrder = masterOrderId && masterOrderId !== '0' && masterOrderId.toString().trim() !== '';
   
-  console.log(`Tailor Order - Master ID: ${masterOrderId}, Is Combined: ${isCombinedOrder}`);
-  
-  // IMPORTANT: If this is a combined order (Master Order ID is not empty/zero),
-  // DO NOT send individual messages from tailor sheet
-  if (isCombinedOrder) {
-    console.log('This is a combined order - individual tailor messages will be handled by combined sheet');
-    return null; // Combined order messages are handled by the Combined Orders sheet
-  }
-  
-  // Handle individual tailor orders (Master Order ID = 0 or empty)
-  if (columnEdited === TAILOR_COLUMNS.WELCOME_NOTIFIED + 1) { // +1 because columns are 1-indexed
-    // Only send if column shows "No" and welcome hasn't been sent globally
-    if (shouldSendNotification(orderData.welcome_notified) && !hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      return MESSAGE_TYPES.WELCOME;
-    }
-  }
-  
-  if (columnEdited === TAILOR_COLUMNS.CONFIRMATION_NOTIFIED + 1) {
-    // Only send if column shows "No" (not already confirmed)
-    if (shouldSendNotification(orderData.confirmation_notified)) {
-      return MESSAGE_TYPES.ORDER_CONFIRMATION;
-    }
-  }
-  
-  if (columnEdited === TAILOR_COLUMNS.READY_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates ready
-    if (shouldSendNotification(orderData.ready_notified) && (deliveryStatus.includes('ready') || deliveryStatus.includes('completed'))) {
-      return MESSAGE_TYPES.ORDER_READY;
-    }
-  }
-  
-  if (columnEdited === TAILOR_COLUMNS.PICKUP_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates picked/delivered
-    if (shouldSendNotification(orderData.pickup_notified) && (deliveryStatus.includes('delivered') || deliveryStatus.includes('picked'))) {
-      return MESSAGE_TYPES.PICKUP_COMPLETE;
-    }
-  }
-  
-  if (columnEdited === TAILOR_COLUMNS.PAYMENT_NOTIFIED + 1) {
-    // Only send if column shows "No" and there's remaining amount
-    if (shouldSendNotification(orderData.payment_notified) && orderData.remaining_amount > 0) {
-      return MESSAGE_TYPES.PAYMENT_REMINDER;
-    }
-  }
-  
-  if (columnEdited === TAILOR_COLUMNS.DELIVERY_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates delivered
-    if (shouldSendNotification(orderData.delivery_notified) && (deliveryStatus.includes('delivered') || deliveryStatus.includes('home delivery'))) {
-      return MESSAGE_TYPES.DELIVERY_NOTIFICATION;
-    }
-  }
-  
-  // Auto-detect based on status changes (only for individual orders)
-  if (columnEdited === TAILOR_COLUMNS.DELIVERY_STATUS + 1) {
-    // Auto-trigger ready message if status changed to ready and not notified yet
-    if (deliveryStatus.includes('ready') && shouldSendNotification(orderData.ready_notified)) {
-      return MESSAGE_TYPES.ORDER_READY;
-    }
-    // Auto-trigger pickup message if status changed to delivered and not notified yet
-    if ((deliveryStatus.includes('delivered') || deliveryStatus.includes('picked')) && shouldSendNotification(orderData.pickup_notified)) {
-      return MESSAGE_TYPES.PICKUP_COMPLETE;
-    }
-    // Auto-trigger delivery notification for home delivery
-    if ((deliveryStatus.includes('home delivery') || deliveryStatus.includes('delivered')) && shouldSendNotification(orderData.delivery_notified)) {
-      return MESSAGE_TYPES.DELIVERY_NOTIFICATION;
-    }
-  }
-  
-  // Check for new individual orders (when order_id is added and no welcome sent globally)
-  if (columnEdited === TAILOR_COLUMNS.ORDER_ID + 1 && orderData.order_id && shouldSendNotification(orderData.welcome_notified)) {
-    if (!hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      return MESSAGE_TYPES.WELCOME;
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Determine message type for Fabric Orders
- */
-function determineFabricMessage(orderData, columnEdited) {
-  const deliveryStatus = (orderData.delivery_status || '').toLowerCase();
-  const paymentStatus = (orderData.payment_status || '').toLowerCase();
-  const masterOrderId = orderData.master_order_id || '';
-  const isCombinedOrder = masterOrderId && masterOrderId !== '0' && masterOrderId.toString().trim() !== '';
-  
-  console.log(`Fabric Order - Master ID: ${masterOrderId}, Is Combined: ${isCombinedOrder}`);
-  
-  // IMPORTANT: If this is a combined order (Master Order ID is not empty/zero),
-  // DO NOT send individual messages from fabric sheet
-  if (isCombinedOrder) {
-    console.log('This is a combined order - individual fabric messages will be handled by combined sheet');
-    return null; // Combined order messages are handled by the Combined Orders sheet
-  }
-  
-  // Handle individual fabric orders (Master Order ID = 0 or empty)
-  if (columnEdited === FABRIC_COLUMNS.WELCOME_NOTIFIED + 1) {
-    // Only send if column shows "No" and welcome hasn't been sent globally
-    if (shouldSendNotification(orderData.welcome_notified) && !hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      return MESSAGE_TYPES.FABRIC_WELCOME;
-    }
-  }
-  
-  if (columnEdited === FABRIC_COLUMNS.CONFIRMATION_NOTIFIED + 1) {
-    // Only send if column shows "No" (not already confirmed)
-    if (shouldSendNotification(orderData.confirmation_notified)) {
-      return MESSAGE_TYPES.FABRIC_PURCHASE;
-    }
-  }
-  
-  if (columnEdited === FABRIC_COLUMNS.READY_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates ready
-    if (shouldSendNotification(orderData.ready_notified) && (deliveryStatus.includes('ready') || deliveryStatus.includes('completed'))) {
-      return MESSAGE_TYPES.ORDER_READY; // Use general ready message for fabric too
-    }
-  }
-  
-  if (columnEdited === FABRIC_COLUMNS.PICKUP_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates picked/delivered
-    if (shouldSendNotification(orderData.pickup_notified) && (deliveryStatus.includes('delivered') || deliveryStatus.includes('picked'))) {
-      return MESSAGE_TYPES.PICKUP_COMPLETE;
-    }
-  }
-  
-  if (columnEdited === FABRIC_COLUMNS.PAYMENT_NOTIFIED + 1) {
-    // Only send if column shows "No" and there's remaining amount
-    if (shouldSendNotification(orderData.payment_notified) && orderData.remaining_amount > 0) {
-      return MESSAGE_TYPES.FABRIC_PAYMENT_REMINDER;
-    }
-  }
-  
-  if (columnEdited === FABRIC_COLUMNS.DELIVERY_NOTIFIED + 1) {
-    // Only send if column shows "No" and delivery status indicates delivered
-    if (shouldSendNotification(orderData.delivery_notified) && (deliveryStatus.includes('delivered') || deliveryStatus.includes('home delivery'))) {
-      return MESSAGE_TYPES.DELIVERY_NOTIFICATION;
-    }
-  }
-  
-  // Auto-detect based on status changes (only for individual orders)
-  if (columnEdited === FABRIC_COLUMNS.DELIVERY_STATUS + 1) {
-    // Auto-trigger ready message if status changed to ready and not notified yet
-    if (deliveryStatus.includes('ready') && shouldSendNotification(orderData.ready_notified)) {
-      return MESSAGE_TYPES.ORDER_READY;
-    }
-    // Auto-trigger pickup message if status changed to delivered and not notified yet
-    if ((deliveryStatus.includes('delivered') || deliveryStatus.includes('picked')) && shouldSendNotification(orderData.pickup_notified)) {
-      return MESSAGE_TYPES.PICKUP_COMPLETE;
-    }
-    // Auto-trigger delivery notification for home delivery
-    if ((deliveryStatus.includes('home delivery') || deliveryStatus.includes('delivered')) && shouldSendNotification(orderData.delivery_notified)) {
-      return MESSAGE_TYPES.DELIVERY_NOTIFICATION;
-    }
-  }
-  
-  // Check for new individual fabric orders (when order_id is added and no welcome sent globally)
-  if (columnEdited === FABRIC_COLUMNS.ORDER_ID + 1 && orderData.order_id && shouldSendNotification(orderData.welcome_notified)) {
-    if (!hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      return MESSAGE_TYPES.FABRIC_WELCOME;
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Determine message type for Combined Orders
- */
-function determineCombinedMessage(orderData, columnEdited) {
-  const combinedOrderId = orderData.combined_order_id || '';
-  const masterOrderId = orderData.master_order_id || '';
-  
-  console.log(`Combined Order - Combined ID: ${combinedOrderId}, Master ID: ${masterOrderId}`);
-  
-  // Check if Combined Order Notified column was edited
-  if (columnEdited === COMBINED_COLUMNS.COMBINED_ORDER_NOTIFIED + 1) {
-    // Only send if column shows "No" and combined order ID exists
-    if (shouldSendNotification(orderData.combined_order_notified) && combinedOrderId) {
-      console.log('Triggering combined order message from notification column');
-      return MESSAGE_TYPES.COMBINED_ORDER;
-    }
-  }
-  
-  // Check for new combined orders (when Combined Order ID is added)
-  if (columnEdited === COMBINED_COLUMNS.COMBINED_ORDER_ID + 1 && combinedOrderId && shouldSendNotification(orderData.combined_order_notified)) {
-    // Only send combined order if welcome hasn't been sent to this phone number
-    if (!hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      console.log('Triggering combined order message from new combined order ID');
-      return MESSAGE_TYPES.COMBINED_ORDER;
-    } else {
-      console.log('Welcome already sent to this phone number, skipping combined order welcome');
-      return null;
-    }
+  if (sheetName !== CONFIG.SHEET_NAMES.COMBINED_ORDERS && isCombinedOrder) {
+    console.log(`Order ${orderData.order_id} is part of combined order ${masterOrderId} - messages are handled by the combined sheet`);
+    return null;
   }
   
-  // Also trigger when Master Order ID is added (fallback)
-  if (columnEdited === COMBINED_COLUMNS.MASTER_ORDER_ID + 1 && masterOrderId && combinedOrderId && shouldSendNotification(orderData.combined_order_notified)) {
-    // Only send combined order if welcome hasn't been sent to this phone number
-    if (!hasWelcomeBeenSentToPhone(orderData.phone_number)) {
-      console.log('Triggering combined order message from master order ID');
-      return MESSAGE_TYPES.COMBINED_ORDER;
-    } else {
-      console.log('Welcome already sent to this phone number, skipping combined order welcome');
-      return null;
+  for (const messageType of Object.keys(MESSAGE_TYPE_REGISTRY)) {
+    const definition = MESSAGE_TYPE_REGISTRY[messageType];
+    const sheetColumns = definition.sheets[sheetName];
+    if (!sheetColumns || !sheetColumns.notified) continue;
+    
+    // +1 because columns are 1-indexed
+    const isNotifiedEdit = columnEdited === columns[sheetColumns.notified] + 1;
+    const isTriggerEdit = (sheetColumns.triggers || []).some(name => columnEdited === columns[name] + 1);
+    if (!isNotifiedEdit && !isTriggerEdit) continue;
+    
+    // Only send if the notified column shows "No" (field name = column name in lower case) and the order qualifies
+    if (!shouldSendNotification(orderData[sheetColumns.notified.toLowerCase()]) || !definition.eligible(orderData)) continue;
+    
+    // Welcome messages go out only once per phone number
+    if (definition.welcome && hasWelcomeBeenSentToPhone(orderData.phone_number)) {
+      console.log(`Welcome already sent to this phone number, skipping ${messageType}`);
+      continue;
     }
+    
+    return messageType;
   }
   
   return null;
@@ -716,13 +656,11 @@ function sendWebhookToBot(orderData, messageType, row, sheetName) {
       // Update the sheet with successful webhook delivery
       updateSheetWithWebhookStatus(row, sheetName, messageType, 'SUCCESS', responseText);
       
-      // Update specific notification column to "Yes" after successful delivery
+      // Update the notification columns (notified, date, reminder count) after successful delivery
       updateNotificationColumn(sheetName, row, messageType);
       
       // Special handling for welcome messages - mark as sent across all sheets
-      const isWelcomeMessage = messageType === MESSAGE_TYPES.WELCOME || 
-                              messageType === MESSAGE_TYPES.FABRIC_WELCOME || 
-                              messageType === MESSAGE_TYPES.COMBINED_ORDER;
+      const isWelcomeMessage = !!(MESSAGE_TYPE_REGISTRY[messageType] && MESSAGE_TYPE_REGISTRY[messageType].welcome);
       
       if (isWelcomeMessage && orderData.phone_number) {
         markWelcomeAsSentForPhone(orderData.phone_number, sheetName, row);
@@ -756,15 +694,7 @@ function updateSheetWithWebhookStatus(row, sheetName, messageType, status, detai
     const sheet = ss.getSheetByName(sheetName);
     const timestamp = new Date().toISOString();
     
-    // Update notification flags based on message type and sheet
-    if (sheetName === CONFIG.SHEET_NAMES.TAILOR_ORDERS || sheetName === CONFIG.SHEET_NAMES.FABRIC_ORDERS) {
-      updateNotificationFlags(sheet, row, messageType, sheetName);
-    } else if (sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS) {
-      // Update combined order notification flag
-      if (messageType === MESSAGE_TYPES.COMBINED_ORDER) {
-        sheet.getRange(row, COMBINED_COLUMNS.COMBINED_ORDER_NOTIFIED + 1).setValue(true);
-      }
-    }
+    // Notification columns are only updated for successful webhooks (updateNotificationColumn)
     
     // Add webhook status to notes or create a log entry
     const currentNotes = sheet.getRange(row, getNoteColumn(sheetName) + 1).getValue() || '';
@@ -783,52 +713,6 @@ function updateSheetWithWebhookStatus(row, sheetName, messageType, status, detai
   }
 }
 
-/**
- * Update notification flags based on message type
- */
-function updateNotificationFlags(sheet, row, messageType, sheetName) {
-  const columnMap = sheetName === CONFIG.SHEET_NAMES.TAILOR_ORDERS ? TAILOR_COLUMNS : FABRIC_COLUMNS;
-  const timestamp = new Date().toISOString();
-  
-  switch (messageType) {
-    case MESSAGE_TYPES.WELCOME:
-    case MESSAGE_TYPES.FABRIC_WELCOME:
-      sheet.getRange(row, columnMap.WELCOME_NOTIFIED + 1).setValue(true);
-      break;
-      
-    case MESSAGE_TYPES.ORDER_CONFIRMATION:
-    case MESSAGE_TYPES.FABRIC_PURCHASE:
-      sheet.getRange(row, columnMap.CONFIRMATION_NOTIFIED + 1).setValue(true);
-      break;
-      
-    case MESSAGE_TYPES.ORDER_READY:
-      sheet.getRange(row, columnMap.READY_NOTIFIED + 1).setValue(true);
-      sheet.getRange(row, columnMap.READY_NOTIFIED_DATE + 1).setValue(timestamp);
-      break;
-      
-    case MESSAGE_TYPES.PICKUP_COMPLETE:
-    case MESSAGE_TYPES.DELIVERY_NOTIFICATION:
-      sheet.getRange(row, columnMap.PICKUP_NOTIFIED + 1).setValue(true);
-      break;
-      
-    case MESSAGE_TYPES.PAYMENT_REMINDER:
-    case MESSAGE_TYPES.FABRIC_PAYMENT_REMINDER:
-      sheet.getRange(row, columnMap.PAYMENT_NOTIFIED + 1).setValue(true);
-      // Increment payment reminder count
-      const currentPaymentCount = sheet.getRange(row, columnMap.PAYMENT_REMINDER_COUNT + 1).getValue() || 0;
-      sheet.getRange(row, columnMap.PAYMENT_REMINDER_COUNT + 1).setValue(currentPaymentCount + 1);
-      sheet.getRange(row, columnMap.LAST_PAYMENT_REMINDER_DATE + 1).setValue(timestamp);
-      break;
-      
-    case MESSAGE_TYPES.PICKUP_REMINDER:
-      // Increment pickup reminder count
-      const currentPickupCount = sheet.getRange(row, columnMap.PICKUP_REMINDER_COUNT + 1).getValue() || 0;
-      sheet.getRange(row, columnMap.PICKUP_REMINDER_COUNT + 1).setValue(currentPickupCount + 1);
-      sheet.getRange(row, columnMap.LAST_PICKUP_REMINDER_DATE + 1).setValue(timestamp);
-      break;
-  }
-}
-
 /**
  * Get the notes column index for different sheet types
  */
@@ -1018,7 +902,8 @@ function markWelcomeAsSentForPhone(phoneNumber, currentSheetName, currentRow) {
 }
 
 /**
- * Update specific notification column to "Yes" after successful message delivery
+ * Update the notification columns MESSAGE_TYPE_REGISTRY declares for a message type after
+ * successful message delivery: notified to "Yes", the notified date, and the reminder count/date
  */
 function updateNotificationColumn(sheetName, row, messageType) {
   try {
@@ -1027,64 +912,30 @@ function updateNotificationColumn(sheetName, row, messageType) {
     
     if (!sheet || !row || row < 2) return; // Skip if invalid parameters
     
-    let columnIndex = -1;
+    const definition = MESSAGE_TYPE_REGISTRY[messageType];
+    const sheetColumns = definition && definition.sheets[sheetName];
+    const columns = getSheetColumns(sheetName);
     
-    // Determine which column to update based on message type and sheet
-    if (sheetName === CONFIG.SHEET_NAMES.TAILOR_ORDERS) {
-      switch (messageType) {
-        case MESSAGE_TYPES.WELCOME:
-          columnIndex = TAILOR_COLUMNS.WELCOME_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.ORDER_CONFIRMATION:
-          columnIndex = TAILOR_COLUMNS.CONFIRMATION_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.ORDER_READY:
-          columnIndex = TAILOR_COLUMNS.READY_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.PICKUP_COMPLETE:
-          columnIndex = TAILOR_COLUMNS.PICKUP_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.DELIVERY_NOTIFICATION:
-          columnIndex = TAILOR_COLUMNS.DELIVERY_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.PAYMENT_REMINDER:
-          columnIndex = TAILOR_COLUMNS.PAYMENT_NOTIFIED + 1;
-          break;
-      }
-    } else if (sheetName === CONFIG.SHEET_NAMES.FABRIC_ORDERS) {
-      switch (messageType) {
-        case MESSAGE_TYPES.FABRIC_WELCOME:
-          columnIndex = FABRIC_COLUMNS.WELCOME_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.FABRIC_PURCHASE:
-          columnIndex = FABRIC_COLUMNS.CONFIRMATION_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.ORDER_READY:
-          columnIndex = FABRIC_COLUMNS.READY_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.PICKUP_COMPLETE:
-          columnIndex = FABRIC_COLUMNS.PICKUP_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.FABRIC_PAYMENT_REMINDER:
-          columnIndex = FABRIC_COLUMNS.PAYMENT_NOTIFIED + 1;
-          break;
-        case MESSAGE_TYPES.DELIVERY_NOTIFICATION:
-          columnIndex = FABRIC_COLUMNS.DELIVERY_NOTIFIED + 1;
-          break;
-      }
-    } else if (sheetName === CONFIG.SHEET_NAMES.COMBINED_ORDERS) {
-      switch (messageType) {
-        case MESSAGE_TYPES.COMBINED_ORDER:
-          columnIndex = COMBINED_COLUMNS.COMBINED_ORDER_NOTIFIED + 1;
-          break;
-      }
+    if (!sheetColumns || !columns) {
+      console.warn(`Could not determine column for ${messageType} in ${sheetName}`);
+      return;
     }
     
-    if (columnIndex > 0) {
-      sheet.getRange(row, columnIndex).setValue('Yes');
-      console.log(`Updated ${sheetName} row ${row} column ${columnIndex} to 'Yes' for ${messageType}`);
-    } else {
-      console.warn(`Could not determine column for ${messageType} in ${sheetName}`);
+    const timestamp = new Date().toISOString();
+    
+    if (sheetColumns.notified) {
+      sheet.getRange(row, columns[sheetColumns.notified] + 1).setValue('Yes');
+      console.log(`Updated ${sheetName} row ${row} ${sheetColumns.notified} to 'Yes' for ${messageType}`);
+    }
+    
+    if (sheetColumns.notifiedDate) {
+      sheet.getRange(row, columns[sheetColumns.notifiedDate] + 1).setValue(timestamp);
+    }
+    
+    if (sheetColumns.reminderCount) {
+      const countCell = sheet.getRange(row, columns[sheetColumns.reminderCount] + 1);
+      countCell.setValue((parseInt(countCell.getValue(), 10) || 0) + 1);
+      sheet.getRange(row, columns[sheetColumns.reminderDate] + 1).setValue(timestamp);
     }
     
   } catch (error) {
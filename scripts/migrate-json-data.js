@@ -0,0 +1,272 @@
+/**
+ * JSON Data Migration
+ * Imports the old JSON state files (duplicate prevention, safety backups, festival history,
+ * message queue) into the SQLite database. Safe to run more than once.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('pino')({ level: 'info' });
+const DatabaseService = require('../src/services/database-service');
+const CustomerService = require('../src/services/customer-service');
+
+class JsonDataMigration {
+    constructor(database, dataDir = path.resolve(__dirname, '..', 'data')) {
+        this.database = database;
+        this.customerService = new CustomerService(database);
+        this.dataDir = dataDir;
+        this.duplicatePreventionDir = path.join(dataDir, 'duplicate-prevention');
+        this.results = {};
+    }
+
+    async run() {
+        logger.info('🔄 Importing JSON data into database...');
+        
+        await this.importSentMessages();
+        await this.importCustomerHistory();
+        await this.importSafetyBackups();
+        await this.importMessageHashes();
+        await this.importFestivalCampaigns();
+        await this.importStatistics();
+        await this.importQueue();
+        
+        for (const [source, count] of Object.entries(this.results)) {
+            logger.info(`   📋 ${source}: ${count} imported`);
+        }
+        logger.info('   ✅ JSON data import completed');
+        
+        return this.results;
+    }
+
+    /**
+     * Read a JSON file, returning null when it does not exist
+     */
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            logger.warn(`   ⚠️ Could not read ${path.basename(filePath)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Insert one message row; the dedupe key makes re-runs a no-op
+     */
+    async insertMessage({ dedupeKey, phone, orderId, messageType, sheetType, contentHash, success = true, errorMessage = null, sentAt }) {
+        const result = await this.database.run(
+            `INSERT OR IGNORE INTO sent_messages
+                (dedupe_key, phone, order_id, message_type, sheet_type, content_hash, success, error_message, sent_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [dedupeKey, phone, orderId || null, messageType, sheetType || null, contentHash || null, success ? 1 : 0, errorMessage, sentAt || Date.now()]
+        );
+        return result.changes;
+    }
+
+    messageKey(phone, orderId, messageType, timestamp) {
+        return `${phone}|${orderId}|${messageType}|${timestamp}`;
+    }
+
+    /**
+     * sent-messages.json: [hash, { customerPhone, orderId, messageType, sheetType, contentHash, timestamp, orderData }]
+     */
+    async importSentMessages() {
+        const entries = await this.readJson(path.join(this.duplicatePreventionDir, 'sent-messages.json')) || [];
+        let imported = 0;
+        
+        for (const [, entry] of entries) {
+            imported += await this.insertMessage({
+                dedupeKey: this.messageKey(entry.customerPhone, entry.orderId, entry.messageType, entry.timestamp),
+                phone: entry.customerPhone,
+                orderId: entry.orderId,
+                messageType: entry.messageType,
+                sheetType: entry.sheetType,
+                contentHash: entry.contentHash,
+                sentAt: entry.timestamp
+            });
+            
+            if (entry.orderData && entry.orderData.order_id) {
+                await this.customerService.upsertOrder({ ...entry.orderData, phone_number: entry.customerPhone });
+            }
+        }
+        
+        this.results['sent-messages.json'] = imported;
+    }
+
+    /**
+     * customer-history.json: [phone, [{ orderId, messageType, sheetType, contentHash, timestamp }]]
+     * Mostly the same sends as sent-messages.json - the shared dedupe key skips those
+     */
+    async importCustomerHistory() {
+        const entries = await this.readJson(path.join(this.duplicatePreventionDir, 'customer-history.json')) || [];
+        let imported = 0;
+        
+        for (const [phone, history] of entries) {
+            await this.customerService.upsertCustomer({ phone });
+            
+            for (const entry of history || []) {
+                imported += await this.insertMessage({
+                    dedupeKey: this.messageKey(phone, entry.orderId, entry.messageType, entry.timestamp),
+                    phone,
+                    orderId: entry.orderId,
+                    messageType: entry.messageType,
+                    sheetType: entry.sheetType,
+                    contentHash: entry.contentHash,
+                    sentAt: entry.timestamp
+                });
+            }
+        }
+        
+        this.results['customer-history.json'] = imported;
+    }
+
+    /**
+     * message-hashes.json: [hash, { content, customers, customerTimestamps }] - fills in message previews
+     */
+    async importMessageHashes() {
+        const entries = await this.readJson(path.join(this.duplicatePreventionDir, 'message-hashes.json')) || [];
+        let imported = 0;
+        
+        for (const [hash, entry] of entries) {
+            const result = await this.database.run(
+                'UPDATE sent_messages SET content_preview = ? WHERE content_hash = ? AND content_preview IS NULL',
+                [entry.content || null, hash]
+            );
+            imported += result.changes;
+        }
+        
+        this.results['message-hashes.json'] = imported;
+    }
+
+    /**
+     * data/safety-data/backup_<phone>_<orderId>_<type>.json - one send attempt per file
+     */
+    async importSafetyBackups() {
+        const backupDir = path.join(this.dataDir, 'safety-data');
+        let files = [];
+        try {
+            files = (await fs.readdir(backupDir)).filter(file => file.startsWith('backup_') && file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        let imported = 0;
+        for (const file of files) {
+            const backup = await this.readJson(path.join(backupDir, file));
+            if (!backup || !backup.phone) continue;
+            
+            // Successful sends are usually already in sent-messages.json (a few ms apart)
+            const success = backup.success && backup.sent !== false;
+            if (success && await this.database.get(
+                'SELECT id FROM sent_messages WHERE phone = ? AND order_id = ? AND message_type = ? AND content_hash = ? AND success = 1',
+                [backup.phone, backup.orderId, backup.messageType, backup.contentHash]
+            )) {
+                continue;
+            }
+            
+            imported += await this.insertMessage({
+                dedupeKey: `backup:${file}`,
+                phone: backup.phone,
+                orderId: backup.orderId,
+                messageType: backup.messageType,
+                contentHash: backup.contentHash,
+                success,
+                errorMessage: backup.errorMessage || null,
+                sentAt: backup.timestamp
+            });
+        }
+        
+        this.results['safety-data backups'] = imported;
+    }
+
+    /**
+     * festival-campaigns.json: { phone: ["dussehra-2025-<ISO timestamp>"] }
+     */
+    async importFestivalCampaigns() {
+        const history = await this.readJson(path.join(this.duplicatePreventionDir, 'festival-campaigns.json')) || {};
+        let imported = 0;
+        
+        for (const [phone, entries] of Object.entries(history)) {
+            for (const entry of entries || []) {
+                if (typeof entry !== 'string') continue;
+                
+                const match = entry.match(/^(.+)-(\d{4}-\d{2}-\d{2}T[\d:.]+Z)$/);
+                const campaignKey = match ? match[1] : entry;
+                const sentAt = match ? new Date(match[2]).getTime() : Date.now();
+                
+                const result = await this.database.run(
+                    'INSERT OR IGNORE INTO campaign_messages (dedupe_key, phone, sent_at) VALUES (?, ?, ?)',
+                    [campaignKey, phone, sentAt]
+                );
+                imported += result.changes;
+            }
+        }
+        
+        this.results['festival-campaigns.json'] = imported;
+    }
+
+    /**
+     * statistics.json: { totalMessagesSent, duplicatesBlocked, ... } - existing counters win
+     */
+    async importStatistics() {
+        const statistics = await this.readJson(path.join(this.duplicatePreventionDir, 'statistics.json')) || {};
+        let imported = 0;
+        
+        for (const [key, value] of Object.entries(statistics)) {
+            if (typeof value !== 'number') continue;
+            
+            const result = await this.database.run(
+                'INSERT OR IGNORE INTO statistics (key, value, updated_at) VALUES (?, ?, ?)',
+                [key, value, Date.now()]
+            );
+            imported += result.changes;
+        }
+        
+        this.results['statistics.json'] = imported;
+    }
+
+    /**
+     * data/message-queue/queue.json from the file-based queue
+     */
+    async importQueue() {
+        const queue = await this.readJson(path.join(this.dataDir, 'message-queue', 'queue.json')) || {};
+        const jobs = [...(queue.jobs || []), ...(queue.deadLetter || [])];
+        let imported = 0;
+        
+        for (const job of jobs) {
+            const result = await this.database.run(
+                `INSERT OR IGNORE INTO queue_jobs (id, type, payload, status, attempts, created_at, next_attempt_at, last_error, failed_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    job.id,
+                    job.type,
+                    JSON.stringify(job.payload),
+                    job.status === 'processing' ? 'pending' : job.status,
+                    job.attempts || 0,
+                    job.createdAt,
+                    job.nextAttemptAt || job.createdAt,
+                    job.lastError || null,
+                    job.failedAt || null
+                ]
+            );
+            imported += result.changes;
+        }
+        
+        this.results['queue.json'] = imported;
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    const database = new DatabaseService();
+    database.initialize()
+        .then(() => new JsonDataMigration(database).run())
+        .then(() => database.close())
+        .catch(error => {
+            logger.error('❌ JSON data import failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = JsonDataMigration;
@@ -6,6 +6,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('pino')({ level: 'info' });
+const DatabaseService = require('../src/services/database-service');
+const JsonDataMigration = require('./migrate-json-data');
 
 class BotSetup {
     constructor() {
@@ -121,16 +123,17 @@ class BotSetup {
     async initializeDatabase() {
         logger.info('💾 Initializing database...');
         
-        // TODO: Create SQLite database schema
-        logger.info('   📊 Database schema - TODO');
-        
-        // TODO: Create tables for orders, customers, messages
-        logger.info('   📋 Tables creation - TODO');
-        
-        // TODO: Migrate existing data if needed
-        logger.info('   🔄 Data migration - TODO');
-        
-        logger.info('   ✅ Database initialization placeholder completed');
+        const database = new DatabaseService();
+        try {
+            // Creates the schema (customers, orders, messages, campaigns...)
+            await database.initialize();
+            logger.info(`   📊 Database ready: ${database.dbPath}`);
+            
+            // Import state from the old JSON files
+            await new JsonDataMigration(database, path.join(this.rootDir, 'data')).run();
+        } finally {
+            await database.close();
+        }
     }
     
     async setupLogging() {
@@ -10,10 +10,34 @@ const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const multer = require('multer');
 const WhatsAppClient = require('./services/whatsapp-client');
 const GoogleSheetsService = require('./services/google-sheets-service');
 const MessageProcessor = require('./services/message-processor');
+const InboundMessageHandler = require('./services/inbound-message-handler');
+const MessageQueue = require('./services/message-queue');
+const DatabaseService = require('./services/database-service');
+const MessageHistoryService = require('./services/message-history-service');
+const CustomerService = require('./services/customer-service');
+const CampaignService = require('./services/campaign-service');
+const CampaignSessionService = require('./services/campaign-session-service');
+const AudienceService = require('./services/audience-service');
+const SegmentService = require('./services/segment-service');
+const SchedulerService = require('./services/scheduler-service');
+const ReminderService = require('./services/reminder-service');
+const TemplateSettingsService = require('./services/template-settings-service');
+const MediaLibraryService = require('./services/media-library-service');
+const ReceiptService = require('./services/receipt-service');
+const UpiService = require('./services/upi-service');
+const PaymentService = require('./services/payment-service');
+const AdminCommandService = require('./services/admin-command-service');
+const DailySummaryService = require('./services/daily-summary-service');
+const DeliveryDelayService = require('./services/delivery-delay-service');
+const MeasurementService = require('./services/measurement-service');
 const MediaUtils = require('./utils/media-utils');
+const MessageTemplates = require('../templates/message-templates');
+const MessageTypes = require('../config/message-types');
+const MeasurementFields = require('../config/measurement-fields');
 
 // Basic logging setup
 const logger = require('pino')({
@@ -37,8 +61,115 @@ class WhatsAppTailorBot {
         this.whatsappClient = new WhatsAppClient();
         this.googleSheetsService = new GoogleSheetsService();
         this.messageProcessor = null; // Will be initialized after WhatsApp client
+        this.inboundMessageHandler = null; // Will be initialized after message processor
         this.mediaUtils = new MediaUtils();
         
+        // SQLite data store - opened first in initialize()
+        this.database = new DatabaseService();
+        this.messageHistory = new MessageHistoryService(this.database);
+        this.customerService = new CustomerService(this.database);
+        this.receiptService = new ReceiptService(this.database);
+        this.upiService = new UpiService();
+        
+        // Shared by order notifications, customer replies and campaigns
+        this.messageTemplates = new MessageTemplates();
+        this.messageTypes = new MessageTypes();
+        this.templateSettings = new TemplateSettingsService(this.database, this.messageTemplates);
+        this.mediaLibrary = new MediaLibraryService(this.database, this.messageTemplates);
+        this.paymentService = new PaymentService(
+            this.database,
+            this.googleSheetsService,
+            this.whatsappClient,
+            this.messageTemplates,
+            this.receiptService,
+            this.customerService
+        );
+        this.campaignService = new CampaignService(
+            this.database,
+            this.whatsappClient,
+            this.messageTemplates,
+            this.messageHistory,
+            this.mediaLibrary
+        );
+        this.campaignSessionService = new CampaignSessionService(this.database);
+        this.audienceService = new AudienceService(this.database);
+        this.segmentService = new SegmentService(this.database);
+        
+        // Saved measurements per customer and family member, sent to the customer on request
+        this.measurementService = new MeasurementService(
+            this.database,
+            this.messageTemplates,
+            this.whatsappClient,
+            this.customerService
+        );
+        
+        // End-of-day report for the owner (daily_summary scheduled job, /summary command)
+        this.dailySummary = new DailySummaryService(
+            this.googleSheetsService,
+            this.messageHistory,
+            this.campaignSessionService,
+            this.paymentService
+        );
+        
+        // Scheduled campaigns and recurring reminders (started with the message queue)
+        this.scheduler = new SchedulerService(this.database);
+        this.registerScheduledJobTypes();
+        
+        // CSV / XLSX audience uploads are kept in memory and parsed straight away
+        this.audienceUpload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: parseInt(process.env.AUDIENCE_MAX_UPLOAD_MB || '5') * 1024 * 1024, files: 1 }
+        }).single('file');
+        
+        // Media library uploads - saved to the media folder by the media library service
+        this.mediaUpload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '64') * 1024 * 1024, files: 1 }
+        }).single('file');
+        
+        // Durable outbound queue - webhook jobs are persisted before they are acknowledged
+        this.messageQueue = new MessageQueue(this.database);
+        this.messageQueue.registerHandler('order_message', (payload) => this.processOrderMessage(
+            payload.messageType,
+            payload.orderData,
+            payload.sheetName,
+            payload.sheetRow
+        ));
+        this.messageQueue.registerHandler('text_message', (payload) =>
+            this.whatsappClient.sendMessage(payload.phone, payload.message)
+        );
+        
+        // Pickup and payment reminders are queued by the reminder service and counted in the sheet once sent
+        this.reminderService = new ReminderService(
+            this.googleSheetsService,
+            this.messageQueue,
+            (messageType, orderData, sheetName, sheetRow) => this.processOrderMessage(messageType, orderData, sheetName, sheetRow),
+            this.messageHistory
+        );
+        this.messageQueue.registerHandler('reminder_message', (payload) => this.reminderService.deliverReminder(payload));
+        
+        // Orders past their Delivery Date - admin list, new date in the sheet and the customer apology
+        this.deliveryDelays = new DeliveryDelayService(
+            this.database,
+            this.googleSheetsService,
+            this.messageQueue,
+            this.dailySummary
+        );
+        
+        // Commands the admins send the bot over WhatsApp ("/status", "/ready TXL18092517")
+        this.adminCommands = new AdminCommandService(this.database, this.whatsappClient, {
+            googleSheetsService: this.googleSheetsService,
+            messageQueue: this.messageQueue,
+            messageHistory: this.messageHistory,
+            reminderService: this.reminderService,
+            campaignSessionService: this.campaignSessionService,
+            campaignService: this.campaignService,
+            paymentService: this.paymentService,
+            dailySummary: this.dailySummary,
+            deliveryDelays: this.deliveryDelays,
+            developerConfig: this.whatsappClient.sendGovernor.developerConfig
+        });
+        
         logger.info('🤖 WhatsApp Tailor Bot V2.0 - Initializing...');
         logger.info('📍 Shop: RS Tailor & Fabric, Kumher');
         
@@ -49,57 +180,6 @@ class WhatsAppTailorBot {
         this.setupGracefulShutdown();
     }
 
-    // Festival Campaign Duplicate Prevention System
-    getFestivalCampaignFilePath() {
-        return path.join(__dirname, '..', 'data', 'duplicate-prevention', 'festival-campaigns.json');
-    }
-
-    loadFestivalCampaignHistory() {
-        try {
-            const filePath = this.getFestivalCampaignFilePath();
-            if (fs.existsSync(filePath)) {
-                const data = fs.readFileSync(filePath, 'utf8');
-                return JSON.parse(data) || {};
-            }
-        } catch (error) {
-            logger.warn('Failed to load festival campaign history:', error.message);
-        }
-        return {};
-    }
-
-    saveFestivalCampaignHistory(history) {
-        try {
-            const filePath = this.getFestivalCampaignFilePath();
-            const dir = path.dirname(filePath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            fs.writeFileSync(filePath, JSON.stringify(history, null, 2));
-        } catch (error) {
-            logger.error('Failed to save festival campaign history:', error.message);
-        }
-    }
-
-    hasSentFestivalMessage(phone, campaignType = 'dussehra-2025') {
-        const history = this.loadFestivalCampaignHistory();
-        return history[phone] && history[phone].some(entry => 
-            typeof entry === 'string' && entry.startsWith(campaignType)
-        );
-    }
-
-    recordFestivalMessage(phone, campaignType = 'dussehra-2025') {
-        const history = this.loadFestivalCampaignHistory();
-        if (!history[phone]) {
-            history[phone] = [];
-        }
-        const campaignEntry = `${campaignType}-${new Date().toISOString()}`;
-        if (!this.hasSentFestivalMessage(phone, campaignType)) {
-            history[phone].push(campaignEntry);
-            this.saveFestivalCampaignHistory(history);
-            logger.info(`📝 Recorded festival message: ${phone} - ${campaignType}`);
-        }
-    }
-    
     /**
      * Load and validate configuration
      */
@@ -145,6 +225,12 @@ class WhatsAppTailorBot {
             mockWhatsApp: process.env.MOCK_WHATSAPP === 'true',
             disablePolling: process.env.DISABLE_POLLING === 'true',
             
+            // Customer replies (order status over WhatsApp)
+            inboundRepliesEnabled: process.env.INBOUND_REPLIES_ENABLED !== 'false',
+            
+            // Admin commands over WhatsApp ("/status") from the admin and developer phones
+            adminCommandsEnabled: process.env.ADMIN_COMMANDS_ENABLED !== 'false',
+            
             // Server configuration
             port: process.env.PORT || 3001,
             webhookSecret: process.env.WEBHOOK_SECRET || process.env.API_SECRET_KEY
@@ -527,7 +613,8 @@ class WhatsAppTailorBot {
         this.app.post('/api/media/cleanup', (req, res) => {
             try {
                 const { maxAgeHours = 24 } = req.body;
-                const deletedCount = this.mediaUtils.cleanupOldFiles(maxAgeHours);
+                // Media library files are in use by templates and campaigns, however old they are
+                const deletedCount = this.mediaUtils.cleanupOldFiles(maxAgeHours, this.mediaLibrary.getFilePaths());
                 
                 res.json({
                     success: true,
@@ -546,574 +633,2139 @@ class WhatsAppTailorBot {
                 });
             }
         });
+        
+        // Media library (images, videos and documents used by templates and campaigns)
+        this.setupMediaRoutes();
+
+        // Festival/promotional campaigns (manual approval and bulk modes)
+        this.setupCampaignRoutes();
+
+        // Campaign audiences from CSV / Excel uploads
+        this.setupAudienceRoutes();
+
+        // Saved customer segments from order history
+        this.setupSegmentRoutes();
+
+        // Scheduled campaigns and reminders
+        this.setupSchedulerRoutes();
+
+        // Enable / disable message templates
+        this.setupTemplateRoutes();
+
+        // Message queue admin endpoints
+        this.setupQueueRoutes();
+
+        // Message history endpoints
+        this.setupHistoryRoutes();
+
+        // PDF order receipts and invoices
+        this.setupReceiptRoutes();
+        
+        // Payments reported by customers, waiting to be verified
+        this.setupPaymentRoutes();
+        
+        // Audit log of WhatsApp admin commands
+        this.setupAdminCommandRoutes();
+        
+        // Overdue orders and new delivery dates
+        this.setupDeliveryDelayRoutes();
+        
+        // Customer measurement profiles
+        this.setupMeasurementRoutes();
+        
+        // Serve the campaign interface
+        this.app.get('/', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'campaign-interface.html'));
+        });
+
+        this.app.get('/campaign', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'campaign-interface.html'));
+        });
 
-        // Manual Approval Dussehra Campaign endpoint
-        this.app.post('/api/manual-dussehra-campaign', async (req, res) => {
+        // 404 handler
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                error: 'Endpoint not found',
+                path: req.originalUrl,
+                availableEndpoints: [
+                    'GET / (Campaign Interface)',
+                    'GET /campaign (Campaign Interface)',
+                    'GET /api/health',
+                    'POST /api/webhook/google-sheets',
+                    'POST /api/test-send',
+                    'POST /api/test-send-image',
+                    'POST /api/test-send-video',
+                    'POST /api/test-send-audio',
+                    'GET /api/media/status',
+                    'POST /api/media/cleanup',
+                    'GET /api/media',
+                    'POST /api/media (multipart upload)',
+                    'GET /api/media/:mediaId',
+                    'PATCH /api/media/:mediaId',
+                    'PUT /api/media/:mediaId/file (multipart upload)',
+                    'DELETE /api/media/:mediaId',
+                    'GET /api/campaigns',
+                    'POST /api/campaigns',
+                    'GET /api/campaigns/:campaignId',
+                    'PATCH /api/campaigns/:campaignId',
+                    'POST /api/campaigns/:campaignId/bulk (Auto mode)',
+                    'POST /api/campaigns/:campaignId/manual (Manual approval mode)',
+                    'POST /api/bulk-dussehra-campaign (Auto mode)',
+                    'POST /api/manual-dussehra-campaign (Manual approval mode)',
+                    'POST /api/next-manual-message',
+                    'POST /api/approve-manual-message',
+                    'POST /api/reject-manual-message',
+                    'POST /api/skip-manual-message',
+                    'POST /api/previous-manual-message',
+                    'POST /api/undo-reject-manual-message',
+                    'GET /api/campaign-sessions',
+                    'GET /api/campaign-sessions/:sessionId',
+                    'POST /api/campaign-sessions/:sessionId/pause',
+                    'POST /api/campaign-sessions/:sessionId/resume',
+                    'POST /api/campaign-sessions/:sessionId/cancel',
+                    'GET /api/bulk-runs',
+                    'POST /api/bulk-runs/:runId/pause',
+                    'POST /api/bulk-runs/:runId/resume',
+                    'POST /api/bulk-runs/:runId/cancel',
+                    'GET /api/audiences',
+                    'POST /api/audiences (multipart upload)',
+                    'POST /api/audiences/preview (multipart upload)',
+                    'GET /api/audiences/:audienceId',
+                    'DELETE /api/audiences/:audienceId',
+                    'GET /api/segments',
+                    'POST /api/segments',
+                    'POST /api/segments/preview',
+                    'GET /api/segments/:segmentId',
+                    'PATCH /api/segments/:segmentId',
+                    'DELETE /api/segments/:segmentId',
+                    'GET /api/segments/:segmentId/customers',
+                    'POST /api/customers/sync',
+                    'GET /api/scheduled-jobs',
+                    'POST /api/scheduled-jobs',
+                    'GET /api/scheduled-jobs/:jobId',
+                    'POST /api/scheduled-jobs/:jobId/pause',
+                    'POST /api/scheduled-jobs/:jobId/resume',
+                    'POST /api/scheduled-jobs/:jobId/cancel',
+                    'POST /api/scheduled-jobs/:jobId/run',
+                    'GET /api/templates',
+                    'POST /api/templates/reload',
+                    'POST /api/templates/:templateId/preview',
+                    'POST /api/templates/:templateId/enable',
+                    'POST /api/templates/:templateId/disable',
+                    'GET /api/send-limits',
+                    'GET /api/queue',
+                    'GET /api/queue/dead-letter',
+                    'POST /api/queue/dead-letter/:jobId/retry',
+                    'DELETE /api/queue/dead-letter/:jobId',
+                    'GET /api/messages/history',
+                    'GET /api/messages/statistics',
+                    'GET /api/orders/:orderId/receipts',
+                    'POST /api/orders/:orderId/receipts',
+                    'POST /api/orders/:orderId/receipts/send',
+                    'GET /api/orders/overdue',
+                    'POST /api/orders/:orderId/delay',
+                    'GET /api/orders/:orderId/delays',
+                    'GET /api/orders/:orderId/measurements',
+                    'GET /api/receipts/:receiptNumber (PDF)',
+                    'GET /api/payments/claims',
+                    'GET /api/payments/claims/:claimId',
+                    'GET /api/payments/claims/:claimId/screenshot',
+                    'POST /api/payments/claims/:claimId/confirm',
+                    'POST /api/payments/claims/:claimId/reject',
+                    'GET /api/admin/commands',
+                    'GET /api/measurements/fields',
+                    'GET /api/measurements',
+                    'POST /api/measurements',
+                    'POST /api/measurements/send',
+                    'GET /api/measurements/:profileId',
+                    'PATCH /api/measurements/:profileId',
+                    'DELETE /api/measurements/:profileId',
+                    'PUT /api/measurements/:profileId/garments/:garment',
+                    'DELETE /api/measurements/:profileId/garments/:garment'
+                ],
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Error handler
+        this.app.use((error, req, res, next) => {
+            logger.error('💥 Express error:', error);
+            res.status(500).json({
+                error: 'Internal server error',
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+    
+    /**
+     * Setup media library routes
+     */
+    setupMediaRoutes() {
+        // List media (?tag=diwali, ?type=image)
+        this.app.get('/api/media', (req, res) => {
+            const assets = this.mediaLibrary.listAssets({ tag: req.query.tag, type: req.query.type });
+            res.json({
+                success: true,
+                count: assets.length,
+                media: assets,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Upload a file to the library (fields: file, id, name, tags)
+        this.app.post('/api/media', async (req, res) => {
             try {
-                logger.info('🎯 Manual approval Dussehra campaign request received');
+                await this.receiveUpload(this.mediaUpload, req, res);
+                const asset = await this.mediaLibrary.createAsset(req.file, req.body || {});
                 
-                const { csvData } = req.body;
-                
-                if (!csvData || !Array.isArray(csvData)) {
-                    return res.status(400).json({
-                        error: 'Invalid CSV data',
-                        example: {
-                            csvData: [
-                                { name: 'Saurabh', phone: '7375938371' },
-                                { name: 'Deepak', phone: '6375623182' }
-                            ]
-                        },
+                res.status(201).json({
+                    success: true,
+                    media: asset,
+                    usage: `Template files: "media: asset:${asset.id}"; campaigns: {"mediaId": "${asset.id}"}`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Media upload failed', {
+                    example: 'curl -F "file=@diwali.jpg" -F "id=diwali-poster" -F "tags=diwali,festival" http://localhost:3001/api/media'
+                });
+            }
+        });
+        
+        // Get one asset and where it is used
+        this.app.get('/api/media/:mediaId', async (req, res) => {
+            try {
+                const asset = this.mediaLibrary.getAsset(req.params.mediaId);
+                if (!asset) {
+                    return res.status(404).json({
+                        error: 'Media not found',
+                        mediaId: req.params.mediaId,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                // Store campaign data globally for manual processing
-                global.manualCampaignData = {
-                    customers: csvData,
-                    currentIndex: 0,
-                    processedNumbers: new Set(),
-                    results: { success: 0, failed: 0, skipped: 0 }
-                };
-                
                 res.json({
                     success: true,
-                    message: 'Manual campaign initialized',
-                    totalCustomers: csvData.length,
-                    nextAction: 'Use /api/next-manual-message to process each message with approval',
+                    media: asset,
+                    usedBy: await this.mediaLibrary.findReferences(asset.id),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get media');
+            }
+        });
+        
+        // Rename or re-tag an asset
+        this.app.patch('/api/media/:mediaId', async (req, res) => {
+            try {
+                const asset = await this.mediaLibrary.updateAsset(req.params.mediaId, req.body || {});
+                res.json({
+                    success: true,
+                    media: asset,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to update media');
+            }
+        });
+        
+        // Replace an asset's file - templates and campaigns using it send the new file from now on
+        this.app.put('/api/media/:mediaId/file', async (req, res) => {
+            try {
+                await this.receiveUpload(this.mediaUpload, req, res);
+                const asset = await this.mediaLibrary.replaceFile(req.params.mediaId, req.file);
                 
+                res.json({
+                    success: true,
+                    media: asset,
+                    usedBy: await this.mediaLibrary.findReferences(asset.id),
+                    timestamp: new Date().toISOString()
+                });
             } catch (error) {
-                logger.error('❌ Manual campaign init failed:', error);
-                res.status(500).json({
-                    error: 'Manual campaign init failed',
-                    details: error.message,
+                this.sendCampaignError(res, error, 'Failed to replace media file');
+            }
+        });
+        
+        // Delete an asset that no template or campaign uses
+        this.app.delete('/api/media/:mediaId', async (req, res) => {
+            try {
+                await this.mediaLibrary.deleteAsset(req.params.mediaId);
+                res.json({
+                    success: true,
+                    deleted: req.params.mediaId,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to delete media');
             }
         });
+    }
 
-        // Get next message for manual approval
-        this.app.post('/api/next-manual-message', async (req, res) => {
+    /**
+     * Setup campaign routes
+     */
+    setupCampaignRoutes() {
+        // List campaigns
+        this.app.get('/api/campaigns', async (req, res) => {
             try {
-                if (!global.manualCampaignData) {
-                    return res.status(400).json({
-                        error: 'No manual campaign in progress',
-                        action: 'Start a campaign first with /api/manual-dussehra-campaign',
+                const campaigns = await this.campaignService.listCampaigns();
+                res.json({
+                    success: true,
+                    count: campaigns.length,
+                    campaigns,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list campaigns');
+            }
+        });
+        
+        // Create a campaign
+        this.app.post('/api/campaigns', async (req, res) => {
+            try {
+                const campaign = await this.campaignService.createCampaign(req.body || {});
+                res.status(201).json({
+                    success: true,
+                    campaign,
+                    nextAction: `Start with POST /api/campaigns/${campaign.id}/manual or /api/campaigns/${campaign.id}/bulk`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to create campaign', {
+                    example: {
+                        name: 'Diwali 2025',
+                        templateText: '🪔 *नमस्ते {customer_name} जी* ... {offer_start} से {offer_end} तक',
+                        mediaId: 'diwali-poster',
+                        offerStart: '2025-10-18',
+                        offerEnd: '2025-10-23'
+                    }
+                });
+            }
+        });
+        
+        // Get a campaign
+        this.app.get('/api/campaigns/:campaignId', async (req, res) => {
+            try {
+                const campaign = await this.campaignService.getCampaign(req.params.campaignId);
+                if (!campaign) {
+                    return res.status(404).json({
+                        error: 'Campaign not found',
+                        campaignId: req.params.campaignId,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                const campaign = global.manualCampaignData;
+                res.json({
+                    success: true,
+                    campaign,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get campaign');
+            }
+        });
+        
+        // Update a campaign (template, media, offer window, status)
+        this.app.patch('/api/campaigns/:campaignId', async (req, res) => {
+            try {
+                const campaign = await this.campaignService.updateCampaign(req.params.campaignId, req.body || {});
+                res.json({
+                    success: true,
+                    campaign,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to update campaign');
+            }
+        });
+        
+        // Start a campaign in manual approval mode
+        this.app.post('/api/campaigns/:campaignId/manual', (req, res) =>
+            this.startManualCampaign(req.params.campaignId, req, res)
+        );
+        
+        // Start a campaign in bulk (auto) mode
+        this.app.post('/api/campaigns/:campaignId/bulk', (req, res) =>
+            this.startBulkCampaign(req.params.campaignId, req, res)
+        );
+        
+        // Dussehra endpoints kept for existing scripts and campaign-interface.html
+        this.app.post('/api/manual-dussehra-campaign', (req, res) =>
+            this.startManualCampaign('dussehra-2025', req, res)
+        );
+        this.app.post('/api/bulk-dussehra-campaign', (req, res) =>
+            this.startBulkCampaign('dussehra-2025', req, res)
+        );
+        
+        // Manual campaign sessions (several can run side by side)
+        this.app.get('/api/campaign-sessions', async (req, res) => {
+            try {
+                const sessions = await this.campaignSessionService.listSessions({
+                    status: req.query.status || null,
+                    limit: Math.min(parseInt(req.query.limit || '50'), 500)
+                });
+                res.json({
+                    success: true,
+                    count: sessions.length,
+                    sessions: sessions.map(session => this.campaignSessionService.toSummary(session)),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list campaign sessions');
+            }
+        });
+        
+        this.app.get('/api/campaign-sessions/:sessionId', async (req, res) => {
+            try {
+                const session = await this.campaignSessionService.getSession(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).json({
+                        error: 'Campaign session not found',
+                        sessionId: req.params.sessionId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
                 
-                if (campaign.currentIndex >= campaign.customers.length) {
-                    return res.json({
-                        completed: true,
-                        message: 'Campaign completed!',
-                        results: campaign.results,
+                res.json({
+                    success: true,
+                    session: this.campaignSessionService.toSummary(session),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get campaign session');
+            }
+        });
+        
+        for (const action of ['pause', 'resume', 'cancel']) {
+            this.app.post(`/api/campaign-sessions/:sessionId/${action}`, async (req, res) => {
+                try {
+                    const session = await this.campaignSessionService.changeStatus(req.params.sessionId, action);
+                    res.json({
+                        success: true,
+                        session: this.campaignSessionService.toSummary(session),
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    this.sendCampaignError(res, error, `Failed to ${action} campaign session`);
+                }
+            });
+        }
+        
+        // Bulk runs still sending (POST /api/campaigns/:campaignId/bulk and scheduled campaigns)
+        this.app.get('/api/bulk-runs', (req, res) => {
+            const runs = this.campaignService.getBulkRuns();
+            res.json({
+                success: true,
+                count: runs.length,
+                runs,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        for (const action of ['pause', 'resume', 'cancel']) {
+            this.app.post(`/api/bulk-runs/:runId/${action}`, (req, res) => {
+                try {
+                    const run = this.campaignService.changeBulkRun(req.params.runId, action);
+                    res.json({
+                        success: true,
+                        run,
                         timestamp: new Date().toISOString()
                     });
+                } catch (error) {
+                    this.sendCampaignError(res, error, `Failed to ${action} bulk run`);
                 }
+            });
+        }
+        
+        // Get next message for manual approval
+        this.app.post('/api/next-manual-message', async (req, res) => {
+            try {
+                const session = await this.getManualSession(req, res);
+                if (!session) return;
                 
-                // Get current customer
-                const currentCustomer = campaign.customers[campaign.currentIndex];
-                const name = currentCustomer.name || currentCustomer.Name || `Customer ${campaign.currentIndex + 1}`;
-                const phone = currentCustomer.phone || currentCustomer.number || currentCustomer.Number;
-                
-                // Validate phone number
-                const validatePhoneNumber = (number) => {
-                    if (!number) return false;
-                    const cleanNumber = number.toString().replace(/[\s\-\(\)\+]/g, '');
-                    const patterns = [
-                        /^[6789]\d{9}$/, /^91[6789]\d{9}$/, /^0[6789]\d{9}$/
-                    ];
-                    return patterns.some(pattern => pattern.test(cleanNumber));
-                };
+                const campaign = await this.campaignService.getSendableCampaign(session.campaignId);
                 
-                const normalizePhoneNumber = (number) => {
-                    if (!number) return null;
-                    let cleanNumber = number.toString().replace(/[\s\-\(\)\+]/g, '');
-                    if (cleanNumber.startsWith('0')) cleanNumber = cleanNumber.substring(1);
-                    if (cleanNumber.length === 10) cleanNumber = '91' + cleanNumber;
-                    return cleanNumber;
+                // Completing and auto-skipping write the session, so they take the lock like approve and skip
+                const saveStep = async (step = null) => {
+                    const locked = await this.lockManualSession(res, session);
+                    if (!locked) return null;
+                    
+                    try {
+                        if (step) {
+                            this.campaignSessionService.recordStep(locked, step);
+                        }
+                        await this.campaignSessionService.saveProgress(locked);
+                        return locked;
+                    } finally {
+                        this.campaignSessionService.unlock(locked.id);
+                    }
                 };
                 
-                // Check validation
-                if (!phone) {
-                    campaign.currentIndex++;
-                    campaign.results.skipped++;
+                if (session.currentIndex >= session.customers.length) {
+                    const saved = await saveStep();
+                    if (!saved) return;
+                    
                     return res.json({
-                        skipped: true,
-                        reason: 'Missing phone number',
-                        customer: { name, phone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                        nextAction: 'Call /api/next-manual-message again',
+                        completed: true,
+                        message: 'Campaign completed!',
+                        sessionId: saved.id,
+                        campaign: { id: campaign.id, name: campaign.name },
+                        results: saved.results,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                if (!validatePhoneNumber(phone)) {
-                    campaign.currentIndex++;
-                    campaign.results.skipped++;
+                const customer = this.campaignService.prepareCustomer(session.customers[session.currentIndex], session.currentIndex);
+                
+                const skip = async (reason, phone) => {
+                    const saved = await saveStep({ action: 'auto_skipped', phone, reason });
+                    if (!saved) return;
+                    
                     return res.json({
                         skipped: true,
-                        reason: 'Invalid phone number format',
-                        customer: { name, phone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
+                        reason,
+                        sessionId: saved.id,
+                        customer: { name: customer.name, phone },
+                        progress: `${saved.currentIndex}/${saved.customers.length}`,
+                        results: saved.results,
                         nextAction: 'Call /api/next-manual-message again',
                         timestamp: new Date().toISOString()
                     });
+                };
+                
+                if (customer.error) {
+                    return await skip(customer.error, customer.phone);
                 }
                 
-                const normalizedPhone = normalizePhoneNumber(phone);
+                // Check for duplicates within current campaign
+                if (session.processedNumbers.has(customer.normalizedPhone)) {
+                    return await skip('Duplicate phone number in current campaign', customer.normalizedPhone);
+                }
+                
+                // Check if this campaign was already sent to this number (persistent check)
+                if (await this.campaignService.hasReceived(campaign, customer.normalizedPhone)) {
+                    return await skip('Festival message already sent to this number previously', customer.normalizedPhone);
+                }
+                
+                res.json({
+                    needsApproval: true,
+                    sessionId: session.id,
+                    campaign: { id: campaign.id, name: campaign.name, mediaType: this.campaignService.getCampaignMedia(campaign)?.type || null },
+                    customer: { name: customer.name, phone: customer.normalizedPhone, originalPhone: customer.phone },
+                    messagePreview: this.campaignService.renderMessage(campaign, customer),
+                    progress: `${session.currentIndex + 1}/${session.customers.length}`,
+                    results: session.results,
+                    actions: {
+                        approve: 'POST /api/approve-manual-message',
+                        reject: 'POST /api/reject-manual-message',
+                        skip: 'POST /api/skip-manual-message',
+                        back: 'POST /api/previous-manual-message'
+                    },
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Get next manual message failed');
+            }
+        });
+        
+        // Approve and send manual message
+        this.app.post('/api/approve-manual-message', async (req, res) => {
+            let lockedSessionId = null;
+            try {
+                const loaded = await this.getManualSession(req, res, { requireCustomer: true });
+                if (!loaded) return;
+                
+                // One send per session at a time - a double click must not send twice
+                const session = await this.lockManualSession(res, loaded);
+                if (!session) return;
+                lockedSessionId = session.id;
+                
+                const campaign = await this.campaignService.getSendableCampaign(session.campaignId);
+                const customer = this.campaignService.prepareCustomer(session.customers[session.currentIndex], session.currentIndex);
+                if (customer.error) {
+                    return res.status(400).json({
+                        error: customer.error,
+                        action: 'Call /api/next-manual-message to move to the next customer',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                // A bulk run of the same campaign may have reached this customer since the preview
+                if (await this.campaignService.hasReceived(campaign, customer.normalizedPhone)) {
+                    const reason = 'Festival message already sent to this number previously';
+                    this.campaignSessionService.recordStep(session, { action: 'auto_skipped', phone: customer.normalizedPhone, reason });
+                    await this.campaignSessionService.saveProgress(session);
+                    return res.json({
+                        skipped: true,
+                        reason,
+                        sessionId: session.id,
+                        customer: { name: customer.name, phone: customer.normalizedPhone },
+                        progress: `${session.currentIndex}/${session.customers.length}`,
+                        results: session.results,
+                        nextAction: 'Call /api/next-manual-message for next customer',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                // Send message (records the campaign for duplicate prevention on success)
+                const message = this.campaignService.renderMessage(campaign, customer);
+                let sent = false;
+                try {
+                    const result = await this.campaignService.sendCampaignMessage(campaign, customer.normalizedPhone, message);
+                    sent = result && result.success !== false;
+                } catch (error) {
+                    // Held back by the send governor - stay on this customer so the operator can approve again later
+                    if (error.deferred) {
+                        return this.sendCampaignError(res, error, 'Message held back by the send limits, try again later');
+                    }
+                    logger.error(`❌ Campaign message to ${customer.normalizedPhone} failed:`, error.message);
+                }
+                
+                this.campaignSessionService.recordStep(session, {
+                    action: sent ? 'sent' : 'failed',
+                    phone: customer.normalizedPhone
+                });
+                await this.campaignSessionService.saveProgress(session);
+                
+                res.json({
+                    success: sent,
+                    message: sent ? `Festival message sent to ${customer.name}` : `Failed to send message to ${customer.name}`,
+                    sessionId: session.id,
+                    customer: { name: customer.name, phone: customer.normalizedPhone },
+                    progress: `${session.currentIndex}/${session.customers.length}`,
+                    results: session.results,
+                    nextAction: 'Call /api/next-manual-message for next customer',
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Approve manual message failed');
+            } finally {
+                if (lockedSessionId) {
+                    this.campaignSessionService.unlock(lockedSessionId);
+                }
+            }
+        });
+        
+        // Reject manual message (operator does not want to send it)
+        this.app.post('/api/reject-manual-message', (req, res) =>
+            this.skipManualCustomer(req, res, 'rejected')
+        );
+        
+        // Skip current customer with a reason (e.g. asked not to be contacted)
+        this.app.post('/api/skip-manual-message', (req, res) =>
+            this.skipManualCustomer(req, res, 'skipped')
+        );
+        
+        // Go back to the previous customer (after a mis-click)
+        this.app.post('/api/previous-manual-message', (req, res) =>
+            this.stepBackManualSession(req, res)
+        );
+        
+        // Undo the last reject
+        this.app.post('/api/undo-reject-manual-message', (req, res) =>
+            this.stepBackManualSession(req, res, 'rejected')
+        );
+    }
+    
+    /**
+     * Reject or skip the customer waiting for approval
+     * @param {string} action - rejected | skipped
+     */
+    async skipManualCustomer(req, res, action) {
+        let lockedSessionId = null;
+        try {
+            const loaded = await this.getManualSession(req, res, { requireCustomer: true });
+            if (!loaded) return;
+            
+            const session = await this.lockManualSession(res, loaded);
+            if (!session) return;
+            lockedSessionId = session.id;
+            
+            const customer = this.campaignService.prepareCustomer(session.customers[session.currentIndex], session.currentIndex);
+            const reason = action === 'skipped' ? ((req.body && req.body.reason) || 'Skipped by operator') : null;
+            
+            this.campaignSessionService.recordStep(session, {
+                action,
+                phone: customer.normalizedPhone || customer.phone,
+                reason
+            });
+            await this.campaignSessionService.saveProgress(session);
+            
+            res.json({
+                [action]: true,
+                message: action === 'rejected' ? `Message rejected for ${customer.name}` : `Skipped ${customer.name}: ${reason}`,
+                sessionId: session.id,
+                progress: `${session.currentIndex}/${session.customers.length}`,
+                results: session.results,
+                nextAction: 'Call /api/next-manual-message for next customer',
+                ...(action === 'rejected' ? { undo: 'POST /api/undo-reject-manual-message' } : {}),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            this.sendCampaignError(res, error, `${action === 'rejected' ? 'Reject' : 'Skip'} manual message failed`);
+        } finally {
+            if (lockedSessionId) {
+                this.campaignSessionService.unlock(lockedSessionId);
+            }
+        }
+    }
+    
+    /**
+     * Move a manual session back to the previous decision
+     * @param {string} onlyAction - Only allowed when the last decision was this action
+     */
+    async stepBackManualSession(req, res, onlyAction = null) {
+        let lockedSessionId = null;
+        try {
+            const loaded = await this.getManualSession(req, res);
+            if (!loaded) return;
+            
+            const session = await this.lockManualSession(res, loaded);
+            if (!session) return;
+            lockedSessionId = session.id;
+            
+            const reverted = this.campaignSessionService.stepBack(session, { onlyAction });
+            await this.campaignSessionService.saveProgress(session);
+            
+            const customer = this.campaignService.prepareCustomer(session.customers[session.currentIndex], session.currentIndex);
+            
+            res.json({
+                success: true,
+                message: `Back to ${customer.name} (${reverted.action} undone)`,
+                sessionId: session.id,
+                reverted: { action: reverted.action, reason: reverted.reason, phone: reverted.phone },
+                progress: `${session.currentIndex}/${session.customers.length}`,
+                results: session.results,
+                nextAction: 'Call /api/next-manual-message to review this customer again',
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            this.sendCampaignError(res, error, onlyAction ? 'Undo reject failed' : 'Go back failed');
+        } finally {
+            if (lockedSessionId) {
+                this.campaignSessionService.unlock(lockedSessionId);
+            }
+        }
+    }
+    
+    /**
+     * Take the session lock and read the session again - it was loaded before the lock, so another
+     * approve, skip, auto-skip or status change may have moved it on in between. Sends the error response and returns null
+     * when the session is busy or changed; otherwise the caller releases the lock when done
+     */
+    async lockManualSession(res, loaded) {
+        if (!this.campaignSessionService.lock(loaded.id)) {
+            this.sendSessionBusy(res, loaded);
+            return null;
+        }
+        
+        let session;
+        try {
+            session = await this.campaignSessionService.getSession(loaded.id);
+        } catch (error) {
+            this.campaignSessionService.unlock(loaded.id);
+            throw error;
+        }
+        
+        if (!session
+            || session.status !== loaded.status
+            || session.currentIndex !== loaded.currentIndex
+            || session.history.length !== loaded.history.length) {
+            this.campaignSessionService.unlock(loaded.id);
+            res.status(409).json({
+                error: 'Campaign session changed in the meantime - nothing was done',
+                sessionId: loaded.id,
+                action: 'Call /api/next-manual-message to see the customer waiting now',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        return session;
+    }
+    
+    sendSessionBusy(res, session) {
+        return res.status(409).json({
+            error: 'This campaign session is busy with another send, skip, step back or status change',
+            sessionId: session.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Load the manual session named in the request (body or query sessionId),
+     * falling back to the most recent open session for older clients.
+     * Sends the error response and returns null when the session cannot be used.
+     */
+    async getManualSession(req, res, { requireCustomer = false } = {}) {
+        const sessionId = (req.body && req.body.sessionId) || req.query.sessionId;
+        const session = sessionId
+            ? await this.campaignSessionService.getSession(sessionId)
+            : await this.campaignSessionService.getLatestOpenSession();
+        
+        if (!session) {
+            res.status(sessionId ? 404 : 400).json({
+                error: sessionId ? 'Campaign session not found' : 'No manual campaign in progress',
+                action: 'Start a campaign first with /api/campaigns/:campaignId/manual',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        if (session.status === 'paused') {
+            res.status(409).json({
+                error: 'Campaign session is paused',
+                sessionId: session.id,
+                action: `Resume with POST /api/campaign-sessions/${session.id}/resume`,
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        if (session.status === 'cancelled') {
+            res.status(409).json({
+                error: 'Campaign session was cancelled',
+                sessionId: session.id,
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        if (requireCustomer && session.currentIndex >= session.customers.length) {
+            res.status(400).json({
+                error: 'No manual campaign message waiting for approval',
+                sessionId: session.id,
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        return session;
+    }
+    
+    /**
+     * Customer rows for a campaign run - a saved segment (segmentId), an uploaded audience (audienceId) or inline csvData
+     * @returns {Promise<Array|null>} - null when none of them was given
+     */
+    async resolveCampaignCustomers({ csvData, audienceId, segmentId } = {}) {
+        if (segmentId) {
+            return this.segmentService.getCustomers(segmentId);
+        }
+        if (audienceId) {
+            return this.audienceService.getCustomers(audienceId);
+        }
+        
+        return Array.isArray(csvData) ? csvData : null;
+    }
+    
+    /**
+     * Customer rows from a campaign start request
+     * @returns {Promise<Array|null>} - null when an error response was sent
+     */
+    async getCampaignCustomers(req, res) {
+        const csvData = await this.resolveCampaignCustomers(req.body || {});
+        
+        if (!csvData) {
+            res.status(400).json({
+                error: 'Invalid CSV data',
+                details: 'Send csvData, the audienceId of an uploaded audience (POST /api/audiences) or a segmentId (POST /api/segments)',
+                example: {
+                    csvData: [
+                        { name: 'Saurabh', phone: '7375938371' },
+                        { name: 'Deepak', phone: '6375623182' }
+                    ]
+                },
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+        
+        return csvData;
+    }
+    
+    /**
+     * Start a campaign in manual approval mode (one message at a time)
+     */
+    async startManualCampaign(campaignId, req, res) {
+        try {
+            logger.info(`🎯 Manual approval campaign request received: ${campaignId}`);
+            
+            const csvData = await this.getCampaignCustomers(req, res);
+            if (!csvData) return;
+            
+            const campaign = await this.campaignService.getSendableCampaign(campaignId);
+            
+            // Progress is stored in the database so the session survives restarts
+            const session = await this.campaignSessionService.createSession(campaign.id, csvData);
+            
+            res.json({
+                success: true,
+                message: 'Manual campaign initialized',
+                sessionId: session.id,
+                campaign: { id: campaign.id, name: campaign.name, offerActive: campaign.offerActive },
+                totalCustomers: csvData.length,
+                nextAction: 'Use /api/next-manual-message with this sessionId to process each message with approval',
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            this.sendCampaignError(res, error, 'Manual campaign init failed');
+        }
+    }
+    
+    /**
+     * Start a campaign in bulk mode - sends in the background with random delays
+     */
+    async startBulkCampaign(campaignId, req, res) {
+        try {
+            logger.info(`🎉 Bulk campaign request received: ${campaignId}`);
+            
+            const csvData = await this.getCampaignCustomers(req, res);
+            if (!csvData) return;
+            
+            const campaign = await this.campaignService.getSendableCampaign(campaignId);
+            const customers = await this.campaignService.prepareBulkCustomers(campaign, csvData);
+            
+            if (customers.length === 0) {
+                return res.status(400).json({
+                    error: 'No valid customers found in data',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const run = this.campaignService.createBulkRun(campaign, customers.length);
+            
+            res.json({
+                success: true,
+                message: `Bulk campaign started: ${campaign.name}`,
+                campaign: { id: campaign.id, name: campaign.name, offerActive: campaign.offerActive },
+                runId: run.id,
+                validCustomers: customers.length,
+                estimatedTime: `${(customers.length * this.campaignService.getAverageBulkDelaySeconds()).toFixed(0)} seconds`,
+                note: 'Campaign is running in background. Check logs for progress. It pauses when the send limits or quiet hours are reached (GET /api/send-limits).',
+                timestamp: new Date().toISOString()
+            });
+            
+            // Send messages in the background
+            this.campaignService.runBulkCampaign(campaign, customers, run).catch(error => {
+                logger.error(`❌ Bulk campaign ${campaign.id} stopped:`, error);
+            });
+            
+        } catch (error) {
+            this.sendCampaignError(res, error, 'Bulk campaign failed');
+        }
+    }
+    
+    /**
+     * Send a campaign error response - 4xx for campaign validation errors, 500 otherwise
+     */
+    sendCampaignError(res, error, message, extra = {}) {
+        if (!error.statusCode) {
+            logger.error(`❌ ${message}:`, error);
+        }
+        
+        res.status(error.statusCode || 500).json({
+            error: message,
+            details: error.message,
+            ...(error.statusCode === 400 ? extra : {}),
+            ...(error.retryAt ? { retryAt: new Date(error.retryAt).toISOString() } : {}),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Setup campaign audience routes
+     */
+    setupAudienceRoutes() {
+        // Check an upload without saving it - detected columns, row errors and a sample
+        this.app.post('/api/audiences/preview', async (req, res) => {
+            try {
+                await this.receiveUpload(this.audienceUpload, req, res);
+                const result = await this.audienceService.parseFile(req.file, req.body || {});
+                
+                res.json({
+                    success: true,
+                    preview: this.audienceService.toPreview(result),
+                    nextAction: 'Upload the same file to POST /api/audiences to save it as a campaign audience',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Audience preview failed');
+            }
+        });
+        
+        // Upload a CSV / XLSX file and save its valid customers as an audience
+        this.app.post('/api/audiences', async (req, res) => {
+            try {
+                await this.receiveUpload(this.audienceUpload, req, res);
+                const { audience, preview } = await this.audienceService.createAudience(req.file, req.body || {});
+                
+                res.status(201).json({
+                    success: true,
+                    audience,
+                    preview,
+                    nextAction: `Start a campaign with { "audienceId": "${audience.id}" } on POST /api/campaigns/:campaignId/manual or /bulk`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Audience upload failed', {
+                    ...(error.preview ? { preview: error.preview } : {}),
+                    example: 'curl -F "file=@customers.xlsx" -F "name=Diwali list" http://localhost:3001/api/audiences'
+                });
+            }
+        });
+        
+        // List audiences
+        this.app.get('/api/audiences', async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit || '50'), 200);
+                const audiences = await this.audienceService.listAudiences(limit);
+                
+                res.json({
+                    success: true,
+                    count: audiences.length,
+                    audiences,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list audiences');
+            }
+        });
+        
+        // Get an audience with its customers and skipped rows
+        this.app.get('/api/audiences/:audienceId', async (req, res) => {
+            try {
+                const audience = await this.audienceService.getAudience(req.params.audienceId, true);
+                if (!audience) {
+                    return res.status(404).json({
+                        error: 'Audience not found',
+                        audienceId: req.params.audienceId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    audience,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get audience');
+            }
+        });
+        
+        // Delete an audience (sessions already started keep their own copy of the customers)
+        this.app.delete('/api/audiences/:audienceId', async (req, res) => {
+            try {
+                const deleted = await this.audienceService.deleteAudience(req.params.audienceId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        error: 'Audience not found',
+                        audienceId: req.params.audienceId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    message: `Audience ${req.params.audienceId} deleted`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to delete audience');
+            }
+        });
+    }
+    
+    /**
+     * Setup customer segment routes
+     */
+    setupSegmentRoutes() {
+        // List saved segments
+        this.app.get('/api/segments', async (req, res) => {
+            try {
+                const segments = await this.segmentService.listSegments();
+                res.json({
+                    success: true,
+                    count: segments.length,
+                    segments,
+                    supportedFilters: Object.keys(SegmentService.SEGMENT_FILTERS),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list segments');
+            }
+        });
+        
+        // Try filters without saving them
+        this.app.post('/api/segments/preview', async (req, res) => {
+            try {
+                const preview = await this.segmentService.previewFilters((req.body || {}).filters || {});
+                res.json({
+                    success: true,
+                    preview,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Segment preview failed');
+            }
+        });
+        
+        // Save a segment
+        this.app.post('/api/segments', async (req, res) => {
+            try {
+                const segment = await this.segmentService.createSegment(req.body || {});
+                const preview = await this.segmentService.previewFilters(segment.filters);
+                
+                res.status(201).json({
+                    success: true,
+                    segment,
+                    customerCount: preview.customerCount,
+                    nextAction: `Start a campaign with { "segmentId": "${segment.id}" } on POST /api/campaigns/:campaignId/manual or /bulk`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to create segment', {
+                    supportedFilters: Object.keys(SegmentService.SEGMENT_FILTERS),
+                    example: {
+                        name: 'Recent unpaid',
+                        description: 'Ordered in the last 6 months and still owe money',
+                        filters: { orderedWithinMonths: 6, hasUnpaidBalance: true }
+                    }
+                });
+            }
+        });
+        
+        // Get a segment with its current customer count
+        this.app.get('/api/segments/:segmentId', async (req, res) => {
+            try {
+                const segment = await this.segmentService.getSegment(req.params.segmentId);
+                if (!segment) {
+                    return res.status(404).json({
+                        error: 'Segment not found',
+                        segmentId: req.params.segmentId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const preview = await this.segmentService.previewFilters(segment.filters);
+                res.json({
+                    success: true,
+                    segment,
+                    customerCount: preview.customerCount,
+                    sample: preview.sample,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get segment');
+            }
+        });
+        
+        // Current customers of a segment
+        this.app.get('/api/segments/:segmentId/customers', async (req, res) => {
+            try {
+                const segment = await this.segmentService.getSegment(req.params.segmentId);
+                if (!segment) {
+                    return res.status(404).json({
+                        error: 'Segment not found',
+                        segmentId: req.params.segmentId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const customers = await this.segmentService.findCustomers(segment.filters);
+                res.json({
+                    success: true,
+                    segmentId: segment.id,
+                    count: customers.length,
+                    customers,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to load segment customers');
+            }
+        });
+        
+        // Update a segment
+        this.app.patch('/api/segments/:segmentId', async (req, res) => {
+            try {
+                const segment = await this.segmentService.updateSegment(req.params.segmentId, req.body || {});
+                res.json({
+                    success: true,
+                    segment,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to update segment');
+            }
+        });
+        
+        // Delete a segment
+        this.app.delete('/api/segments/:segmentId', async (req, res) => {
+            try {
+                const deleted = await this.segmentService.deleteSegment(req.params.segmentId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        error: 'Segment not found',
+                        segmentId: req.params.segmentId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    message: `Segment ${req.params.segmentId} deleted`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to delete segment');
+            }
+        });
+        
+        // Pull all orders from Google Sheets into the customer database
+        this.app.post('/api/customers/sync', async (req, res) => {
+            try {
+                if (!this.googleSheetsService.isInitialized) {
+                    return res.status(503).json({
+                        error: 'Google Sheets not connected',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const result = await this.customerService.syncFromSheets(this.googleSheetsService);
+                res.json({
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('❌ Customer sync failed:', error);
+                res.status(500).json({
+                    error: 'Customer sync failed',
+                    details: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+    }
+    
+    /**
+     * Job types the scheduler can run
+     */
+    registerScheduledJobTypes() {
+        // Send a campaign in bulk mode to a segment, audience or inline list
+        this.scheduler.registerHandler(
+            'campaign',
+            (options) => this.runScheduledCampaign(options),
+            async (options) => {
+                if (!options.campaignId || !await this.campaignService.getCampaign(options.campaignId)) {
+                    throw this.campaignService.createError(`Campaign not found: ${options.campaignId}`, 400);
+                }
+                if (!options.segmentId && !options.audienceId && !Array.isArray(options.csvData)) {
+                    throw this.campaignService.createError('Campaign jobs need a segmentId, audienceId or csvData', 400);
+                }
+            }
+        );
+        
+        // Pickup and payment reminders driven by the sheet reminder columns
+        for (const reminderType of ['pickup_reminder', 'payment_reminder']) {
+            this.scheduler.registerHandler(
+                reminderType,
+                (options) => this.reminderService.sendReminders(reminderType, options),
+                (options) => this.reminderService.getOptions(reminderType, options)
+            );
+        }
+        
+        // End-of-day report to WHATSAPP_ADMIN_PHONE (or options.phone)
+        this.scheduler.registerHandler(
+            'daily_summary',
+            (options) => this.sendDailySummary(options),
+            (options) => this.dailySummary.getOptions(options)
+        );
+        
+        // Overdue orders listed to WHATSAPP_ADMIN_PHONE - nothing is sent when no order is late
+        this.scheduler.registerHandler(
+            'overdue_check',
+            (options) => this.sendOverdueAlert(options),
+            (options) => this.deliveryDelays.getOptions(options)
+        );
+    }
+    
+    /**
+     * Work out the daily summary and queue it for the owner - the queue holds it through
+     * quiet hours and disconnects instead of failing the job
+     */
+    async sendDailySummary(options) {
+        const { phone } = this.dailySummary.getOptions(options);
+        const summary = await this.dailySummary.buildSummary();
+        
+        const job = await this.messageQueue.enqueue('text_message', {
+            phone,
+            message: this.dailySummary.formatSummary(summary)
+        });
+        
+        logger.info(`📋 Daily summary for ${summary.date} queued for ${phone}`);
+        return { ...this.dailySummary.toJobResult(summary, phone), queueJobId: job.id };
+    }
+    
+    /**
+     * List overdue orders to the admin, through the queue like the daily summary
+     */
+    async sendOverdueAlert(options) {
+        const { phone, minDaysLate } = this.deliveryDelays.getOptions(options);
+        const overdue = await this.deliveryDelays.getOverdueOrders(minDaysLate);
+        if (overdue.length === 0) {
+            return { phone, overdue: 0, queueJobId: null };
+        }
+        
+        const job = await this.messageQueue.enqueue('text_message', {
+            phone,
+            message: this.deliveryDelays.formatOverdueList(overdue)
+        });
+        
+        logger.info(`⏰ ${overdue.length} overdue orders listed to ${phone}`);
+        return { phone, overdue: overdue.length, orderIds: overdue.map(order => order.orderId), queueJobId: job.id };
+    }
+    
+    /**
+     * Scheduled campaign run - customers are looked up when the job runs, so a segment
+     * includes customers added after the job was created
+     */
+    async runScheduledCampaign(options) {
+        const campaign = await this.campaignService.getSendableCampaign(options.campaignId);
+        const rows = await this.resolveCampaignCustomers(options);
+        const customers = await this.campaignService.prepareBulkCustomers(campaign, rows || []);
+        
+        logger.info(`⏰ Scheduled campaign ${campaign.id}: ${customers.length} customer(s) to message`);
+        
+        const result = await this.campaignService.runBulkCampaign(campaign, customers);
+        return { campaignId: campaign.id, customers: customers.length, ...result };
+    }
+    
+    /**
+     * Setup scheduler routes
+     */
+    setupSchedulerRoutes() {
+        // List scheduled jobs
+        this.app.get('/api/scheduled-jobs', async (req, res) => {
+            try {
+                const jobs = await this.scheduler.listJobs({ status: req.query.status || null });
+                res.json({
+                    success: true,
+                    count: jobs.length,
+                    jobs,
+                    scheduler: this.scheduler.getStatus(),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list scheduled jobs');
+            }
+        });
+        
+        // Schedule a campaign or a recurring reminder
+        this.app.post('/api/scheduled-jobs', async (req, res) => {
+            try {
+                const job = await this.scheduler.createJob(req.body || {});
+                res.status(201).json({
+                    success: true,
+                    job,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to schedule job', {
+                    examples: [
+                        {
+                            name: 'Diwali campaign',
+                            type: 'campaign',
+                            runAt: '2025-10-18T09:30:00+05:30',
+                            options: { campaignId: 'diwali-2025', segmentId: 'recent-customers' }
+                        },
+                        {
+                            name: 'Daily pickup reminders',
+                            type: 'pickup_reminder',
+                            cron: '0 11 * * *',
+                            options: ReminderService.REMINDER_DEFAULTS.pickup_reminder
+                        }
+                    ]
+                });
+            }
+        });
+        
+        // Get a scheduled job with its last result
+        this.app.get('/api/scheduled-jobs/:jobId', async (req, res) => {
+            try {
+                const job = await this.scheduler.getJob(req.params.jobId);
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Scheduled job not found',
+                        jobId: req.params.jobId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    job,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get scheduled job');
+            }
+        });
+        
+        // Pause, resume or cancel a job
+        for (const action of ['pause', 'resume', 'cancel']) {
+            this.app.post(`/api/scheduled-jobs/:jobId/${action}`, async (req, res) => {
+                try {
+                    const job = await this.scheduler.changeStatus(req.params.jobId, action);
+                    res.json({
+                        success: true,
+                        job,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    this.sendCampaignError(res, error, `Failed to ${action} scheduled job`);
+                }
+            });
+        }
+        
+        // Run a job now (in the background)
+        this.app.post('/api/scheduled-jobs/:jobId/run', async (req, res) => {
+            try {
+                const job = await this.scheduler.runNow(req.params.jobId);
+                res.status(202).json({
+                    success: true,
+                    message: `Job ${job.name} started`,
+                    job,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to run scheduled job');
+            }
+        });
+    }
+    
+    /**
+     * Setup template routes
+     */
+    setupTemplateRoutes() {
+        // All templates with their category and whether they are enabled
+        this.app.get('/api/templates', (req, res) => {
+            const templates = this.templateSettings.listTemplates();
+            res.json({
+                success: true,
+                count: templates.length,
+                templates,
+                rejectedFiles: this.messageTemplates.libraryErrors,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Reload the template files now (they are also reloaded automatically when they change)
+        this.app.post('/api/templates/reload', (req, res) => {
+            try {
+                const result = this.messageTemplates.loadLibrary();
+                res.json({
+                    success: result.errors.length === 0,
+                    loaded: result.loaded,
+                    rejectedFiles: result.errors,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to reload templates');
+            }
+        });
+        
+        // Render a template with sample data or a real order without sending anything
+        this.app.post('/api/templates/:templateId/preview', async (req, res) => {
+            try {
+                const { orderId, data = {}, language, phone } = req.body || {};
                 
-                // Check for duplicates within current campaign
-                if (campaign.processedNumbers.has(normalizedPhone)) {
-                    campaign.currentIndex++;
-                    campaign.results.skipped++;
-                    return res.json({
-                        skipped: true,
-                        reason: 'Duplicate phone number in current campaign',
-                        customer: { name, phone: normalizedPhone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                        nextAction: 'Call /api/next-manual-message again',
+                if (!this.messageProcessor) {
+                    return res.status(503).json({
+                        error: 'Message processor not initialized',
                         timestamp: new Date().toISOString()
                     });
                 }
-
-                // Check if festival message already sent to this number (persistent check)
-                if (this.hasSentFestivalMessage(normalizedPhone, 'dussehra-2025')) {
-                    campaign.currentIndex++;
-                    campaign.results.skipped++;
-                    return res.json({
-                        skipped: true,
-                        reason: 'Festival message already sent to this number previously',
-                        customer: { name, phone: normalizedPhone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                        nextAction: 'Call /api/next-manual-message again',
+                
+                if (typeof data !== 'object' || Array.isArray(data)) {
+                    return res.status(400).json({
+                        error: 'data must be an object of order fields',
+                        example: { orderId: 'TXL18092517', data: { customer_name: 'Ravi' }, language: 'en' },
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                // Generate preview message
-                const festivalMessage = `🙏 *नमस्ते ${name} जी* 🙏
-
-🌺 *दुर्गा पूजा और दशहरा की हार्दिक शुभकामनाएं* 🌺
-
-इस पावन अवसर पर हम आपके और आपके पूरे परिवार की अच्छी सेहत और खुशहाली की प्रार्थना करते हैं। माँ दुर्गा आप सभी पर अपनी कृपा बनाए रखें। 🙏✨
-
-🎉 *इस दशहरे को बनाइए खास हमारे बेहतरीन ऑफर के साथ!* 🎉
-
-आप हमारे नियमित और प्रिय ग्राहक हैं, इसलिए आपके लिए विशेष *25% की छूट*:
-
-💰 *विशेष ऑफर:*
-▪️ ₹1000 की खरीदारी पर सीधे ₹250 की छूट 
-▪️ ₹2000 की खरीदारी पर सीधे ₹500 की छूट
-▪️ कोई छुपी हुई शर्तें नहीं, सीधी सादी छूट!
+                let order = null;
+                if (orderId) {
+                    order = await this.googleSheetsService.findOrderById(orderId);
+                    if (!order) {
+                        return res.status(404).json({
+                            error: `Order ${orderId} not found in the sheets`,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                }
+                
+                const orderData = { ...(order || this.messageProcessor.getSampleOrderData(phone || null)), ...data };
+                const preview = await this.messageProcessor.previewMessage(req.params.templateId, orderData, language);
+                
+                res.json({
+                    success: true,
+                    templateId: req.params.templateId,
+                    source: order ? 'order' : 'sample',
+                    ...preview,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to preview template');
+            }
+        });
+        
+        // Switch a template on or off - disabled order templates are skipped instead of sent
+        for (const action of ['enable', 'disable']) {
+            this.app.post(`/api/templates/:templateId/${action}`, async (req, res) => {
+                try {
+                    const template = await this.templateSettings.setEnabled(req.params.templateId, action === 'enable');
+                    res.json({
+                        success: true,
+                        template,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    this.sendCampaignError(res, error, `Failed to ${action} template`);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Run a multipart upload middleware, turning upload errors (size limit, wrong field) into 400s
+     */
+    receiveUpload(upload, req, res) {
+        return new Promise((resolve, reject) => {
+            upload(req, res, (error) => {
+                if (error) {
+                    error.statusCode = 400;
+                    return reject(error);
+                }
+                resolve();
+            });
+        });
+    }
+    
+    /**
+     * Setup message queue admin routes
+     */
+    setupQueueRoutes() {
+        // Send limits, pacing and quiet hours
+        this.app.get('/api/send-limits', async (req, res) => {
+            res.json({
+                success: true,
+                status: await this.whatsappClient.sendGovernor.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Queue status and pending jobs
+        this.app.get('/api/queue', (req, res) => {
+            res.json({
+                success: true,
+                status: this.messageQueue.getStatus(),
+                jobs: this.messageQueue.getPendingJobs(),
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Permanently failed jobs
+        this.app.get('/api/queue/dead-letter', (req, res) => {
+            const jobs = this.messageQueue.getDeadLetterJobs();
+            res.json({
+                success: true,
+                count: jobs.length,
+                jobs,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Re-queue a dead-letter job
+        this.app.post('/api/queue/dead-letter/:jobId/retry', async (req, res) => {
+            try {
+                const job = await this.messageQueue.retryDeadLetter(req.params.jobId);
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Dead-letter job not found',
+                        jobId: req.params.jobId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    message: 'Job re-queued',
+                    job,
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                logger.error('❌ Dead-letter retry failed:', error);
+                res.status(500).json({
+                    error: 'Failed to retry job',
+                    details: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+        
+        // Discard a dead-letter job
+        this.app.delete('/api/queue/dead-letter/:jobId', async (req, res) => {
+            try {
+                const job = await this.messageQueue.discardDeadLetter(req.params.jobId);
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Dead-letter job not found',
+                        jobId: req.params.jobId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    message: 'Job discarded',
+                    jobId: job.id,
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                logger.error('❌ Dead-letter discard failed:', error);
+                res.status(500).json({
+                    error: 'Failed to discard job',
+                    details: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+    }
+    
+    /**
+     * Setup receipt routes
+     */
+    setupReceiptRoutes() {
+        // Receipts already created for an order, newest first
+        this.app.get('/api/orders/:orderId/receipts', async (req, res) => {
+            try {
+                const receipts = await this.receiptService.listReceipts(req.params.orderId);
+                res.json({
+                    success: true,
+                    orderId: req.params.orderId,
+                    count: receipts.length,
+                    receipts,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list receipts');
+            }
+        });
+        
+        // Create the receipt for the order as it is in the sheets now (reused when nothing changed)
+        this.app.post('/api/orders/:orderId/receipts', async (req, res) => {
+            try {
+                const { order, receipt } = await this.getOrderReceipt(req.params.orderId, (req.body || {}).kind);
+                res.status(201).json({
+                    success: true,
+                    orderId: order.order_id,
+                    receipt,
+                    download: `GET /api/receipts/${receipt.receiptNumber}`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to create receipt', { example: { kind: 'invoice' } });
+            }
+        });
+        
+        // Send the order's receipt to the customer again
+        this.app.post('/api/orders/:orderId/receipts/send', async (req, res) => {
+            try {
+                if (!this.whatsappClient || !this.whatsappClient.isWhatsAppConnected()) {
+                    return res.status(503).json({
+                        error: 'WhatsApp is not connected',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const { order, receipt } = await this.getOrderReceipt(req.params.orderId, (req.body || {}).kind);
+                if (!order.phone_number) {
+                    return res.status(400).json({
+                        error: `Order ${order.order_id} has no phone number`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                const language = await this.customerService.getLanguage(order.phone_number);
+                const caption = this.messageTemplates.getReceiptCopyMessage({
+                    order_id: order.order_id,
+                    receipt_number: receipt.receiptNumber,
+                    remaining_amount: order.remaining_amount || 0
+                }, language);
+                await this.whatsappClient.sendDocumentMessage(order.phone_number, receipt.filePath, receipt.fileName, 'application/pdf', caption);
+                
+                res.json({
+                    success: true,
+                    orderId: order.order_id,
+                    phone: order.phone_number,
+                    receipt,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to send receipt');
+            }
+        });
+        
+        // Download a receipt PDF
+        this.app.get('/api/receipts/:receiptNumber', async (req, res) => {
+            try {
+                const receipt = await this.receiptService.getReceipt(req.params.receiptNumber);
+                if (!receipt || !fs.existsSync(receipt.filePath)) {
+                    return res.status(404).json({
+                        error: 'Receipt not found',
+                        receiptNumber: req.params.receiptNumber,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.download(receipt.filePath, receipt.fileName);
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get receipt');
+            }
+        });
+    }
 
-📅 *ऑफर की अवधि:*
-30 सितंबर से 2 अक्टूबर तक (केवल 3 दिन)
-आप इस दौरान कभी भी आ सकते हैं।
+    /**
+     * Current receipt for an order from the sheets
+     * @param {string} kind - receipt or invoice (default: invoice once the order has been picked up)
+     */
+    async getOrderReceipt(orderId, kind = null) {
+        const order = await this.googleSheetsService.findOrderById(orderId);
+        if (!order) {
+            const error = new Error(`Order ${orderId} not found in the sheets`);
+            error.statusCode = 404;
+            throw error;
+        }
+        
+        const receipt = await this.receiptService.getOrCreateReceipt(order, kind || this.receiptService.getKindForOrder(order));
+        return { order, receipt };
+    }
 
-🎯 *यह ऑफर केवल आपके लिए उपलब्ध रहेगा!*
+    /**
+     * Setup payment claim routes
+     */
+    setupPaymentRoutes() {
+        // Payments customers reported on WhatsApp (?status=pending for the ones still to check)
+        this.app.get('/api/payments/claims', async (req, res) => {
+            try {
+                const claims = await this.paymentService.listClaims({
+                    status: req.query.status || null,
+                    phone: req.query.phone || null
+                });
+                res.json({
+                    success: true,
+                    count: claims.length,
+                    claims,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list payment claims', { statuses: PaymentService.CLAIM_STATUSES });
+            }
+        });
+        
+        this.app.get('/api/payments/claims/:claimId', async (req, res) => {
+            try {
+                const claim = await this.paymentService.getClaim(req.params.claimId);
+                if (!claim) {
+                    return res.status(404).json({
+                        error: 'Payment claim not found',
+                        claimId: req.params.claimId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    claim,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get payment claim');
+            }
+        });
+        
+        // The screenshot the customer sent
+        this.app.get('/api/payments/claims/:claimId/screenshot', async (req, res) => {
+            try {
+                const claim = await this.paymentService.getClaim(req.params.claimId);
+                if (!claim || !claim.screenshotPath || !fs.existsSync(claim.screenshotPath)) {
+                    return res.status(404).json({
+                        error: 'Screenshot not found',
+                        claimId: req.params.claimId,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                res.sendFile(path.resolve(claim.screenshotPath));
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get screenshot');
+            }
+        });
+        
+        // Money seen in the bank app - update the sheet and send the customer a receipt
+        this.app.post('/api/payments/claims/:claimId/confirm', async (req, res) => {
+            try {
+                const { amount, orderId, note } = req.body || {};
+                const result = await this.paymentService.confirmClaim(req.params.claimId, { amount, orderId, note });
+                
+                res.json({
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to confirm payment', {
+                    example: { amount: 500, orderId: 'TXL18092517' }
+                });
+            }
+        });
+        
+        this.app.post('/api/payments/claims/:claimId/reject', async (req, res) => {
+            try {
+                const claim = await this.paymentService.rejectClaim(req.params.claimId, (req.body || {}).note || null);
+                res.json({
+                    success: true,
+                    claim,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to reject payment');
+            }
+        });
+    }
 
-📍 *RS Tailor & Fabric*
-Main Market, Kumher
-📞 *संपर्क:* 8824781960
-⏰ *समय:* सुबह 10 से रात 8 बजे
+    /**
+     * Setup admin command routes
+     */
+    setupAdminCommandRoutes() {
+        // Every admin command received over WhatsApp, allowed or not (?status=denied, ?phone=...)
+        this.app.get('/api/admin/commands', async (req, res) => {
+            try {
+                const commands = await this.adminCommands.listCommands({
+                    phone: req.query.phone || null,
+                    status: req.query.status || null,
+                    limit: Math.min(parseInt(req.query.limit || '100'), 1000)
+                });
+                res.json({
+                    success: true,
+                    count: commands.length,
+                    commands,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list admin commands', { statuses: AdminCommandService.AUDIT_STATUSES });
+            }
+        });
+    }
 
-जय माता दी! 🚩
-धन्यवाद! 🙏`;
+    /**
+     * Setup delivery delay routes
+     */
+    setupDeliveryDelayRoutes() {
+        // Orders not ready or picked up whose Delivery Date has passed (?minDaysLate=3)
+        this.app.get('/api/orders/overdue', async (req, res) => {
+            try {
+                const overdue = await this.deliveryDelays.getOverdueOrders(parseInt(req.query.minDaysLate || '1') || 1);
+                res.json({
+                    success: true,
+                    count: overdue.length,
+                    orders: overdue,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list overdue orders');
+            }
+        });
+        
+        // New Delivery Date agreed by staff - written to the sheet, the customer gets the delivery_delay apology
+        this.app.post('/api/orders/:orderId/delay', async (req, res) => {
+            try {
+                const { newDate, reason, notify } = req.body || {};
+                const result = await this.deliveryDelays.rescheduleOrder(req.params.orderId, newDate, {
+                    reason: reason || null,
+                    changedBy: 'api',
+                    notify: notify !== false
+                });
+                
+                res.json({
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to set the new delivery date', {
+                    example: { newDate: '25/10/2025', reason: 'Fabric arrived late', notify: true }
+                });
+            }
+        });
+        
+        // Every time the order's Delivery Date was moved, newest first
+        this.app.get('/api/orders/:orderId/delays', async (req, res) => {
+            try {
+                const delays = await this.deliveryDelays.listDelays({ orderId: req.params.orderId });
+                res.json({
+                    success: true,
+                    orderId: req.params.orderId,
+                    count: delays.length,
+                    delays,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to list delivery delays');
+            }
+        });
+    }
 
+    /**
+     * Setup measurement profile routes
+     */
+    setupMeasurementRoutes() {
+        // Garments and the measurements taken for each
+        this.app.get('/api/measurements/fields', (req, res) => {
+            res.json({
+                success: true,
+                garments: new MeasurementFields().describe(),
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Profiles of a customer (?phone=9876543210) - every profile when no phone is given
+        this.app.get('/api/measurements', async (req, res) => {
+            try {
+                const profiles = await this.measurementService.listProfiles({ phone: req.query.phone || null });
                 res.json({
-                    needsApproval: true,
-                    customer: { name, phone: normalizedPhone, originalPhone: phone },
-                    messagePreview: festivalMessage,
-                    progress: `${campaign.currentIndex + 1}/${campaign.customers.length}`,
-                    actions: {
-                        approve: 'POST /api/approve-manual-message',
-                        reject: 'POST /api/reject-manual-message',
-                        skip: 'POST /api/skip-manual-message'
-                    },
+                    success: true,
+                    count: profiles.length,
+                    profiles,
                     timestamp: new Date().toISOString()
                 });
-                
             } catch (error) {
-                logger.error('❌ Get next manual message failed:', error);
-                res.status(500).json({
-                    error: 'Get next manual message failed',
-                    details: error.message,
+                this.sendCampaignError(res, error, 'Failed to list measurement profiles');
+            }
+        });
+        
+        this.app.post('/api/measurements', async (req, res) => {
+            try {
+                const profile = await this.measurementService.createProfile(req.body || {});
+                res.status(201).json({
+                    success: true,
+                    profile,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to create measurement profile', {
+                    example: { phone: '9876543210', personName: 'Rahul', relation: 'son' }
+                });
             }
         });
-
-        // Approve and send manual message
-        this.app.post('/api/approve-manual-message', async (req, res) => {
+        
+        // Send the saved measurements to the customer (?personName for one family member only)
+        this.app.post('/api/measurements/send', async (req, res) => {
             try {
-                if (!global.manualCampaignData) {
-                    return res.status(400).json({
-                        error: 'No manual campaign in progress',
+                if (!this.whatsappClient || !this.whatsappClient.isWhatsAppConnected()) {
+                    return res.status(503).json({
+                        error: 'WhatsApp is not connected',
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                const campaign = global.manualCampaignData;
-                const currentCustomer = campaign.customers[campaign.currentIndex];
-                const name = currentCustomer.name || currentCustomer.Name || `Customer ${campaign.currentIndex + 1}`;
-                const phone = currentCustomer.phone || currentCustomer.number || currentCustomer.Number;
-                
-                const normalizePhoneNumber = (number) => {
-                    if (!number) return null;
-                    let cleanNumber = number.toString().replace(/[\s\-\(\)\+]/g, '');
-                    if (cleanNumber.startsWith('0')) cleanNumber = cleanNumber.substring(1);
-                    if (cleanNumber.length === 10) cleanNumber = '91' + cleanNumber;
-                    return cleanNumber;
-                };
-                
-                const normalizedPhone = normalizePhoneNumber(phone);
-                campaign.processedNumbers.add(normalizedPhone);
-                
-                // Generate message
-                const festivalMessage = `🙏 *नमस्ते ${name} जी* 🙏
-
-🌺 *दुर्गा पूजा और दशहरा की हार्दिक शुभकामनाएं* 🌺
-
-इस पावन अवसर पर हम आपके और आपके पूरे परिवार की अच्छी सेहत और खुशहाली की प्रार्थना करते हैं। माँ दुर्गा आप सभी पर अपनी कृपा बनाए रखें। 🙏✨
-
-🎉 *इस दशहरे को बनाइए खास हमारे बेहतरीन ऑफर के साथ!* 🎉
-
-आप हमारे नियमित और प्रिय ग्राहक हैं, इसलिए आपके लिए विशेष *25% की छूट*:
-
-💰 *विशेष ऑफर:*
-▪️ ₹1000 की खरीदारी पर सीधे ₹250 की छूट 
-▪️ ₹2000 की खरीदारी पर सीधे ₹500 की छूट
-▪️ कोई छुपी हुई शर्तें नहीं, सीधी सादी छूट!
-
-📅 *ऑफर की अवधि:*
-30 सितंबर से 2 अक्टूबर तक (केवल 3 दिन)
-आप इस दौरान कभी भी आ सकते हैं।
-
-🎯 *यह ऑफर केवल आपके लिए उपलब्ध रहेगा!*
-
-📍 *RS Tailor & Fabric*
-Main Market, Kumher
-📞 *संपर्क:* 8824781960
-⏰ *समय:* सुबह 10 से रात 8 बजे
-
-जय माता दी! 🚩
-धन्यवाद! 🙏`;
-                
-                // Send message
-                const result = await this.whatsappClient.sendVideoMessage(
-                    normalizedPhone,
-                    './media/videos/festival-promo.mp4',
-                    festivalMessage
-                );
-                
-                campaign.currentIndex++;
-                
-                if (result && result.success !== false) {
-                    campaign.results.success++;
-                    
-                    // Record festival message in persistent storage to prevent duplicates
-                    this.recordFestivalMessage(normalizedPhone, 'dussehra-2025');
-                    
-                    res.json({
-                        success: true,
-                        message: `Festival message sent to ${name}`,
-                        customer: { name, phone: normalizedPhone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                        nextAction: 'Call /api/next-manual-message for next customer',
-                        timestamp: new Date().toISOString()
-                    });
-                } else {
-                    campaign.results.failed++;
-                    res.json({
-                        success: false,
-                        message: `Failed to send message to ${name}`,
-                        customer: { name, phone: normalizedPhone },
-                        progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                        nextAction: 'Call /api/next-manual-message for next customer',
+                const { phone, personName } = req.body || {};
+                const result = await this.measurementService.sendMeasurementCard(phone, { personName: personName || null });
+                res.json({
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to send measurements', {
+                    example: { phone: '9876543210', personName: 'Rahul' }
+                });
+            }
+        });
+        
+        this.app.get('/api/measurements/:profileId', async (req, res) => {
+            try {
+                const profile = await this.measurementService.getProfile(req.params.profileId);
+                if (!profile) {
+                    return res.status(404).json({
+                        error: 'Measurement profile not found',
+                        profileId: req.params.profileId,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
+                res.json({
+                    success: true,
+                    profile,
+                    timestamp: new Date().toISOString()
+                });
             } catch (error) {
-                logger.error('❌ Approve manual message failed:', error);
-                res.status(500).json({
-                    error: 'Approve manual message failed',
-                    details: error.message,
+                this.sendCampaignError(res, error, 'Failed to get measurement profile');
+            }
+        });
+        
+        this.app.patch('/api/measurements/:profileId', async (req, res) => {
+            try {
+                const profile = await this.measurementService.updateProfile(req.params.profileId, req.body || {});
+                res.json({
+                    success: true,
+                    profile,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to update measurement profile', {
+                    example: { personName: 'Rahul', relation: 'son', notes: 'Likes loose fitting' }
+                });
             }
         });
-
-        // Reject manual message (skip current customer)
-        this.app.post('/api/reject-manual-message', async (req, res) => {
+        
+        this.app.delete('/api/measurements/:profileId', async (req, res) => {
             try {
-                if (!global.manualCampaignData) {
-                    return res.status(400).json({
-                        error: 'No manual campaign in progress',
+                const deleted = await this.measurementService.deleteProfile(req.params.profileId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        error: 'Measurement profile not found',
+                        profileId: req.params.profileId,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                const campaign = global.manualCampaignData;
-                const currentCustomer = campaign.customers[campaign.currentIndex];
-                const name = currentCustomer.name || currentCustomer.Name || `Customer ${campaign.currentIndex + 1}`;
-                
-                campaign.currentIndex++;
-                campaign.results.skipped++;
-                
                 res.json({
-                    rejected: true,
-                    message: `Message rejected for ${name}`,
-                    progress: `${campaign.currentIndex}/${campaign.customers.length}`,
-                    nextAction: 'Call /api/next-manual-message for next customer',
+                    success: true,
+                    profileId: req.params.profileId,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to delete measurement profile');
+            }
+        });
+        
+        // Save (or replace) the measurements of one garment, in inches
+        this.app.put('/api/measurements/:profileId/garments/:garment', async (req, res) => {
+            try {
+                const { values, notes, measuredBy } = req.body || {};
+                const profile = await this.measurementService.saveMeasurements(req.params.profileId, req.params.garment, {
+                    values,
+                    notes: notes || null,
+                    measuredBy: measuredBy || null
+                });
                 
+                res.json({
+                    success: true,
+                    profile,
+                    timestamp: new Date().toISOString()
+                });
             } catch (error) {
-                logger.error('❌ Reject manual message failed:', error);
-                res.status(500).json({
-                    error: 'Reject manual message failed',
-                    details: error.message,
+                this.sendCampaignError(res, error, 'Failed to save measurements', {
+                    garments: new MeasurementFields().getGarments(),
+                    example: { values: { length: 40, chest: 38.5, waist: '34 1/2' }, notes: 'Loose fit', measuredBy: 'Ramesh' }
+                });
+            }
+        });
+        
+        this.app.delete('/api/measurements/:profileId/garments/:garment', async (req, res) => {
+            try {
+                const profile = await this.measurementService.deleteMeasurements(req.params.profileId, req.params.garment);
+                res.json({
+                    success: true,
+                    profile,
                     timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to delete measurements');
             }
         });
-
-        // Bulk Dussehra Campaign endpoint (Auto mode)
-        this.app.post('/api/bulk-dussehra-campaign', async (req, res) => {
+        
+        // Repeat orders - which of the order's garments are already measured for the customer and family
+        this.app.get('/api/orders/:orderId/measurements', async (req, res) => {
             try {
-                logger.info('🎉 Bulk Dussehra campaign request received');
-                
-                const { csvData, delayMs = 5000 } = req.body;
-                
-                if (!csvData || !Array.isArray(csvData)) {
-                    return res.status(400).json({
-                        error: 'Invalid CSV data',
-                        example: {
-                            csvData: [
-                                { name: 'Saurabh', phone: '7375938371' },
-                                { name: 'Deepak', phone: '6375623182' }
-                            ],
-                            delayMs: 5000
-                        },
+                const order = await this.googleSheetsService.findOrderById(req.params.orderId);
+                if (!order) {
+                    return res.status(404).json({
+                        error: `Order ${req.params.orderId} not found in the sheets`,
                         timestamp: new Date().toISOString()
                     });
                 }
                 
-                // Validation functions
-                const validatePhoneNumber = (number) => {
-                    if (!number) return false;
-                    const cleanNumber = number.toString().replace(/[\s\-\(\)\+]/g, '');
-                    const patterns = [
-                        /^[6789]\d{9}$/, // 10 digit starting with 6,7,8,9
-                        /^91[6789]\d{9}$/, // With country code 91
-                        /^0[6789]\d{9}$/ // With leading 0
-                    ];
-                    return patterns.some(pattern => pattern.test(cleanNumber));
-                };
-                
-                const normalizePhoneNumber = (number) => {
-                    if (!number) return null;
-                    let cleanNumber = number.toString().replace(/[\s\-\(\)\+]/g, '');
-                    if (cleanNumber.startsWith('0')) {
-                        cleanNumber = cleanNumber.substring(1);
-                    }
-                    if (cleanNumber.length === 10) {
-                        cleanNumber = '91' + cleanNumber;
-                    }
-                    return cleanNumber;
-                };
-                
-                // Process CSV data with validation
-                const processedCustomers = [];
-                const processedNumbers = new Set();
-                
-                csvData.forEach((row, index) => {
-                    const name = row.name || row.Name || `Customer ${index + 1}`;
-                    const phone = row.phone || row.number || row.Number;
-                    
-                    if (!phone) {
-                        console.log(`⚠️ Row ${index + 1}: No phone number for ${name}`);
-                        return;
-                    }
-                    
-                    if (!validatePhoneNumber(phone)) {
-                        console.log(`❌ Row ${index + 1}: Invalid phone number ${phone}`);
-                        return;
-                    }
-                    
-                    const normalizedPhone = normalizePhoneNumber(phone);
-                    
-                    if (processedNumbers.has(normalizedPhone)) {
-                        console.log(`🔄 Row ${index + 1}: Duplicate number ${phone}`);
-                        return;
-                    }
-
-                    // Check if festival message already sent to this number
-                    if (this.hasSentFestivalMessage(normalizedPhone, 'dussehra-2025')) {
-                        console.log(`🔄 Row ${index + 1}: Festival message already sent to ${phone}`);
-                        return;
-                    }
-                    
-                    processedNumbers.add(normalizedPhone);
-                    processedCustomers.push({ name, phone: normalizedPhone, originalPhone: phone });
+                res.json({
+                    success: true,
+                    ...await this.measurementService.getOrderMeasurements(order),
+                    timestamp: new Date().toISOString()
                 });
+            } catch (error) {
+                this.sendCampaignError(res, error, 'Failed to get order measurements');
+            }
+        });
+    }
+
+    /**
+     * Setup message history routes
+     */
+    setupHistoryRoutes() {
+        // Sent messages with their latest delivery status
+        this.app.get('/api/messages/history', async (req, res) => {
+            try {
+                const { phone, since } = req.query;
+                const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
                 
-                if (processedCustomers.length === 0) {
-                    return res.status(400).json({
-                        error: 'No valid customers found in data',
-                        timestamp: new Date().toISOString()
-                    });
-                }
+                const messages = await this.messageHistory.getMessages({
+                    phone: phone || null,
+                    since: since ? new Date(since).getTime() : null,
+                    limit
+                });
                 
-                // Send initial response
                 res.json({
                     success: true,
-                    message: 'Bulk Dussehra campaign started',
-                    validCustomers: processedCustomers.length,
-                    estimatedTime: `${(processedCustomers.length * delayMs / 1000).toFixed(0)} seconds`,
-                    note: 'Campaign is running in background. Check console for progress.',
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Start sending messages in background
-                let successCount = 0;
-                let failCount = 0;
-                
-                // Send messages asynchronously
-                setTimeout(async () => {
-                    for (let i = 0; i < processedCustomers.length; i++) {
-                        const customer = processedCustomers[i];
-                        
-                        try {
-                            console.log(`📱 Processing: ${customer.name} (${customer.phone})`);
-                            
-                            // Generate personalized festival message with proper template
-                            const festivalMessage = `🙏 *नमस्ते ${customer.name} जी* 🙏
-
-🌺 *दुर्गा पूजा और दशहरा की हार्दिक शुभकामनाएं* 🌺
-
-इस पावन अवसर पर हम आपके और आपके पूरे परिवार की अच्छी सेहत और खुशहाली की प्रार्थना करते हैं। माँ दुर्गा आप सभी पर अपनी कृपा बनाए रखें। 🙏✨
-
-🎉 *इस दशहरे को बनाइए खास हमारे बेहतरीन ऑफर के साथ!* 🎉
-
-आप हमारे नियमित और प्रिय ग्राहक हैं, इसलिए आपके लिए विशेष *25% की छूट*:
-
-💰 *विशेष ऑफर:*
-▪️ ₹1000 की खरीदारी पर सीधे ₹250 की छूट 
-▪️ ₹2000 की खरीदारी पर सीधे ₹500 की छूट
-▪️ कोई छुपी हुई शर्तें नहीं, सीधी सादी छूट!
-
-📅 *ऑफर की अवधि:*
-30 सितंबर से 2 अक्टूबर तक (केवल 3 दिन)
-आप इस दौरान कभी भी आ सकते हैं।
-
-🎯 *यह ऑफर केवल आपके लिए उपलब्ध रहेगा!*
-
-📍 *RS Tailor & Fabric*
-Main Market, Kumher
-📞 *संपर्क:* 8824781960
-⏰ *समय:* सुबह 10 से रात 8 बजे
-
-जय माता दी! 🚩
-धन्यवाद! 🙏`;
-                            
-                            console.log(`📝 Message prepared for: ${customer.name}`);
-                            
-                            // Send video with festival message caption
-                            const result = await this.whatsappClient.sendVideoMessage(
-                                customer.phone,
-                                './media/videos/festival-promo.mp4',
-                                festivalMessage
-                            );
-                            
-                            if (result && result.success !== false) {
-                                console.log(`✅ SUCCESS: Festival message with video sent to ${customer.name} (${customer.phone})`);
-                                
-                                // Record festival message in persistent storage to prevent duplicates
-                                this.recordFestivalMessage(customer.phone, 'dussehra-2025');
-                                
-                                successCount++;
-                            } else {
-                                console.log(`❌ FAILED: ${customer.name} (${customer.phone})`);
-                                failCount++;
-                            }
-                            
-                        } catch (error) {
-                            console.log(`❌ ERROR: ${customer.name} (${customer.phone}) - ${error.message}`);
-                            failCount++;
-                        }
-                        
-                        // Random delay between 10-120 seconds
-                        if (i < processedCustomers.length - 1) {
-                            const randomDelay = Math.floor(Math.random() * (120 - 10 + 1)) + 10; // Random between 10-120 seconds
-                            console.log(`⏳ Random delay: ${randomDelay} seconds before next message...`);
-                            await new Promise(resolve => setTimeout(resolve, randomDelay * 1000));
-                        }
-                    }
-                    
-                    console.log(`🎊 Campaign completed! Success: ${successCount}, Failed: ${failCount}`);
-                }, 100); // Start after 100ms
-                
-                console.log(`🎊 Campaign completed! Success: ${successCount}, Failed: ${failCount}`);
+                    count: messages.length,
+                    messages,
+                    timestamp: new Date().toISOString()
+                });
                 
             } catch (error) {
-                logger.error('❌ Bulk campaign failed:', error);
+                logger.error('❌ Message history lookup failed:', error);
                 res.status(500).json({
-                    error: 'Bulk campaign failed',
+                    error: 'Failed to load message history',
                     details: error.message,
                     timestamp: new Date().toISOString()
                 });
             }
         });
-
-        // Serve the campaign interface
-        this.app.get('/', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', 'campaign-interface.html'));
-        });
-
-        this.app.get('/campaign', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', 'campaign-interface.html'));
-        });
-
-        // 404 handler
-        this.app.use('*', (req, res) => {
-            res.status(404).json({
-                error: 'Endpoint not found',
-                path: req.originalUrl,
-                availableEndpoints: [
-                    'GET / (Campaign Interface)',
-                    'GET /campaign (Campaign Interface)',
-                    'GET /api/health',
-                    'POST /api/webhook/google-sheets',
-                    'POST /api/test-send',
-                    'POST /api/test-send-image',
-                    'POST /api/test-send-video',
-                    'POST /api/test-send-audio',
-                    'GET /api/media/status',
-                    'POST /api/media/cleanup',
-                    'POST /api/bulk-dussehra-campaign (Auto mode)',
-                    'POST /api/manual-dussehra-campaign (Manual approval mode)',
-                    'POST /api/next-manual-message',
-                    'POST /api/approve-manual-message',
-                    'POST /api/reject-manual-message'
-                ],
-                timestamp: new Date().toISOString()
-            });
-        });
         
-        // Error handler
-        this.app.use((error, req, res, next) => {
-            logger.error('💥 Express error:', error);
-            res.status(500).json({
-                error: 'Internal server error',
-                timestamp: new Date().toISOString()
-            });
+        // Message counters
+        this.app.get('/api/messages/statistics', async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    statistics: await this.messageHistory.getStatistics(),
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                logger.error('❌ Statistics lookup failed:', error);
+                res.status(500).json({
+                    error: 'Failed to load statistics',
+                    details: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
         });
     }
     
@@ -1154,19 +2806,34 @@ Main Market, Kumher
             }
             
             if (event === 'order_update' && message_type && order_data) {
-                logger.info(`💬 Processing ${message_type} message for ${order_data.customer_name}`);
+                // A job for a type the bot cannot send would only fail in the queue
+                if (!this.messageTypes.isKnownType(message_type)) {
+                    logger.warn(`⚠️ Webhook for unknown message type: ${message_type}`);
+                    return res.status(400).json({
+                        error: `Unknown message type: ${message_type}`,
+                        messageTypes: this.messageTypes.getTypes()
+                    });
+                }
                 
-                // Acknowledge receipt immediately
+                logger.info(`💬 Queueing ${message_type} message for ${order_data.customer_name}`);
+                
+                // Persist the job first so it survives disconnects and restarts
+                const job = await this.messageQueue.enqueue('order_message', {
+                    messageType: message_type,
+                    orderData: order_data,
+                    sheetName: sheet_name,
+                    sheetRow: sheet_row
+                });
+                
+                // Acknowledge receipt once the job is stored
                 res.json({
                     status: 'success',
-                    message: 'Webhook processed successfully',
+                    message: 'Webhook queued successfully',
                     message_type,
                     customer: order_data.customer_name,
+                    job_id: job.id,
                     timestamp: new Date().toISOString()
                 });
-                
-                // Process the order and send WhatsApp message
-                this.processOrderMessage(message_type, order_data, sheet_name, sheet_row);
             } else {
                 logger.warn('⚠️ Invalid webhook payload');
                 res.status(400).json({ error: 'Invalid webhook payload' });
@@ -1183,14 +2850,14 @@ Main Market, Kumher
     
     /**
      * Process order message and send WhatsApp notification
+     * Called by the message queue - errors are rethrown so the queue can retry
      */
     async processOrderMessage(messageType, orderData, sheetName, sheetRow) {
         try {
             logger.info(`🔄 Processing ${messageType} for ${orderData.customer_name}`);
             
             if (!this.messageProcessor) {
-                logger.error('❌ Message processor not initialized');
-                return;
+                throw new Error('Message processor not initialized');
             }
             
             // Process the order and send WhatsApp message
@@ -1202,10 +2869,23 @@ Main Market, Kumher
             );
             
             logger.info('✅ Message processing completed successfully', result);
+            return result;
             
         } catch (error) {
             logger.error('💥 Message processing error:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Route an incoming WhatsApp message - admin commands ("/status") first, then customer replies
+     */
+    handleIncomingMessage(message) {
+        if (this.config.adminCommandsEnabled && this.adminCommands.isCommand(message)) {
+            return this.adminCommands.handleMessage(message);
         }
+        
+        return this.inboundMessageHandler ? this.inboundMessageHandler.handleMessage(message) : null;
     }
     
     /**
@@ -1215,6 +2895,23 @@ Main Market, Kumher
         try {
             logger.info('🔧 Initializing bot components...');
             
+            // Open database before anything can receive webhooks
+            logger.info('💾 Initializing database...');
+            await this.database.initialize();
+            await this.mediaLibrary.initialize();
+            await this.campaignService.initialize();
+            await this.templateSettings.initialize();
+            
+            // Template files are reloaded when they change - no restart needed to edit a message
+            this.messageTemplates.watchLibrary();
+            
+            // Messages sent before a restart still count towards the send limits
+            const now = Date.now();
+            await this.whatsappClient.sendGovernor.restoreUsage({
+                lastHour: await this.messageHistory.countSentSince(now - 60 * 60 * 1000),
+                lastDay: await this.messageHistory.countSentSince(now - 24 * 60 * 60 * 1000)
+            });
+            
             // Start Express server
             logger.info('🌐 Starting Express server...');
             await this.startServer();
@@ -1242,13 +2939,55 @@ Main Market, Kumher
             // Initialize message processor
             logger.info('💬 Initializing message processor...');
             try {
-                this.messageProcessor = new MessageProcessor(this.whatsappClient, this.googleSheetsService);
+                this.messageProcessor = new MessageProcessor(
+                    this.whatsappClient,
+                    this.googleSheetsService,
+                    this.messageHistory,
+                    this.customerService,
+                    this.messageTemplates,
+                    this.mediaLibrary,
+                    this.receiptService,
+                    this.upiService
+                );
                 await this.messageProcessor.initialize();
             } catch (error) {
                 logger.error('❌ Message processor initialization failed:', error.message);
                 throw error;
             }
             
+            // Track delivery receipts for sent messages
+            this.whatsappClient.onMessageStatus(({ messageId, phone, status }) =>
+                this.messageHistory.updateDeliveryStatus(messageId, phone, status)
+            );
+            
+            // Initialize inbound message handler (customer order status questions)
+            if (this.config.inboundRepliesEnabled) {
+                logger.info('📥 Initializing inbound message handler...');
+                this.inboundMessageHandler = new InboundMessageHandler(
+                    this.whatsappClient,
+                    this.googleSheetsService,
+                    this.messageTemplates,
+                    this.customerService,
+                    this.receiptService,
+                    this.paymentService,
+                    this.measurementService
+                );
+            } else {
+                logger.info('📥 Inbound replies disabled (INBOUND_REPLIES_ENABLED=false)');
+            }
+            if (!this.config.adminCommandsEnabled) {
+                logger.info('🛠️ Admin commands disabled (ADMIN_COMMANDS_ENABLED=false)');
+            }
+            this.whatsappClient.onMessage(message => this.handleIncomingMessage(message));
+            
+            // Start message queue worker (holds jobs while WhatsApp is disconnected)
+            logger.info('📬 Starting message queue worker...');
+            await this.messageQueue.start(() => !!this.messageProcessor && !!this.whatsappClient.isWhatsAppConnected());
+            
+            // Start scheduled campaigns and reminders (due jobs wait for the WhatsApp connection)
+            logger.info('⏰ Starting scheduler...');
+            await this.scheduler.start(() => !!this.messageProcessor && !!this.whatsappClient.isWhatsAppConnected());
+            
             logger.info('✅ Bot initialization complete!');
             
         } catch (error) {
@@ -1318,6 +3057,11 @@ Main Market, Kumher
             
             this.isRunning = false;
             
+            // Stop message queue worker (pending jobs stay in the database)
+            this.messageQueue.stop();
+            this.scheduler.stop();
+            this.messageTemplates.stopWatchingLibrary();
+            
             // Close Express server
             if (this.server) {
                 await new Promise((resolve) => {
@@ -1339,6 +3083,9 @@ Main Market, Kumher
                 logger.info('📊 Google Sheets service closed');
             }
             
+            // Close database last - in-flight sends may still record history
+            await this.database.close();
+            
             logger.info('✅ Bot stopped successfully');
             
         } catch (error) {
@@ -1395,6 +3142,7 @@ Main Market, Kumher
         logger.info(`   Mode: ${this.config.botMode}`);
         logger.info(`   Auth: ${this.config.authMode}`);
         logger.info(`   Mock: ${this.config.mockWhatsApp}`);
+        logger.info(`   Inbound Replies: ${this.config.inboundRepliesEnabled}`);
     }
 }
 
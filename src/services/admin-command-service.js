@@ -0,0 +1,527 @@
+/**
+ * Admin Command Service
+ * Text commands the shop admins send the bot over WhatsApp ("/status", "/ready TXL18092517").
+ * Only the admin and developer phones may use them, each command lists the roles allowed to run it
+ * and every attempt - including ones from other numbers - is written to the admin_commands audit log
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+const MessageTypes = require('../../config/message-types');
+const { SHEET_NAMES } = require('./google-sheets-service');
+
+// admin: WHATSAPP_ADMIN_PHONE / WHATSAPP_BROTHER_PHONE, developer: DeveloperConfig.developerWhitelist
+const ALL_ROLES = ['admin', 'developer'];
+const ADMIN_ONLY = ['admin'];
+
+// Command -> method that runs it, roles allowed to run it and its /help line
+const COMMANDS = {
+    help: { method: 'showHelp', roles: ALL_ROLES, usage: '/help', description: 'Commands you can use' },
+    status: { method: 'showStatus', roles: ALL_ROLES, usage: '/status', description: 'Connection, send limits, queue and open campaign' },
+    stats: { method: 'showStats', roles: ALL_ROLES, usage: '/stats today|week', description: 'Messages, new orders and payments' },
+    summary: { method: 'showSummary', roles: ALL_ROLES, usage: '/summary', description: "Today's business summary" },
+    ready: { method: 'markReady', roles: ADMIN_ONLY, usage: '/ready <order ID>', description: 'Mark an order Ready and send the ready message' },
+    overdue: { method: 'showOverdue', roles: ALL_ROLES, usage: '/overdue', description: 'Orders past their delivery date' },
+    delay: { method: 'delayOrder', roles: ADMIN_ONLY, usage: '/delay <order ID> <dd/mm/yyyy> [reason]', description: 'Set a new delivery date and send the customer an apology' },
+    remind: { method: 'sendReminders', roles: ADMIN_ONLY, usage: '/remind pending|pickup', description: 'Send the due payment / pickup reminders now' },
+    campaign: { method: 'changeCampaign', roles: ADMIN_ONLY, usage: '/campaign [pause|resume|cancel] [session or run ID]', description: 'Show or change the open campaign session and bulk runs' },
+    confirm: { method: 'confirmPayment', roles: ADMIN_ONLY, usage: '/confirm <claim> [amount] [order ID]', description: 'Confirm a payment a customer reported' },
+    reject: { method: 'rejectPayment', roles: ADMIN_ONLY, usage: '/reject <claim> [note]', description: 'Reject a payment claim' }
+};
+
+// /remind argument -> reminder type
+const REMINDER_TYPES = {
+    pending: 'payment_reminder',
+    payment: 'payment_reminder',
+    pickup: 'pickup_reminder'
+};
+
+// /stats period -> days before today the period starts
+const STATS_PERIODS = { today: 0, week: 6 };
+
+const CAMPAIGN_ACTIONS = ['pause', 'resume', 'cancel'];
+
+// ok, failed (the command threw), denied (number or role not allowed), unknown (no such command)
+const AUDIT_STATUSES = ['ok', 'failed', 'denied', 'unknown'];
+
+const hasKey = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+class AdminCommandService {
+    /**
+     * @param {Object} services - googleSheetsService, messageQueue, messageHistory, reminderService,
+     *                            campaignSessionService, campaignService, paymentService, dailySummary,
+     *                            deliveryDelays and developerConfig
+     */
+    constructor(database, whatsappClient, services) {
+        this.database = database;
+        this.whatsappClient = whatsappClient;
+        this.googleSheetsService = services.googleSheetsService;
+        this.messageQueue = services.messageQueue;
+        this.messageHistory = services.messageHistory;
+        this.reminderService = services.reminderService;
+        this.campaignSessionService = services.campaignSessionService;
+        this.campaignService = services.campaignService || null;
+        this.paymentService = services.paymentService || null;
+        this.dailySummary = services.dailySummary || null;
+        this.deliveryDelays = services.deliveryDelays || null;
+        this.developerConfig = services.developerConfig || null;
+        this.dateUtils = new DateUtils();
+        this.messageTypes = new MessageTypes();
+        
+        this.adminPhones = [process.env.WHATSAPP_ADMIN_PHONE, process.env.WHATSAPP_BROTHER_PHONE]
+            .filter(Boolean)
+            .map(phone => this.normalizePhone(phone));
+        
+        // A reminder run reads both sheets before it queues anything - a second /remind must not queue the same reminders twice
+        this.runningReminders = new Set();
+    }
+
+    /**
+     * A private chat message starting with "/"
+     */
+    isCommand(message) {
+        return !!this.getSenderPhone(message) && this.extractText(message).startsWith('/');
+    }
+
+    /**
+     * Check the sender may run the command, run it, answer in the chat and write the audit log
+     * Numbers that are not admin or developer phones get no answer
+     */
+    async handleMessage(message) {
+        const phone = this.getSenderPhone(message);
+        const { command, args } = this.parseCommand(this.extractText(message));
+        const role = this.getRole(phone);
+        const entry = { phone, role, command, args: args.join(' ') };
+        
+        if (!role) {
+            logger.warn(`🔒 /${command} from ${phone} ignored - not an admin phone`);
+            await this.recordCommand({ ...entry, status: 'denied', errorMessage: 'Not an admin phone' });
+            return { phone, command, status: 'denied' };
+        }
+        
+        const definition = hasKey(COMMANDS, command) ? COMMANDS[command] : null;
+        let status = 'ok';
+        let errorMessage = null;
+        let reply;
+        
+        if (!definition) {
+            status = 'unknown';
+            reply = `❓ Unknown command /${command}. Send /help for the list`;
+        } else if (!definition.roles.includes(role)) {
+            status = 'denied';
+            errorMessage = `Not allowed for ${role} phones`;
+            reply = `🔒 /${command} is not allowed from this number`;
+        } else {
+            logger.info(`🛠️ Admin command from ${phone} (${role}): /${command} ${entry.args}`);
+            try {
+                reply = await this[definition.method](args, { phone, role });
+            } catch (error) {
+                status = 'failed';
+                errorMessage = error.message;
+                reply = `❌ /${command}: ${error.message}`;
+                logger.warn(`⚠️ Admin command /${command} from ${phone} failed: ${error.message}`);
+            }
+        }
+        
+        await this.sendReply(phone, reply);
+        await this.recordCommand({ ...entry, status, reply, errorMessage });
+        
+        return { phone, command, status };
+    }
+
+    showHelp(args, sender) {
+        const lines = Object.values(COMMANDS)
+            .filter(definition => definition.roles.includes(sender.role))
+            .map(definition => `${definition.usage} - ${definition.description}`);
+        
+        return ['🛠️ *Admin commands*', ...lines].join('\n');
+    }
+
+    async showStatus() {
+        const connection = this.whatsappClient.getConnectionStatus();
+        const limits = await this.whatsappClient.sendGovernor.getStatus();
+        const queue = this.messageQueue.getStatus();
+        const session = await this.campaignSessionService.getLatestOpenSession();
+        
+        const lines = [
+            '📊 *Bot status*',
+            `WhatsApp: ${connection.connected ? '✅ connected' : '❌ disconnected'}`,
+            `Sheets: ${this.googleSheetsService.isInitialized ? '✅ connected' : '❌ not connected'}`,
+            `Sent: ${limits.hourly.used}/${limits.hourly.limit} this hour, ${limits.daily.used}/${limits.daily.limit} in 24 hours`,
+            `Queue: ${queue.pending} waiting, ${queue.deadLetter} failed`,
+            `Campaign: ${session ? this.formatSession(session) : 'no open session'}`
+        ];
+        for (const run of this.campaignService ? this.campaignService.getBulkRuns() : []) {
+            lines.push(`Bulk run: ${this.formatBulkRun(run)}`);
+        }
+        if (limits.quietHoursEndAt) {
+            lines.push(`🌙 Quiet hours - sending again at ${this.formatTime(limits.quietHoursEndAt, limits.timezone)}`);
+        }
+        if (this.paymentService) {
+            const payments = await this.paymentService.getSummary(Date.now());
+            lines.push(`Payments to verify: ${payments.pending}`);
+        }
+        
+        return lines.join('\n');
+    }
+
+    async showStats(args) {
+        const period = (args[0] || 'today').toLowerCase();
+        if (!hasKey(STATS_PERIODS, period)) {
+            throw this.createError(`Unknown period "${period}". Use ${Object.keys(STATS_PERIODS).join(' or ')}`, 400);
+        }
+        
+        const since = this.dateUtils.startOfDay(STATS_PERIODS[period]);
+        const messages = await this.messageHistory.getSendSummary(since);
+        const lines = [
+            `📈 *Stats - ${period}* (from ${this.dateUtils.formatSheetDate(since)})`,
+            `Messages: ${messages.sent} sent, ${messages.failed} failed`,
+            `Delivered: ${messages.delivered}, read: ${messages.read}`
+        ];
+        
+        if (this.googleSheetsService.isInitialized) {
+            // Combine Orders rows repeat a tailoring and a fabric order - count the individual orders only
+            const orders = await this.googleSheetsService.getAllOrders();
+            const newOrders = orders.filter(order =>
+                order.sheet_name !== SHEET_NAMES.COMBINED_ORDERS && (this.dateUtils.parseDate(order.order_date) || 0) >= since
+            );
+            lines.push(`New orders: ${newOrders.length}`);
+        } else {
+            lines.push('New orders: sheets not connected');
+        }
+        
+        if (this.paymentService) {
+            const payments = await this.paymentService.getSummary(since);
+            lines.push(`Payments: ${payments.received} reported, ${payments.confirmed} confirmed (₹${payments.confirmedAmount}), ${payments.pending} to verify`);
+        }
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * The daily_summary report, on demand
+     */
+    async showSummary() {
+        if (!this.dailySummary) {
+            throw this.createError('Daily summary is not available', 503);
+        }
+        if (!this.googleSheetsService.isInitialized) {
+            throw this.createError('Google Sheets is not connected', 503);
+        }
+        
+        return this.dailySummary.formatSummary(await this.dailySummary.buildSummary());
+    }
+
+    /**
+     * Set Delivery Status to Ready in the sheet and queue the order_ready message -
+     * writing the sheet from the bot does not run the gas-code.js edit trigger
+     */
+    async markReady(args) {
+        if (!args[0]) {
+            throw this.createError('Order ID is required: /ready TXL18092517', 400);
+        }
+        
+        const order = await this.googleSheetsService.findOrderById(args[0]);
+        if (!order) {
+            throw this.createError(`Order ${args[0].toUpperCase()} not found in the sheets`, 404);
+        }
+        if (order.sheet_name === SHEET_NAMES.COMBINED_ORDERS) {
+            throw this.createError(`${order.order_id} is a combined order - mark its tailoring order ${order.tailor_order_id || ''} ready`.trim(), 400);
+        }
+        
+        const status = (order.delivery_status || '').toString().toLowerCase();
+        if (['delivered', 'picked'].some(word => status.includes(word))) {
+            throw this.createError(`${order.order_id} is already ${order.delivery_status}`, 409);
+        }
+        if (order.ready_notified_date) {
+            return `ℹ️ ${order.order_id} is ${order.delivery_status || 'not marked'} - the ready message was already sent on ${order.ready_notified_date}`;
+        }
+        
+        const readyOrder = { ...order, ...await this.googleSheetsService.updateDeliveryStatus(order, 'Ready') };
+        const job = await this.messageQueue.enqueue('order_message', {
+            messageType: this.messageTypes.getTypeForSheet('order_ready', order.sheet_name),
+            orderData: readyOrder,
+            sheetName: order.sheet_name,
+            sheetRow: order.sheet_row
+        });
+        
+        logger.info(`✅ Order ${order.order_id} marked Ready over WhatsApp (queue job ${job.id})`);
+        return `✅ ${order.order_id} marked Ready - ready message queued for ${order.customer_name || 'the customer'} (${order.phone_number})`;
+    }
+
+    async showOverdue() {
+        return this.getDeliveryDelays().formatOverdueList(await this.deliveryDelays.getOverdueOrders());
+    }
+
+    /**
+     * "/delay TXL18092517 25/10 cloth not delivered" - new date, reason in the delay history only
+     */
+    async delayOrder(args, sender) {
+        if (args.length < 2) {
+            throw this.createError('Order ID and new date are required: /delay TXL18092517 25/10/2025 [reason]', 400);
+        }
+        
+        const { delay, order, queueJobId } = await this.getDeliveryDelays().rescheduleOrder(args[0], args[1], {
+            reason: args.slice(2).join(' ') || null,
+            changedBy: sender.phone
+        });
+        
+        return [
+            `📅 ${order.order_id} now due ${delay.newDate} (moved ${delay.delayCount}x, was ${delay.previousDate || 'not set'})`,
+            queueJobId
+                ? `🙏 Apology queued for ${order.customer_name || 'the customer'} (${order.phone_number})`
+                : '⚠️ No phone number on the order - the customer was not told'
+        ].join('\n');
+    }
+
+    getDeliveryDelays() {
+        if (!this.deliveryDelays) {
+            throw this.createError('Delivery delays are not set up', 503);
+        }
+        if (!this.googleSheetsService.isInitialized) {
+            throw this.createError('Google Sheets is not connected', 503);
+        }
+        return this.deliveryDelays;
+    }
+
+    async sendReminders(args) {
+        const name = (args[0] || '').toLowerCase();
+        if (!hasKey(REMINDER_TYPES, name)) {
+            throw this.createError('Use /remind pending (payment reminders) or /remind pickup', 400);
+        }
+        
+        const reminderType = REMINDER_TYPES[name];
+        if (this.runningReminders.has(reminderType)) {
+            throw this.createError(`A ${reminderType} run is already going - wait for its reply`, 409);
+        }
+        
+        this.runningReminders.add(reminderType);
+        try {
+            const result = await this.reminderService.sendReminders(reminderType);
+            const waiting = result.alreadyQueued ? `, ${result.alreadyQueued} still waiting from an earlier run` : '';
+            const recent = result.recentlySent ? `, ${result.recentlySent} sent recently but not marked in the sheet` : '';
+            return `✅ ${reminderType}: ${result.due} due, ${result.queued} queued${waiting}${recent}`;
+        } finally {
+            this.runningReminders.delete(reminderType);
+        }
+    }
+
+    /**
+     * Manual campaign sessions and bulk runs - the most recently used open session and every bulk run
+     * still sending, unless an ID (session ID or bulk-N) is given
+     */
+    async changeCampaign(args) {
+        const [action, id] = args.map(arg => arg.trim());
+        if (action && !CAMPAIGN_ACTIONS.includes(action.toLowerCase())) {
+            throw this.createError(`Unknown action "${action}". Use ${CAMPAIGN_ACTIONS.join(', ')}`, 400);
+        }
+        
+        const runs = (this.campaignService ? this.campaignService.getBulkRuns() : [])
+            .filter(run => !id || run.id === id);
+        let session = null;
+        if (!id) {
+            session = await this.campaignSessionService.getLatestOpenSession();
+        } else if (runs.length === 0) {
+            session = await this.campaignSessionService.getSession(id);
+        }
+        if (!session && runs.length === 0) {
+            throw this.createError(id ? `Campaign session or bulk run not found: ${id}` : 'No campaign session or bulk run is open', 404);
+        }
+        
+        if (!action) {
+            const lines = runs.map(run => `🎯 ${this.formatBulkRun(run)}`);
+            if (session) lines.push(`🎯 ${this.formatSession(session)}\nSession: ${session.id}`);
+            return lines.join('\n');
+        }
+        
+        // Each one on its own - a run that is already paused does not stop the others from pausing
+        const lines = [];
+        const errors = [];
+        for (const run of runs) {
+            try {
+                lines.push(`✅ ${this.formatBulkRun(this.campaignService.changeBulkRun(run.id, action.toLowerCase()))}`);
+            } catch (error) {
+                errors.push(error);
+                lines.push(`⚠️ ${run.id}: ${error.message}`);
+            }
+        }
+        if (session) {
+            try {
+                lines.push(`✅ ${this.formatSession(await this.campaignSessionService.changeStatus(session.id, action.toLowerCase()))}`);
+            } catch (error) {
+                errors.push(error);
+                lines.push(`⚠️ ${error.message}`);
+            }
+        }
+        
+        if (errors.length === lines.length) {
+            throw errors[0];
+        }
+        return lines.join('\n');
+    }
+
+    async confirmPayment(args, sender) {
+        const claimId = this.getClaimId(args);
+        
+        // "/confirm 12 500 TXL18092517" - amount and order ID in either order
+        let amount = null;
+        let orderId = null;
+        for (const arg of args.slice(1)) {
+            if (/^₹?[\d,]+(\.\d{1,2})?$/.test(arg)) {
+                amount = arg.replace(/[₹,]/g, '');
+            } else {
+                orderId = arg.toUpperCase();
+            }
+        }
+        
+        const { claim, order, receiptSent } = await this.paymentService.confirmClaim(claimId, {
+            amount,
+            orderId,
+            note: `Confirmed on WhatsApp by ${sender.phone}`
+        });
+        
+        return [
+            `✅ Payment #${claim.id} confirmed: ₹${claim.confirmedAmount} for ${order.order_id}, ₹${order.remaining_amount} still due`,
+            receiptSent ? '🧾 Receipt sent to the customer' : '⚠️ Receipt could not be sent to the customer'
+        ].join('\n');
+    }
+
+    async rejectPayment(args, sender) {
+        const claimId = this.getClaimId(args);
+        const note = args.slice(1).join(' ') || `Rejected on WhatsApp by ${sender.phone}`;
+        
+        const claim = await this.paymentService.rejectClaim(claimId, note);
+        return `🚫 Payment #${claim.id} rejected - the sheet was not changed`;
+    }
+
+    getClaimId(args) {
+        if (!this.paymentService) {
+            throw this.createError('Payment claims are not set up', 503);
+        }
+        
+        const claimId = parseInt((args[0] || '').replace(/^#/, ''), 10);
+        if (!claimId) {
+            throw this.createError('Claim number is required, e.g. /confirm 12', 400);
+        }
+        return claimId;
+    }
+
+    /**
+     * Audit log, newest first
+     * @param {Object} filters - { phone, status, limit }
+     */
+    async listCommands({ phone = null, status = null, limit = 100 } = {}) {
+        if (status && !AUDIT_STATUSES.includes(status)) {
+            throw this.createError(`Invalid status: ${status}. Use one of: ${AUDIT_STATUSES.join(', ')}`, 400);
+        }
+        
+        const conditions = [];
+        const params = [];
+        if (phone) {
+            conditions.push('phone = ?');
+            params.push(this.normalizePhone(phone));
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        params.push(limit);
+        
+        const rows = await this.database.all(
+            `SELECT * FROM admin_commands ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+            params
+        );
+        return rows.map(row => ({
+            id: row.id,
+            phone: row.phone,
+            role: row.role,
+            command: row.command,
+            args: row.args,
+            status: row.status,
+            reply: row.reply,
+            errorMessage: row.error_message,
+            createdAt: new Date(row.created_at).toISOString()
+        }));
+    }
+
+    async recordCommand({ phone, role = null, command, args = '', status, reply = null, errorMessage = null }) {
+        await this.database.run(
+            `INSERT INTO admin_commands (phone, role, command, args, status, reply, error_message, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [phone, role, command, args || null, status, reply, errorMessage, Date.now()]
+        );
+    }
+
+    /**
+     * Replies go through the send limits like any message - a held-back reply is only logged
+     */
+    async sendReply(phone, reply) {
+        try {
+            await this.whatsappClient.sendMessage(phone, reply);
+        } catch (error) {
+            logger.warn(`⚠️ Could not answer admin command from ${phone}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @returns {string|null} - 'admin', 'developer' or null for any other number
+     */
+    getRole(phone) {
+        if (this.adminPhones.includes(phone)) return 'admin';
+        if (this.developerConfig && this.developerConfig.getDeveloperPhones().includes(phone)) return 'developer';
+        return null;
+    }
+
+    parseCommand(text) {
+        const [name = '', ...args] = text.slice(1).trim().split(/\s+/);
+        return { command: name.toLowerCase(), args };
+    }
+
+    formatSession(session) {
+        const summary = this.campaignSessionService.toSummary(session);
+        const { success = 0, failed = 0, skipped = 0 } = summary.results || {};
+        return `${summary.campaignId} ${summary.status}, ${summary.progress} (${success} sent, ${failed} failed, ${skipped} skipped)`;
+    }
+
+    formatBulkRun(run) {
+        return `${run.id} ${run.campaignId} ${run.status}, ${run.success + run.failed + run.skipped}/${run.total} (${run.success} sent, ${run.failed} failed, ${run.skipped} skipped)`;
+    }
+
+    formatTime(isoTime, timezone) {
+        return new Date(isoTime).toLocaleTimeString('en-IN', { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Sender phone from a private chat JID (groups and broadcasts are not commands)
+     */
+    getSenderPhone(message) {
+        const jid = message.key?.remoteJid || '';
+        if (!jid.endsWith('@s.whatsapp.net')) return null;
+        
+        return jid.split('@')[0].split(':')[0];
+    }
+
+    extractText(message) {
+        const content = message.message || {};
+        return (content.conversation || content.extendedTextMessage?.text || '').trim();
+    }
+
+    /**
+     * Digits with the Indian country code, as in the message JID
+     */
+    normalizePhone(phone) {
+        const digits = phone.toString().replace(/\D/g, '');
+        return digits.length === 10 ? `91${digits}` : digits;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+AdminCommandService.COMMANDS = COMMANDS;
+AdminCommandService.AUDIT_STATUSES = AUDIT_STATUSES;
+
+module.exports = AdminCommandService;
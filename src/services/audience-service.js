@@ -0,0 +1,223 @@
+/**
+ * Audience Service
+ * Campaign audiences built from uploaded CSV / Excel customer lists
+ */
+
+const crypto = require('crypto');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const AudienceParser = require('../utils/audience-parser');
+const PhoneUtils = require('../utils/phone-utils');
+
+class AudienceService {
+    constructor(database) {
+        this.database = database;
+        this.parser = new AudienceParser();
+        this.phoneUtils = new PhoneUtils();
+    }
+
+    rowToAudience(row, includeCustomers = false) {
+        if (!row) return null;
+        
+        const audience = {
+            id: row.id,
+            name: row.name,
+            sourceFile: row.source_file,
+            format: row.format,
+            nameColumn: row.name_column,
+            phoneColumn: row.phone_column,
+            totalRows: row.total_rows,
+            customerCount: row.customer_count,
+            errorCount: row.error_count,
+            createdAt: new Date(row.created_at).toISOString()
+        };
+        
+        if (includeCustomers) {
+            audience.customers = JSON.parse(row.customers);
+            audience.errors = JSON.parse(row.errors);
+        }
+        
+        return audience;
+    }
+
+    /**
+     * Parse an uploaded file into customers and per-row errors without saving anything
+     * @param {Object} file - { originalname, buffer } as provided by multer
+     * @param {Object} options - { nameColumn, phoneColumn } to override auto-detection
+     */
+    async parseFile(file, options = {}) {
+        if (!file || !file.buffer) {
+            throw this.createError('No file uploaded. Send the CSV or XLSX file in the "file" field', 400);
+        }
+        
+        let parsed;
+        try {
+            parsed = await this.parser.parse(file.buffer, file.originalname);
+        } catch (error) {
+            throw this.createError(error.message, 400);
+        }
+        
+        const { format, columns, rows } = parsed;
+        if (rows.length === 0) {
+            throw this.createError('File has no customer rows', 400);
+        }
+        
+        for (const column of [options.nameColumn, options.phoneColumn]) {
+            if (column && !columns.includes(column)) {
+                throw this.createError(`Column "${column}" not found. Columns in file: ${columns.join(', ')}`, 400);
+            }
+        }
+        
+        const detected = this.parser.detectColumns(columns, rows);
+        const nameColumn = options.nameColumn || detected.nameColumn;
+        const phoneColumn = options.phoneColumn || detected.phoneColumn;
+        
+        if (!phoneColumn) {
+            throw this.createError(`Could not find a phone column. Columns in file: ${columns.join(', ')}. Pass phoneColumn to choose one`, 400);
+        }
+        
+        const { customers, errors } = this.buildCustomers(rows, nameColumn, phoneColumn);
+        
+        return {
+            fileName: file.originalname,
+            format,
+            columns,
+            nameColumn,
+            phoneColumn,
+            totalRows: rows.length,
+            customers,
+            errors
+        };
+    }
+
+    /**
+     * Validate and de-duplicate rows
+     * Row numbers match the spreadsheet (row 1 is the header)
+     */
+    buildCustomers(rows, nameColumn, phoneColumn) {
+        const customers = [];
+        const errors = [];
+        const seen = new Map();
+        
+        rows.forEach((row, index) => {
+            // Skip completely empty lines instead of reporting them
+            if (Object.values(row).every(value => !value)) return;
+            
+            const rowNumber = index + 2;
+            const name = (nameColumn && row[nameColumn]) || `Customer ${index + 1}`;
+            const phone = row[phoneColumn];
+            
+            if (!phone) {
+                errors.push({ row: rowNumber, name, phone: null, error: 'Missing phone number' });
+                return;
+            }
+            if (!this.phoneUtils.isValid(phone)) {
+                errors.push({ row: rowNumber, name, phone, error: 'Invalid phone number format' });
+                return;
+            }
+            
+            const normalizedPhone = this.phoneUtils.normalize(phone);
+            if (seen.has(normalizedPhone)) {
+                errors.push({ row: rowNumber, name, phone, error: `Duplicate of row ${seen.get(normalizedPhone)}` });
+                return;
+            }
+            
+            seen.set(normalizedPhone, rowNumber);
+            customers.push({ name, phone: normalizedPhone });
+        });
+        
+        return { customers, errors };
+    }
+
+    /**
+     * Preview response - column detection, counts, errors and the first few customers
+     */
+    toPreview(result, sampleSize = 10) {
+        return {
+            fileName: result.fileName,
+            format: result.format,
+            columns: result.columns,
+            nameColumn: result.nameColumn,
+            phoneColumn: result.phoneColumn,
+            totalRows: result.totalRows,
+            validCustomers: result.customers.length,
+            errorCount: result.errors.length,
+            errors: result.errors,
+            sample: result.customers.slice(0, sampleSize)
+        };
+    }
+
+    /**
+     * Parse an uploaded file and save the valid customers as an audience
+     */
+    async createAudience(file, options = {}) {
+        const result = await this.parseFile(file, options);
+        
+        if (result.customers.length === 0) {
+            const error = this.createError('No valid customers found in file', 400);
+            error.preview = this.toPreview(result);
+            throw error;
+        }
+        
+        const id = crypto.randomUUID();
+        const name = (options.name || '').trim() || result.fileName;
+        
+        await this.database.run(
+            `INSERT INTO audiences
+                (id, name, source_file, format, name_column, phone_column, customers, errors,
+                 total_rows, customer_count, error_count, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                name,
+                result.fileName,
+                result.format,
+                result.nameColumn,
+                result.phoneColumn,
+                JSON.stringify(result.customers),
+                JSON.stringify(result.errors),
+                result.totalRows,
+                result.customers.length,
+                result.errors.length,
+                Date.now()
+            ]
+        );
+        
+        logger.info(`👥 Audience created: ${name} (${result.customers.length} customers, ${result.errors.length} rows skipped)`);
+        
+        return { audience: await this.getAudience(id), preview: this.toPreview(result) };
+    }
+
+    async getAudience(audienceId, includeCustomers = false) {
+        const row = await this.database.get('SELECT * FROM audiences WHERE id = ?', [audienceId]);
+        return this.rowToAudience(row, includeCustomers);
+    }
+
+    async listAudiences(limit = 50) {
+        const rows = await this.database.all('SELECT * FROM audiences ORDER BY created_at DESC LIMIT ?', [limit]);
+        return rows.map(row => this.rowToAudience(row));
+    }
+
+    /**
+     * Customer list of an audience, in the { name, phone } shape campaigns expect
+     */
+    async getCustomers(audienceId) {
+        const audience = await this.getAudience(audienceId, true);
+        if (!audience) {
+            throw this.createError(`Audience not found: ${audienceId}`, 404);
+        }
+        return audience.customers;
+    }
+
+    async deleteAudience(audienceId) {
+        const result = await this.database.run('DELETE FROM audiences WHERE id = ?', [audienceId]);
+        return result.changes > 0;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = AudienceService;
@@ -0,0 +1,627 @@
+/**
+ * Campaign Service
+ * Festival and promotional campaigns stored as data: template, media, offer window
+ * and the key used to make sure a customer only gets each campaign once
+ */
+
+const path = require('path');
+const MediaUtils = require('../utils/media-utils');
+const PhoneUtils = require('../utils/phone-utils');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// Campaigns that existed before campaigns were stored in the database
+const DEFAULT_CAMPAIGNS = [
+    {
+        id: 'dussehra-2025',
+        name: 'Durga Puja & Dussehra 2025',
+        templateId: 'durga_puja_dussehra_offer',
+        mediaPath: './media/videos/festival-promo.mp4',
+        mediaType: 'video',
+        offerStart: '2025-09-30',
+        offerEnd: '2025-10-02',
+        dedupeKey: 'dussehra-2025'
+    }
+];
+
+const CAMPAIGN_STATUSES = ['active', 'archived'];
+
+// Bulk runs are paused, resumed and cancelled like manual campaign sessions
+const BULK_RUN_TRANSITIONS = {
+    pause: { from: ['running'], to: 'paused' },
+    resume: { from: ['paused'], to: 'running' },
+    cancel: { from: ['running', 'paused'], to: 'cancelled' }
+};
+
+class CampaignService {
+    constructor(database, whatsappClient, messageTemplates, messageHistory, mediaLibrary = null) {
+        this.database = database;
+        this.whatsappClient = whatsappClient;
+        this.messageTemplates = messageTemplates;
+        this.messageHistory = messageHistory;
+        this.mediaLibrary = mediaLibrary;
+        this.mediaUtils = new MediaUtils();
+        this.phoneUtils = new PhoneUtils();
+        
+        // Random delay between bulk messages (seconds)
+        this.bulkMinDelaySeconds = parseInt(process.env.CAMPAIGN_MIN_DELAY_SECONDS || '10');
+        this.bulkMaxDelaySeconds = parseInt(process.env.CAMPAIGN_MAX_DELAY_SECONDS || '120');
+        
+        // Bulk runs still sending, by run ID - checked before every message so they can be paused or cancelled
+        this.bulkRuns = new Map();
+        this.nextBulkRunId = 1;
+        
+        this.isInitialized = false;
+    }
+
+    /**
+     * Seed built-in campaigns and register stored campaign templates
+     */
+    async initialize() {
+        try {
+            logger.info('🔄 Initializing campaign service...');
+            
+            for (const campaign of DEFAULT_CAMPAIGNS) {
+                await this.database.run(
+                    `INSERT OR IGNORE INTO campaigns
+                        (id, name, template_id, media_path, media_type, offer_start, offer_end, dedupe_key, status, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)`,
+                    [
+                        campaign.id, campaign.name, campaign.templateId, campaign.mediaPath, campaign.mediaType,
+                        campaign.offerStart, campaign.offerEnd, campaign.dedupeKey, Date.now(), Date.now()
+                    ]
+                );
+            }
+            
+            const campaigns = await this.listCampaigns();
+            campaigns.forEach(campaign => this.registerCampaignTemplate(campaign));
+            
+            this.isInitialized = true;
+            logger.info(`✅ Campaign service initialized (${campaigns.length} campaigns)`);
+        
+        } catch (error) {
+            logger.error('❌ Failed to initialize campaign service:', error);
+            throw error;
+        }
+    }
+
+    rowToCampaign(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            name: row.name,
+            templateId: row.template_id,
+            templateText: row.template_text || null,
+            mediaPath: row.media_path || null,
+            mediaType: row.media_type || null,
+            mediaId: row.media_id || null,
+            offerStart: row.offer_start || null,
+            offerEnd: row.offer_end || null,
+            dedupeKey: row.dedupe_key,
+            variables: row.variables ? JSON.parse(row.variables) : {},
+            status: row.status,
+            offerActive: this.isOfferActive(row.offer_start, row.offer_end),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    async listCampaigns() {
+        const rows = await this.database.all('SELECT * FROM campaigns ORDER BY created_at DESC');
+        return rows.map(row => this.rowToCampaign(row));
+    }
+
+    async getCampaign(campaignId) {
+        return this.rowToCampaign(await this.database.get('SELECT * FROM campaigns WHERE id = ?', [campaignId]));
+    }
+
+    /**
+     * Get a campaign that can be sent, or throw a 4xx error
+     */
+    async getSendableCampaign(campaignId) {
+        const campaign = await this.getCampaign(campaignId);
+        if (!campaign) {
+            throw this.createError(`Campaign not found: ${campaignId}`, 404);
+        }
+        if (campaign.status !== 'active') {
+            throw this.createError(`Campaign ${campaignId} is ${campaign.status}`, 400);
+        }
+        if (!this.messageTemplates.isTemplateEnabled(campaign.templateId)) {
+            throw this.createError(`Template ${campaign.templateId} of campaign ${campaignId} is disabled`, 400);
+        }
+        if (!campaign.offerActive) {
+            logger.warn(`⚠️ Campaign ${campaignId} offer window is not active (${campaign.offerStart} - ${campaign.offerEnd})`);
+        }
+        return campaign;
+    }
+
+    /**
+     * Create a campaign
+     * @param {Object} data - { id, name, templateId | templateText, mediaId | mediaPath, offerStart, offerEnd, dedupeKey, variables }
+     */
+    async createCampaign(data) {
+        const id = data.id || this.slugify(data.name);
+        if (!data.name) {
+            throw this.createError('Campaign name is required', 400);
+        }
+        if (!id) {
+            throw this.createError('Campaign id is required when the name has no latin characters', 400);
+        }
+        if (await this.getCampaign(id)) {
+            throw this.createError(`Campaign already exists: ${id}`, 409);
+        }
+        
+        const campaign = {
+            id,
+            name: data.name,
+            templateText: data.templateText || null,
+            templateId: data.templateId || (data.templateText ? `campaign_${id.replace(/-/g, '_')}` : null),
+            mediaPath: data.mediaPath || null,
+            mediaType: data.mediaType || null,
+            mediaId: data.mediaId || null,
+            offerStart: data.offerStart || null,
+            offerEnd: data.offerEnd || null,
+            dedupeKey: data.dedupeKey || id,
+            variables: data.variables || {}
+        };
+        
+        this.validateCampaign(campaign);
+        this.registerCampaignTemplate(campaign);
+        
+        const now = Date.now();
+        await this.database.run(
+            `INSERT INTO campaigns
+                (id, name, template_id, template_text, media_path, media_type, media_id, offer_start, offer_end, dedupe_key, variables, status, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)`,
+            [
+                campaign.id, campaign.name, campaign.templateId, campaign.templateText, campaign.mediaPath, campaign.mediaType, campaign.mediaId,
+                campaign.offerStart, campaign.offerEnd, campaign.dedupeKey, JSON.stringify(campaign.variables), now, now
+            ]
+        );
+        
+        logger.info(`🎉 Campaign created: ${campaign.id} (${campaign.name})`);
+        return this.getCampaign(campaign.id);
+    }
+
+    /**
+     * Update campaign fields. The duplicate-prevention key cannot change once set.
+     */
+    async updateCampaign(campaignId, changes) {
+        const existing = await this.getCampaign(campaignId);
+        if (!existing) {
+            throw this.createError(`Campaign not found: ${campaignId}`, 404);
+        }
+        if (changes.dedupeKey && changes.dedupeKey !== existing.dedupeKey) {
+            throw this.createError('dedupeKey cannot be changed - customers who already received the campaign would get it again', 400);
+        }
+        if (changes.status && !CAMPAIGN_STATUSES.includes(changes.status)) {
+            throw this.createError(`Invalid status. Use one of: ${CAMPAIGN_STATUSES.join(', ')}`, 400);
+        }
+        
+        const campaign = {
+            ...existing,
+            ...['name', 'templateId', 'templateText', 'mediaPath', 'mediaType', 'mediaId', 'offerStart', 'offerEnd', 'variables', 'status']
+                .filter(field => changes[field] !== undefined)
+                .reduce((fields, field) => ({ ...fields, [field]: changes[field] }), {})
+        };
+        
+        if (changes.templateText && !changes.templateId && existing.templateText === null) {
+            campaign.templateId = `campaign_${campaign.id.replace(/-/g, '_')}`;
+        }
+        if (changes.mediaPath !== undefined && changes.mediaType === undefined) {
+            campaign.mediaType = null;
+        }
+        // A campaign has either a media library asset or a media path - setting one replaces the other
+        if (changes.mediaId && changes.mediaPath === undefined) {
+            campaign.mediaPath = null;
+            campaign.mediaType = null;
+        }
+        if (changes.mediaPath && changes.mediaId === undefined) {
+            campaign.mediaId = null;
+        }
+        
+        this.validateCampaign(campaign);
+        this.registerCampaignTemplate(campaign);
+        
+        await this.database.run(
+            `UPDATE campaigns SET
+                name = ?, template_id = ?, template_text = ?, media_path = ?, media_type = ?, media_id = ?,
+                offer_start = ?, offer_end = ?, variables = ?, status = ?, updated_at = ?
+             WHERE id = ?`,
+            [
+                campaign.name, campaign.templateId, campaign.templateText, campaign.mediaPath, campaign.mediaType, campaign.mediaId || null,
+                campaign.offerStart, campaign.offerEnd, JSON.stringify(campaign.variables || {}), campaign.status, Date.now(),
+                campaign.id
+            ]
+        );
+        
+        logger.info(`✏️ Campaign updated: ${campaign.id}`);
+        return this.getCampaign(campaign.id);
+    }
+
+    /**
+     * Check template, media and offer window before saving
+     */
+    validateCampaign(campaign) {
+        if (!campaign.templateId) {
+            throw this.createError('Either templateId or templateText is required', 400);
+        }
+        if (!campaign.templateText && !this.messageTemplates.getAvailableTemplates().includes(campaign.templateId)) {
+            throw this.createError(`Template not found: ${campaign.templateId}`, 400);
+        }
+        
+        if (campaign.mediaId && campaign.mediaPath) {
+            throw this.createError('Use either mediaId (media library) or mediaPath, not both', 400);
+        }
+        if (campaign.mediaId) {
+            const asset = this.mediaLibrary ? this.mediaLibrary.getAsset(campaign.mediaId) : null;
+            if (!asset) {
+                throw this.createError(`Media not found: ${campaign.mediaId}`, 400);
+            }
+            if (!['image', 'video', 'document'].includes(asset.type)) {
+                throw this.createError(`Unsupported campaign media type: ${asset.type}`, 400);
+            }
+        }
+        
+        if (campaign.mediaPath) {
+            if (!this.mediaUtils.isValidMediaUrl(campaign.mediaPath)) {
+                const validation = this.mediaUtils.validateMediaFile(campaign.mediaPath, campaign.mediaType);
+                if (!validation.isValid) {
+                    throw this.createError(`Invalid media: ${validation.errors.join(', ')}`, 400);
+                }
+                campaign.mediaType = validation.mediaType;
+            } else if (!campaign.mediaType) {
+                campaign.mediaType = this.mediaUtils.getMediaType(campaign.mediaPath);
+            }
+            
+            if (!['image', 'video', 'document'].includes(campaign.mediaType)) {
+                throw this.createError(`Unsupported campaign media type: ${campaign.mediaType}`, 400);
+            }
+        }
+        
+        for (const field of ['offerStart', 'offerEnd']) {
+            if (campaign[field] && isNaN(new Date(campaign[field]).getTime())) {
+                throw this.createError(`${field} must be a date (YYYY-MM-DD)`, 400);
+            }
+        }
+        if (campaign.offerStart && campaign.offerEnd && campaign.offerStart > campaign.offerEnd) {
+            throw this.createError('offerEnd must be on or after offerStart', 400);
+        }
+    }
+
+    /**
+     * Make a campaign's own template text available to the template engine
+     */
+    registerCampaignTemplate(campaign) {
+        if (!campaign.templateText) return;
+        
+        if (this.messageTemplates.getAvailableTemplates().includes(campaign.templateId)) {
+            this.messageTemplates.updateTemplate(campaign.templateId, campaign.templateText);
+        } else {
+            this.messageTemplates.addCustomTemplate(campaign.templateId, campaign.templateText);
+        }
+    }
+
+    isOfferActive(offerStart, offerEnd, now = new Date()) {
+        const today = now.toISOString().split('T')[0];
+        if (offerStart && today < offerStart) return false;
+        if (offerEnd && today > offerEnd) return false;
+        return true;
+    }
+
+    /**
+     * Render the campaign message for one customer
+     */
+    renderMessage(campaign, customer) {
+        return this.messageTemplates.processTemplate(campaign.templateId, {
+            ...campaign.variables,
+            customer_name: customer.name,
+            offer_start: this.formatOfferDate(campaign.offerStart),
+            offer_end: this.formatOfferDate(campaign.offerEnd)
+        });
+    }
+
+    formatOfferDate(date) {
+        if (!date) return '';
+        return new Date(date).toLocaleDateString('hi-IN', { day: 'numeric', month: 'long' });
+    }
+
+    /**
+     * Read name and phone from an uploaded CSV row
+     * @returns {Object} - { name, phone, normalizedPhone, error }
+     */
+    prepareCustomer(row, index) {
+        const name = row.name || row.Name || `Customer ${index + 1}`;
+        const phone = row.phone || row.number || row.Number;
+        
+        if (!phone) {
+            return { name, phone, normalizedPhone: null, error: 'Missing phone number' };
+        }
+        if (!this.phoneUtils.isValid(phone)) {
+            return { name, phone, normalizedPhone: null, error: 'Invalid phone number format' };
+        }
+        
+        return { name, phone, normalizedPhone: this.phoneUtils.normalize(phone), error: null };
+    }
+
+    /**
+     * Festival duplicate prevention (per campaign dedupe key)
+     */
+    async hasReceived(campaign, phone) {
+        return this.messageHistory.hasSentCampaignMessage(campaign.dedupeKey, phone);
+    }
+
+    async recordSent(campaign, phone) {
+        try {
+            await this.messageHistory.recordCampaignMessage(campaign.dedupeKey, phone);
+        } catch (error) {
+            logger.error(`Failed to record campaign message for ${phone}:`, error.message);
+        }
+    }
+
+    /**
+     * Media sent with a campaign - a media library asset is looked up when sending, so a replaced
+     * poster goes out from the next message on
+     * @returns {Object|null} - { type, path }
+     */
+    getCampaignMedia(campaign) {
+        if (campaign.mediaId) {
+            const media = this.mediaLibrary ? this.mediaLibrary.resolveMedia(campaign.mediaId) : null;
+            if (!media) {
+                logger.warn(`⚠️ Media ${campaign.mediaId} of campaign ${campaign.id} not found, sending text only`);
+            }
+            return media;
+        }
+        
+        return campaign.mediaPath ? { type: campaign.mediaType, path: campaign.mediaPath } : null;
+    }
+
+    /**
+     * Send the campaign message (with the campaign media, if any) to one customer
+     */
+    async sendCampaignMessage(campaign, phone, message) {
+        const media = this.getCampaignMedia(campaign);
+        
+        let result;
+        switch (media && media.type) {
+            case 'video':
+                result = await this.whatsappClient.sendVideoMessage(phone, media.path, message);
+                break;
+            
+            case 'image':
+                result = await this.whatsappClient.sendImageMessage(phone, media.path, message);
+                break;
+            
+            case 'document':
+                result = await this.whatsappClient.sendDocumentMessage(
+                    phone,
+                    media.path,
+                    path.basename(media.path),
+                    this.mediaUtils.getMimeType(media.path),
+                    message
+                );
+                break;
+            
+            default:
+                result = await this.whatsappClient.sendMessage(phone, message);
+        }
+        
+        if (result && result.success !== false) {
+            await this.recordSent(campaign, phone);
+            
+            try {
+                await this.messageHistory.recordMessage({
+                    phone,
+                    messageType: campaign.templateId,
+                    sheetType: `campaign:${campaign.id}`,
+                    content: message,
+                    whatsappMessageId: result.key?.id || null
+                });
+            } catch (error) {
+                logger.warn(`⚠️ Campaign message sent but not recorded in history: ${error.message}`);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Validate CSV rows for a bulk run, dropping invalid, duplicate and already-sent numbers
+     */
+    async prepareBulkCustomers(campaign, csvData) {
+        const customers = [];
+        const processedNumbers = new Set();
+        
+        for (const [index, row] of csvData.entries()) {
+            const customer = this.prepareCustomer(row, index);
+            
+            if (customer.error) {
+                logger.info(`⚠️ Row ${index + 1}: ${customer.error} (${customer.name} ${customer.phone || ''})`);
+                continue;
+            }
+            if (processedNumbers.has(customer.normalizedPhone)) {
+                logger.info(`🔄 Row ${index + 1}: Duplicate number ${customer.phone}`);
+                continue;
+            }
+            if (await this.hasReceived(campaign, customer.normalizedPhone)) {
+                logger.info(`🔄 Row ${index + 1}: ${campaign.id} already sent to ${customer.phone}`);
+                continue;
+            }
+            
+            processedNumbers.add(customer.normalizedPhone);
+            customers.push({ name: customer.name, phone: customer.normalizedPhone, originalPhone: customer.phone });
+        }
+        
+        return customers;
+    }
+
+    /**
+     * Register a bulk run before it starts, so its ID can be returned to the caller
+     * Only one bulk run per campaign - two runs would race each other past the dedupe check
+     */
+    createBulkRun(campaign, total) {
+        const running = [...this.bulkRuns.values()].find(run => run.campaignId === campaign.id);
+        if (running) {
+            throw this.createError(`Campaign ${campaign.id} is already running as ${running.id} (${running.status})`, 409);
+        }
+        
+        const run = {
+            id: `bulk-${this.nextBulkRunId++}`,
+            campaignId: campaign.id,
+            status: 'running',
+            total,
+            success: 0,
+            failed: 0,
+            skipped: 0,
+            startedAt: new Date().toISOString(),
+            wake: null
+        };
+        this.bulkRuns.set(run.id, run);
+        return run;
+    }
+
+    getBulkRuns() {
+        return [...this.bulkRuns.values()].map(run => this.toBulkRunSummary(run));
+    }
+
+    toBulkRunSummary(run) {
+        const { wake, ...summary } = run;
+        return summary;
+    }
+
+    /**
+     * Pause, resume or cancel a bulk run - takes effect before its next message, also in the middle of a delay
+     * @param {string} action - pause, resume or cancel
+     */
+    changeBulkRun(runId, action) {
+        const transition = BULK_RUN_TRANSITIONS[action];
+        const run = this.bulkRuns.get(runId);
+        
+        if (!transition) {
+            throw this.createError(`Unknown action: ${action}`, 400);
+        }
+        if (!run) {
+            throw this.createError(`Bulk run not found: ${runId}`, 404);
+        }
+        if (!transition.from.includes(run.status)) {
+            throw this.createError(`Cannot ${action} a ${run.status} bulk run`, 409);
+        }
+        
+        run.status = transition.to;
+        if (run.wake) run.wake();
+        
+        logger.info(`🎯 Bulk run ${run.id} (${run.campaignId}): ${action} -> ${run.status}`);
+        return this.toBulkRunSummary(run);
+    }
+
+    /**
+     * Wait between sends - cut short when the run is paused, resumed or cancelled
+     */
+    waitInRun(run, ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => run.wake(), ms);
+            run.wake = () => {
+                clearTimeout(timer);
+                run.wake = null;
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Send to every customer with a random delay between messages
+     * @param {Object} run - From createBulkRun, when the caller needs the run ID before it starts
+     * @returns {Promise<Object>} - { runId, success, failed, skipped, cancelled }
+     */
+    async runBulkCampaign(campaign, customers, run = this.createBulkRun(campaign, customers.length)) {
+        try {
+            return await this.sendBulkRun(run, campaign, customers);
+        } finally {
+            this.bulkRuns.delete(run.id);
+        }
+    }
+
+    async sendBulkRun(run, campaign, customers) {
+        for (let i = 0; i < customers.length; i++) {
+            const customer = customers[i];
+            
+            while (run.status === 'paused') {
+                await this.waitInRun(run, 60 * 1000);
+            }
+            if (run.status === 'cancelled') {
+                logger.info(`🛑 Campaign ${campaign.id} cancelled with ${customers.length - i} customer(s) left`);
+                break;
+            }
+            
+            try {
+                // Checked again right before sending - a run can last hours, and a manual session
+                // of the same campaign may have reached this customer in the meantime
+                if (await this.hasReceived(campaign, customer.phone)) {
+                    logger.info(`🔄 ${campaign.id} already sent to ${customer.phone}, skipping`);
+                    run.skipped++;
+                    continue;
+                }
+                
+                logger.info(`📱 Processing: ${customer.name} (${customer.phone})`);
+                
+                const message = this.renderMessage(campaign, customer);
+                const result = await this.sendCampaignMessage(campaign, customer.phone, message);
+                
+                if (result && result.success !== false) {
+                    logger.info(`✅ SUCCESS: ${campaign.name} sent to ${customer.name} (${customer.phone})`);
+                    run.success++;
+                } else {
+                    logger.warn(`❌ FAILED: ${customer.name} (${customer.phone})`);
+                    run.failed++;
+                }
+            
+            } catch (error) {
+                // Shop-wide limits and quiet hours pause the campaign - try the same customer again later
+                if (error.deferred && error.limit !== 'recipient') {
+                    logger.warn(`⏸️ Campaign ${campaign.id} paused until ${new Date(error.retryAt).toISOString()}: ${error.message}`);
+                    await this.waitInRun(run, Math.max(error.retryAt - Date.now(), 0));
+                    i--;
+                    continue;
+                }
+                
+                logger.error(`❌ ERROR: ${customer.name} (${customer.phone}) - ${error.message}`);
+                run.failed++;
+            }
+            
+            if (i < customers.length - 1) {
+                const randomDelay = Math.floor(Math.random() * (this.bulkMaxDelaySeconds - this.bulkMinDelaySeconds + 1)) + this.bulkMinDelaySeconds;
+                logger.info(`⏳ Random delay: ${randomDelay} seconds before next message...`);
+                await this.waitInRun(run, randomDelay * 1000);
+            }
+        }
+        
+        const cancelled = run.status === 'cancelled';
+        logger.info(`🎊 Campaign ${campaign.id} ${cancelled ? 'cancelled' : 'completed'}! Success: ${run.success}, Failed: ${run.failed}, Skipped: ${run.skipped}`);
+        return { runId: run.id, success: run.success, failed: run.failed, skipped: run.skipped, cancelled };
+    }
+
+    /**
+     * Average seconds per bulk message, for time estimates
+     */
+    getAverageBulkDelaySeconds() {
+        return (this.bulkMinDelaySeconds + this.bulkMaxDelaySeconds) / 2;
+    }
+
+    slugify(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    getStatus() {
+        return {
+            initialized: this.isInitialized
+        };
+    }
+}
+
+module.exports = CampaignService;
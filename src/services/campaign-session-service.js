@@ -0,0 +1,270 @@
+/**
+ * Campaign Session Service
+ * Progress of manual-approval campaign runs, stored in the database so a restart
+ * or a second campaign never loses or overwrites the current position
+ */
+
+const crypto = require('crypto');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// Allowed status changes: action -> { from: [...], to }
+const STATUS_TRANSITIONS = {
+    pause: { from: ['active'], to: 'paused' },
+    resume: { from: ['paused'], to: 'active' },
+    cancel: { from: ['active', 'paused'], to: 'cancelled' }
+};
+
+// Which results counter each step counts towards
+const STEP_COUNTERS = {
+    sent: 'success',
+    failed: 'failed',
+    rejected: 'skipped',
+    skipped: 'skipped',
+    auto_skipped: 'skipped'
+};
+
+class CampaignSessionService {
+    constructor(database) {
+        this.database = database;
+        
+        // Sessions with a send, skip, step back or status change in progress
+        this.locks = new Set();
+    }
+
+    rowToSession(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            campaignId: row.campaign_id,
+            mode: row.mode,
+            status: row.status,
+            // Status as read, so saving progress never overwrites a pause or cancel made since
+            storedStatus: row.status,
+            customers: JSON.parse(row.customers),
+            currentIndex: row.current_index,
+            processedNumbers: new Set(JSON.parse(row.processed_numbers)),
+            results: JSON.parse(row.results),
+            history: JSON.parse(row.history || '[]'),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    /**
+     * Session details for API responses (without the full customer list)
+     */
+    toSummary(session) {
+        return {
+            id: session.id,
+            campaignId: session.campaignId,
+            mode: session.mode,
+            status: session.status,
+            totalCustomers: session.customers.length,
+            currentIndex: session.currentIndex,
+            progress: `${session.currentIndex}/${session.customers.length}`,
+            results: session.results,
+            lastAction: session.history.length > 0 ? session.history[session.history.length - 1].action : null,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt
+        };
+    }
+
+    /**
+     * Start a new manual session for a campaign
+     */
+    async createSession(campaignId, customers) {
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        
+        await this.database.run(
+            `INSERT INTO campaign_sessions
+                (id, campaign_id, mode, status, customers, current_index, processed_numbers, results, created_at, updated_at)
+             VALUES (?, ?, 'manual', 'active', ?, 0, '[]', ?, ?, ?)`,
+            [id, campaignId, JSON.stringify(customers), JSON.stringify({ success: 0, failed: 0, skipped: 0 }), now, now]
+        );
+        
+        logger.info(`🎯 Campaign session ${id} started for ${campaignId} (${customers.length} customers)`);
+        return this.getSession(id);
+    }
+
+    async getSession(sessionId) {
+        return this.rowToSession(await this.database.get('SELECT * FROM campaign_sessions WHERE id = ?', [sessionId]));
+    }
+
+    /**
+     * Most recently used session that is still active or paused
+     */
+    async getLatestOpenSession() {
+        return this.rowToSession(await this.database.get(
+            "SELECT * FROM campaign_sessions WHERE status IN ('active', 'paused') ORDER BY updated_at DESC LIMIT 1"
+        ));
+    }
+
+    async listSessions({ status = null, limit = 50 } = {}) {
+        const rows = status
+            ? await this.database.all('SELECT * FROM campaign_sessions WHERE status = ? ORDER BY updated_at DESC LIMIT ?', [status, limit])
+            : await this.database.all('SELECT * FROM campaign_sessions ORDER BY updated_at DESC LIMIT ?', [limit]);
+        return rows.map(row => this.rowToSession(row));
+    }
+
+    /**
+     * Take the lock for one session
+     * @returns {boolean} - false when another request holds it
+     */
+    lock(sessionId) {
+        if (this.locks.has(sessionId)) return false;
+        this.locks.add(sessionId);
+        return true;
+    }
+
+    unlock(sessionId) {
+        this.locks.delete(sessionId);
+    }
+
+    /**
+     * Persist position, processed numbers, results and status after each step.
+     * The status is only written when nobody changed it since the session was read
+     */
+    async saveProgress(session) {
+        if (session.status === 'active' && session.currentIndex >= session.customers.length) {
+            session.status = 'completed';
+            logger.info(`🎊 Campaign session ${session.id} completed`);
+        }
+        
+        const now = Date.now();
+        await this.database.run(
+            `UPDATE campaign_sessions SET
+                status = CASE WHEN status = ? THEN ? ELSE status END,
+                current_index = ?, processed_numbers = ?, results = ?, history = ?, updated_at = ?
+             WHERE id = ?`,
+            [
+                session.storedStatus,
+                session.status,
+                session.currentIndex,
+                JSON.stringify([...session.processedNumbers]),
+                JSON.stringify(session.results),
+                JSON.stringify(session.history),
+                now,
+                session.id
+            ]
+        );
+        
+        const stored = await this.database.get('SELECT status FROM campaign_sessions WHERE id = ?', [session.id]);
+        if (stored.status !== session.status) {
+            logger.warn(`⚠️ Campaign session ${session.id} was set to ${stored.status} in the meantime, keeping it`);
+        }
+        session.status = stored.status;
+        session.storedStatus = stored.status;
+        session.updatedAt = new Date(now).toISOString();
+    }
+
+    /**
+     * Record the outcome for the current customer and move to the next one
+     * @param {string} action - sent | failed | rejected | skipped | auto_skipped
+     */
+    recordStep(session, { action, phone = null, reason = null }) {
+        session.history.push({ index: session.currentIndex, action, phone, reason, at: Date.now() });
+        session.results[STEP_COUNTERS[action]]++;
+        
+        if (action === 'sent' || action === 'failed') {
+            session.processedNumbers.add(phone);
+        }
+        
+        session.currentIndex++;
+    }
+
+    /**
+     * Go back to the last customer the operator decided on, reverting the counters.
+     * Auto-skipped rows after that decision are rewound too and get checked again.
+     * Sent messages cannot be taken back, so stepping back over one is refused -
+     * the festival duplicate history keeps the number, matching what the customer received.
+     * @param {string} onlyAction - Only step back if the last decision was this action (e.g. 'rejected')
+     * @returns {Object} - The reverted decision
+     */
+    stepBack(session, { onlyAction = null } = {}) {
+        let decisionIndex = session.history.length - 1;
+        while (decisionIndex >= 0 && session.history[decisionIndex].action === 'auto_skipped') {
+            decisionIndex--;
+        }
+        
+        if (decisionIndex < 0) {
+            throw this.createError('Nothing to go back to', 400);
+        }
+        
+        const decision = session.history[decisionIndex];
+        if (onlyAction && decision.action !== onlyAction) {
+            throw this.createError(`Last action was ${decision.action}, not ${onlyAction}`, 409);
+        }
+        if (decision.action === 'sent') {
+            throw this.createError(`Message already sent to ${decision.phone} - it cannot be taken back`, 409);
+        }
+        
+        for (const entry of session.history.splice(decisionIndex)) {
+            session.results[STEP_COUNTERS[entry.action]]--;
+            
+            // A failed send can be retried once we are back on that customer
+            if (entry.action === 'failed') {
+                session.processedNumbers.delete(entry.phone);
+            }
+        }
+        
+        session.currentIndex = decision.index;
+        if (session.status === 'completed') {
+            session.status = 'active';
+        }
+        
+        logger.info(`↩️ Campaign session ${session.id}: reverted ${decision.action} at row ${decision.index + 1}`);
+        return decision;
+    }
+
+    /**
+     * Pause, resume or cancel a session. Refused while a send, skip or step back holds the session,
+     * and only the status is written so the position saved by the last step stays as it is
+     * @param {string} action - pause | resume | cancel
+     */
+    async changeStatus(sessionId, action) {
+        const transition = STATUS_TRANSITIONS[action];
+        
+        if (!this.lock(sessionId)) {
+            throw this.createError(`Campaign session ${sessionId} is busy with another send, skip, step back or status change - try again`, 409);
+        }
+        
+        try {
+            const session = await this.getSession(sessionId);
+            
+            if (!session) {
+                throw this.createError(`Campaign session not found: ${sessionId}`, 404);
+            }
+            if (!transition.from.includes(session.status)) {
+                throw this.createError(`Cannot ${action} a ${session.status} session`, 409);
+            }
+            
+            const now = Date.now();
+            const result = await this.database.run(
+                'UPDATE campaign_sessions SET status = ?, updated_at = ? WHERE id = ? AND status = ?',
+                [transition.to, now, sessionId, session.status]
+            );
+            if (result.changes !== 1) {
+                throw this.createError(`Campaign session ${sessionId} changed in the meantime - try again`, 409);
+            }
+            
+            session.status = transition.to;
+            session.storedStatus = transition.to;
+            session.updatedAt = new Date(now).toISOString();
+            
+            logger.info(`🎯 Campaign session ${sessionId}: ${action} -> ${session.status}`);
+            return session;
+        } finally {
+            this.unlock(sessionId);
+        }
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = CampaignSessionService;
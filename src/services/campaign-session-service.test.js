@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./database-service');
+const CampaignSessionService = require('./campaign-session-service');
+
+describe('CampaignSessionService', () => {
+    let directory;
+    let database;
+    let sessions;
+    let session;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-session-'));
+        database = new DatabaseService({ dbPath: path.join(directory, 'bot.db') });
+        await database.initialize();
+        sessions = new CampaignSessionService(database);
+        session = await sessions.createSession('diwali-2025', [
+            { name: 'Ravi', phone: '9876543210' },
+            { name: 'Sita', phone: '9876543211' }
+        ]);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('saveProgress', () => {
+        test('keeps a pause made while the step was being sent', async () => {
+            const approving = await sessions.getSession(session.id);
+            await sessions.changeStatus(session.id, 'pause');
+            
+            sessions.recordStep(approving, { action: 'sent', phone: '919876543210' });
+            await sessions.saveProgress(approving);
+            
+            expect(approving.status).toBe('paused');
+            expect(await sessions.getSession(session.id)).toMatchObject({ status: 'paused', currentIndex: 1, results: { success: 1, failed: 0, skipped: 0 } });
+        });
+        
+        test('completes the session after the last customer', async () => {
+            sessions.recordStep(session, { action: 'sent', phone: '919876543210' });
+            sessions.recordStep(session, { action: 'rejected', phone: '919876543211' });
+            await sessions.saveProgress(session);
+            
+            expect((await sessions.getSession(session.id)).status).toBe('completed');
+        });
+    });
+
+    describe('changeStatus', () => {
+        test('writes only the status, not an older position', async () => {
+            const stepped = await sessions.getSession(session.id);
+            sessions.recordStep(stepped, { action: 'skipped', phone: '919876543210', reason: 'Shop closed' });
+            await sessions.saveProgress(stepped);
+            
+            await sessions.changeStatus(session.id, 'cancel');
+            
+            expect(await sessions.getSession(session.id)).toMatchObject({ status: 'cancelled', currentIndex: 1, results: { skipped: 1 } });
+        });
+        
+        test('is refused while a send holds the session', async () => {
+            sessions.lock(session.id);
+            
+            await expect(sessions.changeStatus(session.id, 'pause')).rejects.toMatchObject({ statusCode: 409 });
+            expect((await sessions.getSession(session.id)).status).toBe('active');
+            
+            sessions.unlock(session.id);
+            await expect(sessions.changeStatus(session.id, 'pause')).resolves.toMatchObject({ status: 'paused' });
+        });
+        
+        test('rejects a change the current status does not allow', async () => {
+            await expect(sessions.changeStatus(session.id, 'resume')).rejects.toMatchObject({
+                statusCode: 409,
+                message: 'Cannot resume a active session'
+            });
+            await expect(sessions.changeStatus('missing', 'pause')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
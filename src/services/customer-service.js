@@ -0,0 +1,207 @@
+/**
+ * Customer Service
+ * Stores customers and the orders we have seen for them in the database
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+const LanguageUtils = require('../utils/language-utils');
+
+class CustomerService {
+    constructor(database) {
+        this.database = database;
+        this.dateUtils = new DateUtils();
+        this.languageUtils = new LanguageUtils();
+    }
+
+    /**
+     * Create or update a customer record
+     */
+    async upsertCustomer({ phone, name = null, customerType = null, lastOrderAt = null }) {
+        if (!phone) return;
+        
+        const now = Date.now();
+        await this.database.run(
+            `INSERT INTO customers (phone, name, customer_type, first_seen_at, last_order_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (phone) DO UPDATE SET
+                name = COALESCE(excluded.name, customers.name),
+                customer_type = COALESCE(excluded.customer_type, customers.customer_type),
+                last_order_at = MAX(COALESCE(customers.last_order_at, 0), COALESCE(excluded.last_order_at, 0)),
+                updated_at = excluded.updated_at`,
+            [phone, name || null, customerType || null, now, lastOrderAt, now]
+        );
+    }
+
+    /**
+     * Create or update an order from webhook/sheet order data
+     */
+    async upsertOrder(orderData, sheetName = null, sheetRow = null) {
+        if (!orderData || !orderData.order_id) return;
+        
+        const now = Date.now();
+        const phone = orderData.phone_number || orderData.phone || null;
+        
+        await this.database.run(
+            `INSERT INTO orders (order_id, phone, customer_name, order_type, sheet_name, sheet_row, garment_type,
+                total_amount, advance_payment, remaining_amount, delivery_date, delivery_status, order_data, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (order_id) DO UPDATE SET
+                phone = COALESCE(excluded.phone, orders.phone),
+                customer_name = COALESCE(excluded.customer_name, orders.customer_name),
+                order_type = COALESCE(excluded.order_type, orders.order_type),
+                sheet_name = COALESCE(excluded.sheet_name, orders.sheet_name),
+                sheet_row = COALESCE(excluded.sheet_row, orders.sheet_row),
+                garment_type = COALESCE(excluded.garment_type, orders.garment_type),
+                total_amount = excluded.total_amount,
+                advance_payment = excluded.advance_payment,
+                remaining_amount = excluded.remaining_amount,
+                delivery_date = COALESCE(excluded.delivery_date, orders.delivery_date),
+                delivery_status = COALESCE(excluded.delivery_status, orders.delivery_status),
+                order_data = excluded.order_data,
+                updated_at = excluded.updated_at`,
+            [
+                orderData.order_id.toString(),
+                phone,
+                orderData.customer_name || null,
+                orderData.order_type || null,
+                sheetName || orderData.sheet_name || null,
+                sheetRow || orderData.sheet_row || null,
+                orderData.garment_type || null,
+                parseFloat(orderData.total_amount) || 0,
+                parseFloat(orderData.advance_payment || orderData.advance_amount) || 0,
+                parseFloat(orderData.remaining_amount) || 0,
+                orderData.delivery_date || null,
+                orderData.delivery_status || null,
+                JSON.stringify(orderData),
+                now,
+                now
+            ]
+        );
+        
+        if (phone) {
+            await this.upsertCustomer({
+                phone,
+                name: orderData.customer_name,
+                customerType: orderData.customer_type,
+                lastOrderAt: this.dateUtils.parseSheetDate(orderData.order_date) || now
+            });
+        }
+    }
+
+    /**
+     * Import every order from the Tailor, Fabric and Combine sheets so segments
+     * cover customers who have not had a notification since the database was added
+     * @returns {Promise<Object>} - { orders, customers, failed }
+     */
+    async syncFromSheets(googleSheetsService) {
+        logger.info('🔄 Syncing customers and orders from Google Sheets...');
+        
+        const orders = await googleSheetsService.getAllOrders();
+        const phones = new Set();
+        let failed = 0;
+        
+        for (const order of orders) {
+            try {
+                await this.upsertOrder(order, order.sheet_name, order.sheet_row);
+                if (order.phone_number) phones.add(order.phone_number);
+            } catch (error) {
+                failed++;
+                logger.warn(`⚠️ Failed to sync order ${order.order_id}: ${error.message}`);
+            }
+        }
+        
+        logger.info(`✅ Synced ${orders.length - failed} orders for ${phones.size} customers from Google Sheets`);
+        return { orders: orders.length - failed, customers: phones.size, failed };
+    }
+
+    async getCustomer(phone) {
+        return this.database.get('SELECT * FROM customers WHERE phone = ?', [phone]);
+    }
+
+    /**
+     * @returns {Promise<string|null>} - Stored language preference, null when the customer has none
+     */
+    async getLanguage(phone) {
+        if (!phone) return null;
+        
+        const row = await this.database.get('SELECT language FROM customers WHERE phone = ?', [phone]);
+        return row ? row.language : null;
+    }
+
+    /**
+     * Store a customer's language preference
+     * @param {string} source - Where it came from: 'sheet' or 'customer' (WhatsApp reply)
+     * @returns {Promise<string>} - The language code that was stored
+     */
+    async setLanguage(phone, language, source) {
+        const code = this.languageUtils.normalize(language);
+        if (!code) {
+            throw this.createError(`Unsupported language: ${language}. Languages: ${Object.keys(LanguageUtils.LANGUAGES).join(', ')}`, 400);
+        }
+        
+        const now = Date.now();
+        await this.database.run(
+            `INSERT INTO customers (phone, first_seen_at, updated_at, language, language_source)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (phone) DO UPDATE SET
+                language = excluded.language,
+                language_source = excluded.language_source,
+                updated_at = excluded.updated_at`,
+            [phone, now, now, code, source]
+        );
+        
+        logger.info(`🌐 Language for ${phone} set to ${code} (${source})`);
+        return code;
+    }
+
+    /**
+     * Language to message a customer in
+     * A language the customer asked for over WhatsApp wins; otherwise the sheet's Language column
+     * is used (and stored, unless save is false), then the stored preference
+     * @returns {Promise<string|null>} - null when nothing is known (templates fall back to Hindi)
+     */
+    async resolveLanguage(phone, sheetLanguage = null, save = true) {
+        const fromSheet = this.languageUtils.normalize(sheetLanguage);
+        if (!phone) return fromSheet;
+        
+        const customer = await this.getCustomer(phone);
+        if (customer && customer.language && customer.language_source === 'customer') {
+            return customer.language;
+        }
+        
+        if (fromSheet) {
+            if (save && (!customer || customer.language !== fromSheet)) {
+                await this.setLanguage(phone, fromSheet, 'sheet');
+            }
+            return fromSheet;
+        }
+        
+        return customer ? customer.language : null;
+    }
+
+    async getOrdersByPhone(phone) {
+        const rows = await this.database.all('SELECT * FROM orders WHERE phone = ? ORDER BY updated_at DESC', [phone]);
+        return rows.map(row => ({ ...row, order_data: row.order_data ? JSON.parse(row.order_data) : null }));
+    }
+
+    /**
+     * Record the customer and order behind an outgoing notification
+     * Failures are logged only - the message itself has already been sent
+     */
+    async recordOrderActivity(orderData, sheetName, sheetRow) {
+        try {
+            await this.upsertOrder(orderData, sheetName, sheetRow);
+        } catch (error) {
+            logger.warn(`⚠️ Failed to store order ${orderData?.order_id}: ${error.message}`);
+        }
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = CustomerService;
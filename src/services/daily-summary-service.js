@@ -0,0 +1,234 @@
+/**
+ * Daily Summary Service
+ * End-of-day report for the owner, worked out from the three order sheets and the bot's send log:
+ * new orders, orders made ready and picked up, money collected and outstanding, messages,
+ * campaign progress and orders past their delivery date
+ */
+
+const DateUtils = require('../utils/date-utils');
+const { SHEET_NAMES } = require('./google-sheets-service');
+
+// Combine Orders rows repeat a tailoring and a fabric order - the figures use the individual orders
+const ORDER_SHEETS = [SHEET_NAMES.TAILOR_ORDERS, SHEET_NAMES.FABRIC_ORDERS];
+
+// Same status words as the message types (config/message-types.js)
+const READY_STATUSES = ['ready', 'completed'];
+const PICKED_UP_STATUSES = ['delivered', 'picked'];
+
+// Overdue orders listed by name - the rest are only counted
+const MAX_OVERDUE_LISTED = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DailySummaryService {
+    constructor(googleSheetsService, messageHistory, campaignSessionService, paymentService = null) {
+        this.googleSheetsService = googleSheetsService;
+        this.messageHistory = messageHistory;
+        this.campaignSessionService = campaignSessionService;
+        this.paymentService = paymentService;
+        this.dateUtils = new DateUtils();
+    }
+
+    /**
+     * Check the options of a scheduled daily_summary job
+     * @returns {Object} - { phone } - defaults to WHATSAPP_ADMIN_PHONE
+     */
+    getOptions(options = {}) {
+        for (const name of Object.keys(options)) {
+            if (name !== 'phone') {
+                throw this.createError(`Unknown daily_summary option: ${name}. Options: phone`, 400);
+            }
+        }
+        
+        const phone = options.phone || process.env.WHATSAPP_ADMIN_PHONE;
+        if (!phone || (phone.toString().replace(/\D/g, '')).length < 10) {
+            throw this.createError('A phone number is needed - set WHATSAPP_ADMIN_PHONE or pass options.phone', 400);
+        }
+        
+        return { phone: phone.toString() };
+    }
+
+    /**
+     * Today's figures
+     * @returns {Promise<Object>} - { date, orders, money, messages, campaigns, overdue }
+     */
+    async buildSummary() {
+        const since = this.dateUtils.startOfDay();
+        const allOrders = await this.googleSheetsService.getAllOrders();
+        const orders = allOrders.filter(order => ORDER_SHEETS.includes(order.sheet_name));
+        
+        const isToday = (value) => (this.dateUtils.parseDate(value) || 0) >= since;
+        const newOrders = orders.filter(order => isToday(order.order_date));
+        const readyToday = orders.filter(order => isToday(order.ready_notified_date));
+        const waitingForPickup = orders.filter(order =>
+            this.hasStatus(order, READY_STATUSES) && !this.hasStatus(order, PICKED_UP_STATUSES)
+        );
+        
+        // Sheets have no pickup date - an order counts as picked up today when pickup_complete went out today
+        const pickedUpIds = new Set(await this.messageHistory.getSentOrderIds(['pickup_complete'], since));
+        const pickedUp = orders.filter(order => pickedUpIds.has(order.order_id.toString()));
+        
+        const outstandingOrders = orders.filter(order => this.getAmount(order.remaining_amount) > 0 &&
+            (order.payment_status || '').toString().toLowerCase() !== 'paid');
+        
+        const money = {
+            advances: this.sum(newOrders, 'advance_payment'),
+            atPickup: this.sum(pickedUp, 'paid_today'),
+            confirmedPayments: 0,
+            pendingClaims: 0,
+            outstanding: this.sum(outstandingOrders, 'remaining_amount'),
+            outstandingOrders: outstandingOrders.length
+        };
+        if (this.paymentService) {
+            // Payments confirmed on an order picked up today are already in its Paid Today
+            const confirmed = await this.paymentService.listClaims({ status: 'confirmed' });
+            money.confirmedPayments = confirmed
+                .filter(claim => new Date(claim.resolvedAt).getTime() >= since && !pickedUpIds.has(claim.orderId))
+                .reduce((total, claim) => total + (claim.confirmedAmount || 0), 0);
+            money.pendingClaims = (await this.paymentService.getSummary(since)).pending;
+        }
+        money.collected = money.advances + money.atPickup + money.confirmedPayments;
+        
+        const openSessions = [
+            ...await this.campaignSessionService.listSessions({ status: 'active' }),
+            ...await this.campaignSessionService.listSessions({ status: 'paused' })
+        ];
+        
+        return {
+            date: this.dateUtils.formatSheetDate(since),
+            orders: {
+                new: newOrders.length,
+                newValue: this.sum(newOrders, 'total_amount'),
+                ready: readyToday.length,
+                pickedUp: pickedUp.length,
+                waitingForPickup: waitingForPickup.length
+            },
+            money,
+            messages: await this.messageHistory.getSendSummary(since),
+            campaigns: {
+                sentToday: await this.messageHistory.getCampaignSendSummary(since),
+                openSessions: openSessions.map(session => this.campaignSessionService.toSummary(session))
+            },
+            overdue: this.getOverdueOrders(orders, since)
+        };
+    }
+
+    /**
+     * Orders not ready or picked up whose delivery date is before today, most days late first
+     */
+    getOverdueOrders(orders, today = this.dateUtils.startOfDay()) {
+        return orders
+            .filter(order => !this.hasStatus(order, [...READY_STATUSES, ...PICKED_UP_STATUSES]))
+            .map(order => ({ order, dueAt: this.dateUtils.parseDate(order.delivery_date) }))
+            .filter(({ dueAt }) => dueAt !== null && dueAt < today)
+            .map(({ order, dueAt }) => ({
+                orderId: order.order_id,
+                customerName: order.customer_name,
+                phone: order.phone_number,
+                sheetName: order.sheet_name,
+                deliveryDate: order.delivery_date,
+                deliveryStatus: order.delivery_status || '',
+                daysLate: Math.ceil((today - dueAt) / DAY_MS),
+                // Times staff already moved the Delivery Date (column AE)
+                delayCount: order.delivery_delay_count || 0
+            }))
+            .sort((a, b) => b.daysLate - a.daysLate);
+    }
+
+    /**
+     * WhatsApp text of the summary
+     */
+    formatSummary(summary) {
+        const { orders, money, messages, campaigns, overdue } = summary;
+        const lines = [
+            `📋 *Daily summary - ${summary.date}*`,
+            '',
+            '🧵 *Orders*',
+            `New: ${orders.new} (${this.formatAmount(orders.newValue)})`,
+            `Marked ready: ${orders.ready}`,
+            `Picked up: ${orders.pickedUp}`,
+            `Ready, waiting for pickup: ${orders.waitingForPickup}`,
+            '',
+            '💰 *Money*',
+            `Collected: ${this.formatAmount(money.collected)} (advances ${this.formatAmount(money.advances)}, ` +
+                `at pickup ${this.formatAmount(money.atPickup)}, UPI confirmed ${this.formatAmount(money.confirmedPayments)})`,
+            `Outstanding: ${this.formatAmount(money.outstanding)} on ${money.outstandingOrders} orders`
+        ];
+        if (money.pendingClaims > 0) {
+            lines.push(`Payments to verify: ${money.pendingClaims}`);
+        }
+        
+        lines.push(
+            '',
+            '📨 *Messages*',
+            `Sent: ${messages.sent}, failed: ${messages.failed} (delivered ${messages.delivered}, read ${messages.read})`
+        );
+        
+        if (campaigns.sentToday.length > 0 || campaigns.openSessions.length > 0) {
+            lines.push('', '🎯 *Campaigns*');
+            campaigns.sentToday.forEach(campaign => {
+                lines.push(`${campaign.campaignId}: ${campaign.sent} sent today, ${campaign.failed} failed`);
+            });
+            campaigns.openSessions.forEach(session => {
+                lines.push(`${session.campaignId} session ${session.status}: ${session.progress}`);
+            });
+        }
+        
+        lines.push('');
+        if (overdue.length === 0) {
+            lines.push('✅ No orders past their delivery date');
+        } else {
+            lines.push(`⏰ *Overdue (${overdue.length})*`);
+            overdue.slice(0, MAX_OVERDUE_LISTED).forEach(order => {
+                const status = order.deliveryStatus ? `, ${order.deliveryStatus}` : '';
+                lines.push(`${order.orderId} ${order.customerName || ''} - due ${order.deliveryDate} (${order.daysLate} day${order.daysLate === 1 ? '' : 's'} late${status})`);
+            });
+            if (overdue.length > MAX_OVERDUE_LISTED) {
+                lines.push(`...and ${overdue.length - MAX_OVERDUE_LISTED} more`);
+            }
+        }
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Scheduled job result - the figures without the overdue order list
+     */
+    toJobResult(summary, phone) {
+        return {
+            phone,
+            date: summary.date,
+            orders: summary.orders,
+            money: summary.money,
+            messages: summary.messages,
+            overdue: summary.overdue.length
+        };
+    }
+
+    hasStatus(order, words) {
+        const status = (order.delivery_status || '').toString().toLowerCase();
+        return words.some(word => status.includes(word));
+    }
+
+    getAmount(value) {
+        return parseFloat(value) || 0;
+    }
+
+    sum(orders, field) {
+        return Math.round(orders.reduce((total, order) => total + this.getAmount(order[field]), 0) * 100) / 100;
+    }
+
+    formatAmount(amount) {
+        return `₹${(amount || 0).toLocaleString('en-IN')}`;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+DailySummaryService.MAX_OVERDUE_LISTED = MAX_OVERDUE_LISTED;
+
+module.exports = DailySummaryService;
@@ -0,0 +1,484 @@
+/**
+ * Database Service
+ * SQLite store for the bot's data, with the schema kept up to date by the migrations below
+ */
+
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// Schema migrations - applied in order, each one exactly once.
+// Never edit a released migration; add a new one instead.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS customers (
+                phone TEXT PRIMARY KEY,
+                name TEXT,
+                customer_type TEXT,
+                first_seen_at INTEGER NOT NULL,
+                last_order_at INTEGER,
+                updated_at INTEGER NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS orders (
+                order_id TEXT PRIMARY KEY,
+                phone TEXT,
+                customer_name TEXT,
+                order_type TEXT,
+                sheet_name TEXT,
+                sheet_row INTEGER,
+                garment_type TEXT,
+                total_amount REAL DEFAULT 0,
+                advance_payment REAL DEFAULT 0,
+                remaining_amount REAL DEFAULT 0,
+                delivery_date TEXT,
+                delivery_status TEXT,
+                order_data TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_orders_phone ON orders (phone)',
+            `CREATE TABLE IF NOT EXISTS sent_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dedupe_key TEXT UNIQUE,
+                phone TEXT NOT NULL,
+                order_id TEXT,
+                message_type TEXT NOT NULL,
+                sheet_type TEXT,
+                content_hash TEXT,
+                content_preview TEXT,
+                whatsapp_message_id TEXT,
+                success INTEGER NOT NULL DEFAULT 1,
+                error_message TEXT,
+                sent_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_sent_messages_phone ON sent_messages (phone)',
+            'CREATE INDEX IF NOT EXISTS idx_sent_messages_order ON sent_messages (order_id, message_type)',
+            'CREATE INDEX IF NOT EXISTS idx_sent_messages_sent_at ON sent_messages (sent_at)',
+            `CREATE TABLE IF NOT EXISTS delivery_status (
+                whatsapp_message_id TEXT PRIMARY KEY,
+                phone TEXT,
+                status TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS campaigns (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                template_id TEXT,
+                media_path TEXT,
+                offer_start TEXT,
+                offer_end TEXT,
+                dedupe_key TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS campaign_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dedupe_key TEXT NOT NULL,
+                phone TEXT NOT NULL,
+                sent_at INTEGER NOT NULL,
+                UNIQUE (dedupe_key, phone)
+            )`,
+            `CREATE TABLE IF NOT EXISTS statistics (
+                key TEXT PRIMARY KEY,
+                value INTEGER NOT NULL DEFAULT 0,
+                updated_at INTEGER NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS queue_jobs (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                failed_at INTEGER
+            )`
+        ]
+    },
+    {
+        version: 2,
+        name: 'campaign_content',
+        statements: [
+            'ALTER TABLE campaigns ADD COLUMN media_type TEXT',
+            'ALTER TABLE campaigns ADD COLUMN template_text TEXT',
+            'ALTER TABLE campaigns ADD COLUMN variables TEXT'
+        ]
+    },
+    {
+        version: 3,
+        name: 'campaign_sessions',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS campaign_sessions (
+                id TEXT PRIMARY KEY,
+                campaign_id TEXT NOT NULL,
+                mode TEXT NOT NULL DEFAULT 'manual',
+                status TEXT NOT NULL,
+                customers TEXT NOT NULL,
+                current_index INTEGER NOT NULL DEFAULT 0,
+                processed_numbers TEXT NOT NULL DEFAULT '[]',
+                results TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_campaign_sessions_status ON campaign_sessions (status, updated_at)'
+        ]
+    },
+    {
+        version: 4,
+        name: 'campaign_session_history',
+        statements: [
+            "ALTER TABLE campaign_sessions ADD COLUMN history TEXT NOT NULL DEFAULT '[]'"
+        ]
+    },
+    {
+        version: 5,
+        name: 'audiences',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS audiences (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                source_file TEXT,
+                format TEXT,
+                name_column TEXT,
+                phone_column TEXT,
+                customers TEXT NOT NULL,
+                errors TEXT NOT NULL DEFAULT '[]',
+                total_rows INTEGER NOT NULL DEFAULT 0,
+                customer_count INTEGER NOT NULL DEFAULT 0,
+                error_count INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 6,
+        name: 'segments',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS segments (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT,
+                filters TEXT NOT NULL DEFAULT '{}',
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_campaign_messages_phone ON campaign_messages (phone)'
+        ]
+    },
+    {
+        version: 7,
+        name: 'scheduled_jobs',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                schedule_type TEXT NOT NULL,
+                run_at INTEGER,
+                cron_expression TEXT,
+                options TEXT NOT NULL DEFAULT '{}',
+                status TEXT NOT NULL,
+                run_count INTEGER NOT NULL DEFAULT 0,
+                last_run_at INTEGER,
+                last_result TEXT,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (status, run_at)'
+        ]
+    },
+    {
+        version: 8,
+        name: 'template_settings',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS template_settings (
+                template_id TEXT PRIMARY KEY,
+                enabled INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 9,
+        name: 'customer_language',
+        statements: [
+            'ALTER TABLE customers ADD COLUMN language TEXT',
+            'ALTER TABLE customers ADD COLUMN language_source TEXT'
+        ]
+    },
+    {
+        version: 10,
+        name: 'media_assets',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS media_assets (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                original_name TEXT,
+                media_type TEXT NOT NULL,
+                mime_type TEXT,
+                size INTEGER NOT NULL DEFAULT 0,
+                tags TEXT NOT NULL DEFAULT '[]',
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'ALTER TABLE campaigns ADD COLUMN media_id TEXT'
+        ]
+    },
+    {
+        version: 11,
+        name: 'receipts',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS receipts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                receipt_number TEXT UNIQUE,
+                order_id TEXT NOT NULL,
+                phone TEXT,
+                kind TEXT NOT NULL,
+                file_path TEXT,
+                data_hash TEXT NOT NULL,
+                total_amount REAL NOT NULL DEFAULT 0,
+                remaining_amount REAL NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_receipts_order ON receipts (order_id, created_at)'
+        ]
+    },
+    {
+        version: 12,
+        name: 'payment_claims',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS payment_claims (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone TEXT NOT NULL,
+                customer_name TEXT,
+                amount REAL,
+                order_id TEXT,
+                open_orders TEXT NOT NULL DEFAULT '[]',
+                message_text TEXT,
+                screenshot_path TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                confirmed_amount REAL,
+                resolution_note TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                resolved_at INTEGER
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_payment_claims_status ON payment_claims (status, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_payment_claims_phone ON payment_claims (phone, created_at)'
+        ]
+    },
+    {
+        version: 13,
+        name: 'admin_commands',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS admin_commands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone TEXT NOT NULL,
+                role TEXT,
+                command TEXT NOT NULL,
+                args TEXT,
+                status TEXT NOT NULL,
+                reply TEXT,
+                error_message TEXT,
+                created_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_admin_commands_created ON admin_commands (created_at)'
+        ]
+    },
+    {
+        version: 14,
+        name: 'delivery_delays',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS delivery_delays (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id TEXT NOT NULL,
+                sheet_name TEXT NOT NULL,
+                phone TEXT,
+                previous_date TEXT,
+                new_date TEXT NOT NULL,
+                delay_count INTEGER NOT NULL,
+                reason TEXT,
+                changed_by TEXT,
+                customer_notified INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_delivery_delays_order ON delivery_delays (order_id, created_at)'
+        ]
+    },
+    {
+        version: 15,
+        name: 'measurement_profiles',
+        statements: [
+            // measurements: JSON { garment: { values, notes, measuredBy, updatedAt } }
+            `CREATE TABLE IF NOT EXISTS measurement_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone TEXT NOT NULL,
+                person_name TEXT NOT NULL,
+                relation TEXT,
+                notes TEXT,
+                measurements TEXT NOT NULL DEFAULT '{}',
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_measurement_profiles_person ON measurement_profiles (phone, person_name COLLATE NOCASE)'
+        ]
+    }
+];
+
+class DatabaseService {
+    constructor(options = {}) {
+        this.dbPath = options.dbPath || process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'tailor-bot.db');
+        this.db = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Open the database and apply pending schema migrations
+     */
+    async initialize() {
+        try {
+            logger.info('🔄 Initializing database...');
+            
+            const dir = path.dirname(this.dbPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            
+            this.db = await new Promise((resolve, reject) => {
+                const db = new sqlite3.Database(this.dbPath, (error) => error ? reject(error) : resolve(db));
+            });
+            
+            await this.exec('PRAGMA journal_mode = WAL');
+            await this.exec('PRAGMA foreign_keys = ON');
+            await this.migrate();
+            
+            this.isInitialized = true;
+            logger.info(`✅ Database ready: ${this.dbPath}`);
+        
+        } catch (error) {
+            logger.error('❌ Failed to initialize database:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply migrations that have not been applied yet
+     */
+    async migrate() {
+        await this.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        )`);
+        
+        const applied = await this.all('SELECT version FROM schema_migrations');
+        const appliedVersions = new Set(applied.map(row => row.version));
+        
+        for (const migration of MIGRATIONS) {
+            if (appliedVersions.has(migration.version)) continue;
+            
+            await this.transaction(async () => {
+                for (const statement of migration.statements) {
+                    await this.exec(statement);
+                }
+                await this.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, Date.now()]
+                );
+            });
+            
+            logger.info(`📊 Applied database migration ${migration.version}: ${migration.name}`);
+        }
+    }
+
+    /**
+     * Run a statement (INSERT/UPDATE/DELETE)
+     * @returns {Promise<{lastID: number, changes: number}>}
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                if (error) return reject(error);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Get the first matching row
+     */
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (error, row) => error ? reject(error) : resolve(row || null));
+        });
+    }
+
+    /**
+     * Get all matching rows
+     */
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows || []));
+        });
+    }
+
+    /**
+     * Execute raw SQL without parameters
+     */
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * Run a function inside a transaction
+     */
+    async transaction(fn) {
+        await this.exec('BEGIN');
+        try {
+            const result = await fn();
+            await this.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await this.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        if (!this.db) return;
+        
+        await new Promise((resolve, reject) => {
+            this.db.close((error) => error ? reject(error) : resolve());
+        });
+        
+        this.db = null;
+        this.isInitialized = false;
+        logger.info('💾 Database closed');
+    }
+
+    /**
+     * Get database status
+     */
+    getStatus() {
+        return {
+            initialized: this.isInitialized,
+            path: this.dbPath,
+            schemaVersion: MIGRATIONS[MIGRATIONS.length - 1].version
+        };
+    }
+}
+
+module.exports = DatabaseService;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./database-service');
+
+describe('DatabaseService', () => {
+    let directory;
+    let database;
+
+    const open = async () => {
+        database = new DatabaseService({ dbPath: path.join(directory, 'data', 'bot.db') });
+        await database.initialize();
+        return database;
+    };
+
+    const appliedVersions = async () =>
+        (await database.all('SELECT version FROM schema_migrations ORDER BY version')).map(row => row.version);
+
+    const columns = async (table) =>
+        (await database.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'database-service-'));
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('migrate', () => {
+        test('creates the folder and applies every migration in order on a new database', async () => {
+            await open();
+            const { schemaVersion } = database.getStatus();
+            
+            expect(await appliedVersions()).toEqual(Array.from({ length: schemaVersion }, (_, index) => index + 1));
+            expect(await columns('queue_jobs')).toEqual(expect.arrayContaining(['id', 'type', 'payload', 'status', 'attempts', 'next_attempt_at']));
+            expect(await columns('campaign_sessions')).toContain('history');
+            expect(await columns('payment_claims')).toEqual(expect.arrayContaining(['status', 'confirmed_amount', 'resolved_at']));
+        });
+        
+        test('applies each migration only once', async () => {
+            await open();
+            await database.run(
+                'INSERT INTO customers (phone, name, first_seen_at, updated_at) VALUES (?, ?, ?, ?)',
+                ['919876543210', 'Ravi', 1, 1]
+            );
+            const before = await database.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+            await database.close();
+            
+            await open();
+            
+            expect(await database.all('SELECT version, applied_at FROM schema_migrations ORDER BY version')).toEqual(before);
+            expect(await database.get('SELECT name FROM customers WHERE phone = ?', ['919876543210'])).toEqual({ name: 'Ravi' });
+        });
+        
+        test('applies only the migrations an older database is missing', async () => {
+            await open();
+            const { schemaVersion } = database.getStatus();
+            // As if the database was last opened before migration 15 (measurement_profiles)
+            await database.exec('DROP TABLE measurement_profiles');
+            await database.run('DELETE FROM schema_migrations WHERE version = 15');
+            await database.close();
+            
+            await open();
+            
+            expect(await appliedVersions()).toHaveLength(schemaVersion);
+            expect(await columns('measurement_profiles')).toEqual(expect.arrayContaining(['phone', 'person_name']));
+        });
+    });
+
+    describe('transaction', () => {
+        test('rolls back every statement when the function throws', async () => {
+            await open();
+            
+            await expect(database.transaction(async () => {
+                await database.run(
+                    'INSERT INTO customers (phone, name, first_seen_at, updated_at) VALUES (?, ?, ?, ?)',
+                    ['919876543210', 'Ravi', 1, 1]
+                );
+                throw new Error('failed halfway');
+            })).rejects.toThrow('failed halfway');
+            
+            expect(await database.get('SELECT COUNT(*) AS count FROM customers')).toEqual({ count: 0 });
+        });
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Delivery Delay Service
+ * Orders whose Delivery Date has passed without the status reaching Ready are listed to the admins.
+ * Once staff settle on a new date it is written to the sheet (Delivery Date, Delivery Delay Count),
+ * kept in the delay history and the customer gets the delivery_delay apology with the new date
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+const MessageTypes = require('../../config/message-types');
+const { SHEET_NAMES } = require('./google-sheets-service');
+
+// Combine Orders has no Delivery Date - its tailoring and fabric orders are checked instead
+const DELAY_SHEETS = [SHEET_NAMES.TAILOR_ORDERS, SHEET_NAMES.FABRIC_ORDERS];
+
+// overdue_check job options
+const CHECK_DEFAULTS = {
+    minDaysLate: 1      // Only list orders at least this many days past their Delivery Date
+};
+
+class DeliveryDelayService {
+    /**
+     * @param {DailySummaryService} dailySummary - Works out which orders are overdue
+     */
+    constructor(database, googleSheetsService, messageQueue, dailySummary) {
+        this.database = database;
+        this.googleSheetsService = googleSheetsService;
+        this.messageQueue = messageQueue;
+        this.dailySummary = dailySummary;
+        this.dateUtils = new DateUtils();
+        this.messageTypes = new MessageTypes();
+    }
+
+    rowToDelay(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            orderId: row.order_id,
+            sheetName: row.sheet_name,
+            phone: row.phone,
+            previousDate: row.previous_date,
+            newDate: row.new_date,
+            delayCount: row.delay_count,
+            reason: row.reason,
+            changedBy: row.changed_by,
+            customerNotified: !!row.customer_notified,
+            createdAt: new Date(row.created_at).toISOString()
+        };
+    }
+
+    /**
+     * Check the options of a scheduled overdue_check job
+     * @returns {Object} - { phone, minDaysLate } - phone defaults to WHATSAPP_ADMIN_PHONE
+     */
+    getOptions(options = {}) {
+        const merged = { ...CHECK_DEFAULTS, phone: options.phone || process.env.WHATSAPP_ADMIN_PHONE };
+        for (const [name, value] of Object.entries(options)) {
+            if (name === 'phone') continue;
+            if (!(name in CHECK_DEFAULTS)) {
+                throw this.createError(`Unknown overdue_check option: ${name}. Options: phone, ${Object.keys(CHECK_DEFAULTS).join(', ')}`, 400);
+            }
+            if (!Number.isInteger(value) || value < 1) {
+                throw this.createError(`${name} must be a whole number of 1 or more`, 400);
+            }
+            merged[name] = value;
+        }
+        
+        if (!merged.phone || merged.phone.toString().replace(/\D/g, '').length < 10) {
+            throw this.createError('A phone number is needed - set WHATSAPP_ADMIN_PHONE or pass options.phone', 400);
+        }
+        
+        return { ...merged, phone: merged.phone.toString() };
+    }
+
+    /**
+     * Orders not ready or picked up whose Delivery Date has passed, most days late first
+     * @returns {Promise<Array>} - [{ orderId, customerName, phone, sheetName, deliveryDate, deliveryStatus, daysLate, delayCount }]
+     */
+    async getOverdueOrders(minDaysLate = CHECK_DEFAULTS.minDaysLate) {
+        const orders = (await this.googleSheetsService.getAllOrders())
+            .filter(order => DELAY_SHEETS.includes(order.sheet_name));
+        
+        return this.dailySummary.getOverdueOrders(orders)
+            .filter(order => order.daysLate >= minDaysLate);
+    }
+
+    /**
+     * Admin message listing overdue orders, with how to move their date
+     */
+    formatOverdueList(overdue) {
+        if (overdue.length === 0) {
+            return '✅ No orders past their delivery date';
+        }
+        
+        const lines = [`⏰ *Overdue orders (${overdue.length})*`];
+        overdue.forEach(order => {
+            const details = [
+                `${order.daysLate} day${order.daysLate === 1 ? '' : 's'} late`,
+                order.deliveryStatus,
+                order.delayCount > 0 ? `moved ${order.delayCount}x` : null
+            ].filter(Boolean).join(', ');
+            lines.push(`${order.orderId} ${order.customerName || ''} - due ${order.deliveryDate} (${details})`);
+        });
+        lines.push('', 'Set a new date and tell the customer: /delay <order ID> <dd/mm/yyyy> [reason]');
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Move an order's Delivery Date: write it and the delay count to the sheet, queue the
+     * delivery_delay message for the customer and add the change to the delay history
+     * @param {string} newDate - dd/mm/yyyy, dd/mm (this year) or ISO, today or later
+     * @param {Object} options - { reason, changedBy, notify } - notify: false only updates the sheet
+     * @returns {Promise<Object>} - { delay, order, queueJobId }
+     */
+    async rescheduleOrder(orderId, newDate, { reason = null, changedBy = null, notify = true } = {}) {
+        if (!orderId) {
+            throw this.createError('Order ID is required', 400);
+        }
+        
+        const dueAt = this.parseNewDate(newDate);
+        const order = await this.googleSheetsService.findOrderById(orderId);
+        if (!order) {
+            throw this.createError(`Order ${orderId.toString().toUpperCase()} not found in the sheets`, 404);
+        }
+        if (!DELAY_SHEETS.includes(order.sheet_name)) {
+            throw this.createError(`${order.order_id} is a combined order - move the date of its tailoring order ${order.tailor_order_id || ''}`.trim(), 400);
+        }
+        if (!this.messageTypes.isEligible('delivery_delay', order)) {
+            throw this.createError(`${order.order_id} is already ${order.delivery_status}`, 409);
+        }
+        
+        const date = this.dateUtils.formatSheetDate(dueAt);
+        if (this.dateUtils.parseDate(order.delivery_date) === dueAt) {
+            throw this.createError(`${order.order_id} is already due on ${date}`, 409);
+        }
+        
+        const delayCount = (order.delivery_delay_count || 0) + 1;
+        const updatedOrder = { ...order, ...await this.googleSheetsService.updateDeliveryDate(order, date, delayCount) };
+        
+        let job = null;
+        if (notify && order.phone_number) {
+            job = await this.messageQueue.enqueue('order_message', {
+                messageType: 'delivery_delay',
+                orderData: { ...updatedOrder, previous_delivery_date: order.delivery_date },
+                sheetName: order.sheet_name,
+                sheetRow: order.sheet_row
+            });
+        }
+        
+        const { lastID } = await this.database.run(
+            `INSERT INTO delivery_delays
+                (order_id, sheet_name, phone, previous_date, new_date, delay_count, reason, changed_by, customer_notified, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                order.order_id.toString(),
+                order.sheet_name,
+                order.phone_number || null,
+                order.delivery_date || null,
+                date,
+                delayCount,
+                reason,
+                changedBy,
+                job ? 1 : 0,
+                Date.now()
+            ]
+        );
+        
+        logger.info(`📅 ${order.order_id} moved from ${order.delivery_date || 'no date'} to ${date} (delay ${delayCount})${job ? ` - apology queued (job ${job.id})` : ''}`);
+        return {
+            delay: this.rowToDelay(await this.database.get('SELECT * FROM delivery_delays WHERE id = ?', [lastID])),
+            order: updatedOrder,
+            queueJobId: job ? job.id : null
+        };
+    }
+
+    /**
+     * Delay history, newest first
+     * @param {Object} filters - { orderId, limit }
+     */
+    async listDelays({ orderId = null, limit = 100 } = {}) {
+        const rows = orderId
+            ? await this.database.all(
+                'SELECT * FROM delivery_delays WHERE order_id = ? ORDER BY id DESC LIMIT ?',
+                [orderId.toString().trim().toUpperCase(), limit]
+            )
+            : await this.database.all('SELECT * FROM delivery_delays ORDER BY id DESC LIMIT ?', [limit]);
+        return rows.map(row => this.rowToDelay(row));
+    }
+
+    /**
+     * New delivery date typed by staff - must not be in the past. Without a year it is the next such
+     * day ("05/01" typed in December is January of next year)
+     * @returns {number} - Timestamp of the day
+     */
+    parseNewDate(value) {
+        const text = (value || '').toString().trim();
+        // "25/10" - the year is left out on WhatsApp
+        const withoutYear = /^\d{1,2}[\/\-.]\d{1,2}$/.test(text);
+        const time = this.dateUtils.parseDate(withoutYear ? `${text}/${new Date().getFullYear()}` : text);
+        
+        if (time === null) {
+            throw this.createError(`Invalid date: "${text}". Use dd/mm/yyyy, e.g. 25/10/2025`, 400);
+        }
+        
+        const day = new Date(time);
+        day.setHours(0, 0, 0, 0);
+        if (withoutYear && day.getTime() < this.dateUtils.startOfDay()) {
+            day.setFullYear(day.getFullYear() + 1);
+        }
+        if (day.getTime() < this.dateUtils.startOfDay()) {
+            throw this.createError(`The new date ${this.dateUtils.formatSheetDate(day)} is in the past`, 400);
+        }
+        return day.getTime();
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+DeliveryDelayService.CHECK_DEFAULTS = CHECK_DEFAULTS;
+
+module.exports = DeliveryDelayService;
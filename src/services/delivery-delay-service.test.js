@@ -0,0 +1,53 @@
+const DeliveryDelayService = require('./delivery-delay-service');
+
+describe('DeliveryDelayService', () => {
+    const service = new DeliveryDelayService(null, null, null, null);
+
+    // Server time, like the sheet dates
+    const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date(2025, 9, 20, 15, 30) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('parseNewDate', () => {
+        test.each([
+            ['25/10/2025', day(2025, 10, 25)],
+            ['5-11-2025', day(2025, 11, 5)],
+            ['25.10.2025 18:30', day(2025, 10, 25)],
+            ['25/10', day(2025, 10, 25)],
+            ['3/1/2026', day(2026, 1, 3)]
+        ])('%s is the start of that day', (value, expected) => {
+            expect(service.parseNewDate(value)).toBe(expected);
+        });
+        
+        test('today is allowed', () => {
+            expect(service.parseNewDate('20/10/2025')).toBe(day(2025, 10, 20));
+        });
+        
+        test('a day and month already past this year is next year', () => {
+            jest.setSystemTime(new Date(2025, 11, 28, 10, 0));
+            
+            expect(service.parseNewDate('05/01')).toBe(day(2026, 1, 5));
+            expect(service.parseNewDate('28/12')).toBe(day(2025, 12, 28));
+        });
+        
+        test('rejects a date in the past', () => {
+            expect(() => service.parseNewDate('19/10/2025')).toThrow(expect.objectContaining({
+                statusCode: 400,
+                message: expect.stringContaining('is in the past')
+            }));
+        });
+        
+        test.each(['', 'kal', '32/13/2025', null])('rejects "%s"', (value) => {
+            expect(() => service.parseNewDate(value)).toThrow(expect.objectContaining({
+                statusCode: 400,
+                message: expect.stringContaining('Invalid date')
+            }));
+        });
+    });
+});
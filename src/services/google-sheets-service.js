@@ -7,12 +7,76 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const MessageTypes = require('../../config/message-types');
+const DateUtils = require('../utils/date-utils');
+
+// Sheet names (must match the tabs used by gas-code.js)
+const SHEET_NAMES = {
+    TAILOR_ORDERS: 'Tailor Orders',
+    FABRIC_ORDERS: 'Fabric Orders',
+    COMBINED_ORDERS: 'Combine Orders'
+};
+
+// Column indexes for Tailor Orders and Fabric Orders (both sheets share the same layout)
+const ORDER_COLUMNS = {
+    ORDER_ID: 0,                    // A - Order ID
+    CUSTOMER_NAME: 1,               // B - Customer Name
+    CONTACT_NUMBER: 2,              // C - Contact Number
+    ADDRESS: 3,                     // D - Address
+    CUSTOMER_TYPE: 4,               // E - Customer Type
+    GARMENT_TYPES: 5,               // F - Garment Types
+    ORDER_DATE: 6,                  // G - Order Date
+    DELIVERY_DATE: 7,               // H - Delivery Date
+    DELIVERY_STATUS: 8,             // I - Delivery Status
+    PRICE: 9,                       // J - Price
+    ADVANCE_PAYMENT: 10,            // K - Advance Payment
+    REMAINING_AMOUNT: 11,           // L - Remaining Amount
+    PAID_TODAY: 12,                 // M - paidToday
+    PAYMENT_STATUS: 13,             // N - Payment Status
+    FESTIVAL: 14,                   // O - Festival
+    NOTES: 15,                      // P - Notes
+    CREATED_AT: 16,                 // Q - Created At
+    MASTER_ORDER_ID: 23,            // X - Master Order ID
+    READY_NOTIFIED_DATE: 24,        // Y - Ready Notified Date
+    PICKUP_REMINDER_COUNT: 25,      // Z - Pickup Reminder Count
+    LAST_PICKUP_REMINDER_DATE: 26,  // AA - Last Pickup Reminder Date
+    PAYMENT_REMINDER_COUNT: 27,     // AB - Payment Reminder Count
+    LAST_PAYMENT_REMINDER_DATE: 28, // AC - Last Payment Reminder Date
+    LANGUAGE: 29,                   // AD - Language (Hindi / English / Hinglish, empty = not set)
+    DELIVERY_DELAY_COUNT: 30        // AE - Delivery Delay Count (times the Delivery Date was moved)
+};
+
+// Column indexes for Combine Orders
+const COMBINED_COLUMNS = {
+    TIMESTAMP: 0,                   // A - Timestamp
+    COMBINED_ORDER_ID: 1,           // B - Combined Order ID
+    MASTER_ORDER_ID: 2,             // C - Master Order ID
+    CUSTOMER_NAME: 3,               // D - Customer Name
+    CONTACT_NUMBER: 4,              // E - Contact Number
+    ADDRESS: 5,                     // F - Address
+    CUSTOMER_TYPE: 6,               // G - Customer Type
+    ORDER_DATE: 7,                  // H - Order Date
+    FESTIVAL: 8,                    // I - Festival
+    NOTES: 9,                       // J - Notes
+    FABRIC_ORDER_ID: 10,            // K - Fabric Order ID
+    FABRIC_PRICE: 11,               // L - Fabric Price
+    TAILORING_ORDER_ID: 12,         // M - Tailoring Order ID
+    TAILORING_PRICE: 13,            // N - Tailoring Price
+    TOTAL_AMOUNT: 14,               // O - Total Amount
+    PAYMENT_STATUS: 15,             // P - Payment Status
+    ADVANCE_PARTIAL_PAYMENT: 16,    // Q - Advance/Partial Payment
+    REMAINING_AMOUNT: 17,           // R - Remaining Amount
+    COMBINED_ORDER_NOTIFIED: 18,    // S - Combined Order Notified
+    LANGUAGE: 19                    // T - Language
+};
 
 class GoogleSheetsService {
     constructor() {
         this.sheets = null;
         this.spreadsheetId = process.env.GOOGLE_SHEET_ID;
         this.serviceAccountPath = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+        this.messageTypes = new MessageTypes();
+        this.dateUtils = new DateUtils();
         this.isInitialized = false;
     }
 
@@ -129,33 +193,30 @@ class GoogleSheetsService {
      * Update a single cell
      */
     async updateCell(sheetName, row, column, value) {
-        const range = `${sheetName}!${column}${row}`;
-        return await this.writeSheet(sheetName, range, [[value]]);
+        // writeSheet adds the sheet name to the range
+        return await this.writeSheet(sheetName, `${column}${row}`, [[value]]);
     }
 
     /**
-     * Mark notification as sent in the sheet
+     * Mark notification as sent in the sheet - the "notified" column (and send date) the message
+     * type declares for this sheet in config/message-types.js
      */
-    async markNotificationSent(sheetName, row, notificationType) {
+    async markNotificationSent(sheetName, row, messageType) {
         try {
-            // Map notification types to column letters
-            const columnMap = {
-                'welcome': 'R',
-                'order_confirmation': 'S', 
-                'order_ready': 'T',
-                'delivery_notification': 'U',
-                'pickup_notified': 'V',
-                'payment_notified': 'W'
-            };
-
-            const column = columnMap[notificationType];
-            if (!column) {
-                logger.warn(`⚠️ Unknown notification type: ${notificationType}`);
+            if (!this.messageTypes.isKnownType(messageType)) {
+                logger.warn(`⚠️ Unknown notification type: ${messageType}`);
                 return;
             }
 
-            await this.updateCell(sheetName, row, column, 'Yes');
-            logger.info(`✅ Marked ${notificationType} as sent for row ${row} in ${sheetName}`);
+            // Reminders have no notified column in some sheets - their count is written by recordReminderSent
+            const columns = this.messageTypes.getSheetColumns(messageType, sheetName);
+            if (!columns.notified) return;
+            
+            await this.updateCell(sheetName, row, columns.notified, 'Yes');
+            if (columns.notifiedDate) {
+                await this.updateCell(sheetName, row, columns.notifiedDate, this.dateUtils.formatSheetDate());
+            }
+            logger.info(`✅ Marked ${messageType} as sent for row ${row} in ${sheetName}`);
             
         } catch (error) {
             logger.error(`❌ Failed to mark notification sent:`, error);
@@ -163,6 +224,224 @@ class GoogleSheetsService {
         }
     }
 
+    /**
+     * Write the reminder count and date after the bot sent a pickup or payment reminder
+     * (same columns gas-code.js updates for reminders it triggers)
+     */
+    async recordReminderSent(sheetName, row, messageType, count, date) {
+        const { reminderCount, reminderDate } = this.messageTypes.getSheetColumns(messageType, sheetName);
+        
+        if (!reminderCount || !reminderDate) {
+            throw new Error(`No reminder columns for ${messageType} in ${sheetName}`);
+        }
+        
+        await this.updateCell(sheetName, row, reminderCount, count);
+        await this.updateCell(sheetName, row, reminderDate, date);
+    }
+
+    /**
+     * Record a payment on an order row the way staff do by hand: Remaining Amount goes down by the
+     * amount and Paid Today is set (Combine Orders: added to Advance/Partial Payment).
+     * Payment Status is only written once nothing is left - set to Paid
+     * @param {Object} order - Order as read by getOrders (sheet_name, sheet_row and amounts)
+     * @param {number} paidToday - Paid Today to write - the amount, or more when the order was already paid on today
+     * @returns {Promise<Object>} - The written order fields
+     */
+    async recordPayment(order, amount, paidToday = amount) {
+        const row = order.sheet_row;
+        const remaining = Math.max(Math.round(((order.remaining_amount || 0) - amount) * 100) / 100, 0);
+        const paymentStatus = remaining > 0 ? order.payment_status : 'Paid';
+        const range = (from, to) => `${this.getColumnLetter(from)}${row}:${this.getColumnLetter(to)}${row}`;
+        
+        if (order.sheet_name === SHEET_NAMES.COMBINED_ORDERS) {
+            const advance = (order.advance_payment || 0) + amount;
+            await this.writeSheet(order.sheet_name, range(COMBINED_COLUMNS.ADVANCE_PARTIAL_PAYMENT, COMBINED_COLUMNS.REMAINING_AMOUNT), [[advance, remaining]]);
+            if (remaining === 0) {
+                await this.updateCell(order.sheet_name, row, this.getColumnLetter(COMBINED_COLUMNS.PAYMENT_STATUS), paymentStatus);
+            }
+            return { advance_payment: advance, remaining_amount: remaining, payment_status: paymentStatus };
+        }
+        
+        await this.writeSheet(order.sheet_name, range(ORDER_COLUMNS.REMAINING_AMOUNT, ORDER_COLUMNS.PAID_TODAY), [[remaining, paidToday]]);
+        if (remaining === 0) {
+            await this.updateCell(order.sheet_name, row, this.getColumnLetter(ORDER_COLUMNS.PAYMENT_STATUS), paymentStatus);
+        }
+        return { remaining_amount: remaining, paid_today: paidToday, payment_status: paymentStatus };
+    }
+
+    /**
+     * Set the Delivery Status of an order row ("Ready", "Delivered") - Combine Orders has no status column
+     */
+    async updateDeliveryStatus(order, status) {
+        if (order.sheet_name === SHEET_NAMES.COMBINED_ORDERS) {
+            throw new Error(`${order.sheet_name} has no Delivery Status column`);
+        }
+        
+        await this.updateCell(order.sheet_name, order.sheet_row, this.getColumnLetter(ORDER_COLUMNS.DELIVERY_STATUS), status);
+        return { delivery_status: status };
+    }
+
+    /**
+     * Move the Delivery Date of a late order and write how often it has been moved
+     * @param {string} date - New date as written to the sheet (dd/mm/yyyy)
+     */
+    async updateDeliveryDate(order, date, delayCount) {
+        if (order.sheet_name === SHEET_NAMES.COMBINED_ORDERS) {
+            throw new Error(`${order.sheet_name} has no Delivery Date column`);
+        }
+        
+        const row = order.sheet_row;
+        await this.updateCell(order.sheet_name, row, this.getColumnLetter(ORDER_COLUMNS.DELIVERY_DATE), date);
+        await this.updateCell(order.sheet_name, row, this.getColumnLetter(ORDER_COLUMNS.DELIVERY_DELAY_COUNT), delayCount);
+        return { delivery_date: date, delivery_delay_count: delayCount };
+    }
+
+    /**
+     * Column letter for a 0-based column index (0 -> A, 27 -> AB)
+     */
+    getColumnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+        }
+        return letter;
+    }
+
+    /**
+     * Read all orders from one of the order sheets as plain objects
+     */
+    async getOrders(sheetName) {
+        const rows = await this.readSheet(sheetName);
+        
+        // Skip header row, keep the 1-based sheet row number for later updates
+        return rows.slice(1)
+            .map((values, index) => this.rowToOrder(sheetName, values, index + 2))
+            .filter(order => order.order_id);
+    }
+
+    /**
+     * Read orders from the Tailor, Fabric and Combine sheets
+     */
+    async getAllOrders() {
+        const orders = [];
+        
+        for (const sheetName of Object.values(SHEET_NAMES)) {
+            try {
+                orders.push(...await this.getOrders(sheetName));
+            } catch (error) {
+                logger.warn(`⚠️ Could not read orders from ${sheetName}: ${error.message}`);
+            }
+        }
+        
+        return orders;
+    }
+
+    /**
+     * Find all orders placed from a phone number
+     */
+    async findOrdersByPhone(phoneNumber) {
+        const phoneKey = this.getPhoneKey(phoneNumber);
+        if (!phoneKey) return [];
+        
+        const orders = await this.getAllOrders();
+        return orders.filter(order => this.getPhoneKey(order.phone_number) === phoneKey);
+    }
+
+    /**
+     * Find an order by its order ID (Tailor, Fabric or Combined ID)
+     */
+    async findOrderById(orderId) {
+        if (!orderId) return null;
+        
+        const wanted = orderId.toString().trim().toUpperCase();
+        const orders = await this.getAllOrders();
+        return orders.find(order => order.order_id.toString().toUpperCase() === wanted) || null;
+    }
+
+    /**
+     * Convert a sheet row into order data using the same field names as the webhook payload
+     */
+    rowToOrder(sheetName, values, sheetRow) {
+        const cell = (index) => (values[index] !== undefined && values[index] !== null) ? values[index].toString().trim() : '';
+        const amount = (index) => parseFloat(cell(index).replace(/[^\d.-]/g, '')) || 0;
+        
+        if (sheetName === SHEET_NAMES.COMBINED_ORDERS) {
+            return {
+                order_id: cell(COMBINED_COLUMNS.COMBINED_ORDER_ID),
+                master_order_id: cell(COMBINED_COLUMNS.MASTER_ORDER_ID),
+                customer_name: cell(COMBINED_COLUMNS.CUSTOMER_NAME),
+                phone_number: this.cleanPhoneNumber(cell(COMBINED_COLUMNS.CONTACT_NUMBER)),
+                customer_type: cell(COMBINED_COLUMNS.CUSTOMER_TYPE),
+                order_date: cell(COMBINED_COLUMNS.ORDER_DATE),
+                notes: cell(COMBINED_COLUMNS.NOTES),
+                fabric_order_id: cell(COMBINED_COLUMNS.FABRIC_ORDER_ID),
+                tailor_order_id: cell(COMBINED_COLUMNS.TAILORING_ORDER_ID),
+                garment_type: 'Fabric + Tailoring',
+                delivery_date: '',
+                delivery_status: '',
+                total_amount: amount(COMBINED_COLUMNS.TOTAL_AMOUNT),
+                advance_payment: amount(COMBINED_COLUMNS.ADVANCE_PARTIAL_PAYMENT),
+                remaining_amount: amount(COMBINED_COLUMNS.REMAINING_AMOUNT),
+                payment_status: cell(COMBINED_COLUMNS.PAYMENT_STATUS),
+                language: cell(COMBINED_COLUMNS.LANGUAGE),
+                order_type: 'Combined',
+                sheet_name: sheetName,
+                sheet_row: sheetRow
+            };
+        }
+        
+        return {
+            order_id: cell(ORDER_COLUMNS.ORDER_ID),
+            master_order_id: cell(ORDER_COLUMNS.MASTER_ORDER_ID),
+            customer_name: cell(ORDER_COLUMNS.CUSTOMER_NAME),
+            phone_number: this.cleanPhoneNumber(cell(ORDER_COLUMNS.CONTACT_NUMBER)),
+            customer_type: cell(ORDER_COLUMNS.CUSTOMER_TYPE),
+            garment_type: cell(ORDER_COLUMNS.GARMENT_TYPES),
+            order_date: cell(ORDER_COLUMNS.ORDER_DATE),
+            delivery_date: cell(ORDER_COLUMNS.DELIVERY_DATE),
+            ready_date: cell(ORDER_COLUMNS.DELIVERY_DATE),
+            delivery_status: cell(ORDER_COLUMNS.DELIVERY_STATUS),
+            total_amount: amount(ORDER_COLUMNS.PRICE),
+            advance_payment: amount(ORDER_COLUMNS.ADVANCE_PAYMENT),
+            remaining_amount: amount(ORDER_COLUMNS.REMAINING_AMOUNT),
+            paid_today: amount(ORDER_COLUMNS.PAID_TODAY),
+            payment_status: cell(ORDER_COLUMNS.PAYMENT_STATUS),
+            notes: cell(ORDER_COLUMNS.NOTES),
+            ready_notified_date: cell(ORDER_COLUMNS.READY_NOTIFIED_DATE),
+            pickup_reminder_count: parseInt(cell(ORDER_COLUMNS.PICKUP_REMINDER_COUNT), 10) || 0,
+            last_pickup_reminder_date: cell(ORDER_COLUMNS.LAST_PICKUP_REMINDER_DATE),
+            payment_reminder_count: parseInt(cell(ORDER_COLUMNS.PAYMENT_REMINDER_COUNT), 10) || 0,
+            last_payment_reminder_date: cell(ORDER_COLUMNS.LAST_PAYMENT_REMINDER_DATE),
+            language: cell(ORDER_COLUMNS.LANGUAGE),
+            delivery_delay_count: parseInt(cell(ORDER_COLUMNS.DELIVERY_DELAY_COUNT), 10) || 0,
+            order_type: sheetName === SHEET_NAMES.FABRIC_ORDERS ? 'Fabric' : 'Tailor',
+            sheet_name: sheetName,
+            sheet_row: sheetRow
+        };
+    }
+
+    /**
+     * Clean phone number and add the Indian country code if missing
+     */
+    cleanPhoneNumber(phone) {
+        if (!phone) return '';
+        
+        let cleaned = phone.toString().replace(/\D/g, '');
+        if (cleaned.length === 10) {
+            cleaned = '91' + cleaned;
+        }
+        
+        return cleaned;
+    }
+
+    /**
+     * Last 10 digits of a phone number, used to compare numbers saved in different formats
+     */
+    getPhoneKey(phone) {
+        const digits = (phone || '').toString().replace(/\D/g, '');
+        return digits.length >= 10 ? digits.slice(-10) : null;
+    }
+
     /**
      * Get connection status
      */
@@ -175,4 +454,8 @@ class GoogleSheetsService {
     }
 }
 
+GoogleSheetsService.SHEET_NAMES = SHEET_NAMES;
+GoogleSheetsService.ORDER_COLUMNS = ORDER_COLUMNS;
+GoogleSheetsService.COMBINED_COLUMNS = COMBINED_COLUMNS;
+
 module.exports = GoogleSheetsService;
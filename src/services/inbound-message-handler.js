@@ -0,0 +1,540 @@
+/**
+ * Inbound Message Handler
+ * Parses customer replies, answers order status questions, sends a copy of the order receipt
+ * ("parchi"), records payments customers report ("paid 500", UPI screenshots) for staff to verify,
+ * sends the customer's saved measurements ("naap") and stores the language a customer asks for
+ * ("English", "Hindi", "Hinglish") over WhatsApp
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const LanguageUtils = require('../utils/language-utils');
+
+// Order IDs look like TXL18092517 (letters followed by date/time digits)
+const ORDER_ID_PATTERN = /\b([A-Z]{2,4}\d{6,10})\b/i;
+
+// Words customers use when asking about their order (English, Hinglish and Hindi)
+const STATUS_KEYWORDS = [
+    'status', 'order', 'orders', 'ready', 'delivery',
+    'kapde', 'kapda', 'taiyar', 'tayar', 'tyar', 'kab milega', 'kab tak',
+    'स्टेटस', 'ऑर्डर', 'आर्डर', 'तैयार', 'कपड़े', 'कपड़ा', 'कब मिलेगा'
+];
+
+// Words customers use when asking for their receipt - checked before the status keywords ("order ki parchi")
+const RECEIPT_KEYWORDS = [
+    'parchi', 'parchee', 'receipt', 'reciept', 'bill', 'invoice',
+    'पर्ची', 'रसीद', 'बिल'
+];
+
+// Words customers use when asking for their saved measurements - checked before the receipt and status keywords
+const MEASUREMENT_KEYWORDS = [
+    'measurement', 'measurements', 'naap', 'maap',
+    'नाप', 'माप'
+];
+
+// Words customers use when they report a payment - checked first ("paid 500, parchi bhejo" is a payment)
+const PAYMENT_KEYWORDS = [
+    'paid', 'payment done', 'payment kar diya', 'payment kar di', 'payment ho gaya', 'payment ho gya',
+    'pay kar diya', 'pay kar di', 'paise bhej diye', 'transfer kar diya',
+    'भुगतान कर दिया', 'पेमेंट कर दिया', 'पेमेंट हो गया', 'पैसे भेज दिए'
+];
+
+// Words within PAYMENT_NEGATION_DISTANCE words of a payment keyword that mean it was not paid yet
+// ("not paid yet", "paid nahi kiya", "kab paid karna hai")
+const PAYMENT_NEGATIONS = [
+    'not', 'didn', 'haven', 'hasn', 'will', 'when',
+    'nahi', 'nahin', 'nhi', 'abhi tak', 'kab', 'karna', 'karni', 'karenge', 'karunga',
+    'नहीं', 'नही', 'अभी तक', 'कब', 'करना', 'करेंगे'
+];
+const PAYMENT_NEGATION_DISTANCE = 3;
+
+// "₹500", "Rs. 1,200", "500 rupaye" - not digits inside an order ID or phone number
+const AMOUNT_PATTERN = /(?<![\d.])(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d{1,7}(?:\.\d{1,2})?)(?!\d|,\d)/;
+
+// Delivery statuses that mean the customer already has the order
+const CLOSED_STATUSES = ['delivered', 'picked'];
+
+// Shown in order status replies for fields staff have not entered yet
+const REPLY_DEFAULTS = {
+    hi: { garment_type: 'कपड़ा', delivery_status: 'काम चल रहा है', ready_date: 'जल्द सूचित करेंगे' },
+    en: { garment_type: 'Item', delivery_status: 'In progress', ready_date: 'We will let you know soon' },
+    hinglish: { garment_type: 'Kapda', delivery_status: 'Kaam chal raha hai', ready_date: 'Jaldi batayenge' }
+};
+
+class InboundMessageHandler {
+    constructor(whatsappClient, googleSheetsService, messageTemplates, customerService = null, receiptService = null, paymentService = null, measurementService = null) {
+        this.whatsappClient = whatsappClient;
+        this.googleSheetsService = googleSheetsService;
+        this.messageTemplates = messageTemplates;
+        this.customerService = customerService;
+        this.receiptService = receiptService;
+        this.paymentService = paymentService;
+        this.measurementService = measurementService;
+        this.adminPhone = process.env.WHATSAPP_ADMIN_PHONE || null;
+        this.languageUtils = new LanguageUtils();
+        
+        // Avoid reply loops with other bots and repeated "??" messages
+        this.replyCooldownMs = parseInt(process.env.INBOUND_REPLY_COOLDOWN_MS || '60000');
+        this.maxOrdersPerReply = 3;
+        this.lastReplyAt = new Map();
+    }
+
+    /**
+     * Handle a single incoming Baileys message
+     */
+    async handleMessage(message) {
+        const phone = this.getSenderPhone(message);
+        if (!phone) return null;
+        
+        // Replies to someone's WhatsApp status are not questions for the shop
+        if (this.isStatusReply(message)) return null;
+        
+        const text = this.extractText(message);
+        const hasImage = !!message.message?.imageMessage;
+        if (!text && !hasImage) return null;
+        
+        const intent = this.parseIntent(text, hasImage);
+        if (!intent) {
+            logger.debug(`💬 No intent detected in message from ${phone}`);
+            return null;
+        }
+        
+        if (intent.type === 'language') {
+            return this.handleLanguageRequest(phone, intent.language);
+        }
+        
+        if (intent.type === 'receipt') {
+            return this.handleReceiptRequest(phone, intent.orderId);
+        }
+        
+        if (intent.type === 'payment') {
+            return this.handlePaymentClaim(phone, message, text, intent);
+        }
+        
+        if (intent.type === 'measurement') {
+            return this.handleMeasurementRequest(phone);
+        }
+        
+        if (!this.messageTemplates.isTemplateEnabled('order_status')) {
+            logger.debug(`💬 Order status replies are disabled - not replying to ${phone}`);
+            return null;
+        }
+        
+        if (this.isOnCooldown(phone)) {
+            logger.info(`⏳ Skipping reply to ${phone} - replied recently`);
+            return null;
+        }
+        
+        logger.info(`📥 Order status request from ${phone}${intent.orderId ? ` for ${intent.orderId}` : ''}`);
+        
+        const language = await this.getLanguage(phone);
+        const reply = await this.buildOrderStatusReply(phone, intent.orderId, language);
+        await this.whatsappClient.sendMessage(phone, reply.message);
+        this.lastReplyAt.set(phone, Date.now());
+        
+        logger.info(`✅ Order status reply sent to ${phone} (${reply.orderCount} orders)`);
+        
+        return {
+            phone,
+            intent: intent.type,
+            orderId: intent.orderId,
+            orderCount: reply.orderCount
+        };
+    }
+
+    /**
+     * Store the language the customer asked for and confirm it in that language
+     * The preference is stored even when the confirmation cannot be sent
+     */
+    async handleLanguageRequest(phone, language) {
+        if (!this.customerService) {
+            logger.debug(`💬 Language request from ${phone} ignored - no customer database`);
+            return null;
+        }
+        
+        await this.customerService.setLanguage(phone, language, 'customer');
+        
+        const result = { phone, intent: 'language', language, replied: false };
+        if (!this.messageTemplates.isTemplateEnabled('language_changed') || this.isOnCooldown(phone)) {
+            return result;
+        }
+        
+        await this.whatsappClient.sendMessage(phone, this.messageTemplates.getLanguageChangedMessage({
+            language_name: this.languageUtils.getLanguageName(language),
+            shop_phone: process.env.SHOP_PHONE || '8824781960'
+        }, language));
+        this.lastReplyAt.set(phone, Date.now());
+        
+        logger.info(`✅ Language confirmation (${language}) sent to ${phone}`);
+        return { ...result, replied: true };
+    }
+
+    /**
+     * Send the sender's receipt for an order (their latest order when no ID was given) as a PDF
+     */
+    async handleReceiptRequest(phone, orderId = null) {
+        if (!this.receiptService || !this.messageTemplates.isTemplateEnabled('receipt_copy')) {
+            logger.debug(`💬 Receipt replies are disabled - not replying to ${phone}`);
+            return null;
+        }
+        if (this.isOnCooldown(phone)) {
+            logger.info(`⏳ Skipping receipt reply to ${phone} - replied recently`);
+            return null;
+        }
+        
+        logger.info(`📥 Receipt request from ${phone}${orderId ? ` for ${orderId}` : ''}`);
+        
+        const language = await this.getLanguage(phone);
+        const orders = await this.googleSheetsService.findOrdersByPhone(phone);
+        const order = orderId
+            ? orders.find(candidate => candidate.order_id.toUpperCase() === orderId)
+            : [...orders].sort((a, b) => b.sheet_row - a.sheet_row).find(candidate => candidate.order_type !== 'Combined');
+        
+        if (!order) {
+            await this.whatsappClient.sendMessage(phone, this.messageTemplates.getOrderStatusNotFoundMessage({
+                shop_phone: process.env.SHOP_PHONE || '8824781960'
+            }, language));
+            this.lastReplyAt.set(phone, Date.now());
+            return { phone, intent: 'receipt', orderId, sent: false };
+        }
+        
+        const receipt = await this.receiptService.getOrCreateReceipt(order, this.receiptService.getKindForOrder(order));
+        const caption = this.messageTemplates.getReceiptCopyMessage({
+            order_id: order.order_id,
+            receipt_number: receipt.receiptNumber,
+            remaining_amount: order.remaining_amount || 0
+        }, language);
+        
+        await this.whatsappClient.sendDocumentMessage(phone, receipt.filePath, receipt.fileName, 'application/pdf', caption);
+        this.lastReplyAt.set(phone, Date.now());
+        
+        logger.info(`✅ Receipt ${receipt.receiptNumber} sent to ${phone}`);
+        return { phone, intent: 'receipt', orderId: order.order_id, receiptNumber: receipt.receiptNumber, sent: true };
+    }
+
+    /**
+     * Send the measurements saved for the sender's phone number (the whole family)
+     */
+    async handleMeasurementRequest(phone) {
+        if (!this.measurementService || !this.messageTemplates.isTemplateEnabled('measurement_card')) {
+            logger.debug(`💬 Measurement replies are disabled - not replying to ${phone}`);
+            return null;
+        }
+        if (this.isOnCooldown(phone)) {
+            logger.info(`⏳ Skipping measurement reply to ${phone} - replied recently`);
+            return null;
+        }
+        
+        logger.info(`📥 Measurement request from ${phone}`);
+        
+        const card = await this.measurementService.buildMeasurementCard(phone);
+        await this.whatsappClient.sendMessage(phone, card.message);
+        this.lastReplyAt.set(phone, Date.now());
+        
+        logger.info(`✅ Measurements sent to ${phone} (${card.garmentCount} garments)`);
+        return { phone, intent: 'measurement', profileCount: card.profileCount, garmentCount: card.garmentCount };
+    }
+
+    /**
+     * Record a payment the customer reported for staff to verify, thank the customer and tell the admin
+     * A photo without payment words only counts when the customer has an amount due, and an uncaptioned
+     * photo only as the screenshot of a claim opened within the merge window
+     */
+    async handlePaymentClaim(phone, message, text, intent) {
+        if (!this.paymentService) {
+            logger.debug(`💬 Payment claim from ${phone} ignored - payment claims are not set up`);
+            return null;
+        }
+        
+        let screenshot = null;
+        const image = message.message?.imageMessage;
+        if (image) {
+            try {
+                screenshot = { buffer: await this.whatsappClient.downloadMessageMedia(message), mimeType: image.mimetype };
+            } catch (error) {
+                logger.warn(`⚠️ Could not download the payment screenshot from ${phone}: ${error.message}`);
+            }
+        }
+        
+        const claim = await this.paymentService.createClaim({
+            phone,
+            amount: intent.amount,
+            orderId: intent.orderId,
+            text: text || null,
+            screenshot,
+            requireOpenOrders: intent.screenshotOnly,
+            followUpOnly: intent.followUpOnly
+        });
+        if (!claim) {
+            logger.debug(`💬 Photo from ${phone} not taken as a payment - no amount due or no payment reported`);
+            return null;
+        }
+        
+        const result = { phone, intent: 'payment', claimId: claim.id, amount: claim.amount, merged: claim.merged, replied: false };
+        
+        // The second message of a claim (screenshot after "paid 500") was already answered
+        if (claim.merged) return result;
+        
+        await this.notifyAdmin(claim);
+        
+        if (!this.messageTemplates.isTemplateEnabled('payment_claim_received') || this.isOnCooldown(phone)) {
+            return result;
+        }
+        
+        const language = await this.getLanguage(phone);
+        await this.whatsappClient.sendMessage(phone, this.messageTemplates.getPaymentClaimReceivedMessage(
+            claim.amount ? { amount_paid: claim.amount } : {},
+            language
+        ));
+        this.lastReplyAt.set(phone, Date.now());
+        
+        return { ...result, replied: true };
+    }
+
+    /**
+     * Tell the admin a payment is waiting to be checked - a failure must not lose the claim
+     */
+    async notifyAdmin(claim) {
+        if (!this.adminPhone) return;
+        
+        const orders = claim.orderId
+            ? claim.orderId
+            : claim.openOrders.map(order => `${order.orderId} (₹${order.remainingAmount} due)`).join(', ') || 'no open orders';
+        const lines = [
+            `💰 *Payment to verify #${claim.id}*`,
+            `${claim.customerName || 'Customer'} (${claim.phone})`,
+            `Amount: ${claim.amount ? `₹${claim.amount}` : 'not given'}`,
+            `Order: ${orders}`,
+            `Screenshot: ${claim.hasScreenshot ? 'yes' : 'no'}`,
+            '',
+            `Reply /confirm ${claim.id} [amount] [order ID] or /reject ${claim.id}`
+        ];
+        
+        try {
+            await this.whatsappClient.sendMessage(this.adminPhone, lines.join('\n'));
+        } catch (error) {
+            logger.warn(`⚠️ Could not tell the admin about payment claim #${claim.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stored language of the sender - replies are sent in Hindi when it cannot be read
+     */
+    async getLanguage(phone) {
+        if (!this.customerService) return null;
+        
+        try {
+            return await this.customerService.getLanguage(phone);
+        } catch (error) {
+            logger.warn(`⚠️ Could not look up the language for ${phone}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get sender phone number from the message JID (private chats only)
+     */
+    getSenderPhone(message) {
+        const jid = message.key?.remoteJid || '';
+        
+        // Ignore groups, broadcast lists and status updates
+        if (!jid.endsWith('@s.whatsapp.net')) return null;
+        
+        return jid.split('@')[0].split(':')[0];
+    }
+
+    /**
+     * Extract text from the different WhatsApp message shapes
+     */
+    extractText(message) {
+        const content = message.message || {};
+        
+        const text = content.conversation ||
+            content.extendedTextMessage?.text ||
+            content.imageMessage?.caption ||
+            content.videoMessage?.caption ||
+            '';
+        
+        return text.trim();
+    }
+
+    /**
+     * Message sent as a reply to a WhatsApp status update
+     */
+    isStatusReply(message) {
+        const content = message.message || {};
+        const context = content.extendedTextMessage?.contextInfo || content.imageMessage?.contextInfo;
+        return context?.remoteJid === 'status@broadcast';
+    }
+
+    /**
+     * Work out what the customer is asking for
+     * @param {boolean} hasImage - The message is a photo (text is its caption) - may be a payment screenshot
+     * @returns {Object|null} - { type, orderId } (order_status or receipt) / { type: 'language', language } /
+     *                          { type: 'measurement' } /
+     *                          { type: 'payment', orderId, amount, screenshotOnly, followUpOnly } or null when
+     *                          the message is not for the bot
+     */
+    parseIntent(text, hasImage = false) {
+        const language = this.languageUtils.detectLanguageRequest(text);
+        if (language) {
+            return { type: 'language', language };
+        }
+        
+        const orderIdMatch = text.match(ORDER_ID_PATTERN);
+        const orderId = orderIdMatch ? orderIdMatch[1].toUpperCase() : null;
+        const normalized = text.toLowerCase();
+        
+        // Whole words only - "bill" but not "billu", "ready" but not "already"
+        const hasKeyword = (keywords) => keywords.some(keyword => new RegExp(`(^|[^a-z])${keyword}([^a-z]|$)`).test(normalized));
+        
+        // A text needs the amount as well ("paid" alone is too often a question), a photo needs payment words
+        // or an amount in its caption - customers send design and fabric photos all the time
+        const amount = this.parseAmount(text);
+        const paymentWords = this.hasPaymentWords(normalized);
+        if (paymentWords && (amount !== null || hasImage)) {
+            return { type: 'payment', orderId, amount, screenshotOnly: false, followUpOnly: false };
+        }
+        if (hasImage && amount !== null) {
+            return { type: 'payment', orderId, amount, screenshotOnly: true, followUpOnly: false };
+        }
+        
+        if (!hasImage && hasKeyword(MEASUREMENT_KEYWORDS)) {
+            return { type: 'measurement' };
+        }
+        
+        if (hasKeyword(RECEIPT_KEYWORDS)) {
+            return { type: 'receipt', orderId };
+        }
+        
+        if (orderId && !hasImage) {
+            return { type: 'order_status', orderId };
+        }
+        
+        if (!hasImage && hasKeyword(STATUS_KEYWORDS)) {
+            return { type: 'order_status', orderId: null };
+        }
+        
+        // Any other photo only counts as the screenshot of a payment the customer just reported ("paid 500")
+        if (hasImage) {
+            return { type: 'payment', orderId, amount: null, screenshotOnly: true, followUpOnly: true };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Payment keywords without a negation or question next to them
+     * @param {string} normalized - Lower-case message text
+     */
+    hasPaymentWords(normalized) {
+        const words = normalized.split(/[^\p{L}\p{M}\d]+/u).filter(Boolean);
+        
+        return PAYMENT_KEYWORDS.some(keyword => {
+            const keywordWords = keyword.split(' ');
+            return words.some((word, index) => {
+                if (keywordWords.some((part, offset) => words[index + offset] !== part)) return false;
+                
+                const end = index + keywordWords.length;
+                const nearby = ` ${[
+                    ...words.slice(Math.max(0, index - PAYMENT_NEGATION_DISTANCE), index),
+                    ...words.slice(end, end + PAYMENT_NEGATION_DISTANCE)
+                ].join(' ')} `;
+                return !PAYMENT_NEGATIONS.some(negation => nearby.includes(` ${negation} `));
+            });
+        });
+    }
+
+    /**
+     * Amount in a payment message ("paid 1,500", "₹500 bhej diye") - order IDs are left out
+     * @returns {number|null}
+     */
+    parseAmount(text) {
+        const match = text.replace(new RegExp(ORDER_ID_PATTERN.source, 'gi'), ' ').match(AMOUNT_PATTERN);
+        if (!match) return null;
+        
+        const amount = parseFloat(match[1].replace(/,/g, ''));
+        return amount > 0 ? amount : null;
+    }
+
+    /**
+     * Look up the sender's orders and render the reply
+     * Orders are only ever matched against the sender's own phone number
+     */
+    async buildOrderStatusReply(phone, orderId = null, language = null) {
+        const shopPhone = process.env.SHOP_PHONE || '8824781960';
+        const orders = await this.googleSheetsService.findOrdersByPhone(phone);
+        
+        let matches;
+        if (orderId) {
+            matches = orders.filter(order =>
+                order.order_id.toUpperCase() === orderId ||
+                (order.master_order_id || '').toUpperCase() === orderId
+            );
+        } else {
+            matches = this.selectOpenOrders(orders);
+        }
+        
+        if (matches.length === 0) {
+            return {
+                orderCount: 0,
+                message: this.messageTemplates.getOrderStatusNotFoundMessage({ shop_phone: shopPhone }, language)
+            };
+        }
+        
+        const orderDetails = matches
+            .map(order => this.messageTemplates.getOrderStatusItemMessage(this.formatOrderForReply(order, language), language))
+            .join('\n\n');
+        
+        return {
+            orderCount: matches.length,
+            message: this.messageTemplates.getOrderStatusMessage({
+                customer_name: matches[0].customer_name || 'Customer',
+                order_details: orderDetails,
+                shop_phone: shopPhone
+            }, language)
+        };
+    }
+
+    /**
+     * Pick the orders worth reporting when the customer did not send an order ID
+     */
+    selectOpenOrders(orders) {
+        // Combined rows have no delivery status; their tailor/fabric rows are reported instead
+        const individualOrders = orders.filter(order => order.order_type !== 'Combined');
+        
+        // Newest rows are at the bottom of the sheets
+        const newestFirst = [...individualOrders].sort((a, b) => b.sheet_row - a.sheet_row);
+        
+        const openOrders = newestFirst.filter(order => {
+            const status = (order.delivery_status || '').toLowerCase();
+            const isClosed = CLOSED_STATUSES.some(closed => status.includes(closed));
+            return !isClosed || order.remaining_amount > 0;
+        });
+        
+        // Nothing open - show the latest order so the customer still gets an answer
+        const selected = openOrders.length > 0 ? openOrders : newestFirst.slice(0, 1);
+        return selected.slice(0, this.maxOrdersPerReply);
+    }
+
+    /**
+     * Fill in readable defaults for fields staff have not entered yet
+     */
+    formatOrderForReply(order, language = null) {
+        const defaults = REPLY_DEFAULTS[language] || REPLY_DEFAULTS[LanguageUtils.DEFAULT_LANGUAGE];
+        
+        return {
+            order_id: order.order_id,
+            garment_type: order.garment_type || defaults.garment_type,
+            delivery_status: order.delivery_status || defaults.delivery_status,
+            ready_date: order.ready_date || order.delivery_date || defaults.ready_date,
+            remaining_amount: order.remaining_amount || 0
+        };
+    }
+
+    isOnCooldown(phone) {
+        const lastReply = this.lastReplyAt.get(phone);
+        return lastReply && (Date.now() - lastReply) < this.replyCooldownMs;
+    }
+}
+
+module.exports = InboundMessageHandler;
@@ -0,0 +1,102 @@
+const InboundMessageHandler = require('./inbound-message-handler');
+
+describe('InboundMessageHandler', () => {
+    const handler = new InboundMessageHandler(null, null, null);
+
+    describe('parseAmount', () => {
+        test.each([
+            ['paid 500', 500],
+            ['₹1,500 bhej diye', 1500],
+            ['Rs. 1,25,000 transfer kar diya', 125000],
+            ['paid 499.50', 499.5],
+            ['500 rupaye', 500]
+        ])('%s -> %s', (text, amount) => {
+            expect(handler.parseAmount(text)).toBe(amount);
+        });
+        
+        test.each([
+            'paid for TXL18092517',
+            'paid',
+            'paid 0',
+            'call me on 9876543210'
+        ])('%s has no amount', (text) => {
+            expect(handler.parseAmount(text)).toBeNull();
+        });
+    });
+
+    describe('parseIntent', () => {
+        const intent = (text, hasImage = false) => handler.parseIntent(text, hasImage);
+        
+        describe('payments', () => {
+            test.each([
+                'paid 500',
+                'Payment done 1,200 for TXL18092517',
+                '500 pay kar diya',
+                '₹800 पेमेंट कर दिया'
+            ])('"%s" is a payment claim', (text) => {
+                expect(intent(text)).toMatchObject({ type: 'payment', screenshotOnly: false, followUpOnly: false });
+            });
+            
+            test('keeps the order ID and the amount', () => {
+                expect(intent('paid 1,500 for txl18092517')).toEqual({
+                    type: 'payment',
+                    orderId: 'TXL18092517',
+                    amount: 1500,
+                    screenshotOnly: false,
+                    followUpOnly: false
+                });
+            });
+            
+            test.each([
+                'not paid yet',
+                'abhi paid nahi kiya 500',
+                'kab paid karna hai',
+                'payment kar diya?',
+                'I will pay 500 tomorrow'
+            ])('"%s" is not a payment claim', (text) => {
+                expect(intent(text)?.type).not.toBe('payment');
+            });
+            
+            test('a photo with payment words is a claim', () => {
+                expect(intent('paid', true)).toMatchObject({ type: 'payment', amount: null, screenshotOnly: false });
+            });
+            
+            test('a photo with an amount is a screenshot claim', () => {
+                expect(intent('500', true)).toMatchObject({ type: 'payment', amount: 500, screenshotOnly: true, followUpOnly: false });
+            });
+            
+            test('any other photo only follows up an earlier claim', () => {
+                expect(intent('', true)).toMatchObject({ type: 'payment', screenshotOnly: true, followUpOnly: true });
+                expect(intent('aisa design chahiye', true)).toMatchObject({ type: 'payment', followUpOnly: true });
+            });
+        });
+        
+        describe('other requests', () => {
+            test.each([
+                ['English', { type: 'language', language: 'en' }],
+                ['naap bhejo', { type: 'measurement' }],
+                ['order ki parchi bhejo', { type: 'receipt', orderId: null }],
+                ['bill for TXL18092517', { type: 'receipt', orderId: 'TXL18092517' }],
+                ['TXL18092517', { type: 'order_status', orderId: 'TXL18092517' }],
+                ['mera order kab milega', { type: 'order_status', orderId: null }],
+                ['my orders', { type: 'order_status', orderId: null }],
+                ['कपड़े तैयार हैं?', { type: 'order_status', orderId: null }]
+            ])('"%s"', (text, expected) => {
+                expect(intent(text)).toEqual(expected);
+            });
+            
+            test.each([
+                'already received, thanks',
+                'billu bhai',
+                'ok',
+                'hi'
+            ])('"%s" is not for the bot', (text) => {
+                expect(intent(text)).toBeNull();
+            });
+            
+            test('a photo with a status word is not a status question', () => {
+                expect(intent('ready?', true)).toMatchObject({ type: 'payment', followUpOnly: true });
+            });
+        });
+    });
+});
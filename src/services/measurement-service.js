@@ -0,0 +1,337 @@
+/**
+ * Measurement Service
+ * Measurement profiles per customer phone - one per person measured (the customer and family members),
+ * each with the measurements of every garment taken for them. Staff save them from the API or the
+ * web interface, customers get a copy on WhatsApp and repeat orders can use the saved measurements
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const LanguageUtils = require('../utils/language-utils');
+const MeasurementFields = require('../../config/measurement-fields');
+
+// Inches - anything outside this is a typo (or centimetres)
+const MIN_VALUE = 1;
+const MAX_VALUE = 120;
+
+// "38.5", "38 1/2", "38½"
+const FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75 };
+
+class MeasurementService {
+    /**
+     * @param {CustomerService} customerService - Customer name and language for the measurement card
+     */
+    constructor(database, messageTemplates, whatsappClient = null, customerService = null) {
+        this.database = database;
+        this.messageTemplates = messageTemplates;
+        this.whatsappClient = whatsappClient;
+        this.customerService = customerService;
+        this.fields = new MeasurementFields();
+    }
+
+    rowToProfile(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            phone: row.phone,
+            personName: row.person_name,
+            relation: row.relation,
+            notes: row.notes,
+            measurements: JSON.parse(row.measurements),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    /**
+     * Digits with the Indian country code, the way phone numbers are read from the sheets
+     */
+    normalizePhone(phone) {
+        const digits = (phone || '').toString().replace(/\D/g, '');
+        if (digits.length < 10) {
+            throw this.createError(`Invalid phone number: "${phone || ''}"`, 400);
+        }
+        return digits.length === 10 ? `91${digits}` : digits;
+    }
+
+    /**
+     * Profiles of a phone number (oldest first - the customer is usually measured first),
+     * or every profile when no phone is given
+     */
+    async listProfiles({ phone = null } = {}) {
+        const rows = phone
+            ? await this.database.all('SELECT * FROM measurement_profiles WHERE phone = ? ORDER BY id', [this.normalizePhone(phone)])
+            : await this.database.all('SELECT * FROM measurement_profiles ORDER BY updated_at DESC');
+        return rows.map(row => this.rowToProfile(row));
+    }
+
+    async getProfile(profileId) {
+        const row = await this.database.get('SELECT * FROM measurement_profiles WHERE id = ?', [profileId]);
+        return this.rowToProfile(row);
+    }
+
+    /**
+     * @param {Object} data - { phone, personName, relation, notes }
+     */
+    async createProfile(data) {
+        const phone = this.normalizePhone(data.phone);
+        const personName = (data.personName || '').toString().trim();
+        if (!personName) {
+            throw this.createError('personName is required', 400);
+        }
+        if (await this.findProfile(phone, personName)) {
+            throw this.createError(`${phone} already has a measurement profile for ${personName}`, 409);
+        }
+        
+        const now = Date.now();
+        const { lastID } = await this.database.run(
+            `INSERT INTO measurement_profiles (phone, person_name, relation, notes, measurements, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [phone, personName, data.relation || null, data.notes || null, '{}', now, now]
+        );
+        
+        logger.info(`📏 Measurement profile created: ${personName} (${phone})`);
+        return this.getProfile(lastID);
+    }
+
+    /**
+     * Change the name, relation or notes of a profile
+     */
+    async updateProfile(profileId, changes) {
+        const existing = await this.getExistingProfile(profileId);
+        
+        const profile = {
+            ...existing,
+            ...['personName', 'relation', 'notes']
+                .filter(field => changes[field] !== undefined)
+                .reduce((fields, field) => ({ ...fields, [field]: changes[field] }), {})
+        };
+        
+        profile.personName = (profile.personName || '').toString().trim();
+        if (!profile.personName) {
+            throw this.createError('personName is required', 400);
+        }
+        const duplicate = await this.findProfile(existing.phone, profile.personName);
+        if (duplicate && duplicate.id !== existing.id) {
+            throw this.createError(`${existing.phone} already has a measurement profile for ${profile.personName}`, 409);
+        }
+        
+        await this.database.run(
+            'UPDATE measurement_profiles SET person_name = ?, relation = ?, notes = ?, updated_at = ? WHERE id = ?',
+            [profile.personName, profile.relation || null, profile.notes || null, Date.now(), existing.id]
+        );
+        
+        return this.getProfile(existing.id);
+    }
+
+    async deleteProfile(profileId) {
+        const result = await this.database.run('DELETE FROM measurement_profiles WHERE id = ?', [profileId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Save the measurements of one garment, replacing the ones taken before
+     * @param {Object} data - { values: { field: inches }, notes, measuredBy } - empty fields are left out
+     */
+    async saveMeasurements(profileId, garment, { values, notes = null, measuredBy = null } = {}) {
+        const profile = await this.getExistingProfile(profileId);
+        const measurement = {
+            values: this.validateValues(garment, values),
+            notes: notes || null,
+            measuredBy: measuredBy || null,
+            updatedAt: new Date().toISOString()
+        };
+        
+        await this.writeMeasurements(profile, { ...profile.measurements, [garment]: measurement });
+        
+        logger.info(`📏 ${this.fields.getGarmentLabel(garment)} measurements saved for ${profile.personName} (${profile.phone})`);
+        return this.getProfile(profile.id);
+    }
+
+    async deleteMeasurements(profileId, garment) {
+        const profile = await this.getExistingProfile(profileId);
+        if (!profile.measurements[garment]) {
+            throw this.createError(`${profile.personName} has no ${garment} measurements`, 404);
+        }
+        
+        const { [garment]: removed, ...measurements } = profile.measurements;
+        await this.writeMeasurements(profile, measurements);
+        return this.getProfile(profile.id);
+    }
+
+    /**
+     * Check a garment's measurements and turn them into numbers
+     * @returns {Object} - { field: inches } in the garment's field order
+     */
+    validateValues(garment, values) {
+        if (!this.fields.isKnownGarment(garment)) {
+            throw this.createError(`Unknown garment: ${garment}. Garments: ${this.fields.getGarments().join(', ')}`, 400);
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw this.createError('values must be an object of field: inches', 400);
+        }
+        
+        const fields = this.fields.getFields(garment);
+        const unknown = Object.keys(values).filter(field => !fields.includes(field));
+        if (unknown.length > 0) {
+            throw this.createError(`Unknown ${garment} field(s): ${unknown.join(', ')}. Fields: ${fields.join(', ')}`, 400);
+        }
+        
+        // Fields left empty were not taken for this garment (no cuff on a half-sleeve shirt)
+        const taken = fields.filter(field => values[field] !== undefined && values[field] !== null && values[field] !== '');
+        if (taken.length === 0) {
+            throw this.createError(`No ${garment} measurements given. Fields: ${fields.join(', ')}`, 400);
+        }
+        
+        return taken.reduce((result, field) => {
+            const inches = this.parseInches(values[field]);
+            if (inches === null || inches < MIN_VALUE || inches > MAX_VALUE) {
+                throw this.createError(`Invalid ${field}: "${values[field]}" (inches between ${MIN_VALUE} and ${MAX_VALUE}, e.g. 38.5 or 38 1/2)`, 400);
+            }
+            return { ...result, [field]: inches };
+        }, {});
+    }
+
+    /**
+     * 38, "38.5", "38 1/2" or "38½" -> 38.5
+     * @returns {number|null}
+     */
+    parseInches(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        
+        const text = (value || '').toString().trim().replace(/["”]|inch(es)?$/gi, '').trim();
+        const match = text.match(/^(\d+(?:\.\d+)?)(?:\s*(?:(\d)\/(\d)|([¼½¾])))?$/);
+        if (!match) return null;
+        
+        let inches = parseFloat(match[1]);
+        if (match[2]) {
+            if (parseInt(match[3]) === 0 || parseInt(match[2]) >= parseInt(match[3])) return null;
+            inches += parseInt(match[2]) / parseInt(match[3]);
+        } else if (match[4]) {
+            inches += FRACTIONS[match[4]];
+        }
+        return Math.round(inches * 100) / 100;
+    }
+
+    /**
+     * Which garments of an order are already measured for the customer, so repeat orders
+     * can skip measuring. Family members' profiles are listed for staff to pick from
+     * @returns {Promise<Object>} - { orderId, phone, garments, profiles: [{ ...profile, onFile, missing }] }
+     */
+    async getOrderMeasurements(order) {
+        const garments = this.fields.findGarments(order.garment_type);
+        const profiles = order.phone_number ? await this.listProfiles({ phone: order.phone_number }) : [];
+        
+        return {
+            orderId: order.order_id,
+            phone: order.phone_number || null,
+            customerName: order.customer_name || null,
+            garmentType: order.garment_type || null,
+            garments,
+            profiles: profiles.map(profile => ({
+                ...profile,
+                onFile: garments.filter(garment => profile.measurements[garment]),
+                missing: garments.filter(garment => !profile.measurements[garment])
+            }))
+        };
+    }
+
+    /**
+     * WhatsApp message with the saved measurements of a phone number, in the customer's language
+     * @param {string} personName - Only this person's measurements (the whole family when not given)
+     * @returns {Promise<Object>} - { message, language, profileCount, garmentCount }
+     */
+    async buildMeasurementCard(phone, personName = null) {
+        const normalized = this.normalizePhone(phone);
+        let profiles = await this.listProfiles({ phone: normalized });
+        if (personName) {
+            profiles = profiles.filter(profile => profile.personName.toLowerCase() === personName.toString().trim().toLowerCase());
+            if (profiles.length === 0) {
+                throw this.createError(`${normalized} has no measurement profile for ${personName}`, 404);
+            }
+        }
+        
+        const customer = this.customerService ? await this.customerService.getCustomer(normalized) : null;
+        const language = this.customerService ? await this.customerService.getLanguage(normalized) : null;
+        const labelLanguage = language || LanguageUtils.DEFAULT_LANGUAGE;
+        
+        const items = [];
+        profiles.forEach(profile => {
+            Object.entries(profile.measurements).forEach(([garment, measurement]) => {
+                items.push(this.messageTemplates.getMeasurementCardItemMessage({
+                    person_name: profile.personName,
+                    garment_name: this.fields.getGarmentLabel(garment, labelLanguage),
+                    measurement_lines: Object.entries(measurement.values)
+                        .map(([field, inches]) => `- ${this.fields.getFieldLabel(field, labelLanguage)}: ${inches}`)
+                        .join('\n'),
+                    measurement_notes: measurement.notes || '',
+                    measured_date: measurement.updatedAt
+                }, language));
+            });
+        });
+        
+        return {
+            message: this.messageTemplates.getMeasurementCardMessage({
+                customer_name: (customer && customer.name) || (profiles[0] && profiles[0].personName) || 'Customer',
+                measurement_details: items.join('\n\n'),
+                shop_phone: process.env.SHOP_PHONE || '8824781960'
+            }, language),
+            language,
+            profileCount: profiles.length,
+            garmentCount: items.length
+        };
+    }
+
+    /**
+     * Send the measurement card to the customer's WhatsApp
+     * @param {Object} options - { personName }
+     */
+    async sendMeasurementCard(phone, { personName = null } = {}) {
+        if (!this.whatsappClient) {
+            throw this.createError('WhatsApp is not set up', 503);
+        }
+        
+        const normalized = this.normalizePhone(phone);
+        const card = await this.buildMeasurementCard(normalized, personName);
+        await this.whatsappClient.sendMessage(normalized, card.message);
+        
+        logger.info(`📏 Measurement card sent to ${normalized} (${card.garmentCount} garments)`);
+        return { phone: normalized, ...card };
+    }
+
+    async findProfile(phone, personName) {
+        const row = await this.database.get(
+            'SELECT * FROM measurement_profiles WHERE phone = ? AND person_name = ? COLLATE NOCASE',
+            [phone, personName]
+        );
+        return this.rowToProfile(row);
+    }
+
+    async getExistingProfile(profileId) {
+        const profile = await this.getProfile(profileId);
+        if (!profile) {
+            throw this.createError(`Measurement profile not found: ${profileId}`, 404);
+        }
+        return profile;
+    }
+
+    async writeMeasurements(profile, measurements) {
+        await this.database.run(
+            'UPDATE measurement_profiles SET measurements = ?, updated_at = ? WHERE id = ?',
+            [JSON.stringify(measurements), Date.now(), profile.id]
+        );
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+MeasurementService.MIN_VALUE = MIN_VALUE;
+MeasurementService.MAX_VALUE = MAX_VALUE;
+
+module.exports = MeasurementService;
@@ -0,0 +1,296 @@
+/**
+ * Media Library Service
+ * Uploaded images, videos, audio and documents that templates and campaigns refer to by ID,
+ * so a poster or video can be swapped without changing the template or campaign
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const MediaUtils = require('../utils/media-utils');
+
+// IDs are used in template files (media: asset:diwali-poster) - keep them readable
+const ASSET_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+// Taken by the media status and cleanup routes
+const RESERVED_IDS = ['status', 'cleanup'];
+
+class MediaLibraryService {
+    /**
+     * @param {MessageTemplates} messageTemplates - Checked for references before an asset is deleted
+     */
+    constructor(database, messageTemplates = null) {
+        this.database = database;
+        this.messageTemplates = messageTemplates;
+        this.mediaUtils = new MediaUtils();
+        
+        // id -> asset, so media can be looked up while a message is being built
+        this.assets = new Map();
+    }
+
+    /**
+     * Load the asset list from the database
+     */
+    async initialize() {
+        const rows = await this.database.all('SELECT * FROM media_assets');
+        this.assets = new Map(rows.map(row => [row.id, this.rowToAsset(row)]));
+        logger.info(`🖼️ Media library loaded (${this.assets.size} assets)`);
+    }
+
+    rowToAsset(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            type: row.media_type,
+            path: row.file_path,
+            originalName: row.original_name,
+            mimeType: row.mime_type,
+            size: row.size,
+            sizeFormatted: this.mediaUtils.formatFileSize(row.size),
+            tags: JSON.parse(row.tags),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    /**
+     * @param {Object} filters - { tag, type }
+     */
+    listAssets({ tag = null, type = null } = {}) {
+        const wantedTag = tag ? tag.toString().trim().toLowerCase() : null;
+        
+        return [...this.assets.values()]
+            .filter(asset => !wantedTag || asset.tags.includes(wantedTag))
+            .filter(asset => !type || asset.type === type)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    getAsset(assetId) {
+        return this.assets.get(assetId) || null;
+    }
+
+    /**
+     * Media to send for an asset
+     * @returns {Object|null} - { type, path }, null when the asset or its file is missing
+     */
+    resolveMedia(assetId) {
+        const asset = this.getAsset(assetId);
+        if (!asset || !fs.existsSync(asset.path)) return null;
+        
+        return { type: asset.type, path: asset.path };
+    }
+
+    /**
+     * Add an uploaded file to the library
+     * @param {Object} file - { originalname, buffer } as provided by multer
+     * @param {Object} options - { id, name, tags } - id defaults to the name (or file name) in lower case with dashes
+     */
+    async createAsset(file, options = {}) {
+        this.checkUpload(file);
+        
+        const name = (options.name || '').trim() || path.basename(file.originalname, path.extname(file.originalname));
+        const id = (options.id || '').trim() || this.slugify(name);
+        
+        if (!ASSET_ID_PATTERN.test(id)) {
+            throw this.createError('Media id may only contain a-z, 0-9 and - (up to 64 characters). Pass id to choose one', 400);
+        }
+        if (RESERVED_IDS.includes(id)) {
+            throw this.createError(`Media id ${id} is reserved, choose another id`, 400);
+        }
+        if (this.assets.has(id)) {
+            throw this.createError(`Media already exists: ${id}. Replace its file with PUT /api/media/${id}/file`, 409);
+        }
+        
+        const upload = this.saveUpload(file);
+        const tags = this.parseTags(options.tags);
+        const now = Date.now();
+        
+        try {
+            await this.database.run(
+                `INSERT INTO media_assets
+                    (id, name, file_path, original_name, media_type, mime_type, size, tags, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, name, upload.filePath, upload.originalName, upload.mediaType, upload.mimeType, upload.size, JSON.stringify(tags), now, now]
+            );
+        } catch (error) {
+            this.removeFile(upload.filePath);
+            throw error;
+        }
+        
+        await this.reloadAsset(id);
+        logger.info(`🖼️ Media added: ${id} (${upload.mediaType}, ${this.mediaUtils.formatFileSize(upload.size)})`);
+        return this.getAsset(id);
+    }
+
+    /**
+     * Swap an asset's file - every template and campaign using the asset sends the new file from now on
+     */
+    async replaceFile(assetId, file) {
+        const existing = this.getAsset(assetId);
+        if (!existing) {
+            throw this.createError(`Media not found: ${assetId}`, 404);
+        }
+        this.checkUpload(file);
+        
+        const upload = this.saveUpload(file);
+        
+        try {
+            await this.database.run(
+                `UPDATE media_assets SET
+                    file_path = ?, original_name = ?, media_type = ?, mime_type = ?, size = ?, updated_at = ?
+                 WHERE id = ?`,
+                [upload.filePath, upload.originalName, upload.mediaType, upload.mimeType, upload.size, Date.now(), assetId]
+            );
+        } catch (error) {
+            this.removeFile(upload.filePath);
+            throw error;
+        }
+        
+        this.removeFile(existing.path);
+        await this.reloadAsset(assetId);
+        
+        logger.info(`🔄 Media replaced: ${assetId} (${upload.originalName})`);
+        return this.getAsset(assetId);
+    }
+
+    /**
+     * Rename or re-tag an asset
+     * @param {Object} changes - { name, tags }
+     */
+    async updateAsset(assetId, changes = {}) {
+        const existing = this.getAsset(assetId);
+        if (!existing) {
+            throw this.createError(`Media not found: ${assetId}`, 404);
+        }
+        
+        const name = changes.name !== undefined ? changes.name.toString().trim() : existing.name;
+        if (!name) {
+            throw this.createError('Media name cannot be empty', 400);
+        }
+        const tags = changes.tags !== undefined ? this.parseTags(changes.tags) : existing.tags;
+        
+        await this.database.run(
+            'UPDATE media_assets SET name = ?, tags = ?, updated_at = ? WHERE id = ?',
+            [name, JSON.stringify(tags), Date.now(), assetId]
+        );
+        await this.reloadAsset(assetId);
+        
+        return this.getAsset(assetId);
+    }
+
+    /**
+     * Delete an asset and its file - refused while a campaign or template still uses it
+     */
+    async deleteAsset(assetId) {
+        const existing = this.getAsset(assetId);
+        if (!existing) {
+            throw this.createError(`Media not found: ${assetId}`, 404);
+        }
+        
+        const usedBy = await this.findReferences(assetId);
+        if (usedBy.length > 0) {
+            throw this.createError(`Media ${assetId} is still used by ${usedBy.join(', ')}`, 409);
+        }
+        
+        await this.database.run('DELETE FROM media_assets WHERE id = ?', [assetId]);
+        this.assets.delete(assetId);
+        this.removeFile(existing.path);
+        
+        logger.info(`🗑️ Media deleted: ${assetId}`);
+        return true;
+    }
+
+    /**
+     * Campaigns and template files that refer to an asset
+     * @returns {Promise<Array<string>>} - e.g. ['campaign diwali-2025', 'template order_ready (en)']
+     */
+    async findReferences(assetId) {
+        const campaigns = await this.database.all('SELECT id FROM campaigns WHERE media_id = ?', [assetId]);
+        const templates = this.messageTemplates ? this.messageTemplates.findTemplatesUsingAsset(assetId) : [];
+        
+        return [
+            ...campaigns.map(campaign => `campaign ${campaign.id}`),
+            ...templates.map(template => `template ${template}`)
+        ];
+    }
+
+    /**
+     * Files that belong to the library - kept by the media cleanup
+     */
+    getFilePaths() {
+        return [...this.assets.values()].map(asset => asset.path);
+    }
+
+    checkUpload(file) {
+        if (!file || !file.buffer) {
+            throw this.createError('No file uploaded. Send the image, video, audio or document in the "file" field', 400);
+        }
+        if (this.mediaUtils.getMediaType(file.originalname) === 'unknown') {
+            throw this.createError(`Unsupported file type: ${path.extname(file.originalname) || file.originalname}`, 400);
+        }
+    }
+
+    /**
+     * Save an upload into the media folder and check its size
+     */
+    saveUpload(file) {
+        const mediaType = this.mediaUtils.getMediaType(file.originalname);
+        const saved = this.mediaUtils.saveMediaFile(file.buffer, file.originalname, mediaType);
+        const validation = this.mediaUtils.validateMediaFile(saved.filePath, mediaType);
+        
+        if (!validation.isValid) {
+            this.removeFile(saved.filePath);
+            throw this.createError(`Invalid media: ${validation.errors.join(', ')}`, 400);
+        }
+        
+        return {
+            filePath: saved.filePath,
+            originalName: file.originalname,
+            mediaType,
+            mimeType: validation.mimeType,
+            size: validation.fileSize
+        };
+    }
+
+    async reloadAsset(assetId) {
+        const row = await this.database.get('SELECT * FROM media_assets WHERE id = ?', [assetId]);
+        if (row) {
+            this.assets.set(assetId, this.rowToAsset(row));
+        } else {
+            this.assets.delete(assetId);
+        }
+    }
+
+    removeFile(filePath) {
+        try {
+            if (filePath && fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (error) {
+            logger.warn(`⚠️ Could not remove media file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tags from an array or comma separated text, in lower case without duplicates
+     */
+    parseTags(tags) {
+        if (!tags) return [];
+        
+        const list = Array.isArray(tags) ? tags : tags.toString().split(',');
+        return [...new Set(list.map(tag => tag.toString().trim().toLowerCase()).filter(Boolean))];
+    }
+
+    slugify(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+MediaLibraryService.ASSET_ID_PATTERN = ASSET_ID_PATTERN;
+
+module.exports = MediaLibraryService;
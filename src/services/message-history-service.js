@@ -0,0 +1,228 @@
+/**
+ * Message History Service
+ * Sent message log, WhatsApp delivery status, festival duplicate prevention and statistics
+ */
+
+const crypto = require('crypto');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+class MessageHistoryService {
+    constructor(database) {
+        this.database = database;
+    }
+
+    /**
+     * Short content hash, same format as the old duplicate-prevention files
+     */
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content || '').digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Record an outgoing message (successful or failed)
+     */
+    async recordMessage({
+        phone,
+        orderId = null,
+        messageType,
+        sheetType = null,
+        content = '',
+        whatsappMessageId = null,
+        success = true,
+        errorMessage = null,
+        sentAt = Date.now(),
+        dedupeKey = null
+    }) {
+        const result = await this.database.run(
+            `INSERT OR IGNORE INTO sent_messages
+                (dedupe_key, phone, order_id, message_type, sheet_type, content_hash, content_preview,
+                 whatsapp_message_id, success, error_message, sent_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                dedupeKey,
+                phone,
+                orderId,
+                messageType,
+                sheetType,
+                this.hashContent(content),
+                content ? content.substring(0, 100) : null,
+                whatsappMessageId,
+                success ? 1 : 0,
+                errorMessage,
+                sentAt
+            ]
+        );
+        
+        if (result.changes > 0) {
+            await this.incrementStatistic(success ? 'totalMessagesSent' : 'totalMessagesFailed');
+        }
+        
+        return result.lastID;
+    }
+
+    /**
+     * Check whether a message type was already sent successfully for an order
+     */
+    async hasSentMessage(phone, orderId, messageType) {
+        const row = await this.database.get(
+            'SELECT id FROM sent_messages WHERE phone = ? AND order_id = ? AND message_type = ? AND success = 1 LIMIT 1',
+            [phone, orderId, messageType]
+        );
+        return !!row;
+    }
+
+    /**
+     * Get message history, newest first
+     */
+    async getMessages({ phone = null, since = null, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+        
+        if (phone) {
+            conditions.push('m.phone = ?');
+            params.push(phone);
+        }
+        if (since) {
+            conditions.push('m.sent_at >= ?');
+            params.push(since);
+        }
+        
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(limit);
+        
+        return this.database.all(
+            `SELECT m.*, d.status AS delivery_status
+             FROM sent_messages m
+             LEFT JOIN delivery_status d ON d.whatsapp_message_id = m.whatsapp_message_id
+             ${where}
+             ORDER BY m.sent_at DESC
+             LIMIT ?`,
+            params
+        );
+    }
+
+    /**
+     * Number of messages sent successfully since a timestamp (send limits after a restart)
+     */
+    async countSentSince(since) {
+        const row = await this.database.get(
+            'SELECT COUNT(*) AS count FROM sent_messages WHERE success = 1 AND sent_at >= ?',
+            [since]
+        );
+        return row.count;
+    }
+
+    /**
+     * Sent / failed messages since a timestamp and how many of them reached the customer
+     * @returns {Promise<Object>} - { sent, failed, delivered, read }
+     */
+    async getSendSummary(since) {
+        const row = await this.database.get(
+            `SELECT
+                SUM(m.success = 1) AS sent,
+                SUM(m.success = 0) AS failed,
+                SUM(d.status IN ('delivered', 'read', 'played')) AS delivered,
+                SUM(d.status IN ('read', 'played')) AS read
+             FROM sent_messages m
+             LEFT JOIN delivery_status d ON d.whatsapp_message_id = m.whatsapp_message_id
+             WHERE m.sent_at >= ?`,
+            [since]
+        );
+        
+        return {
+            sent: row.sent || 0,
+            failed: row.failed || 0,
+            delivered: row.delivered || 0,
+            read: row.read || 0
+        };
+    }
+
+    /**
+     * Orders a message type was sent for since a timestamp (e.g. pickup_complete - orders picked up today)
+     */
+    async getSentOrderIds(messageTypes, since) {
+        const rows = await this.database.all(
+            `SELECT DISTINCT order_id FROM sent_messages
+             WHERE success = 1 AND order_id IS NOT NULL AND sent_at >= ?
+               AND message_type IN (${messageTypes.map(() => '?').join(', ')})`,
+            [since, ...messageTypes]
+        );
+        return rows.map(row => row.order_id);
+    }
+
+    /**
+     * Campaign messages sent / failed since a timestamp, per campaign
+     * @returns {Promise<Array>} - [{ campaignId, sent, failed }]
+     */
+    async getCampaignSendSummary(since) {
+        const rows = await this.database.all(
+            `SELECT sheet_type, SUM(success = 1) AS sent, SUM(success = 0) AS failed
+             FROM sent_messages
+             WHERE sent_at >= ? AND sheet_type LIKE 'campaign:%'
+             GROUP BY sheet_type
+             ORDER BY sent DESC`,
+            [since]
+        );
+        return rows.map(row => ({
+            campaignId: row.sheet_type.slice('campaign:'.length),
+            sent: row.sent || 0,
+            failed: row.failed || 0
+        }));
+    }
+
+    /**
+     * Store the latest WhatsApp delivery status for a message (sent, delivered, read...)
+     */
+    async updateDeliveryStatus(whatsappMessageId, phone, status) {
+        if (!whatsappMessageId || !status) return;
+        
+        await this.database.run(
+            `INSERT INTO delivery_status (whatsapp_message_id, phone, status, updated_at)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT (whatsapp_message_id) DO UPDATE SET
+                status = excluded.status,
+                updated_at = excluded.updated_at`,
+            [whatsappMessageId, phone, status, Date.now()]
+        );
+    }
+
+    /**
+     * Festival/campaign duplicate prevention
+     */
+    async hasSentCampaignMessage(dedupeKey, phone) {
+        const row = await this.database.get(
+            'SELECT id FROM campaign_messages WHERE dedupe_key = ? AND phone = ? LIMIT 1',
+            [dedupeKey, phone]
+        );
+        return !!row;
+    }
+
+    async recordCampaignMessage(dedupeKey, phone, sentAt = Date.now()) {
+        const result = await this.database.run(
+            'INSERT OR IGNORE INTO campaign_messages (dedupe_key, phone, sent_at) VALUES (?, ?, ?)',
+            [dedupeKey, phone, sentAt]
+        );
+        
+        if (result.changes > 0) {
+            logger.info(`📝 Recorded festival message: ${phone} - ${dedupeKey}`);
+        }
+    }
+
+    /**
+     * Statistics counters
+     */
+    async incrementStatistic(key, amount = 1) {
+        await this.database.run(
+            `INSERT INTO statistics (key, value, updated_at) VALUES (?, ?, ?)
+             ON CONFLICT (key) DO UPDATE SET value = statistics.value + excluded.value, updated_at = excluded.updated_at`,
+            [key, amount, Date.now()]
+        );
+    }
+
+    async getStatistics() {
+        const rows = await this.database.all('SELECT key, value FROM statistics');
+        return rows.reduce((stats, row) => ({ ...stats, [row.key]: row.value }), {});
+    }
+}
+
+module.exports = MessageHistoryService;
@@ -5,13 +5,22 @@
 
 const fs = require('fs');
 const MessageTemplates = require('../../templates/message-templates');
+const MessageTypes = require('../../config/message-types');
+const LanguageUtils = require('../utils/language-utils');
 const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
 
 class MessageProcessor {
-    constructor(whatsappClient, googleSheetsService) {
+    constructor(whatsappClient, googleSheetsService, messageHistory = null, customerService = null, messageTemplates = null, mediaLibrary = null, receiptService = null, upiService = null) {
         this.whatsappClient = whatsappClient;
         this.googleSheetsService = googleSheetsService;
-        this.messageTemplates = new MessageTemplates();
+        this.messageHistory = messageHistory;
+        this.customerService = customerService;
+        this.messageTemplates = messageTemplates || new MessageTemplates();
+        this.mediaLibrary = mediaLibrary;
+        this.receiptService = receiptService;
+        this.upiService = upiService;
+        this.languageUtils = new LanguageUtils();
+        this.messageTypes = new MessageTypes();
         this.isInitialized = false;
     }
 
@@ -56,16 +65,38 @@ class MessageProcessor {
                 throw new Error('WhatsApp is not connected');
             }
 
-            // Generate message from template
-            const message = this.generateMessage(messageType, orderData);
+            // Switched off through DISABLED_TEMPLATES or the templates API - skip, do not retry
+            const templateType = this.messageTypes.getTemplate(messageType);
+            if (templateType && this.messageTemplates.getAvailableTemplates().includes(templateType) && !this.messageTemplates.isTemplateEnabled(templateType)) {
+                logger.info(`🚫 ${templateType} template is disabled - not sending ${messageType} to ${orderData.customer_name}`);
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: `Template ${templateType} is disabled`,
+                    messageType,
+                    customer: orderData.customer_name,
+                    phone: orderData.phone_number,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Generate message from template, in the customer's language
+            const language = await this.getCustomerLanguage(orderData);
+            const paymentRequest = this.getPaymentRequest(messageType, orderData);
+            const message = this.generateMessage(messageType, this.addPaymentRequest(orderData, paymentRequest), language);
             
             if (!message) {
                 logger.error(`❌ Failed to generate message for type: ${messageType}`);
-                throw new Error(`Unknown message type: ${messageType}`);
+                const error = new Error(`Unknown message type: ${messageType}`);
+                error.permanent = true; // Retrying will not help
+                throw error;
             }
 
-            // Check if there's media to send with the message
-            const mediaData = this.getMediaForMessage(messageType, orderData);
+            // Order receipts / invoices are sent as a PDF and payment reminders with the UPI QR code
+            // instead of the template's media
+            const mediaData = await this.getReceiptForMessage(messageType, orderData) ||
+                await this.getPaymentQrForMessage(paymentRequest, orderData) ||
+                this.getMediaForMessage(messageType, orderData, language);
             
             let result;
             if (mediaData) {
@@ -77,7 +108,14 @@ class MessageProcessor {
             }
             
             // Mark notification as sent in Google Sheet
-            await this.googleSheetsService.markNotificationSent(sheetName, sheetRow, messageType);
+            // A failure here must not fail the job, otherwise a queue retry would send the message twice
+            try {
+                await this.googleSheetsService.markNotificationSent(sheetName, sheetRow, messageType);
+            } catch (error) {
+                logger.warn(`⚠️ Message sent but sheet not updated for ${sheetName} row ${sheetRow}: ${error.message}`);
+            }
+            
+            await this.recordSentMessage(messageType, orderData, sheetName, sheetRow, message, result);
             
             logger.info(`✅ Successfully sent ${messageType} message to ${orderData.customer_name}`);
             
@@ -87,7 +125,8 @@ class MessageProcessor {
                 customer: orderData.customer_name,
                 phone: orderData.phone_number,
                 timestamp: new Date().toISOString(),
-                hasMedia: !!mediaData
+                hasMedia: !!mediaData,
+                language: language || LanguageUtils.DEFAULT_LANGUAGE
             };
 
         } catch (error) {
@@ -96,8 +135,122 @@ class MessageProcessor {
         }
     }
 
+    /**
+     * Customer's language from the sheet's Language column or their stored preference
+     * A database failure must not stop the notification - it goes out in Hindi instead
+     */
+    async getCustomerLanguage(orderData, save = true) {
+        if (!this.customerService) {
+            return this.languageUtils.normalize(orderData.language);
+        }
+        
+        try {
+            return await this.customerService.resolveLanguage(orderData.phone_number, orderData.language, save);
+        } catch (error) {
+            logger.warn(`⚠️ Could not look up the language for ${orderData.phone_number}: ${error.message}`);
+            return this.languageUtils.normalize(orderData.language);
+        }
+    }
+
+    /**
+     * Render a message the way processOrderMessage would, without sending anything
+     * @param {string} language - Overrides the customer's language
+     * @returns {Promise<Object>} - { message, language, media, receipt, payment, characters, unresolvedPlaceholders, enabled, warnings }
+     */
+    async previewMessage(messageType, orderData, language = null) {
+        if (!this.messageTemplates.getAvailableTemplates().includes(messageType)) {
+            const error = new Error(`Template type '${messageType}' not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+        
+        const requestedLanguage = this.languageUtils.normalize(language);
+        if (language && !requestedLanguage) {
+            const error = new Error(`Unsupported language: ${language}. Languages: ${Object.keys(LanguageUtils.LANGUAGES).join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        
+        const messageLanguage = requestedLanguage || await this.getCustomerLanguage(orderData, false) || LanguageUtils.DEFAULT_LANGUAGE;
+        const paymentRequest = this.getPaymentRequest(messageType, orderData);
+        const message = this.messageTemplates.processTemplate(messageType, this.enrichOrderData(this.addPaymentRequest(orderData, paymentRequest)), messageLanguage);
+        const mediaData = this.getMediaForMessage(messageType, orderData, messageLanguage);
+        const templateMedia = this.messageTemplates.getTemplateMedia(messageType, messageLanguage);
+        
+        const warnings = [];
+        if (templateMedia && !mediaData) {
+            warnings.push(templateMedia.assetId
+                ? `Media asset not found: ${templateMedia.assetId} - the message would be sent as text`
+                : `Media file not found: ${templateMedia.path} - the message would be sent as text`);
+        }
+        const languages = this.messageTemplates.getTemplateLanguages(messageType);
+        if (languages.length > 0 && !languages.includes(messageLanguage)) {
+            warnings.push(`No ${messageLanguage} translation - the ${this.messageTemplates.templateInfo[messageType].language} text would be sent`);
+        }
+        if (!this.messageTemplates.isTemplateEnabled(messageType)) {
+            warnings.push(`Template ${messageType} is disabled - order messages of this type are skipped`);
+        }
+        
+        return {
+            message,
+            language: messageLanguage,
+            media: mediaData ? { type: mediaData.type, path: mediaData.path } : null,
+            // Order messages of this type carry a PDF receipt / invoice instead of the media
+            receipt: this.messageTypes.getReceiptKind(messageType),
+            // Payment reminders carry a UPI QR code for this request instead of the media
+            payment: paymentRequest,
+            characters: message.length,
+            unresolvedPlaceholders: this.messageTemplates.findPlaceholders(message),
+            enabled: this.messageTemplates.isTemplateEnabled(messageType),
+            warnings
+        };
+    }
+
+    /**
+     * Order data for previews and test sends when no real order is given
+     */
+    getSampleOrderData(phoneNumber = null) {
+        return {
+            customer_name: 'Test Customer',
+            phone_number: phoneNumber,
+            order_id: 'TEST001',
+            garment_type: 'Test Item',
+            total_amount: 500,
+            advance_payment: 200,
+            remaining_amount: 300,
+            order_date: new Date().toLocaleDateString(),
+            notes: 'Test message'
+        };
+    }
+
+    /**
+     * Store the sent message, customer and order in the database
+     * Like the sheet update above, a failure here must not fail the job
+     */
+    async recordSentMessage(messageType, orderData, sheetName, sheetRow, message, result) {
+        if (this.customerService) {
+            await this.customerService.recordOrderActivity(orderData, sheetName, sheetRow);
+        }
+        
+        if (!this.messageHistory) return;
+        
+        try {
+            await this.messageHistory.recordMessage({
+                phone: orderData.phone_number,
+                orderId: orderData.order_id ? orderData.order_id.toString() : null,
+                messageType,
+                sheetType: sheetName,
+                content: message,
+                whatsappMessageId: result?.key?.id || null
+            });
+        } catch (error) {
+            logger.warn(`⚠️ Message sent but not recorded in history: ${error.message}`);
+        }
+    }
+
     /**
      * Send message with media attachment
+     * @param {Object} mediaData - { type, path, caption, options } - path is a file path or a Buffer
      */
     async sendMessageWithMedia(phoneNumber, message, mediaData) {
         try {
@@ -143,6 +296,9 @@ class MessageProcessor {
             }
             
         } catch (error) {
+            // Held back by the send governor - a text fallback would be held back too
+            if (error.deferred) throw error;
+            
             logger.error(`❌ Failed to send media message:`, error);
             // Fallback to text message if media fails
             logger.info(`📤 Falling back to text message for ${phoneNumber}`);
@@ -151,89 +307,118 @@ class MessageProcessor {
     }
 
     /**
-     * Get media data for a specific message type
+     * PDF receipt to attach to an order message (config/message-types.js "receipt")
+     * Without the PDF the message is still sent, with the template's media or as text
      */
-    getMediaForMessage(messageType, orderData) {
-        // Define media configurations for different message types
-        const mediaConfig = {
-            'welcome': {
-                type: 'image',
-                path: './media/welcome-image.jpg', // You can add your shop image here
-                caption: null, // Will use the generated message as caption
-                options: {}
-            },
-            'order_confirmation': null, // Text only
-            'order_ready': {
-                type: 'video',
-                path: './media/order-ready-video.mp4', // You can add a video showing completed order
-                caption: null,
-                options: {}
-            },
-            'delivery_notification': null, // Text only
-            'pickup_reminder': null, // Text only
-            'payment_reminder': null, // Text only
-            'fabric_welcome': {
-                type: 'image',
-                path: './media/fabric-collection.jpg', // You can add fabric collection image
+    async getReceiptForMessage(messageType, orderData) {
+        const kind = this.messageTypes.getReceiptKind(messageType);
+        if (!kind || !this.receiptService || !orderData.order_id) return null;
+        
+        try {
+            const receipt = await this.receiptService.getOrCreateReceipt(orderData, kind);
+            return {
+                type: 'document',
+                path: receipt.filePath,
                 caption: null,
-                options: {}
-            },
-            'fabric_purchase': null, // Text only
-            'combined_order': null, // Text only
-            'pickup_complete': {
+                options: { filename: receipt.fileName, mimetype: 'application/pdf' }
+            };
+        } catch (error) {
+            logger.warn(`⚠️ Could not create ${kind} for order ${orderData.order_id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * UPI payment request for the amount due (config/message-types.js "upi")
+     * @returns {Object|null} - See UpiService.getPaymentRequest
+     */
+    getPaymentRequest(messageType, orderData) {
+        if (!this.upiService || !this.messageTypes.hasPaymentRequest(messageType)) return null;
+        return this.upiService.getPaymentRequest(orderData);
+    }
+
+    /**
+     * Order data with the payment link for the {upi_link} placeholder
+     */
+    addPaymentRequest(orderData, paymentRequest) {
+        return paymentRequest ? { ...orderData, upi_link: paymentRequest.link } : orderData;
+    }
+
+    /**
+     * UPI QR code image to attach to a payment reminder
+     * Without the QR code the message is still sent - the link in the text works on its own
+     */
+    async getPaymentQrForMessage(paymentRequest, orderData) {
+        if (!paymentRequest) return null;
+        
+        try {
+            return {
                 type: 'image',
-                path: './media/thank-you-image.jpg', // You can add a thank you image
+                path: await this.upiService.getQrCode(paymentRequest),
                 caption: null,
                 options: {}
-            }
-        };
+            };
+        } catch (error) {
+            logger.warn(`⚠️ Could not create the UPI QR code for order ${orderData.order_id}: ${error.message}`);
+            return null;
+        }
+    }
 
-        const media = mediaConfig[messageType];
+    /**
+     * Get media data for a message type or template (the "media" field of the template file)
+     * Media library assets (asset:<id>) are looked up on every send, so a replaced file is used right away
+     */
+    getMediaForMessage(messageType, orderData, language = null) {
+        const templateType = this.messageTypes.getTemplate(messageType) || messageType;
+        let templateMedia = this.messageTemplates.getTemplateMedia(templateType, language);
+        if (!templateMedia) return null;
         
-        // Check if media file exists before returning
-        if (media && media.path) {
-            if (!fs.existsSync(media.path)) {
-                logger.warn(`Media file not found: ${media.path}, sending text only`);
+        if (templateMedia.assetId) {
+            templateMedia = this.mediaLibrary ? this.mediaLibrary.resolveMedia(templateMedia.assetId) : null;
+            if (!templateMedia) {
+                logger.warn(`Media asset not found for ${templateType}, sending text only`);
                 return null;
             }
         }
         
+        const media = {
+            type: templateMedia.type,
+            path: templateMedia.path,
+            caption: null, // Will use the generated message as caption
+            options: {}
+        };
+        
+        // Check if media file exists before returning
+        if (!fs.existsSync(media.path)) {
+            logger.warn(`Media file not found: ${media.path}, sending text only`);
+            return null;
+        }
+        
         return media;
     }
 
     /**
      * Generate message from template
+     * @param {string} language - hi, en or hinglish (default: the order's Language column); templates
+     * without a translation in that language are sent in Hindi
      */
-    generateMessage(messageType, orderData) {
+    generateMessage(messageType, orderData, language = null) {
         try {
+            const messageLanguage = language || this.languageUtils.normalize(orderData.language) || LanguageUtils.DEFAULT_LANGUAGE;
+            
             // Add default values for missing data
             const enrichedData = this.enrichOrderData(orderData);
             
-            // Map message types to template methods
-            const templateMap = {
-                'welcome': 'getWelcomeMessage',
-                'order_confirmation': 'getOrderConfirmationMessage',
-                'order_ready': 'getOrderReadyMessage',
-                'delivery_notification': 'getDeliveryNotificationMessage',
-                'pickup_reminder': 'getPickupReminderMessage',
-                'payment_reminder': 'getPaymentReminderMessage',
-                'fabric_welcome': 'getFabricWelcomeMessage',
-                'fabric_purchase': 'getFabricPurchaseMessage',
-                'fabric_payment_reminder': 'getFabricPaymentReminderMessage',
-                'combined_order': 'getCombinedOrderMessage',
-                'pickup_complete': 'getPickupCompleteMessage'
-            };
-
-            const templateMethod = templateMap[messageType];
-            if (!templateMethod) {
+            // Template for the message type (config/message-types.js)
+            const templateType = this.messageTypes.getTemplate(messageType);
+            if (!templateType) {
                 logger.error(`❌ Unknown message type: ${messageType}`);
                 return null;
             }
 
-            // Generate message using template
-            const message = this.messageTemplates[templateMethod](enrichedData);
+            const message = this.messageTemplates.processTemplate(templateType, enrichedData, messageLanguage);
             
-            logger.info(`✅ Generated ${messageType} message (${message.length} characters)`);
+            logger.info(`✅ Generated ${messageType} message (${messageLanguage}, ${message.length} characters)`);
             return message;
 
         } catch (error) {
@@ -249,6 +434,7 @@ class MessageProcessor {
         const defaults = {
             shop_name: process.env.SHOP_NAME || 'RS Tailor & Fabric',
             shop_phone: process.env.SHOP_PHONE || '8824781960',
+            upi_id: process.env.SHOP_UPI_VPA || '8824781960@paytm',
             business_hours: process.env.BUSINESS_HOURS || '24/7 - No Time Restrictions',
             customer_name: orderData.customer_name || 'Customer',
             order_id: orderData.order_id || 'N/A',
@@ -292,17 +478,7 @@ class MessageProcessor {
                 throw new Error('WhatsApp is not connected');
             }
 
-            const testData = {
-                customer_name: 'Test Customer',
-                phone_number: phoneNumber,
-                order_id: 'TEST001',
-                garment_type: 'Test Item',
-                total_amount: 500,
-                advance_payment: 200,
-                remaining_amount: 300,
-                order_date: new Date().toLocaleDateString(),
-                notes: 'Test message'
-            };
+            const testData = this.getSampleOrderData(phoneNumber);
 
             const message = this.generateMessage(messageType, testData);
             if (!message) {
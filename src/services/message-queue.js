@@ -0,0 +1,332 @@
+/**
+ * Message Queue Service
+ * Durable outbound queue: jobs are written to the database before the webhook is acknowledged,
+ * retried with backoff and moved to a dead-letter list when they keep failing
+ */
+
+const crypto = require('crypto');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+class MessageQueue {
+    constructor(database) {
+        this.database = database;
+        
+        // Retry settings
+        this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '8');
+        this.baseDelayMs = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS || '30000'); // 30 seconds
+        this.maxDelayMs = parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS || '1800000'); // 30 minutes
+        this.maxJobAgeMs = parseInt(process.env.QUEUE_MAX_JOB_AGE_HOURS || '72') * 60 * 60 * 1000;
+        this.pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '5000');
+        
+        this.jobs = [];
+        this.deadLetter = [];
+        this.handlers = {};
+        this.isReady = () => true;
+        this.timer = null;
+        this.isProcessing = false;
+        this.waitingForConnection = false;
+    }
+
+    /**
+     * Load queue state from the database
+     */
+    async load() {
+        const rows = await this.database.all('SELECT * FROM queue_jobs ORDER BY created_at');
+        const jobs = rows.map(row => this.rowToJob(row));
+        
+        // Jobs that were being sent when the process died go back to pending
+        for (const job of jobs) {
+            if (job.status === 'processing') {
+                job.status = 'pending';
+                await this.saveJob(job);
+            }
+        }
+        
+        this.jobs = jobs.filter(job => job.status !== 'dead');
+        this.deadLetter = jobs.filter(job => job.status === 'dead');
+        
+        if (this.jobs.length > 0 || this.deadLetter.length > 0) {
+            logger.info(`📬 Loaded message queue: ${this.jobs.length} pending, ${this.deadLetter.length} dead-letter`);
+        }
+    }
+
+    rowToJob(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            payload: JSON.parse(row.payload),
+            status: row.status,
+            attempts: row.attempts,
+            createdAt: row.created_at,
+            nextAttemptAt: row.next_attempt_at,
+            lastError: row.last_error,
+            failedAt: row.failed_at || undefined
+        };
+    }
+
+    /**
+     * Insert or update a single job row
+     */
+    async saveJob(job) {
+        await this.database.run(
+            `INSERT INTO queue_jobs (id, type, payload, status, attempts, created_at, next_attempt_at, last_error, failed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status,
+                attempts = excluded.attempts,
+                created_at = excluded.created_at,
+                next_attempt_at = excluded.next_attempt_at,
+                last_error = excluded.last_error,
+                failed_at = excluded.failed_at`,
+            [
+                job.id,
+                job.type,
+                JSON.stringify(job.payload),
+                job.status,
+                job.attempts,
+                job.createdAt,
+                job.nextAttemptAt,
+                job.lastError || null,
+                job.failedAt || null
+            ]
+        );
+    }
+
+    async deleteJob(jobId) {
+        await this.database.run('DELETE FROM queue_jobs WHERE id = ?', [jobId]);
+    }
+
+    /**
+     * Register the function that processes jobs of a given type
+     */
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    /**
+     * Add a job to the queue. The job is stored when the returned promise resolves.
+     */
+    async enqueue(type, payload) {
+        const now = Date.now();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastError: null
+        };
+        
+        await this.saveJob(job);
+        this.jobs.push(job);
+        
+        logger.info(`📥 Queued ${type} job ${job.id}`);
+        
+        // Try right away instead of waiting for the next poll
+        setImmediate(() => this.processDue());
+        
+        return job;
+    }
+
+    /**
+     * Start the background worker
+     * @param {Function} isReady - Returns true when jobs can be sent (e.g. WhatsApp connected)
+     */
+    async start(isReady) {
+        if (isReady) {
+            this.isReady = isReady;
+        }
+        
+        if (this.timer) return;
+        
+        await this.load();
+        
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info(`📬 Message queue worker started (${this.jobs.length} pending)`);
+        this.processDue();
+    }
+
+    /**
+     * Stop the background worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('📬 Message queue worker stopped');
+        }
+    }
+
+    /**
+     * Process all jobs whose retry time has come
+     */
+    async processDue() {
+        if (this.isProcessing || this.jobs.length === 0) return;
+        
+        // Hold everything while WhatsApp is disconnected - these waits do not count as attempts
+        if (!this.isReady()) {
+            if (!this.waitingForConnection) {
+                logger.warn(`⏸️ Message queue paused - WhatsApp not connected (${this.jobs.length} waiting)`);
+                this.waitingForConnection = true;
+            }
+            return;
+        }
+        
+        if (this.waitingForConnection) {
+            logger.info('▶️ WhatsApp connected - resuming message queue');
+            this.waitingForConnection = false;
+        }
+        
+        this.isProcessing = true;
+        
+        try {
+            const now = Date.now();
+            const dueJobs = this.jobs.filter(job => job.status === 'pending' && job.nextAttemptAt <= now);
+            
+            for (const job of dueJobs) {
+                if (!this.isReady()) break;
+                await this.processJob(job);
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Run a single job and record the outcome
+     */
+    async processJob(job) {
+        if (Date.now() - job.createdAt > this.maxJobAgeMs) {
+            await this.moveToDeadLetter(job, 'Job expired before it could be sent');
+            return;
+        }
+        
+        const handler = this.handlers[job.type];
+        if (!handler) {
+            await this.moveToDeadLetter(job, `No handler registered for job type: ${job.type}`);
+            return;
+        }
+        
+        job.status = 'processing';
+        job.attempts++;
+        await this.saveJob(job);
+        
+        try {
+            await handler(job.payload, job);
+            
+            this.jobs = this.jobs.filter(queued => queued.id !== job.id);
+            await this.deleteJob(job.id);
+            logger.info(`✅ Queue job ${job.id} (${job.type}) completed after ${job.attempts} attempt(s)`);
+        
+        } catch (error) {
+            job.lastError = error.message;
+            
+            // Held back by the send governor (limits, quiet hours) - wait until it allows sending, not an attempt
+            if (error.deferred) {
+                job.attempts--;
+                job.status = 'pending';
+                job.nextAttemptAt = error.retryAt;
+                await this.saveJob(job);
+                
+                logger.info(`⏸️ Queue job ${job.id} deferred until ${new Date(error.retryAt).toISOString()}: ${error.message}`);
+                return;
+            }
+            
+            if (error.permanent || job.attempts >= this.maxAttempts) {
+                await this.moveToDeadLetter(job, error.message);
+                return;
+            }
+            
+            const delay = Math.min(this.baseDelayMs * Math.pow(2, job.attempts - 1), this.maxDelayMs);
+            job.status = 'pending';
+            job.nextAttemptAt = Date.now() + delay;
+            await this.saveJob(job);
+            
+            logger.warn(`🔁 Queue job ${job.id} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move a job to the dead-letter list
+     */
+    async moveToDeadLetter(job, reason) {
+        const deadJob = {
+            ...job,
+            status: 'dead',
+            lastError: reason,
+            failedAt: Date.now()
+        };
+        
+        this.jobs = this.jobs.filter(queued => queued.id !== job.id);
+        this.deadLetter.push(deadJob);
+        await this.saveJob(deadJob);
+        
+        logger.error(`💀 Queue job ${job.id} (${job.type}) moved to dead-letter: ${reason}`);
+    }
+
+    /**
+     * Put a dead-letter job back into the queue with a fresh attempt count
+     */
+    async retryDeadLetter(jobId) {
+        const job = this.deadLetter.find(dead => dead.id === jobId);
+        if (!job) return null;
+        
+        const now = Date.now();
+        const retried = {
+            ...job,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            failedAt: undefined
+        };
+        
+        await this.saveJob(retried);
+        this.deadLetter = this.deadLetter.filter(dead => dead.id !== jobId);
+        this.jobs.push(retried);
+        
+        logger.info(`🔄 Dead-letter job ${jobId} re-queued`);
+        setImmediate(() => this.processDue());
+        
+        return retried;
+    }
+
+    /**
+     * Permanently remove a dead-letter job
+     */
+    async discardDeadLetter(jobId) {
+        const job = this.deadLetter.find(dead => dead.id === jobId);
+        if (!job) return null;
+        
+        await this.deleteJob(jobId);
+        this.deadLetter = this.deadLetter.filter(dead => dead.id !== jobId);
+        
+        logger.info(`🗑️ Dead-letter job ${jobId} discarded`);
+        return job;
+    }
+
+    getPendingJobs() {
+        return [...this.jobs];
+    }
+
+    getDeadLetterJobs() {
+        return [...this.deadLetter];
+    }
+
+    /**
+     * Get queue status
+     */
+    getStatus() {
+        return {
+            running: !!this.timer,
+            waitingForConnection: this.waitingForConnection,
+            pending: this.jobs.length,
+            deadLetter: this.deadLetter.length,
+            maxAttempts: this.maxAttempts
+        };
+    }
+}
+
+module.exports = MessageQueue;
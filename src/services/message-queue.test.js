@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./database-service');
+const MessageQueue = require('./message-queue');
+
+describe('MessageQueue', () => {
+    const savedEnv = { ...process.env };
+    let directory;
+    let database;
+    let queue;
+
+    // Stored state of a job, as a restart would load it
+    const storedJob = (jobId) => database.get('SELECT status, attempts, next_attempt_at, last_error FROM queue_jobs WHERE id = ?', [jobId]);
+
+    beforeEach(async () => {
+        Object.assign(process.env, {
+            QUEUE_MAX_ATTEMPTS: '3',
+            QUEUE_RETRY_BASE_DELAY_MS: '1000',
+            QUEUE_RETRY_MAX_DELAY_MS: '1500'
+        });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'message-queue-'));
+        database = new DatabaseService({ dbPath: path.join(directory, 'bot.db') });
+        await database.initialize();
+        queue = new MessageQueue(database);
+    });
+
+    afterEach(async () => {
+        queue.stop();
+        await database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+        process.env = { ...savedEnv };
+        jest.restoreAllMocks();
+    });
+
+    // Without the immediate run that enqueue and retryDeadLetter start, so each test decides when jobs run
+    const withoutAutoRun = async (action) => {
+        const processDue = jest.spyOn(queue, 'processDue').mockResolvedValue();
+        const result = await action();
+        await new Promise(resolve => setImmediate(resolve));
+        processDue.mockRestore();
+        return result;
+    };
+    const enqueue = (type, payload) => withoutAutoRun(() => queue.enqueue(type, payload));
+
+    // Runs the job due now; the clock is moved with Date.now so backoff waits are not real
+    const processAt = async (time) => {
+        jest.spyOn(Date, 'now').mockReturnValue(time);
+        await queue.processDue();
+    };
+
+    test('stores a job before running it and deletes it once it succeeds', async () => {
+        const handler = jest.fn().mockResolvedValue({});
+        queue.registerHandler('text_message', handler);
+        
+        const job = await enqueue('text_message', { phone: '919876543210', message: 'Hi' });
+        expect(await storedJob(job.id)).toMatchObject({ status: 'pending', attempts: 0 });
+        
+        await queue.processDue();
+        
+        expect(handler).toHaveBeenCalledWith({ phone: '919876543210', message: 'Hi' }, expect.objectContaining({ id: job.id }));
+        expect(await storedJob(job.id)).toBeNull();
+        expect(queue.getStatus()).toMatchObject({ pending: 0, deadLetter: 0 });
+    });
+
+    test('retries with exponential backoff, capped at the maximum delay, then dead-letters', async () => {
+        const handler = jest.fn().mockRejectedValue(new Error('socket closed'));
+        queue.registerHandler('text_message', handler);
+        const job = await enqueue('text_message', { phone: '919876543210', message: 'Hi' });
+        const start = job.createdAt;
+        
+        await processAt(start);
+        expect(await storedJob(job.id)).toMatchObject({ status: 'pending', attempts: 1, next_attempt_at: start + 1000, last_error: 'socket closed' });
+        
+        // Not due yet
+        await processAt(start + 999);
+        expect(handler).toHaveBeenCalledTimes(1);
+        
+        await processAt(start + 1000);
+        expect(await storedJob(job.id)).toMatchObject({ attempts: 2, next_attempt_at: start + 1000 + 1500 });
+        
+        await processAt(start + 2500);
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(await storedJob(job.id)).toMatchObject({ status: 'dead', attempts: 3, last_error: 'socket closed' });
+        expect(queue.getPendingJobs()).toEqual([]);
+        expect(queue.getDeadLetterJobs().map(dead => dead.id)).toEqual([job.id]);
+    });
+
+    test('permanent errors go straight to the dead-letter list', async () => {
+        const error = new Error('Template disabled');
+        error.permanent = true;
+        queue.registerHandler('order_message', jest.fn().mockRejectedValue(error));
+        const job = await enqueue('order_message', {});
+        
+        await queue.processDue();
+        
+        expect(await storedJob(job.id)).toMatchObject({ status: 'dead', attempts: 1, last_error: 'Template disabled' });
+    });
+
+    test('a deferred send waits until retryAt without using an attempt', async () => {
+        const deferred = Object.assign(new Error('Quiet hours'), { deferred: true });
+        const handler = jest.fn().mockRejectedValueOnce(deferred).mockResolvedValueOnce({});
+        queue.registerHandler('text_message', handler);
+        const job = await enqueue('text_message', {});
+        deferred.retryAt = job.createdAt + 60 * 60 * 1000;
+        
+        await processAt(job.createdAt);
+        expect(await storedJob(job.id)).toMatchObject({ status: 'pending', attempts: 0, next_attempt_at: deferred.retryAt });
+        
+        await processAt(deferred.retryAt);
+        expect(await storedJob(job.id)).toBeNull();
+    });
+
+    test('jobs wait while WhatsApp is disconnected', async () => {
+        const handler = jest.fn().mockResolvedValue({});
+        queue.registerHandler('text_message', handler);
+        let connected = false;
+        queue.isReady = () => connected;
+        
+        await enqueue('text_message', {});
+        await queue.processDue();
+        expect(handler).not.toHaveBeenCalled();
+        expect(queue.getStatus().waitingForConnection).toBe(true);
+        
+        connected = true;
+        await queue.processDue();
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('jobs without a handler and expired jobs are dead-lettered', async () => {
+        const unknown = await enqueue('fax_message', {});
+        queue.registerHandler('text_message', jest.fn().mockResolvedValue({}));
+        const expired = await enqueue('text_message', {});
+        
+        await queue.processJob(unknown);
+        await processAt(expired.createdAt + queue.maxJobAgeMs + 1);
+        
+        expect(await storedJob(unknown.id)).toMatchObject({ status: 'dead', last_error: 'No handler registered for job type: fax_message' });
+        expect(await storedJob(expired.id)).toMatchObject({ status: 'dead', last_error: 'Job expired before it could be sent' });
+    });
+
+    test('a restart loads pending and dead jobs and resets interrupted ones', async () => {
+        queue.registerHandler('text_message', jest.fn().mockRejectedValue(Object.assign(new Error('bad number'), { permanent: true })));
+        const dead = await enqueue('text_message', { n: 1 });
+        const interrupted = await enqueue('text_message', { n: 2 });
+        await queue.processJob(dead);
+        await database.run("UPDATE queue_jobs SET status = 'processing' WHERE id = ?", [interrupted.id]);
+        
+        const restarted = new MessageQueue(database);
+        await restarted.load();
+        
+        expect(restarted.getPendingJobs()).toEqual([expect.objectContaining({ id: interrupted.id, status: 'pending', payload: { n: 2 } })]);
+        expect(restarted.getDeadLetterJobs()).toEqual([expect.objectContaining({ id: dead.id, status: 'dead' })]);
+        expect(await storedJob(interrupted.id)).toMatchObject({ status: 'pending' });
+    });
+
+    test('a dead-letter job can be retried with a fresh attempt count or discarded', async () => {
+        const badNumber = Object.assign(new Error('bad number'), { permanent: true });
+        const handler = jest.fn().mockRejectedValueOnce(badNumber).mockRejectedValueOnce(badNumber).mockResolvedValue({});
+        queue.registerHandler('text_message', handler);
+        const first = await enqueue('text_message', {});
+        const second = await enqueue('text_message', {});
+        await queue.processJob(first);
+        await queue.processJob(second);
+        
+        const retried = await withoutAutoRun(() => queue.retryDeadLetter(first.id));
+        expect(retried).toMatchObject({ status: 'pending', attempts: 0 });
+        expect(await storedJob(first.id)).toMatchObject({ status: 'pending', attempts: 0 });
+        await queue.processDue();
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(await storedJob(first.id)).toBeNull();
+        
+        expect(await queue.discardDeadLetter(second.id)).toMatchObject({ id: second.id });
+        expect(await storedJob(second.id)).toBeNull();
+        expect(await queue.retryDeadLetter('missing')).toBeNull();
+        expect(queue.getStatus()).toMatchObject({ pending: 0, deadLetter: 0 });
+    });
+});
@@ -0,0 +1,386 @@
+/**
+ * Payment Service
+ * Payments customers report on WhatsApp ("paid 500", a UPI screenshot) are kept as claims until
+ * staff check them against the bank app. A confirmed claim is written to the order sheet and the
+ * customer gets a receipt
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+
+// confirming: taken by one confirm while the sheet is written, so a second confirm cannot pay it twice
+const CLAIM_STATUSES = ['pending', 'confirming', 'confirmed', 'rejected'];
+
+// Screenshot types WhatsApp sends, with the file extension they are stored under
+const SCREENSHOT_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+
+class PaymentService {
+    /**
+     * @param {ReceiptService} receiptService - Sends the receipt PDF after a confirmed payment (text only without it)
+     */
+    constructor(database, googleSheetsService, whatsappClient, messageTemplates, receiptService = null, customerService = null) {
+        this.database = database;
+        this.googleSheetsService = googleSheetsService;
+        this.whatsappClient = whatsappClient;
+        this.messageTemplates = messageTemplates;
+        this.receiptService = receiptService;
+        this.customerService = customerService;
+        this.dateUtils = new DateUtils();
+        this.screenshotDir = process.env.PAYMENT_SCREENSHOTS_DIR || path.join(__dirname, '..', '..', 'data', 'payment-screenshots');
+        
+        // A screenshot and a "paid 500" sent one after the other make up one claim
+        this.mergeWindowMs = parseInt(process.env.PAYMENT_CLAIM_MERGE_MINUTES || '15') * 60 * 1000;
+    }
+
+    rowToClaim(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            phone: row.phone,
+            customerName: row.customer_name,
+            amount: row.amount,
+            orderId: row.order_id,
+            openOrders: JSON.parse(row.open_orders),
+            messageText: row.message_text,
+            hasScreenshot: !!row.screenshot_path,
+            screenshotPath: row.screenshot_path,
+            status: row.status,
+            confirmedAmount: row.confirmed_amount,
+            resolutionNote: row.resolution_note,
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString(),
+            resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null
+        };
+    }
+
+    /**
+     * Record a payment the customer reported, linked to their orders with an amount due
+     * A second message within the merge window (screenshot after "paid 500") is added to the same claim
+     * @param {Object} claim - { phone, amount, orderId, text, screenshot: { buffer, mimeType }, requireOpenOrders,
+     *                          followUpOnly } - followUpOnly: only add to a claim opened within the merge window
+     * @returns {Promise<Object|null>} - The claim, with merged: true when an open claim was added to;
+     *                                   null when requireOpenOrders is set and nothing is due, or when
+     *                                   followUpOnly is set and there is no recent claim
+     */
+    async createClaim({ phone, amount = null, orderId = null, text = null, screenshot = null, requireOpenOrders = false, followUpOnly = false }) {
+        if (!phone) {
+            throw this.createError('Phone number is required for a payment claim', 400);
+        }
+        
+        const orders = await this.googleSheetsService.findOrdersByPhone(phone);
+        const openOrders = this.getOpenOrders(orders);
+        if (requireOpenOrders && openOrders.length === 0) return null;
+        
+        const now = Date.now();
+        
+        const recent = await this.database.get(
+            `SELECT * FROM payment_claims WHERE phone = ? AND status = 'pending' AND updated_at >= ?
+             ORDER BY id DESC LIMIT 1`,
+            [phone, now - this.mergeWindowMs]
+        );
+        if (followUpOnly && !recent) return null;
+        
+        if (recent) {
+            const merged = {
+                amount: amount !== null ? amount : recent.amount,
+                orderId: orderId || recent.order_id,
+                text: [recent.message_text, text].filter(Boolean).join('\n') || null
+            };
+            const orderSuggestion = this.suggestOrder(openOrders, merged.amount, merged.orderId);
+            
+            await this.database.run(
+                `UPDATE payment_claims SET amount = ?, order_id = ?, open_orders = ?, message_text = ?, updated_at = ?
+                 WHERE id = ?`,
+                [merged.amount, orderSuggestion, JSON.stringify(openOrders), merged.text, now, recent.id]
+            );
+            if (screenshot) {
+                await this.saveScreenshot(recent.id, screenshot, recent.screenshot_path);
+            }
+            
+            logger.info(`💰 Payment claim #${recent.id} from ${phone} updated`);
+            return { ...await this.getClaim(recent.id), merged: true };
+        }
+        
+        const { lastID } = await this.database.run(
+            `INSERT INTO payment_claims (phone, customer_name, amount, order_id, open_orders, message_text, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                phone,
+                (openOrders[0] || orders[0] || {}).customer_name || null,
+                amount,
+                this.suggestOrder(openOrders, amount, orderId),
+                JSON.stringify(openOrders),
+                text,
+                now,
+                now
+            ]
+        );
+        if (screenshot) {
+            await this.saveScreenshot(lastID, screenshot);
+        }
+        
+        logger.info(`💰 Payment claim #${lastID} from ${phone}${amount !== null ? ` for ₹${amount}` : ''} (${openOrders.length} open orders)`);
+        return { ...await this.getClaim(lastID), merged: false };
+    }
+
+    async getClaim(claimId) {
+        return this.rowToClaim(await this.database.get('SELECT * FROM payment_claims WHERE id = ?', [claimId]));
+    }
+
+    /**
+     * @param {Object} filters - { status, phone }
+     */
+    async listClaims({ status = null, phone = null } = {}) {
+        if (status && !CLAIM_STATUSES.includes(status)) {
+            throw this.createError(`Invalid status: ${status}. Use one of: ${CLAIM_STATUSES.join(', ')}`, 400);
+        }
+        
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (phone) {
+            conditions.push('phone = ?');
+            params.push(phone);
+        }
+        
+        const rows = await this.database.all(
+            `SELECT * FROM payment_claims ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT 200`,
+            params
+        );
+        return rows.map(row => this.rowToClaim(row));
+    }
+
+    /**
+     * Claims received and payments confirmed since a timestamp, and claims still waiting (any age)
+     * @returns {Promise<Object>} - { received, confirmed, confirmedAmount, pending }
+     */
+    async getSummary(since) {
+        const row = await this.database.get(
+            `SELECT
+                SUM(created_at >= ?) AS received,
+                SUM(status = 'confirmed' AND resolved_at >= ?) AS confirmed,
+                SUM(CASE WHEN status = 'confirmed' AND resolved_at >= ? THEN confirmed_amount ELSE 0 END) AS confirmed_amount,
+                SUM(status = 'pending') AS pending
+             FROM payment_claims`,
+            [since, since, since]
+        );
+        
+        return {
+            received: row.received || 0,
+            confirmed: row.confirmed || 0,
+            confirmedAmount: row.confirmed_amount || 0,
+            pending: row.pending || 0
+        };
+    }
+
+    /**
+     * Confirm a claim once the money is seen in the bank app: update the order sheet and send the customer a receipt
+     * @param {Object} options - { amount, orderId, note } - default to what the customer sent / the suggested order
+     * @returns {Promise<Object>} - { claim, order, receiptSent }
+     */
+    async confirmClaim(claimId, { amount = null, orderId = null, note = null } = {}) {
+        const claim = await this.getPendingClaim(claimId);
+        
+        const paidAmount = amount !== null && amount !== undefined && amount !== '' ? parseFloat(amount) : claim.amount;
+        if (!paidAmount || !Number.isFinite(paidAmount) || paidAmount <= 0) {
+            throw this.createError('Amount is required - the customer did not send one. Pass the amount received', 400);
+        }
+        
+        const selectedOrderId = orderId || claim.orderId;
+        if (!selectedOrderId) {
+            const choices = claim.openOrders.map(order => `${order.orderId} (₹${order.remainingAmount} due)`).join(', ');
+            throw this.createError(`Choose the order the payment is for: ${choices || 'the customer has no open orders'}`, 400);
+        }
+        
+        // Take the claim before the sheet is touched - of two confirms at the same time (both admin phones,
+        // the API and WhatsApp) only one gets past this
+        const taken = await this.database.run(
+            `UPDATE payment_claims SET status = 'confirming', updated_at = ? WHERE id = ? AND status = 'pending'`,
+            [Date.now(), claim.id]
+        );
+        if (taken.changes !== 1) {
+            throw this.createError(`Payment claim #${claim.id} is already being confirmed or was resolved`, 409);
+        }
+        
+        let order;
+        let written;
+        try {
+            // Read again - the amount due may have changed since the claim came in
+            order = await this.googleSheetsService.findOrderById(selectedOrderId);
+            if (!order) {
+                throw this.createError(`Order ${selectedOrderId} not found in the sheets`, 404);
+            }
+            if (this.googleSheetsService.getPhoneKey(order.phone_number) !== this.googleSheetsService.getPhoneKey(claim.phone)) {
+                throw this.createError(`Order ${order.order_id} belongs to another phone number`, 400);
+            }
+            if (paidAmount > order.remaining_amount) {
+                throw this.createError(`₹${paidAmount} is more than the ₹${order.remaining_amount} due on order ${order.order_id}`, 400);
+            }
+            
+            written = await this.googleSheetsService.recordPayment(order, paidAmount, await this.getPaidToday(order, paidAmount));
+        } catch (error) {
+            // Nothing was written - give the claim back so it can be confirmed again
+            await this.database.run(
+                `UPDATE payment_claims SET status = 'pending', updated_at = ? WHERE id = ? AND status = 'confirming'`,
+                [Date.now(), claim.id]
+            );
+            throw error;
+        }
+        
+        // The sheet is written - a failed status update must not fail the confirm, or staff would enter the payment again
+        const now = Date.now();
+        try {
+            await this.database.run(
+                `UPDATE payment_claims SET status = 'confirmed', confirmed_amount = ?, order_id = ?, resolution_note = ?,
+                    updated_at = ?, resolved_at = ? WHERE id = ?`,
+                [paidAmount, order.order_id, note, now, now, claim.id]
+            );
+            logger.info(`✅ Payment claim #${claim.id} confirmed: ₹${paidAmount} for order ${order.order_id}`);
+        } catch (error) {
+            logger.error(`❌ Payment claim #${claim.id}: ₹${paidAmount} written to order ${order.order_id} in the sheet, but the claim stays confirming - do not enter it again: ${error.message}`);
+        }
+        
+        // The sheet is already updated - a failed receipt must not undo the confirmation
+        const updatedOrder = { ...order, ...written };
+        let receiptSent = false;
+        try {
+            await this.sendPaymentReceipt(claim.phone, updatedOrder, paidAmount);
+            receiptSent = true;
+        } catch (error) {
+            logger.warn(`⚠️ Payment confirmed but receipt not sent to ${claim.phone}: ${error.message}`);
+        }
+        
+        return { claim: await this.getClaim(claim.id), order: updatedOrder, receiptSent };
+    }
+
+    /**
+     * Paid Today for a confirmed payment. The sheet keeps no date for it - when a payment on the order was
+     * already confirmed today, Paid Today is from today and the amount is added to it (the daily summary
+     * sums Paid Today); otherwise it is an older payment and is replaced
+     */
+    async getPaidToday(order, amount) {
+        const row = await this.database.get(
+            `SELECT COUNT(*) AS count FROM payment_claims WHERE order_id = ? AND status = 'confirmed' AND resolved_at >= ?`,
+            [order.order_id.toString(), this.dateUtils.startOfDay()]
+        );
+        if (row.count === 0) return amount;
+        
+        return Math.round(((parseFloat(order.paid_today) || 0) + amount) * 100) / 100;
+    }
+
+    /**
+     * Close a claim without changing the sheet (payment not received, duplicate screenshot, ...)
+     */
+    async rejectClaim(claimId, note = null) {
+        const claim = await this.getPendingClaim(claimId);
+        const now = Date.now();
+        
+        // Only while still pending - not a claim another admin is confirming right now
+        const result = await this.database.run(
+            `UPDATE payment_claims SET status = 'rejected', resolution_note = ?, updated_at = ?, resolved_at = ?
+             WHERE id = ? AND status = 'pending'`,
+            [note, now, now, claim.id]
+        );
+        if (result.changes !== 1) {
+            throw this.createError(`Payment claim #${claim.id} is already being confirmed or was resolved`, 409);
+        }
+        
+        logger.info(`🚫 Payment claim #${claim.id} rejected${note ? `: ${note}` : ''}`);
+        return this.getClaim(claim.id);
+    }
+
+    /**
+     * Receipt for the payment - the order's receipt PDF with the payment_received text as caption
+     */
+    async sendPaymentReceipt(phone, order, amount) {
+        const language = this.customerService ? await this.customerService.getLanguage(phone) : null;
+        const caption = this.messageTemplates.getPaymentReceivedMessage({
+            customer_name: order.customer_name || 'Customer',
+            order_id: order.order_id,
+            amount_paid: amount,
+            remaining_amount: order.remaining_amount
+        }, language);
+        
+        if (!this.receiptService) {
+            return this.whatsappClient.sendMessage(phone, caption);
+        }
+        
+        const receipt = await this.receiptService.getOrCreateReceipt(order, this.receiptService.getKindForOrder(order));
+        return this.whatsappClient.sendDocumentMessage(phone, receipt.filePath, receipt.fileName, 'application/pdf', caption);
+    }
+
+    async getPendingClaim(claimId) {
+        const claim = await this.getClaim(claimId);
+        if (!claim) {
+            throw this.createError(`Payment claim not found: ${claimId}`, 404);
+        }
+        if (claim.status !== 'pending') {
+            throw this.createError(`Payment claim #${claim.id} is already ${claim.status}`, 409);
+        }
+        return claim;
+    }
+
+    /**
+     * Orders with an amount due, as stored on the claim
+     */
+    getOpenOrders(orders) {
+        return orders
+            .filter(order => order.remaining_amount > 0 && (order.payment_status || '').toString().toLowerCase() !== 'paid')
+            .map(order => ({
+                orderId: order.order_id,
+                sheetName: order.sheet_name,
+                garmentType: order.garment_type || null,
+                remainingAmount: order.remaining_amount
+            }));
+    }
+
+    /**
+     * Order the payment is most likely for: the one named in the message, the only open order,
+     * or the only open order whose amount due matches the amount paid
+     * @returns {string|null}
+     */
+    suggestOrder(openOrders, amount, orderId = null) {
+        if (orderId) {
+            const named = openOrders.find(order => order.orderId.toUpperCase() === orderId.toUpperCase());
+            if (named) return named.orderId;
+        }
+        if (openOrders.length === 1) return openOrders[0].orderId;
+        
+        const matching = openOrders.filter(order => amount !== null && order.remainingAmount === amount);
+        return matching.length === 1 ? matching[0].orderId : null;
+    }
+
+    /**
+     * Store the screenshot for staff to check, replacing an earlier one of the same claim
+     * @param {Object} screenshot - { buffer, mimeType }
+     */
+    async saveScreenshot(claimId, screenshot, previousPath = null) {
+        const extension = SCREENSHOT_EXTENSIONS[screenshot.mimeType] || '.jpg';
+        const filePath = path.join(this.screenshotDir, `claim-${claimId}-${Date.now()}${extension}`);
+        
+        fs.mkdirSync(this.screenshotDir, { recursive: true });
+        fs.writeFileSync(filePath, screenshot.buffer);
+        await this.database.run('UPDATE payment_claims SET screenshot_path = ? WHERE id = ?', [filePath, claimId]);
+        
+        if (previousPath && fs.existsSync(previousPath)) {
+            fs.unlinkSync(previousPath);
+        }
+        return filePath;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+PaymentService.CLAIM_STATUSES = CLAIM_STATUSES;
+
+module.exports = PaymentService;
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./database-service');
+const PaymentService = require('./payment-service');
+
+describe('PaymentService', () => {
+    const order = {
+        order_id: 'TXL18092517',
+        sheet_name: 'Tailor Orders',
+        sheet_row: 12,
+        customer_name: 'Ravi',
+        phone_number: '919876543210',
+        remaining_amount: 800,
+        paid_today: 300,
+        payment_status: 'Pending'
+    };
+
+    let directory;
+    let database;
+    let sheets;
+    let whatsapp;
+    let payments;
+    let claim;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-'));
+        database = new DatabaseService({ dbPath: path.join(directory, 'bot.db') });
+        await database.initialize();
+        sheets = {
+            findOrdersByPhone: jest.fn().mockResolvedValue([order]),
+            findOrderById: jest.fn().mockResolvedValue(order),
+            getPhoneKey: jest.fn(phone => phone.slice(-10)),
+            recordPayment: jest.fn(async (paidOrder, amount, paidToday) => ({
+                remaining_amount: paidOrder.remaining_amount - amount,
+                paid_today: paidToday,
+                payment_status: 'Pending'
+            }))
+        };
+        whatsapp = { sendMessage: jest.fn().mockResolvedValue({}) };
+        payments = new PaymentService(database, sheets, whatsapp, { getPaymentReceivedMessage: jest.fn().mockReturnValue('Received, thank you') });
+        claim = await payments.createClaim({ phone: '919876543210', amount: 500, text: 'paid 500' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('confirmClaim', () => {
+        test('writes the payment to the suggested order and sends the receipt', async () => {
+            const result = await payments.confirmClaim(claim.id);
+            
+            expect(sheets.recordPayment).toHaveBeenCalledWith(order, 500, 500);
+            expect(result).toMatchObject({ claim: { status: 'confirmed', confirmedAmount: 500, orderId: order.order_id }, receiptSent: true });
+            expect(result.order.remaining_amount).toBe(300);
+            expect(whatsapp.sendMessage).toHaveBeenCalledWith('919876543210', 'Received, thank you');
+        });
+        
+        test('of two confirms at the same time only one writes the sheet', async () => {
+            const results = await Promise.allSettled([payments.confirmClaim(claim.id), payments.confirmClaim(claim.id)]);
+            
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+            expect(sheets.recordPayment).toHaveBeenCalledTimes(1);
+        });
+        
+        test('holds the claim as confirming while the sheet is read and written', async () => {
+            let release;
+            sheets.findOrderById.mockReturnValue(new Promise(resolve => { release = () => resolve(order); }));
+            
+            const confirming = payments.confirmClaim(claim.id);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            
+            expect((await payments.getClaim(claim.id)).status).toBe('confirming');
+            await expect(payments.confirmClaim(claim.id)).rejects.toMatchObject({ statusCode: 409 });
+            await expect(payments.rejectClaim(claim.id)).rejects.toMatchObject({ statusCode: 409 });
+            
+            release();
+            await expect(confirming).resolves.toMatchObject({ claim: { status: 'confirmed' } });
+        });
+        
+        test('gives the claim back when the sheet write fails', async () => {
+            sheets.recordPayment.mockRejectedValueOnce(new Error('quota exceeded'));
+            
+            await expect(payments.confirmClaim(claim.id)).rejects.toThrow('quota exceeded');
+            expect((await payments.getClaim(claim.id)).status).toBe('pending');
+            
+            await expect(payments.confirmClaim(claim.id)).resolves.toMatchObject({ claim: { status: 'confirmed' } });
+            expect(sheets.recordPayment).toHaveBeenCalledTimes(2);
+        });
+        
+        test('gives the claim back when the order does not belong to the customer', async () => {
+            sheets.findOrderById.mockResolvedValue({ ...order, phone_number: '919999999999' });
+            
+            await expect(payments.confirmClaim(claim.id)).rejects.toMatchObject({ statusCode: 400 });
+            expect((await payments.getClaim(claim.id)).status).toBe('pending');
+            expect(sheets.recordPayment).not.toHaveBeenCalled();
+        });
+        
+        test('a failed status update after the sheet is written does not fail the confirm', async () => {
+            const run = database.run.bind(database);
+            jest.spyOn(database, 'run').mockImplementation((sql, params) => (
+                sql.includes("status = 'confirmed'") ? Promise.reject(new Error('database is locked')) : run(sql, params)
+            ));
+            
+            const result = await payments.confirmClaim(claim.id);
+            
+            expect(sheets.recordPayment).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ claim: { status: 'confirming' }, receiptSent: true });
+            await expect(payments.confirmClaim(claim.id)).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('getPaidToday', () => {
+        test('replaces Paid Today when nothing on the order was confirmed today', async () => {
+            expect(await payments.getPaidToday(order, 500)).toBe(500);
+        });
+        
+        test('replaces Paid Today left from a payment confirmed on an earlier day', async () => {
+            await payments.confirmClaim(claim.id, { amount: 300 });
+            await database.run('UPDATE payment_claims SET resolved_at = ? WHERE id = ?', [Date.now() - 2 * 24 * 60 * 60 * 1000, claim.id]);
+            
+            expect(await payments.getPaidToday(order, 500)).toBe(500);
+        });
+        
+        test('adds to Paid Today when a payment on the order was already confirmed today', async () => {
+            await payments.confirmClaim(claim.id, { amount: 300 });
+            
+            expect(await payments.getPaidToday(order, 200.5)).toBe(500.5);
+            expect(await payments.getPaidToday({ ...order, order_id: 'TXL18092518' }, 200)).toBe(200);
+        });
+    });
+});
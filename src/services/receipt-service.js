@@ -0,0 +1,269 @@
+/**
+ * Receipt Service
+ * PDF receipts (at order time) and invoices (at pickup) built from the order data, stored against
+ * the order so the same "parchi" can be sent again when the customer asks for it
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+
+const RECEIPT_KINDS = ['receipt', 'invoice'];
+
+// Standard PDF fonts have no ₹ sign
+const CURRENCY = 'Rs.';
+
+class ReceiptService {
+    constructor(database) {
+        this.database = database;
+        this.dateUtils = new DateUtils();
+        this.directory = process.env.RECEIPTS_DIR || path.join(__dirname, '..', '..', 'data', 'receipts');
+        this.numberPrefix = process.env.RECEIPT_NUMBER_PREFIX || 'RS';
+        
+        // A TTF/OTF font with Devanagari (e.g. Noto Sans Devanagari) for names written in Hindi
+        this.fontPath = process.env.RECEIPT_FONT_PATH || null;
+        
+        // GST is only shown when the shop has a GSTIN; amounts in the sheet include GST
+        this.shop = {
+            name: process.env.SHOP_NAME || 'RS Tailor & Fabric',
+            address: process.env.SHOP_ADDRESS || 'Main Market, Kumher',
+            phone: process.env.SHOP_PHONE || '8824781960',
+            gstin: process.env.SHOP_GSTIN || null,
+            gstRate: parseFloat(process.env.GST_RATE || '5')
+        };
+    }
+
+    rowToReceipt(row) {
+        if (!row) return null;
+        
+        return {
+            receiptNumber: row.receipt_number,
+            orderId: row.order_id,
+            phone: row.phone,
+            kind: row.kind,
+            filePath: row.file_path,
+            fileName: this.getFileName(row.receipt_number),
+            totalAmount: row.total_amount,
+            remainingAmount: row.remaining_amount,
+            createdAt: new Date(row.created_at).toISOString()
+        };
+    }
+
+    getFileName(receiptNumber) {
+        return `${receiptNumber}.pdf`;
+    }
+
+    /**
+     * Receipt for an order - an earlier one is reused when the order details have not changed,
+     * so a retried notification does not create a second receipt
+     * @param {string} kind - 'receipt' (order placed, advance paid) or 'invoice' (picked up)
+     */
+    async getOrCreateReceipt(orderData, kind = 'receipt') {
+        if (!orderData || !orderData.order_id) {
+            throw this.createError('Order ID is required for a receipt', 400);
+        }
+        if (!RECEIPT_KINDS.includes(kind)) {
+            throw this.createError(`Invalid receipt kind: ${kind}. Use one of: ${RECEIPT_KINDS.join(', ')}`, 400);
+        }
+        
+        const details = this.getReceiptDetails(orderData, kind);
+        const dataHash = crypto.createHash('sha256').update(JSON.stringify(details)).digest('hex');
+        
+        const existing = await this.database.get(
+            `SELECT * FROM receipts WHERE order_id = ? AND kind = ? AND data_hash = ? AND file_path IS NOT NULL
+             ORDER BY id DESC LIMIT 1`,
+            [details.orderId, kind, dataHash]
+        );
+        if (existing && fs.existsSync(existing.file_path)) {
+            return this.rowToReceipt(existing);
+        }
+        
+        return this.createReceipt(details, dataHash);
+    }
+
+    async createReceipt(details, dataHash) {
+        const { lastID } = await this.database.run(
+            `INSERT INTO receipts (order_id, phone, kind, data_hash, total_amount, remaining_amount, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [details.orderId, details.phone, details.kind, dataHash, details.totalAmount, details.remainingAmount, Date.now()]
+        );
+        
+        // Numbered in one series, as GST invoices have to be
+        const receiptNumber = `${this.numberPrefix}-${lastID.toString().padStart(5, '0')}`;
+        const filePath = path.join(this.directory, this.getFileName(receiptNumber));
+        
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            await this.renderPdf(filePath, { ...details, receiptNumber, issuedAt: new Date() });
+        } catch (error) {
+            await this.database.run('DELETE FROM receipts WHERE id = ?', [lastID]);
+            throw error;
+        }
+        
+        await this.database.run(
+            'UPDATE receipts SET receipt_number = ?, file_path = ? WHERE id = ?',
+            [receiptNumber, filePath, lastID]
+        );
+        
+        logger.info(`🧾 ${details.kind === 'invoice' ? 'Invoice' : 'Receipt'} ${receiptNumber} created for order ${details.orderId}`);
+        return this.rowToReceipt(await this.database.get('SELECT * FROM receipts WHERE id = ?', [lastID]));
+    }
+
+    async getReceipt(receiptNumber) {
+        return this.rowToReceipt(await this.database.get('SELECT * FROM receipts WHERE receipt_number = ?', [receiptNumber]));
+    }
+
+    async listReceipts(orderId) {
+        const rows = await this.database.all(
+            'SELECT * FROM receipts WHERE order_id = ? AND file_path IS NOT NULL ORDER BY id DESC',
+            [orderId.toString()]
+        );
+        return rows.map(row => this.rowToReceipt(row));
+    }
+
+    /**
+     * Kind of document for an order's current state - an invoice once it has been picked up
+     */
+    getKindForOrder(orderData) {
+        const status = (orderData.delivery_status || '').toString().toLowerCase();
+        return ['delivered', 'picked'].some(word => status.includes(word)) ? 'invoice' : 'receipt';
+    }
+
+    /**
+     * The order fields printed on the receipt, with amounts as numbers
+     */
+    getReceiptDetails(orderData, kind) {
+        const amount = (value) => parseFloat((value ?? '').toString().replace(/[^\d.-]/g, '')) || 0;
+        const totalAmount = amount(orderData.total_amount);
+        const advancePayment = amount(orderData.advance_payment || orderData.advance_amount);
+        const remainingAmount = amount(orderData.remaining_amount);
+        const gstRate = orderData.gst_rate !== undefined && orderData.gst_rate !== '' ? amount(orderData.gst_rate) : this.shop.gstRate;
+        
+        return {
+            kind,
+            orderId: orderData.order_id.toString(),
+            customerName: orderData.customer_name || 'Customer',
+            phone: orderData.phone_number || orderData.phone || null,
+            customerGstin: orderData.gst_number || orderData.customer_gstin || null,
+            items: (orderData.garment_type || '').toString().split(/\s*[,\n]\s*/).filter(Boolean),
+            quantity: orderData.quantity || null,
+            orderDate: orderData.order_date || null,
+            deliveryDate: orderData.delivery_date || null,
+            totalAmount,
+            advancePayment,
+            paidLater: Math.max(totalAmount - advancePayment - remainingAmount, 0),
+            remainingAmount,
+            gstRate: this.shop.gstin ? gstRate : null,
+            notes: orderData.notes && orderData.notes !== 'N/A' ? orderData.notes : null
+        };
+    }
+
+    /**
+     * Write the receipt PDF (A5)
+     */
+    renderPdf(filePath, receipt) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A5', margin: 36, info: { Title: `${receipt.receiptNumber} - ${this.shop.name}` } });
+            const stream = fs.createWriteStream(filePath);
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            doc.on('error', reject);
+            doc.pipe(stream);
+            
+            const regular = this.fontPath ? 'receipt-font' : 'Helvetica';
+            const bold = this.fontPath ? 'receipt-font' : 'Helvetica-Bold';
+            if (this.fontPath) {
+                doc.registerFont('receipt-font', this.fontPath);
+            }
+            
+            const left = doc.page.margins.left;
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+            const money = (value) => `${CURRENCY} ${new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value)}`;
+            const row = (label, value, options = {}) => {
+                const y = doc.y;
+                doc.font(options.bold ? bold : regular).fontSize(options.size || 10);
+                doc.text(label, left, y, { width: width * 0.6 });
+                doc.text(value, left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+                doc.moveDown(0.3);
+            };
+            const line = () => {
+                doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#999999').stroke();
+                doc.moveDown(0.5);
+            };
+            
+            // Shop header
+            doc.font(bold).fontSize(16).text(this.shop.name, { align: 'center' });
+            doc.font(regular).fontSize(9).text(this.shop.address, { align: 'center' });
+            doc.text(`Phone: ${this.shop.phone}`, { align: 'center' });
+            if (this.shop.gstin) {
+                doc.text(`GSTIN: ${this.shop.gstin}`, { align: 'center' });
+            }
+            doc.moveDown(0.5);
+            
+            const title = receipt.kind === 'invoice' ? (this.shop.gstin ? 'TAX INVOICE' : 'INVOICE') : 'ORDER RECEIPT';
+            doc.font(bold).fontSize(12).text(title, { align: 'center' });
+            doc.moveDown(0.5);
+            line();
+            
+            row(receipt.kind === 'invoice' ? 'Invoice No.' : 'Receipt No.', receipt.receiptNumber);
+            row('Date', this.dateUtils.formatSheetDate(receipt.issuedAt));
+            row('Order ID', receipt.orderId);
+            if (receipt.orderDate) row('Order Date', receipt.orderDate);
+            if (receipt.deliveryDate && receipt.kind === 'receipt') row('Delivery Date', receipt.deliveryDate);
+            row('Customer', receipt.customerName);
+            if (receipt.phone) row('Phone', receipt.phone);
+            if (receipt.customerGstin) row('Customer GSTIN', receipt.customerGstin);
+            line();
+            
+            // Garments
+            doc.font(bold).fontSize(10).text('Items', left);
+            doc.moveDown(0.3);
+            const items = receipt.items.length > 0 ? receipt.items : ['Tailoring'];
+            items.forEach((item, index) => row(`${index + 1}. ${item}`, ''));
+            if (receipt.quantity) row('Quantity', receipt.quantity.toString());
+            line();
+            
+            // Amounts
+            if (receipt.gstRate) {
+                const taxable = receipt.totalAmount / (1 + receipt.gstRate / 100);
+                const halfTax = (receipt.totalAmount - taxable) / 2;
+                row('Taxable Value', money(taxable));
+                row(`CGST @ ${receipt.gstRate / 2}%`, money(halfTax));
+                row(`SGST @ ${receipt.gstRate / 2}%`, money(halfTax));
+            }
+            row('Total Price', money(receipt.totalAmount), { bold: true });
+            row('Advance Paid', money(receipt.advancePayment));
+            if (receipt.paidLater > 0) row('Paid Later', money(receipt.paidLater));
+            row(
+                receipt.remainingAmount > 0 ? 'Balance Due' : 'Balance',
+                receipt.remainingAmount > 0 ? money(receipt.remainingAmount) : 'PAID IN FULL',
+                { bold: true, size: 11 }
+            );
+            line();
+            
+            if (receipt.notes) {
+                doc.font(regular).fontSize(9).text(`Notes: ${receipt.notes}`, left, doc.y, { width });
+                doc.moveDown(0.5);
+            }
+            doc.font(regular).fontSize(9).text('Thank you for choosing us!', left, doc.y, { width, align: 'center' });
+            if (receipt.kind === 'receipt') {
+                doc.text('Please bring this receipt when you pick up your order.', { width, align: 'center' });
+            }
+            
+            doc.end();
+        });
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+ReceiptService.RECEIPT_KINDS = RECEIPT_KINDS;
+
+module.exports = ReceiptService;
@@ -0,0 +1,236 @@
+/**
+ * Reminder Service
+ * Finds orders due a pickup or payment reminder in the sheets and queues the reminder; once it is
+ * sent the reminder count/date columns are updated so the limits hold across runs
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DateUtils = require('../utils/date-utils');
+const MessageTypes = require('../../config/message-types');
+const { SHEET_NAMES } = require('./google-sheets-service');
+
+// Reminders are sent for individual orders only
+const REMINDER_SHEETS = [SHEET_NAMES.TAILOR_ORDERS, SHEET_NAMES.FABRIC_ORDERS];
+
+// Default rules, each can be overridden per scheduled job
+const REMINDER_DEFAULTS = {
+    pickup_reminder: {
+        readyForDays: 3,        // Order ready for at least this many days
+        minIntervalDays: 2,     // At most one reminder every N days
+        maxReminders: 3         // Stop after this many reminders
+    },
+    payment_reminder: {
+        overdueDays: 7,         // Order placed at least this many days ago
+        minIntervalDays: 3,
+        maxReminders: 3
+    }
+};
+
+class ReminderService {
+    /**
+     * @param {GoogleSheetsService} googleSheetsService
+     * @param {MessageQueue} messageQueue - Runs deliverReminder for 'reminder_message' jobs
+     * @param {Function} sendOrderMessage - (messageType, orderData, sheetName, sheetRow) => Promise
+     * @param {MessageHistoryService} messageHistory - Reminders sent recently, also when the sheet update failed
+     */
+    constructor(googleSheetsService, messageQueue, sendOrderMessage, messageHistory = null) {
+        this.googleSheetsService = googleSheetsService;
+        this.messageQueue = messageQueue;
+        this.sendOrderMessage = sendOrderMessage;
+        this.messageHistory = messageHistory;
+        this.dateUtils = new DateUtils();
+        this.messageTypes = new MessageTypes();
+    }
+
+    /**
+     * Merge job options with the defaults and check them
+     */
+    getOptions(reminderType, options = {}) {
+        const defaults = REMINDER_DEFAULTS[reminderType];
+        if (!defaults) {
+            throw this.createError(`Unknown reminder type: ${reminderType}`, 400);
+        }
+        
+        const merged = { ...defaults };
+        for (const [name, value] of Object.entries(options)) {
+            if (!(name in defaults)) {
+                throw this.createError(`Unknown ${reminderType} option: ${name}. Options: ${Object.keys(defaults).join(', ')}`, 400);
+            }
+            if (!Number.isInteger(value) || value < 0) {
+                throw this.createError(`${name} must be a whole number of 0 or more`, 400);
+            }
+            merged[name] = value;
+        }
+        
+        return merged;
+    }
+
+    /**
+     * Orders that belong to a combined order are reminded through the Combine Orders sheet
+     */
+    isIndividualOrder(order) {
+        return !order.master_order_id || order.master_order_id === '0';
+    }
+
+    /**
+     * Reminder limits shared by pickup and payment reminders
+     */
+    isReminderAllowed(count, lastReminderDate, options) {
+        if (count >= options.maxReminders) return false;
+        
+        const lastReminderAt = this.dateUtils.parseSheetDate(lastReminderDate);
+        return !lastReminderAt || this.dateUtils.daysSince(lastReminderAt) >= options.minIntervalDays;
+    }
+
+    async getSheetOrders() {
+        const orders = [];
+        
+        for (const sheetName of REMINDER_SHEETS) {
+            try {
+                orders.push(...await this.googleSheetsService.getOrders(sheetName));
+            } catch (error) {
+                logger.warn(`⚠️ Could not read orders from ${sheetName}: ${error.message}`);
+            }
+        }
+        
+        return orders.filter(order => order.phone_number && this.isIndividualOrder(order));
+    }
+
+    /**
+     * Ready orders not picked up after options.readyForDays
+     */
+    async findPickupReminderOrders(options) {
+        const orders = await this.getSheetOrders();
+        
+        return orders.filter(order => {
+            // Ready and not picked up or delivered yet
+            if (!this.messageTypes.isEligible('pickup_reminder', order)) return false;
+            
+            const readyAt = this.dateUtils.parseSheetDate(order.ready_notified_date) || this.dateUtils.parseSheetDate(order.delivery_date);
+            if (!readyAt || this.dateUtils.daysSince(readyAt) < options.readyForDays) return false;
+            
+            return this.isReminderAllowed(order.pickup_reminder_count, order.last_pickup_reminder_date, options);
+        });
+    }
+
+    /**
+     * Orders with money still due after options.overdueDays
+     */
+    async findPaymentReminderOrders(options) {
+        const orders = await this.getSheetOrders();
+        
+        return orders.filter(order => {
+            // Money due and not marked paid
+            if (!this.messageTypes.isEligible(this.messageTypes.getTypeForSheet('payment_reminder', order.sheet_name), order)) return false;
+            
+            const orderedAt = this.dateUtils.parseSheetDate(order.order_date);
+            if (!orderedAt || this.dateUtils.daysSince(orderedAt) < options.overdueDays) return false;
+            
+            return this.isReminderAllowed(order.payment_reminder_count, order.last_payment_reminder_date, options);
+        });
+    }
+
+    /**
+     * Orders sent this reminder within options.minIntervalDays according to the message history -
+     * catches a reminder whose sheet update failed, which the sheet columns would let through again
+     */
+    async getRecentlyRemindedOrderIds(reminderType, options) {
+        if (!this.messageHistory) return new Set();
+        
+        const messageTypes = [...new Set(REMINDER_SHEETS.map(sheetName => this.messageTypes.getTypeForSheet(reminderType, sheetName)))];
+        const since = Date.now() - options.minIntervalDays * 24 * 60 * 60 * 1000;
+        return new Set(await this.messageHistory.getSentOrderIds(messageTypes, since));
+    }
+
+    /**
+     * Queue every due reminder of one type - the queue holds them through quiet hours and
+     * send limits and retries failed sends
+     * @returns {Promise<Object>} - { due, queued, alreadyQueued, recentlySent, options }
+     */
+    async sendReminders(reminderType, jobOptions = {}) {
+        const options = this.getOptions(reminderType, jobOptions);
+        const orders = reminderType === 'pickup_reminder'
+            ? await this.findPickupReminderOrders(options)
+            : await this.findPaymentReminderOrders(options);
+        
+        logger.info(`⏰ ${orders.length} order(s) due a ${reminderType}`);
+        
+        // A reminder still waiting from an earlier run has not updated the sheet yet - do not queue it twice
+        const waiting = new Set(this.messageQueue.getPendingJobs()
+            .filter(job => job.type === 'reminder_message')
+            .map(job => `${job.payload.messageType}:${job.payload.order.order_id}`));
+        const recentlyReminded = await this.getRecentlyRemindedOrderIds(reminderType, options);
+        
+        let queued = 0;
+        let alreadyQueued = 0;
+        let recentlySent = 0;
+        
+        for (const order of orders) {
+            // Fabric Orders get fabric_payment_reminder
+            const messageType = this.messageTypes.getTypeForSheet(reminderType, order.sheet_name);
+            
+            if (waiting.has(`${messageType}:${order.order_id}`)) {
+                alreadyQueued++;
+                continue;
+            }
+            if (recentlyReminded.has(order.order_id)) {
+                logger.warn(`⚠️ ${messageType} for ${order.order_id} was sent recently but the sheet does not show it - not sending again`);
+                recentlySent++;
+                continue;
+            }
+            
+            await this.messageQueue.enqueue('reminder_message', { reminderType, messageType, order });
+            queued++;
+        }
+        
+        logger.info(`✅ ${reminderType} run finished: ${queued} queued, ${alreadyQueued} already waiting, ${recentlySent} sent recently`);
+        return { due: orders.length, queued, alreadyQueued, recentlySent, options };
+    }
+
+    /**
+     * Send a queued reminder and count it in the sheet - send errors go back to the queue to retry.
+     * The job may have waited hours or days, so the order is read again and the reminder dropped
+     * when it is no longer due (collected, paid); the message uses the current amounts
+     */
+    async deliverReminder({ reminderType, messageType, order: queuedOrder }) {
+        const order = await this.googleSheetsService.findOrderById(queuedOrder.order_id);
+        if (!order || !this.messageTypes.isEligible(messageType, order)) {
+            logger.info(`⏭️ ${messageType} for ${queuedOrder.order_id} dropped - the order is no longer due a reminder`);
+            return { success: false, skipped: true, reason: 'Order no longer due a reminder', messageType, orderId: queuedOrder.order_id };
+        }
+        
+        const result = await this.sendOrderMessage(messageType, order, order.sheet_name, order.sheet_row);
+        
+        // Template switched off - nothing was sent, so the reminder count stays as it is
+        if (result && result.skipped) {
+            return result;
+        }
+        
+        // The reminder went out - a failed sheet update must not send it again
+        const countField = reminderType === 'pickup_reminder' ? 'pickup_reminder_count' : 'payment_reminder_count';
+        try {
+            await this.googleSheetsService.recordReminderSent(
+                order.sheet_name,
+                order.sheet_row,
+                messageType,
+                (order[countField] || 0) + 1,
+                this.dateUtils.formatSheetDate()
+            );
+        } catch (error) {
+            // The message history still has the send, so the next run will not repeat it within minIntervalDays
+            logger.warn(`⚠️ ${reminderType} sent but sheet not updated for ${order.sheet_name} row ${order.sheet_row} (${order.order_id}), the message history keeps it from being sent again: ${error.message}`);
+        }
+        
+        return result;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+ReminderService.REMINDER_DEFAULTS = REMINDER_DEFAULTS;
+
+module.exports = ReminderService;
@@ -0,0 +1,87 @@
+const ReminderService = require('./reminder-service');
+const { SHEET_NAMES } = require('./google-sheets-service');
+
+describe('ReminderService', () => {
+    const order = {
+        order_id: 'TXL18092517',
+        sheet_name: SHEET_NAMES.TAILOR_ORDERS,
+        sheet_row: 12,
+        phone_number: '919876543210',
+        order_date: '01/09/2025',
+        remaining_amount: 800,
+        payment_status: 'Pending',
+        payment_reminder_count: 1
+    };
+
+    let sheets;
+    let queue;
+    let history;
+    let sendOrderMessage;
+    let reminders;
+
+    beforeEach(() => {
+        sheets = {
+            getOrders: jest.fn(async (sheetName) => (sheetName === order.sheet_name ? [order] : [])),
+            findOrderById: jest.fn().mockResolvedValue(order),
+            recordReminderSent: jest.fn().mockResolvedValue()
+        };
+        queue = { getPendingJobs: jest.fn().mockReturnValue([]), enqueue: jest.fn().mockResolvedValue({}) };
+        history = { getSentOrderIds: jest.fn().mockResolvedValue([]) };
+        sendOrderMessage = jest.fn().mockResolvedValue({ success: true });
+        reminders = new ReminderService(sheets, queue, sendOrderMessage, history);
+    });
+
+    describe('sendReminders', () => {
+        test('queues a due reminder with the order', async () => {
+            const result = await reminders.sendReminders('payment_reminder');
+            
+            expect(result).toMatchObject({ due: 1, queued: 1, alreadyQueued: 0, recentlySent: 0 });
+            expect(queue.enqueue).toHaveBeenCalledWith('reminder_message', { reminderType: 'payment_reminder', messageType: 'payment_reminder', order });
+        });
+        
+        test('does not queue a reminder still waiting from an earlier run', async () => {
+            queue.getPendingJobs.mockReturnValue([{ type: 'reminder_message', payload: { messageType: 'payment_reminder', order } }]);
+            
+            expect(await reminders.sendReminders('payment_reminder')).toMatchObject({ queued: 0, alreadyQueued: 1 });
+            expect(queue.enqueue).not.toHaveBeenCalled();
+        });
+        
+        test('does not resend a reminder the history has but the sheet does not', async () => {
+            history.getSentOrderIds.mockResolvedValue([order.order_id]);
+            
+            expect(await reminders.sendReminders('payment_reminder')).toMatchObject({ queued: 0, recentlySent: 1 });
+            expect(history.getSentOrderIds).toHaveBeenCalledWith(['payment_reminder', 'fabric_payment_reminder'], expect.any(Number));
+        });
+    });
+
+    describe('deliverReminder', () => {
+        const job = { reminderType: 'payment_reminder', messageType: 'payment_reminder', order };
+        
+        test('sends with the order as it is now and counts it in the sheet', async () => {
+            const current = { ...order, remaining_amount: 300 };
+            sheets.findOrderById.mockResolvedValue(current);
+            
+            await reminders.deliverReminder(job);
+            
+            expect(sendOrderMessage).toHaveBeenCalledWith('payment_reminder', current, order.sheet_name, order.sheet_row);
+            expect(sheets.recordReminderSent).toHaveBeenCalledWith(order.sheet_name, order.sheet_row, 'payment_reminder', 2, expect.any(String));
+        });
+        
+        test.each([
+            ['paid since it was queued', { ...order, payment_status: 'Paid' }],
+            ['no longer in the sheet', null]
+        ])('drops the reminder for an order %s', async (name, current) => {
+            sheets.findOrderById.mockResolvedValue(current);
+            
+            expect(await reminders.deliverReminder(job)).toMatchObject({ skipped: true });
+            expect(sendOrderMessage).not.toHaveBeenCalled();
+            expect(sheets.recordReminderSent).not.toHaveBeenCalled();
+        });
+        
+        test('a failed sheet update does not fail the sent reminder', async () => {
+            sheets.recordReminderSent.mockRejectedValue(new Error('quota exceeded'));
+            
+            await expect(reminders.deliverReminder(job)).resolves.toEqual({ success: true });
+        });
+    });
+});
@@ -0,0 +1,373 @@
+/**
+ * Scheduler Service
+ * One-off jobs at a future date/time and recurring cron jobs, stored in the database
+ * so they survive restarts. What a job does is decided by the handler registered for its type.
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// Allowed status changes: action -> { from: [...], to }
+const STATUS_TRANSITIONS = {
+    pause: { from: ['scheduled', 'active'], to: 'paused' },
+    resume: { from: ['paused'], to: null }, // back to scheduled (one-off) or active (recurring)
+    cancel: { from: ['scheduled', 'active', 'paused'], to: 'cancelled' }
+};
+
+class SchedulerService {
+    constructor(database) {
+        this.database = database;
+        this.timezone = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+        
+        this.handlers = {};
+        this.cronTasks = new Map();
+        this.runningJobs = new Set();
+        this.dueCheckTask = null;
+        this.isReady = () => true;
+        this.waitingForConnection = false;
+    }
+
+    /**
+     * Register what a job type does
+     * @param {string} type - Job type, e.g. 'campaign' or 'pickup_reminder'
+     * @param {Function} handler - async (options, job) => result stored as the job's last result
+     * @param {Function} validate - Optional (options) => void, throws when the options are invalid
+     */
+    registerHandler(type, handler, validate = null) {
+        this.handlers[type] = { handler, validate };
+    }
+
+    rowToJob(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            scheduleType: row.schedule_type,
+            runAt: row.run_at ? new Date(row.run_at).toISOString() : null,
+            cron: row.cron_expression,
+            timezone: row.schedule_type === 'recurring' ? this.timezone : undefined,
+            options: JSON.parse(row.options),
+            status: row.status,
+            runCount: row.run_count,
+            lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null,
+            lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+            lastError: row.last_error,
+            running: this.runningJobs.has(row.id),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    /**
+     * Start scheduling
+     * @param {Function} isReady - Returns true when jobs can send (e.g. WhatsApp connected)
+     */
+    async start(isReady) {
+        if (isReady) {
+            this.isReady = isReady;
+        }
+        
+        if (this.dueCheckTask) return;
+        
+        // A one-off job that was running when the process stopped is picked up again
+        const interrupted = await this.database.run(
+            "UPDATE scheduled_jobs SET status = 'scheduled', updated_at = ? WHERE schedule_type = 'once' AND status = 'running'",
+            [Date.now()]
+        );
+        if (interrupted.changes > 0) {
+            logger.warn(`⚠️ ${interrupted.changes} scheduled job(s) were interrupted by a restart and will run again`);
+        }
+        
+        const recurring = await this.database.all("SELECT * FROM scheduled_jobs WHERE schedule_type = 'recurring' AND status = 'active'");
+        for (const row of recurring) {
+            this.scheduleRecurring(this.rowToJob(row));
+        }
+        
+        // One-off jobs are checked every minute, so jobs missed while the bot was down still run
+        this.dueCheckTask = cron.schedule('* * * * *', () => this.runDueJobs(), { timezone: this.timezone });
+        
+        logger.info(`⏰ Scheduler started (${recurring.length} recurring job(s), timezone ${this.timezone})`);
+        this.runDueJobs();
+    }
+
+    stop() {
+        if (this.dueCheckTask) {
+            this.dueCheckTask.stop();
+            this.dueCheckTask = null;
+        }
+        
+        for (const task of this.cronTasks.values()) {
+            task.stop();
+        }
+        this.cronTasks.clear();
+        
+        logger.info('⏰ Scheduler stopped');
+    }
+
+    scheduleRecurring(job) {
+        this.unscheduleRecurring(job.id);
+        
+        const task = cron.schedule(job.cron, () => {
+            this.getJob(job.id)
+                .then(current => current && current.status === 'active' && this.runJob(current))
+                .catch(error => logger.error(`❌ Scheduled job ${job.id} failed to start:`, error));
+        }, { timezone: this.timezone });
+        
+        this.cronTasks.set(job.id, task);
+    }
+
+    unscheduleRecurring(jobId) {
+        const task = this.cronTasks.get(jobId);
+        if (task) {
+            task.stop();
+            this.cronTasks.delete(jobId);
+        }
+    }
+
+    /**
+     * Run one-off jobs whose time has come
+     */
+    async runDueJobs() {
+        try {
+            const rows = await this.database.all(
+                "SELECT * FROM scheduled_jobs WHERE schedule_type = 'once' AND status = 'scheduled' AND run_at <= ? ORDER BY run_at",
+                [Date.now()]
+            );
+            if (rows.length === 0) return;
+            
+            // Due jobs wait (they are not failed) until WhatsApp is connected
+            if (!this.isReady()) {
+                if (!this.waitingForConnection) {
+                    logger.warn(`⏸️ ${rows.length} scheduled job(s) due - waiting for WhatsApp to connect`);
+                    this.waitingForConnection = true;
+                }
+                return;
+            }
+            this.waitingForConnection = false;
+            
+            for (const row of rows) {
+                await this.runJob(this.rowToJob(row));
+            }
+        } catch (error) {
+            logger.error('❌ Scheduled job check failed:', error);
+        }
+    }
+
+    /**
+     * Run a job now and store the outcome
+     */
+    async runJob(job) {
+        if (this.runningJobs.has(job.id)) {
+            logger.warn(`⏭️ Scheduled job ${job.id} (${job.name}) is still running - skipping this run`);
+            return null;
+        }
+        
+        const registered = this.handlers[job.type];
+        const isOnce = job.scheduleType === 'once';
+        
+        if (!this.isReady() && !isOnce) {
+            await this.saveRunResult(job, null, null, 'Skipped - WhatsApp not connected');
+            logger.warn(`⏭️ Scheduled job ${job.id} (${job.name}) skipped - WhatsApp not connected`);
+            return null;
+        }
+        
+        // Claim one-off jobs in the database so overlapping due checks cannot run them twice
+        if (isOnce) {
+            const claimed = await this.database.run(
+                "UPDATE scheduled_jobs SET status = 'running', updated_at = ? WHERE id = ? AND status IN ('scheduled', 'paused')",
+                [Date.now(), job.id]
+            );
+            if (claimed.changes === 0) return null;
+        }
+        this.runningJobs.add(job.id);
+        
+        logger.info(`⏰ Running scheduled job ${job.id} (${job.name}, ${job.type})`);
+        
+        try {
+            if (!registered) {
+                throw new Error(`No handler registered for job type: ${job.type}`);
+            }
+            
+            const result = await registered.handler(job.options, job);
+            await this.saveRunResult(job, isOnce ? 'completed' : null, result, null);
+            logger.info(`✅ Scheduled job ${job.id} (${job.name}) finished`);
+            return result;
+        
+        } catch (error) {
+            await this.saveRunResult(job, isOnce ? 'failed' : null, null, error.message);
+            logger.error(`❌ Scheduled job ${job.id} (${job.name}) failed: ${error.message}`);
+            return null;
+        
+        } finally {
+            this.runningJobs.delete(job.id);
+        }
+    }
+
+    /**
+     * Store the result of a run. A null status keeps the current status (recurring jobs
+     * may have been paused while they were running).
+     */
+    async saveRunResult(job, status, result, errorMessage) {
+        const now = Date.now();
+        await this.database.run(
+            `UPDATE scheduled_jobs SET
+                status = COALESCE(?, status),
+                run_count = run_count + 1,
+                last_run_at = ?,
+                last_result = ?,
+                last_error = ?,
+                updated_at = ?
+             WHERE id = ?`,
+            [status, now, result === null || result === undefined ? null : JSON.stringify(result), errorMessage, now, job.id]
+        );
+    }
+
+    /**
+     * Create a one-off (runAt) or recurring (cron) job
+     */
+    async createJob(data) {
+        const { name, type, runAt, options = {} } = data;
+        const cronExpression = data.cron;
+        
+        if (!name) {
+            throw this.createError('Job name is required', 400);
+        }
+        
+        const registered = this.handlers[type];
+        if (!registered) {
+            throw this.createError(`Unknown job type: ${type}. Types: ${Object.keys(this.handlers).join(', ')}`, 400);
+        }
+        if (!runAt === !cronExpression) {
+            throw this.createError('Give either runAt (one-off, ISO date/time) or cron (recurring), not both', 400);
+        }
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw this.createError('options must be an object', 400);
+        }
+        
+        let runAtTime = null;
+        if (runAt) {
+            runAtTime = new Date(runAt).getTime();
+            if (isNaN(runAtTime)) {
+                throw this.createError(`Invalid runAt date: ${runAt}`, 400);
+            }
+            if (runAtTime < Date.now() - 60 * 1000) {
+                throw this.createError('runAt is in the past', 400);
+            }
+        }
+        if (cronExpression && !cron.validate(cronExpression)) {
+            throw this.createError(`Invalid cron expression: ${cronExpression}`, 400);
+        }
+        
+        if (registered.validate) {
+            await registered.validate(options);
+        }
+        
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        const scheduleType = runAt ? 'once' : 'recurring';
+        const status = runAt ? 'scheduled' : 'active';
+        
+        await this.database.run(
+            `INSERT INTO scheduled_jobs
+                (id, name, type, schedule_type, run_at, cron_expression, options, status, run_count, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+            [id, name, type, scheduleType, runAtTime, cronExpression || null, JSON.stringify(options), status, now, now]
+        );
+        
+        const job = await this.getJob(id);
+        if (scheduleType === 'recurring' && this.dueCheckTask) {
+            this.scheduleRecurring(job);
+        }
+        
+        logger.info(`⏰ Scheduled job created: ${name} (${type}, ${runAt ? `at ${job.runAt}` : `cron "${cronExpression}"`})`);
+        return job;
+    }
+
+    async getJob(jobId) {
+        const row = await this.database.get('SELECT * FROM scheduled_jobs WHERE id = ?', [jobId]);
+        return this.rowToJob(row);
+    }
+
+    async listJobs({ status = null } = {}) {
+        const rows = status
+            ? await this.database.all('SELECT * FROM scheduled_jobs WHERE status = ? ORDER BY created_at DESC', [status])
+            : await this.database.all('SELECT * FROM scheduled_jobs ORDER BY created_at DESC');
+        return rows.map(row => this.rowToJob(row));
+    }
+
+    /**
+     * Pause, resume or cancel a job
+     */
+    async changeStatus(jobId, action) {
+        const transition = STATUS_TRANSITIONS[action];
+        if (!transition) {
+            throw this.createError(`Unknown action: ${action}`, 400);
+        }
+        
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw this.createError(`Scheduled job not found: ${jobId}`, 404);
+        }
+        if (!transition.from.includes(job.status)) {
+            throw this.createError(`Cannot ${action} a job that is ${job.status}`, 409);
+        }
+        
+        const status = transition.to || (job.scheduleType === 'once' ? 'scheduled' : 'active');
+        await this.database.run(
+            'UPDATE scheduled_jobs SET status = ?, updated_at = ? WHERE id = ?',
+            [status, Date.now(), jobId]
+        );
+        
+        if (job.scheduleType === 'recurring') {
+            if (status === 'active' && this.dueCheckTask) {
+                this.scheduleRecurring(job);
+            } else {
+                this.unscheduleRecurring(job.id);
+            }
+        }
+        
+        logger.info(`⏰ Scheduled job ${jobId} ${status}`);
+        return this.getJob(jobId);
+    }
+
+    /**
+     * Run a job immediately, outside its schedule
+     */
+    async runNow(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw this.createError(`Scheduled job not found: ${jobId}`, 404);
+        }
+        if (job.status === 'cancelled' || job.status === 'completed') {
+            throw this.createError(`Cannot run a job that is ${job.status}`, 409);
+        }
+        if (this.runningJobs.has(job.id)) {
+            throw this.createError('Job is already running', 409);
+        }
+        
+        // Runs in the background - bulk campaigns can take a long time
+        this.runJob(job).catch(error => logger.error(`❌ Scheduled job ${job.id} failed:`, error));
+        return job;
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    getStatus() {
+        return {
+            running: !!this.dueCheckTask,
+            timezone: this.timezone,
+            recurringJobs: this.cronTasks.size,
+            runningJobs: this.runningJobs.size,
+            jobTypes: Object.keys(this.handlers)
+        };
+    }
+}
+
+module.exports = SchedulerService;
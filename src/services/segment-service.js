@@ -0,0 +1,240 @@
+/**
+ * Segment Service
+ * Saved customer segments built from order history, resolved to a fresh customer list each time they are used
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// Supported filters: name -> expected type
+const SEGMENT_FILTERS = {
+    orderedWithinMonths: 'number',      // Last order within the last N months
+    notOrderedWithinMonths: 'number',   // No order in the last N months (win-back)
+    hasUnpaidBalance: 'boolean',        // At least one order with a remaining amount
+    fabricOnly: 'boolean',              // Only ever bought fabric (no tailoring or combined orders)
+    customerTypes: 'array',             // Customer Type column values, e.g. ["Regular", "VIP"]
+    neverReceivedCampaign: 'boolean'    // Never received any festival/promotional campaign message
+};
+
+class SegmentService {
+    constructor(database) {
+        this.database = database;
+    }
+
+    rowToSegment(row) {
+        if (!row) return null;
+        
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            filters: JSON.parse(row.filters),
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+
+    /**
+     * Check filter names and value types
+     */
+    validateFilters(filters) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw this.createError('filters must be an object', 400);
+        }
+        
+        for (const [name, value] of Object.entries(filters)) {
+            const type = SEGMENT_FILTERS[name];
+            if (!type) {
+                throw this.createError(`Unknown filter: ${name}. Supported filters: ${Object.keys(SEGMENT_FILTERS).join(', ')}`, 400);
+            }
+            if (type === 'number' && !(Number.isFinite(value) && value > 0)) {
+                throw this.createError(`${name} must be a positive number of months`, 400);
+            }
+            if (type === 'boolean' && typeof value !== 'boolean') {
+                throw this.createError(`${name} must be true or false`, 400);
+            }
+            if (type === 'array' && !(Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'))) {
+                throw this.createError(`${name} must be a non-empty list of strings`, 400);
+            }
+        }
+    }
+
+    monthsAgo(months) {
+        const date = new Date();
+        date.setMonth(date.getMonth() - months);
+        return date.getTime();
+    }
+
+    /**
+     * Build the customer query for a set of filters
+     * @returns {Object} - { sql, params }
+     */
+    buildQuery(filters) {
+        const conditions = ["c.phone IS NOT NULL AND c.phone != ''"];
+        const params = [];
+        
+        if (filters.orderedWithinMonths) {
+            conditions.push('c.last_order_at >= ?');
+            params.push(this.monthsAgo(filters.orderedWithinMonths));
+        }
+        
+        if (filters.notOrderedWithinMonths) {
+            conditions.push('COALESCE(c.last_order_at, 0) < ?');
+            params.push(this.monthsAgo(filters.notOrderedWithinMonths));
+        }
+        
+        if (filters.hasUnpaidBalance === true) {
+            conditions.push('EXISTS (SELECT 1 FROM orders o WHERE o.phone = c.phone AND o.remaining_amount > 0)');
+        } else if (filters.hasUnpaidBalance === false) {
+            conditions.push('NOT EXISTS (SELECT 1 FROM orders o WHERE o.phone = c.phone AND o.remaining_amount > 0)');
+        }
+        
+        if (filters.fabricOnly === true) {
+            conditions.push(`EXISTS (SELECT 1 FROM orders o WHERE o.phone = c.phone)
+                AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.phone = c.phone AND COALESCE(o.order_type, '') != 'Fabric')`);
+        } else if (filters.fabricOnly === false) {
+            conditions.push("EXISTS (SELECT 1 FROM orders o WHERE o.phone = c.phone AND COALESCE(o.order_type, '') != 'Fabric')");
+        }
+        
+        if (filters.customerTypes) {
+            conditions.push(`LOWER(TRIM(c.customer_type)) IN (${filters.customerTypes.map(() => '?').join(', ')})`);
+            params.push(...filters.customerTypes.map(type => type.trim().toLowerCase()));
+        }
+        
+        // Campaign numbers are normalized to 91XXXXXXXXXX, customer numbers may not be - compare the last 10 digits
+        const campaignCondition = 'EXISTS (SELECT 1 FROM campaign_messages cm WHERE substr(cm.phone, -10) = substr(c.phone, -10))';
+        if (filters.neverReceivedCampaign === true) {
+            conditions.push(`NOT ${campaignCondition}`);
+        } else if (filters.neverReceivedCampaign === false) {
+            conditions.push(campaignCondition);
+        }
+        
+        return {
+            sql: `SELECT c.phone, c.name, c.customer_type, c.last_order_at FROM customers c
+                  WHERE ${conditions.join(' AND ')}
+                  ORDER BY c.name COLLATE NOCASE`,
+            params
+        };
+    }
+
+    /**
+     * Customers matching a set of filters right now
+     */
+    async findCustomers(filters) {
+        this.validateFilters(filters);
+        
+        const { sql, params } = this.buildQuery(filters);
+        const rows = await this.database.all(sql, params);
+        
+        return rows.map(row => ({
+            name: row.name,
+            phone: row.phone,
+            customerType: row.customer_type,
+            lastOrderAt: row.last_order_at ? new Date(row.last_order_at).toISOString() : null
+        }));
+    }
+
+    /**
+     * Count and sample of the customers a set of filters would select
+     */
+    async previewFilters(filters, sampleSize = 10) {
+        const customers = await this.findCustomers(filters);
+        return {
+            filters,
+            customerCount: customers.length,
+            sample: customers.slice(0, sampleSize)
+        };
+    }
+
+    async createSegment(data) {
+        const id = data.id || this.slugify(data.name);
+        if (!data.name) {
+            throw this.createError('Segment name is required', 400);
+        }
+        if (!id) {
+            throw this.createError('Segment id is required when the name has no latin characters', 400);
+        }
+        if (await this.getSegment(id)) {
+            throw this.createError(`Segment already exists: ${id}`, 409);
+        }
+        
+        const filters = data.filters || {};
+        this.validateFilters(filters);
+        
+        const now = Date.now();
+        await this.database.run(
+            'INSERT INTO segments (id, name, description, filters, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, data.name, data.description || null, JSON.stringify(filters), now, now]
+        );
+        
+        logger.info(`🎯 Segment created: ${id} (${data.name})`);
+        return this.getSegment(id);
+    }
+
+    async updateSegment(segmentId, changes) {
+        const existing = await this.getSegment(segmentId);
+        if (!existing) {
+            throw this.createError(`Segment not found: ${segmentId}`, 404);
+        }
+        
+        const segment = {
+            ...existing,
+            ...['name', 'description', 'filters']
+                .filter(field => changes[field] !== undefined)
+                .reduce((fields, field) => ({ ...fields, [field]: changes[field] }), {})
+        };
+        
+        if (!segment.name) {
+            throw this.createError('Segment name is required', 400);
+        }
+        this.validateFilters(segment.filters);
+        
+        await this.database.run(
+            'UPDATE segments SET name = ?, description = ?, filters = ?, updated_at = ? WHERE id = ?',
+            [segment.name, segment.description || null, JSON.stringify(segment.filters), Date.now(), segmentId]
+        );
+        
+        return this.getSegment(segmentId);
+    }
+
+    async getSegment(segmentId) {
+        const row = await this.database.get('SELECT * FROM segments WHERE id = ?', [segmentId]);
+        return this.rowToSegment(row);
+    }
+
+    async listSegments() {
+        const rows = await this.database.all('SELECT * FROM segments ORDER BY name COLLATE NOCASE');
+        return rows.map(row => this.rowToSegment(row));
+    }
+
+    async deleteSegment(segmentId) {
+        const result = await this.database.run('DELETE FROM segments WHERE id = ?', [segmentId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Current customers of a saved segment, in the { name, phone } shape campaigns expect
+     */
+    async getCustomers(segmentId) {
+        const segment = await this.getSegment(segmentId);
+        if (!segment) {
+            throw this.createError(`Segment not found: ${segmentId}`, 404);
+        }
+        
+        const customers = await this.findCustomers(segment.filters);
+        return customers.map(customer => ({ name: customer.name, phone: customer.phone }));
+    }
+
+    slugify(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+SegmentService.SEGMENT_FILTERS = SEGMENT_FILTERS;
+
+module.exports = SegmentService;
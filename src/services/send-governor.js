@@ -0,0 +1,271 @@
+/**
+ * Send Governor
+ * Every outgoing WhatsApp message passes through here: hourly, daily and per-recipient limits,
+ * a startup grace period, quiet hours and randomized spacing between sends.
+ * Replies - to a customer who just wrote in, or to the shop's admins - have a limit of their own instead
+ */
+
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const DeveloperConfig = require('../../config/developer-config');
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+// Key used for the limits shared by all recipients
+const ALL_RECIPIENTS = 'all';
+
+class SendGovernor {
+    constructor(developerConfig = new DeveloperConfig()) {
+        this.developerConfig = developerConfig;
+        
+        // Limits
+        this.hourlyLimit = parseInt(process.env.SAFETY_HOURLY_LIMIT || '60');
+        this.dailyLimit = parseInt(process.env.SAFETY_DAILY_LIMIT || '300');
+        this.recipientDailyLimit = parseInt(process.env.SAFETY_RECIPIENT_DAILY_LIMIT || '5');
+        
+        // Pacing - every send waits at least minGapMs plus up to jitterMs after the previous one
+        this.startupDelayMs = parseInt(process.env.SAFETY_STARTUP_DELAY || '240000'); // 4 minutes
+        this.minGapMs = parseInt(process.env.SAFETY_MIN_SEND_GAP_MS || '8000');
+        this.jitterMs = parseInt(process.env.SAFETY_SEND_JITTER_MS || '7000');
+        
+        // Quiet hours, e.g. "21:00-09:00" (empty or "off" to disable)
+        this.timezone = process.env.SAFETY_TIMEZONE || process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+        this.quietHours = this.parseQuietHours(process.env.SAFETY_QUIET_HOURS ?? '21:00-09:00');
+        
+        // Replies - a customer waiting for an answer gets one at any hour, even with a campaign using up the limits
+        this.replyWindowMs = parseInt(process.env.SAFETY_REPLY_WINDOW_MINUTES || '10') * 60 * 1000;
+        this.replyHourlyLimit = parseInt(process.env.SAFETY_REPLY_HOURLY_LIMIT || '20');
+        this.adminPhones = [process.env.WHATSAPP_ADMIN_PHONE, process.env.WHATSAPP_BROTHER_PHONE]
+            .filter(Boolean)
+            .map(phone => phone.replace(/\D/g, ''));
+        this.lastIncomingAt = new Map();
+        
+        this.hourlyLimiter = new RateLimiterMemory({ points: this.hourlyLimit, duration: HOUR_SECONDS });
+        this.dailyLimiter = new RateLimiterMemory({ points: this.dailyLimit, duration: DAY_SECONDS });
+        this.recipientLimiter = new RateLimiterMemory({ points: this.recipientDailyLimit, duration: DAY_SECONDS });
+        this.replyLimiter = new RateLimiterMemory({ points: this.replyHourlyLimit, duration: HOUR_SECONDS });
+        
+        this.connectedAt = null;
+        this.nextSendAt = 0;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * @returns {Object|null} - { start, end } in minutes after midnight
+     */
+    parseQuietHours(value) {
+        if (!value || value.trim().toLowerCase() === 'off') return null;
+        
+        const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            logger.warn(`⚠️ Invalid SAFETY_QUIET_HOURS "${value}" (expected HH:MM-HH:MM) - quiet hours disabled`);
+            return null;
+        }
+        
+        const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+        return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute, label: value.trim() };
+    }
+
+    /**
+     * Start of the startup grace period - only the first connection counts, reconnects do not restart it
+     */
+    markConnected() {
+        if (!this.connectedAt) {
+            this.connectedAt = Date.now();
+            logger.info(`🛡️ Send governor: first messages allowed in ${Math.round(this.startupDelayMs / 1000)}s`);
+        }
+    }
+
+    /**
+     * Count messages sent before a restart towards the hourly and daily limits
+     * @param {Object} usage - { lastHour, lastDay }
+     */
+    async restoreUsage({ lastHour = 0, lastDay = 0 }) {
+        if (lastHour > 0) await this.hourlyLimiter.penalty(ALL_RECIPIENTS, lastHour);
+        if (lastDay > 0) await this.dailyLimiter.penalty(ALL_RECIPIENTS, lastDay);
+        
+        if (lastHour > 0 || lastDay > 0) {
+            logger.info(`🛡️ Send governor: ${lastHour} message(s) in the last hour, ${lastDay} in the last 24 hours`);
+        }
+    }
+
+    /**
+     * A message came in from this number - sends to it in the next few minutes are replies
+     * @param {string} phone - Formatted phone number (91XXXXXXXXXX)
+     * @param {number} receivedAt - Timestamp of the message (messages delivered late after a reconnect are older)
+     */
+    noteIncoming(phone, receivedAt = Date.now()) {
+        if (receivedAt > (this.lastIncomingAt.get(phone) || 0)) {
+            this.lastIncomingAt.set(phone, receivedAt);
+        }
+        
+        for (const [knownPhone, at] of this.lastIncomingAt) {
+            if (Date.now() - at > this.replyWindowMs) this.lastIncomingAt.delete(knownPhone);
+        }
+    }
+
+    isReply(phone) {
+        if (this.adminPhones.includes(phone)) return true;
+        
+        const receivedAt = this.lastIncomingAt.get(phone);
+        return receivedAt !== undefined && Date.now() - receivedAt <= this.replyWindowMs;
+    }
+
+    /**
+     * Wait for this recipient's turn to send
+     * Sends are spaced one after another; when a limit or time window blocks the send a
+     * deferred error is thrown with retryAt, so callers can try again later instead of failing
+     * @param {string} phone - Formatted phone number (91XXXXXXXXXX)
+     */
+    acquire(phone) {
+        const turn = this.pending.then(() => this.takeTurn(phone));
+        this.pending = turn.catch(() => {});
+        return turn;
+    }
+
+    async takeTurn(phone) {
+        if (this.isReply(phone)) {
+            return this.takeReplyTurn(phone);
+        }
+        
+        const isDeveloper = this.developerConfig.isDeveloperPhone(phone);
+        const bypass = (setting) => isDeveloper && this.developerConfig.getSetting(setting);
+        
+        if (!bypass('bypassStartupDelay')) {
+            const graceEndsAt = (this.connectedAt || Date.now()) + this.startupDelayMs;
+            if (Date.now() < graceEndsAt) {
+                throw this.createDeferredError('Startup grace period - sending starts shortly after connecting', graceEndsAt, 'startup');
+            }
+        }
+        
+        if (!bypass('bypassBusinessHours') && !bypass('disableTimeValidation')) {
+            const quietEndsAt = this.getQuietHoursEnd();
+            if (quietEndsAt) {
+                throw this.createDeferredError(`Quiet hours (${this.quietHours.label})`, quietEndsAt, 'quiet_hours');
+            }
+        }
+        
+        if (bypass('bypassRateLimits')) {
+            return;
+        }
+        
+        const limits = [
+            [this.hourlyLimiter, ALL_RECIPIENTS, 'hourly', `Hourly limit of ${this.hourlyLimit} messages reached`],
+            [this.dailyLimiter, ALL_RECIPIENTS, 'daily', `Daily limit of ${this.dailyLimit} messages reached`],
+            [this.recipientLimiter, phone, 'recipient', `Limit of ${this.recipientDailyLimit} messages per customer per day reached for ${phone}`]
+        ];
+        
+        // Check every limit before consuming any, so a blocked send does not use up the others
+        for (const [limiter, key, limit, message] of limits) {
+            const usage = await limiter.get(key);
+            if (usage && usage.consumedPoints >= limiter.points) {
+                throw this.createDeferredError(message, Date.now() + usage.msBeforeNext, limit);
+            }
+        }
+        
+        await this.waitForGap(phone);
+        
+        for (const [limiter, key] of limits) {
+            await limiter.penalty(key, 1);
+        }
+    }
+
+    /**
+     * Replies skip the startup grace period, quiet hours and the shared limits - only the reply limit
+     * per number (against two bots answering each other) and the spacing apply. They still count
+     * towards the hourly and daily usage, so campaigns leave room for them
+     */
+    async takeReplyTurn(phone) {
+        const usage = await this.replyLimiter.get(phone);
+        if (usage && usage.consumedPoints >= this.replyHourlyLimit) {
+            throw this.createDeferredError(`Limit of ${this.replyHourlyLimit} replies per hour reached for ${phone}`, Date.now() + usage.msBeforeNext, 'reply');
+        }
+        
+        await this.waitForGap(phone);
+        
+        await this.replyLimiter.penalty(phone, 1);
+        await this.hourlyLimiter.penalty(ALL_RECIPIENTS, 1);
+        await this.dailyLimiter.penalty(ALL_RECIPIENTS, 1);
+    }
+
+    async waitForGap(phone) {
+        const waitMs = this.nextSendAt - Date.now();
+        if (waitMs > 0) {
+            logger.debug(`⏳ Send governor: waiting ${Math.round(waitMs / 1000)}s before sending to ${phone}`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        
+        this.nextSendAt = Date.now() + this.minGapMs + Math.floor(Math.random() * (this.jitterMs + 1));
+    }
+
+    /**
+     * Minutes after midnight in the shop's timezone
+     */
+    getLocalMinutes(date = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const value = (type) => parseInt(parts.find(part => part.type === type).value);
+        
+        return value('hour') * 60 + value('minute');
+    }
+
+    /**
+     * @returns {number|null} - Timestamp when the current quiet hours end, null outside quiet hours
+     */
+    getQuietHoursEnd(now = Date.now()) {
+        if (!this.quietHours) return null;
+        
+        const { start, end } = this.quietHours;
+        const minutes = this.getLocalMinutes(new Date(now));
+        
+        // Windows like 21:00-09:00 run past midnight
+        const isQuiet = start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+        if (!isQuiet) return null;
+        
+        const minutesLeft = (end - minutes + 24 * 60) % (24 * 60);
+        const startOfMinute = now - (now % 60000);
+        return startOfMinute + minutesLeft * 60000;
+    }
+
+    /**
+     * @param {string} limit - startup, quiet_hours, hourly, daily, recipient or reply
+     */
+    createDeferredError(reason, retryAt, limit) {
+        const error = new Error(`Send deferred: ${reason}. Retry after ${new Date(retryAt).toISOString()}`);
+        error.deferred = true;
+        error.retryAt = retryAt;
+        error.limit = limit;
+        error.statusCode = 429;
+        return error;
+    }
+
+    async getStatus() {
+        const used = async (limiter, key) => {
+            const usage = await limiter.get(key);
+            return usage ? usage.consumedPoints : 0;
+        };
+        const graceEndsAt = this.connectedAt ? this.connectedAt + this.startupDelayMs : null;
+        const quietEndsAt = this.getQuietHoursEnd();
+        
+        return {
+            hourly: { used: await used(this.hourlyLimiter, ALL_RECIPIENTS), limit: this.hourlyLimit },
+            daily: { used: await used(this.dailyLimiter, ALL_RECIPIENTS), limit: this.dailyLimit },
+            perRecipientDailyLimit: this.recipientDailyLimit,
+            replies: { windowMinutes: this.replyWindowMs / 60000, perRecipientHourlyLimit: this.replyHourlyLimit },
+            pacing: { minGapMs: this.minGapMs, jitterMs: this.jitterMs },
+            startupGraceEndsAt: graceEndsAt ? new Date(graceEndsAt).toISOString() : null,
+            quietHours: this.quietHours ? this.quietHours.label : null,
+            timezone: this.timezone,
+            quietHoursEndAt: quietEndsAt ? new Date(quietEndsAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = SendGovernor;
@@ -0,0 +1,196 @@
+const SendGovernor = require('./send-governor');
+
+const CUSTOMER = '919876543210';
+const ADMIN = '919999999999';
+
+// Developer settings that bypass nothing
+const noDeveloper = { isDeveloperPhone: () => false, getSetting: () => false };
+
+const at = (time) => Date.parse(`2025-10-20T${time}:00Z`);
+
+describe('SendGovernor', () => {
+    const savedEnv = { ...process.env };
+
+    beforeEach(() => {
+        Object.assign(process.env, {
+            SAFETY_TIMEZONE: 'UTC',
+            SAFETY_QUIET_HOURS: '21:00-09:00',
+            SAFETY_STARTUP_DELAY: '0',
+            SAFETY_MIN_SEND_GAP_MS: '0',
+            SAFETY_SEND_JITTER_MS: '0',
+            SAFETY_HOURLY_LIMIT: '3',
+            SAFETY_DAILY_LIMIT: '10',
+            SAFETY_RECIPIENT_DAILY_LIMIT: '2',
+            SAFETY_REPLY_HOURLY_LIMIT: '2',
+            WHATSAPP_ADMIN_PHONE: `+${ADMIN}`
+        });
+        delete process.env.WHATSAPP_BROTHER_PHONE;
+    });
+
+    afterEach(() => {
+        process.env = { ...savedEnv };
+        jest.useRealTimers();
+    });
+
+    const createGovernor = () => {
+        const governor = new SendGovernor(noDeveloper);
+        governor.markConnected();
+        return governor;
+    };
+
+    // Outside quiet hours unless a test sets the clock
+    const daytime = () => jest.useFakeTimers({ now: at('12:00'), doNotFake: ['setImmediate', 'nextTick'] });
+
+    describe('parseQuietHours', () => {
+        test('reads HH:MM-HH:MM as minutes after midnight', () => {
+            expect(createGovernor().parseQuietHours('21:30 - 08:15')).toEqual({ start: 1290, end: 495, label: '21:30 - 08:15' });
+        });
+        
+        test.each(['', 'off', 'OFF', '9pm-9am'])('"%s" turns quiet hours off', (value) => {
+            expect(createGovernor().parseQuietHours(value)).toBeNull();
+        });
+    });
+
+    describe('getQuietHoursEnd', () => {
+        test.each([
+            ['20:59', null],
+            ['21:00', '09:00'],
+            ['23:59', '09:00'],
+            ['00:00', '09:00'],
+            ['08:59', '09:00'],
+            ['09:00', null]
+        ])('window across midnight: %s -> %s', (time, end) => {
+            const quietEnd = createGovernor().getQuietHoursEnd(at(time));
+            const expected = end && (time >= '21:00' ? at(end) + 24 * 60 * 60 * 1000 : at(end));
+            
+            expect(quietEnd).toBe(expected);
+        });
+        
+        test('window within one day', () => {
+            process.env.SAFETY_QUIET_HOURS = '13:00-14:30';
+            const governor = createGovernor();
+            
+            expect(governor.getQuietHoursEnd(at('12:59'))).toBeNull();
+            expect(governor.getQuietHoursEnd(at('13:45'))).toBe(at('14:30'));
+            expect(governor.getQuietHoursEnd(at('14:30'))).toBeNull();
+        });
+        
+        test('uses the shop timezone', () => {
+            process.env.SAFETY_TIMEZONE = 'Asia/Kolkata';
+            
+            // 16:00 UTC is 21:30 in India
+            expect(createGovernor().getQuietHoursEnd(at('16:00'))).toBe(at('03:30') + 24 * 60 * 60 * 1000);
+        });
+    });
+
+    describe('acquire', () => {
+        test('defers during quiet hours until they end', async () => {
+            jest.useFakeTimers({ now: at('22:00'), doNotFake: ['setImmediate', 'nextTick'] });
+            
+            await expect(createGovernor().acquire(CUSTOMER)).rejects.toMatchObject({
+                deferred: true,
+                limit: 'quiet_hours',
+                retryAt: at('09:00') + 24 * 60 * 60 * 1000,
+                statusCode: 429
+            });
+        });
+        
+        test('defers during the startup grace period', async () => {
+            daytime();
+            process.env.SAFETY_STARTUP_DELAY = '60000';
+            
+            await expect(createGovernor().acquire(CUSTOMER)).rejects.toMatchObject({
+                limit: 'startup',
+                retryAt: at('12:01')
+            });
+        });
+        
+        test('enforces the per-recipient and hourly limits without using up the others', async () => {
+            daytime();
+            const governor = createGovernor();
+            
+            await governor.acquire(CUSTOMER);
+            await governor.acquire(CUSTOMER);
+            await expect(governor.acquire(CUSTOMER)).rejects.toMatchObject({ limit: 'recipient' });
+            
+            await governor.acquire('919876543211');
+            await expect(governor.acquire('919876543212')).rejects.toMatchObject({ limit: 'hourly' });
+            
+            expect((await governor.getStatus()).hourly).toEqual({ used: 3, limit: 3 });
+        });
+        
+        test('counts messages sent before a restart', async () => {
+            daytime();
+            const governor = createGovernor();
+            await governor.restoreUsage({ lastHour: 3, lastDay: 3 });
+            
+            await expect(governor.acquire(CUSTOMER)).rejects.toMatchObject({ limit: 'hourly' });
+        });
+        
+        test('spaces sends by the minimum gap', async () => {
+            daytime();
+            process.env.SAFETY_MIN_SEND_GAP_MS = '8000';
+            const governor = createGovernor();
+            
+            await governor.acquire(CUSTOMER);
+            let second = false;
+            const pending = governor.acquire('919876543211').then(() => { second = true; });
+            
+            await jest.advanceTimersByTimeAsync(7999);
+            expect(second).toBe(false);
+            await jest.advanceTimersByTimeAsync(1);
+            await pending;
+            expect(second).toBe(true);
+        });
+        
+        test('developer phones skip the checks their settings allow', async () => {
+            jest.useFakeTimers({ now: at('22:00'), doNotFake: ['setImmediate', 'nextTick'] });
+            const developer = {
+                isDeveloperPhone: (phone) => phone === CUSTOMER,
+                getSetting: (setting) => setting === 'bypassBusinessHours'
+            };
+            
+            await expect(new SendGovernor(developer).acquire(CUSTOMER)).resolves.toBeUndefined();
+            await expect(new SendGovernor(developer).acquire('919876543211')).rejects.toMatchObject({ limit: 'quiet_hours' });
+        });
+    });
+
+    describe('replies', () => {
+        test('a customer who just wrote in is answered in quiet hours and over the shared limits', async () => {
+            jest.useFakeTimers({ now: at('22:00'), doNotFake: ['setImmediate', 'nextTick'] });
+            const governor = createGovernor();
+            await governor.restoreUsage({ lastHour: 3, lastDay: 10 });
+            
+            governor.noteIncoming(CUSTOMER);
+            
+            await expect(governor.acquire(CUSTOMER)).resolves.toBeUndefined();
+            expect((await governor.getStatus()).hourly.used).toBe(4);
+        });
+        
+        test('replies have a limit of their own per number', async () => {
+            daytime();
+            const governor = createGovernor();
+            governor.noteIncoming(CUSTOMER);
+            
+            await governor.acquire(CUSTOMER);
+            await governor.acquire(CUSTOMER);
+            await expect(governor.acquire(CUSTOMER)).rejects.toMatchObject({ limit: 'reply' });
+        });
+        
+        test('a message older than the reply window does not count', async () => {
+            jest.useFakeTimers({ now: at('22:00'), doNotFake: ['setImmediate', 'nextTick'] });
+            const governor = createGovernor();
+            
+            governor.noteIncoming(CUSTOMER, Date.now() - 11 * 60 * 1000);
+            
+            expect(governor.isReply(CUSTOMER)).toBe(false);
+            await expect(governor.acquire(CUSTOMER)).rejects.toMatchObject({ limit: 'quiet_hours' });
+        });
+        
+        test('admin phones are always replies', async () => {
+            jest.useFakeTimers({ now: at('22:00'), doNotFake: ['setImmediate', 'nextTick'] });
+            
+            await expect(createGovernor().acquire(ADMIN)).resolves.toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Template Settings Service
+ * Enable / disable message templates at runtime - changes made through the API are saved
+ * and override DISABLED_TEMPLATES after a restart
+ */
+
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+class TemplateSettingsService {
+    constructor(database, messageTemplates) {
+        this.database = database;
+        this.messageTemplates = messageTemplates;
+    }
+
+    /**
+     * Apply saved settings - run after campaign templates are registered
+     */
+    async initialize() {
+        const rows = await this.database.all('SELECT template_id, enabled FROM template_settings');
+        
+        for (const row of rows) {
+            if (!this.messageTemplates.getAvailableTemplates().includes(row.template_id)) {
+                logger.warn(`⚠️ Saved setting for unknown template ignored: ${row.template_id}`);
+                continue;
+            }
+            this.messageTemplates.setTemplateEnabled(row.template_id, row.enabled === 1);
+        }
+    }
+
+    listTemplates() {
+        return this.messageTemplates.getTemplateList();
+    }
+
+    getTemplate(templateId) {
+        return this.listTemplates().find(template => template.type === templateId) || null;
+    }
+
+    async setEnabled(templateId, enabled) {
+        if (!this.getTemplate(templateId)) {
+            throw this.createError(`Template not found: ${templateId}`, 404);
+        }
+        
+        await this.database.run(
+            `INSERT INTO template_settings (template_id, enabled, updated_at) VALUES (?, ?, ?)
+             ON CONFLICT (template_id) DO UPDATE SET
+                enabled = excluded.enabled,
+                updated_at = excluded.updated_at`,
+            [templateId, enabled ? 1 : 0, Date.now()]
+        );
+        this.messageTemplates.setTemplateEnabled(templateId, enabled);
+        
+        logger.info(`📝 Template ${templateId} ${enabled ? 'enabled' : 'disabled'}`);
+        return this.getTemplate(templateId);
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = TemplateSettingsService;
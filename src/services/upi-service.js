@@ -0,0 +1,76 @@
+/**
+ * UPI Service
+ * UPI payment links (upi://pay?...) and QR codes for the exact amount an order still owes,
+ * with the order ID as the payment note so the shop can match the payment to the order
+ */
+
+const QRCode = require('qrcode');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+
+// name@bank, as accepted by UPI apps
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,64}$/;
+
+class UpiService {
+    constructor() {
+        this.vpa = (process.env.SHOP_UPI_VPA || '8824781960@paytm').trim();
+        this.payeeName = (process.env.SHOP_UPI_NAME || process.env.SHOP_NAME || 'RS Tailor & Fabric').trim();
+        this.enabled = VPA_PATTERN.test(this.vpa);
+        
+        if (!this.enabled) {
+            logger.warn(`⚠️ SHOP_UPI_VPA "${this.vpa}" is not a valid UPI ID - payment reminders are sent without a UPI link`);
+        }
+    }
+
+    /**
+     * Payment request for the amount an order still owes
+     * @returns {Object|null} - { upiId, payeeName, amount, note, link }, null when nothing is due
+     */
+    getPaymentRequest(orderData) {
+        if (!this.enabled || !orderData) return null;
+        
+        const amount = Math.round(this.parseAmount(orderData.remaining_amount) * 100) / 100;
+        if (amount <= 0) return null;
+        
+        const note = orderData.order_id ? `Order ${orderData.order_id}` : `Payment to ${this.payeeName}`;
+        
+        return {
+            upiId: this.vpa,
+            payeeName: this.payeeName,
+            amount,
+            note,
+            link: this.buildLink({ pa: this.vpa, pn: this.payeeName, am: amount.toFixed(2), cu: 'INR', tn: note })
+        };
+    }
+
+    /**
+     * QR code for a payment request, scanned with any UPI app
+     * @returns {Promise<Buffer>} - PNG image
+     */
+    async getQrCode(paymentRequest) {
+        return QRCode.toBuffer(paymentRequest.link, {
+            type: 'png',
+            width: 512,
+            margin: 2,
+            errorCorrectionLevel: 'M'
+        });
+    }
+
+    /**
+     * upi://pay link - values are percent-encoded (spaces as %20, not +, which some UPI apps show as is)
+     */
+    buildLink(params) {
+        const query = Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+            .join('&');
+        
+        return `upi://pay?${query}`;
+    }
+
+    parseAmount(value) {
+        return parseFloat((value ?? '').toString().replace(/[^\d.-]/g, '')) || 0;
+    }
+}
+
+UpiService.VPA_PATTERN = VPA_PATTERN;
+
+module.exports = UpiService;
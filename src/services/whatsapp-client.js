@@ -3,12 +3,21 @@
  * Handles WhatsApp Web connection, QR code generation, and message sending
  */
 
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const {
+    default: makeWASocket,
+    DisconnectReason,
+    useMultiFileAuthState,
+    prepareWAMessageMedia,
+    generateWAMessageFromContent,
+    downloadMediaMessage
+} = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
 const qrcode = require('qrcode-terminal');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const pino = require('pino');
+const SendGovernor = require('./send-governor');
 
 // Create logger instance
 const logger = pino({
@@ -23,6 +32,16 @@ const logger = pino({
     }
 });
 
+// Baileys WAMessageStatus values
+const MESSAGE_STATUS_NAMES = {
+    0: 'failed',
+    1: 'pending',
+    2: 'sent',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
+
 class WhatsAppClient {
     constructor() {
         this.sock = null;
@@ -32,6 +51,15 @@ class WhatsAppClient {
         this.maxRetries = 5;
         this.authDir = path.join(__dirname, '../../auth_info_baileys');
         this.qrCodePath = path.join(__dirname, '../core/qr-code.png');
+        this.messageHandlers = [];
+        this.statusHandlers = [];
+        
+        // Rate limits, pacing and quiet hours shared by all send methods
+        this.sendGovernor = new SendGovernor();
+        
+        // Uploaded media by file hash - a campaign uploads its video once, not once per recipient
+        this.mediaUploads = new Map();
+        this.mediaUploadTtlMs = parseFloat(process.env.WHATSAPP_MEDIA_CACHE_HOURS || '24') * 60 * 60 * 1000;
     }
 
     /**
@@ -96,13 +124,64 @@ class WhatsAppClient {
         // Credentials update
         this.sock.ev.on('creds.update', saveCreds);
 
-        // Messages (for future message handling)
-        this.sock.ev.on('messages.upsert', ({ messages }) => {
-            // Handle incoming messages if needed
+        // Incoming messages
+        this.sock.ev.on('messages.upsert', ({ messages, type }) => {
             logger.debug('📨 Received messages:', messages.length);
+            
+            // Only new messages ('notify'), not history sync ('append')
+            if (type !== 'notify') return;
+            
+            for (const message of messages) {
+                if (message.key?.fromMe) continue;
+                
+                // Answers to this number in the next few minutes are replies for the send governor
+                const [user, server] = (message.key?.remoteJid || '').split('@');
+                if (server === 's.whatsapp.net') {
+                    this.sendGovernor.noteIncoming(user, Number(message.messageTimestamp) * 1000 || Date.now());
+                }
+                
+                this.messageHandlers.forEach(handler => {
+                    Promise.resolve(handler(message)).catch(error => {
+                        logger.error('❌ Incoming message handler failed:', error);
+                    });
+                });
+            }
+        });
+
+        // Delivery receipts for messages we sent
+        this.sock.ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                if (!key?.fromMe || update?.status === undefined) continue;
+                
+                const status = MESSAGE_STATUS_NAMES[update.status] || String(update.status);
+                const phone = (key.remoteJid || '').split('@')[0];
+                
+                this.statusHandlers.forEach(handler => {
+                    Promise.resolve(handler({ messageId: key.id, phone, status })).catch(error => {
+                        logger.error('❌ Message status handler failed:', error);
+                    });
+                });
+            }
         });
     }
 
+    /**
+     * Register a handler for delivery status updates of sent messages
+     * @param {Function} handler - Called with { messageId, phone, status }
+     */
+    onMessageStatus(handler) {
+        this.statusHandlers.push(handler);
+    }
+
+    /**
+     * Register a handler for incoming customer messages
+     * Handlers survive reconnects because they are kept on the client, not the socket
+     * @param {Function} handler - Called with the raw Baileys message
+     */
+    onMessage(handler) {
+        this.messageHandlers.push(handler);
+    }
+
     /**
      * Display QR code for WhatsApp Web connection
      */
@@ -168,6 +247,7 @@ class WhatsAppClient {
         this.isConnected = true;
         this.connectionRetries = 0;
         this.qrGenerated = false;
+        this.sendGovernor.markConnected();
         
         logger.info('');
         logger.info('🎉 WHATSAPP CONNECTED SUCCESSFULLY!');
@@ -203,6 +283,8 @@ class WhatsAppClient {
             } else if (errorCode === DisconnectReason.loggedOut) {
                 logger.warn('🚪 WhatsApp logged out - please scan QR code again');
                 this.cleanupAuthSession();
+                // Uploads belong to the old session
+                this.mediaUploads.clear();
             } else {
                 logger.error('❌ Max reconnection attempts reached');
             }
@@ -233,6 +315,9 @@ class WhatsAppClient {
             throw new Error('WhatsApp is not connected');
         }
 
+        // Limits and pacing - may wait, or throw a deferred error with retryAt
+        await this.sendGovernor.acquire(this.formatPhoneNumber(phoneNumber));
+
         try {
             // Format phone number (add country code if missing)
             const formattedNumber = this.formatPhoneNumber(phoneNumber);
@@ -263,6 +348,9 @@ class WhatsAppClient {
             throw new Error('WhatsApp is not connected');
         }
 
+        // Limits and pacing - may wait, or throw a deferred error with retryAt
+        await this.sendGovernor.acquire(this.formatPhoneNumber(phoneNumber));
+
         try {
             // Format phone number (add country code if missing)
             const formattedNumber = this.formatPhoneNumber(phoneNumber);
@@ -302,7 +390,7 @@ class WhatsAppClient {
                 messageContent.viewOnce = true;
             }
 
-            const result = await this.sock.sendMessage(jid, messageContent);
+            const result = await this.sendMediaContent(jid, 'image', messageContent);
             
             logger.info(`✅ Image message sent successfully to ${phoneNumber}`);
             return result;
@@ -327,6 +415,9 @@ class WhatsAppClient {
             throw new Error('WhatsApp is not connected');
         }
 
+        // Limits and pacing - may wait, or throw a deferred error with retryAt
+        await this.sendGovernor.acquire(this.formatPhoneNumber(phoneNumber));
+
         try {
             // Format phone number (add country code if missing)
             const formattedNumber = this.formatPhoneNumber(phoneNumber);
@@ -372,7 +463,7 @@ class WhatsAppClient {
                 messageContent.ptv = true;
             }
 
-            const result = await this.sock.sendMessage(jid, messageContent);
+            const result = await this.sendMediaContent(jid, 'video', messageContent);
             
             logger.info(`✅ Video message sent successfully to ${phoneNumber}`);
             return result;
@@ -395,6 +486,9 @@ class WhatsAppClient {
             throw new Error('WhatsApp is not connected');
         }
 
+        // Limits and pacing - may wait, or throw a deferred error with retryAt
+        await this.sendGovernor.acquire(this.formatPhoneNumber(phoneNumber));
+
         try {
             // Format phone number (add country code if missing)
             const formattedNumber = this.formatPhoneNumber(phoneNumber);
@@ -434,7 +528,7 @@ class WhatsAppClient {
                 messageContent.ptt = true;
             }
 
-            const result = await this.sock.sendMessage(jid, messageContent);
+            const result = await this.sendMediaContent(jid, 'audio', messageContent);
             
             logger.info(`✅ Audio message sent successfully to ${phoneNumber}`);
             return result;
@@ -458,6 +552,9 @@ class WhatsAppClient {
             throw new Error('WhatsApp is not connected');
         }
 
+        // Limits and pacing - may wait, or throw a deferred error with retryAt
+        await this.sendGovernor.acquire(this.formatPhoneNumber(phoneNumber));
+
         try {
             // Format phone number (add country code if missing)
             const formattedNumber = this.formatPhoneNumber(phoneNumber);
@@ -486,7 +583,7 @@ class WhatsAppClient {
                 throw new Error('Invalid document format. Use file path, URL, Buffer, or {url: string} object');
             }
 
-            const result = await this.sock.sendMessage(jid, {
+            const result = await this.sendMediaContent(jid, 'document', {
                 document: documentObj,
                 fileName: filename,
                 mimetype: mimetype,
@@ -502,6 +599,74 @@ class WhatsAppClient {
         }
     }
 
+    /**
+     * Send a media message, reusing an earlier upload of the same file
+     * The caption is added per message; view once messages and video notes are always uploaded
+     * @param {string} mediaType - image, video, audio or document
+     * @param {Object} content - Baileys message content, e.g. { video: Buffer, caption }
+     */
+    async sendMediaContent(jid, mediaType, content) {
+        if (!Buffer.isBuffer(content[mediaType]) || content.viewOnce || content.ptv) {
+            return this.sock.sendMessage(jid, content);
+        }
+        
+        const { caption, ...fields } = content;
+        const media = await this.getUploadedMedia(mediaType, fields);
+        
+        const message = generateWAMessageFromContent(jid, {
+            [`${mediaType}Message`]: { ...media, ...(caption ? { caption } : {}) }
+        }, { userJid: this.sock.user.id });
+        await this.sock.relayMessage(jid, message.message, { messageId: message.key.id });
+        
+        return message;
+    }
+
+    /**
+     * Upload a media file to WhatsApp, or return the reference and encryption keys of an
+     * upload of the same file (and options) that has not expired yet
+     * @returns {Promise<Object>} - The media message fields (url, directPath, mediaKey, ...)
+     */
+    async getUploadedMedia(mediaType, fields) {
+        const now = Date.now();
+        for (const [key, entry] of this.mediaUploads) {
+            if (entry.expiresAt <= now) this.mediaUploads.delete(key);
+        }
+        
+        const buffer = fields[mediaType];
+        const options = { ...fields, [mediaType]: undefined };
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const key = `${mediaType}:${hash}:${JSON.stringify(options)}`;
+        
+        if (!this.mediaUploads.has(key)) {
+            // Stored as a promise so messages sent at the same time share one upload
+            const upload = prepareWAMessageMedia(fields, { upload: this.sock.waUploadToServer, logger: logger.child({ level: 'warn' }) })
+                .then(prepared => {
+                    logger.info(`⬆️ Uploaded ${mediaType} (${(buffer.length / 1024 / 1024).toFixed(1)} MB), reused for the next ${this.mediaUploadTtlMs / 3600000} hours`);
+                    return prepared[`${mediaType}Message`];
+                });
+            upload.catch(() => this.mediaUploads.delete(key));
+            this.mediaUploads.set(key, { upload, expiresAt: now + this.mediaUploadTtlMs });
+        }
+        
+        return this.mediaUploads.get(key).upload;
+    }
+
+    /**
+     * Download the image, video or document of an incoming message
+     * @returns {Promise<Buffer>}
+     */
+    async downloadMessageMedia(message) {
+        if (!this.isConnected || !this.sock) {
+            throw new Error('WhatsApp is not connected');
+        }
+        
+        // Media older than a few days has to be re-uploaded by the sender's phone first
+        return downloadMediaMessage(message, 'buffer', {}, {
+            logger: logger.child({ level: 'warn' }),
+            reuploadRequest: this.sock.updateMediaMessage
+        });
+    }
+
     /**
      * Format phone number for WhatsApp
      */
@@ -581,6 +746,7 @@ class WhatsAppClient {
         this.cleanupQRCode();
         this.isConnected = false;
         this.sock = null;
+        this.mediaUploads.clear();
         
         logger.info('✅ WhatsApp client shutdown complete');
     }
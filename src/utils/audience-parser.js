@@ -0,0 +1,146 @@
+/**
+ * Audience File Parser
+ * Reads customer lists from CSV and Excel (XLSX) exports and finds the name and phone columns
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const PhoneUtils = require('./phone-utils');
+
+// Header names recognised as the name / phone column (compared lowercase, letters and digits only)
+const NAME_HEADERS = ['name', 'customername', 'customer', 'fullname', 'clientname', 'naam'];
+const PHONE_HEADERS = [
+    'phone', 'number', 'mobile', 'phonenumber', 'phoneno', 'mobilenumber', 'mobileno',
+    'contact', 'contactnumber', 'contactno', 'whatsapp', 'whatsappnumber'
+];
+
+const FORMATS = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx'
+};
+
+class AudienceParser {
+    constructor() {
+        this.phoneUtils = new PhoneUtils();
+    }
+
+    /**
+     * Work out the file format from the file name
+     * @returns {string|null} - 'csv', 'xlsx' or null when unsupported
+     */
+    getFormat(filename) {
+        return FORMATS[path.extname(filename || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Read all rows from an uploaded file
+     * @returns {Promise<Object>} - { format, columns, rows } where rows are { column: value } objects
+     */
+    async parse(buffer, filename) {
+        const format = this.getFormat(filename);
+        
+        if (format === 'csv') {
+            return { format, ...await this.parseCsv(buffer) };
+        }
+        if (format === 'xlsx') {
+            return { format, ...await this.parseXlsx(buffer) };
+        }
+        
+        throw new Error(`Unsupported file type: ${path.extname(filename || '') || 'unknown'}. Upload a .csv or .xlsx file`);
+    }
+
+    parseCsv(buffer) {
+        return new Promise((resolve, reject) => {
+            let columns = [];
+            const rows = [];
+            
+            Readable.from([buffer])
+                .pipe(csv({
+                    // Excel adds a byte order mark to "CSV UTF-8" exports
+                    mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+                }))
+                .on('headers', (headers) => { columns = headers; })
+                .on('data', (row) => rows.push(row))
+                .on('end', () => resolve({ columns, rows }))
+                .on('error', reject);
+        });
+    }
+
+    async parseXlsx(buffer) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        
+        // Only the first sheet is read
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet || worksheet.rowCount === 0) {
+            return { columns: [], rows: [] };
+        }
+        
+        const headerRow = worksheet.getRow(1);
+        const columns = [];
+        headerRow.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+            columns[columnNumber - 1] = cell.text.trim();
+        });
+        
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            
+            const values = {};
+            columns.forEach((column, i) => {
+                if (column) {
+                    values[column] = row.getCell(i + 1).text.trim();
+                }
+            });
+            rows.push(values);
+        });
+        
+        return { columns: columns.filter(Boolean), rows };
+    }
+
+    normalizeHeader(header) {
+        return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Find the name and phone columns by header name, falling back to the column
+     * whose values look like phone numbers
+     * @returns {Object} - { nameColumn, phoneColumn } (null when not found)
+     */
+    detectColumns(columns, rows) {
+        const findByHeader = (candidates) => {
+            for (const candidate of candidates) {
+                const match = columns.find(column => this.normalizeHeader(column) === candidate);
+                if (match) return match;
+            }
+            return null;
+        };
+        
+        let phoneColumn = findByHeader(PHONE_HEADERS);
+        let nameColumn = findByHeader(NAME_HEADERS);
+        
+        const sample = rows.slice(0, 50);
+        
+        if (!phoneColumn) {
+            phoneColumn = columns.find(column => {
+                const values = sample.map(row => row[column]).filter(Boolean);
+                const valid = values.filter(value => this.phoneUtils.isValid(value));
+                return values.length > 0 && valid.length / values.length >= 0.8;
+            }) || null;
+        }
+        
+        if (!nameColumn) {
+            nameColumn = columns.find(column => {
+                if (column === phoneColumn) return false;
+                const values = sample.map(row => row[column]).filter(Boolean);
+                return values.length > 0 && values.some(value => /[^\d\s\-\+\(\)]/.test(value));
+            }) || null;
+        }
+        
+        return { nameColumn, phoneColumn };
+    }
+}
+
+module.exports = AudienceParser;
@@ -0,0 +1,67 @@
+/**
+ * Date Utilities
+ * Reading the dates written to the order sheets by gas-code.js and the bot
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DateUtils {
+    /**
+     * Parse a sheet date - dd/mm/yyyy (en-IN, optionally followed by a time) or ISO
+     * Dates more than a day in the future are treated as typos
+     * @returns {number|null} - Timestamp, or null when the date cannot be read
+     */
+    parseSheetDate(value) {
+        const time = this.parseDate(value);
+        return time === null || time > Date.now() + DAY_MS ? null : time;
+    }
+
+    /**
+     * Parse a date in any of the formats parseSheetDate reads, future dates included (delivery dates)
+     * @returns {number|null}
+     */
+    parseDate(value) {
+        if (!value) return null;
+        
+        const text = value.toString().trim();
+        const dayFirst = text.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})(?:[,\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        
+        // 10/19/2025 is not day-first - leave US style dates to the Date parser
+        const date = dayFirst && parseInt(dayFirst[2]) <= 12
+            ? new Date(
+                parseInt(dayFirst[3]), parseInt(dayFirst[2]) - 1, parseInt(dayFirst[1]),
+                parseInt(dayFirst[4] || '0'), parseInt(dayFirst[5] || '0'), parseInt(dayFirst[6] || '0')
+            )
+            : new Date(text);
+        
+        const time = date.getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Format a date the way gas-code.js writes dates to the sheets (dd/mm/yyyy)
+     */
+    formatSheetDate(date = new Date()) {
+        return new Date(date).toLocaleDateString('en-IN');
+    }
+
+    /**
+     * Midnight at the start of a day, server time like the sheet dates
+     * @param {number} daysAgo - 0 for today, 6 for the start of the last 7 days
+     */
+    startOfDay(daysAgo = 0) {
+        const date = new Date();
+        date.setDate(date.getDate() - daysAgo);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Whole days between a timestamp and now
+     */
+    daysSince(timestamp) {
+        return Math.floor((Date.now() - timestamp) / DAY_MS);
+    }
+}
+
+module.exports = DateUtils;
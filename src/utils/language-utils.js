@@ -0,0 +1,55 @@
+/**
+ * Language Utilities
+ * Message languages and the words customers and staff use for them
+ */
+
+// Templates are written in Hindi first - every other language falls back to it
+const DEFAULT_LANGUAGE = 'hi';
+
+const LANGUAGES = {
+    hi: { name: 'Hindi', aliases: ['hi', 'hindi', 'हिंदी', 'हिन्दी'] },
+    en: { name: 'English', aliases: ['en', 'eng', 'english', 'अंग्रेजी', 'इंग्लिश'] },
+    hinglish: { name: 'Hinglish', aliases: ['hinglish', 'hi-en', 'roman hindi'] }
+};
+
+class LanguageUtils {
+    /**
+     * Language code for a sheet value or API input ("English", "en", "हिंदी" ...)
+     * @returns {string|null} - hi, en or hinglish, null when the value is empty or unknown
+     */
+    normalize(value) {
+        if (!value) return null;
+        
+        const text = value.toString().trim().toLowerCase();
+        const match = Object.entries(LANGUAGES).find(([, language]) => language.aliases.includes(text));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Language a customer asks for when the whole reply is a language name,
+     * e.g. "English", "english please", "Hindi me"
+     * @returns {string|null}
+     */
+    detectLanguageRequest(text) {
+        const words = (text || '').toLowerCase().replace(/[^\p{L}\p{M}\s-]/gu, ' ').split(/\s+/).filter(Boolean);
+        if (words.length === 0 || words.length > 3) return null;
+        
+        const language = this.normalize(words[0]);
+        
+        // Short codes like "hi" are greetings in a chat, only full names count here
+        return language && words[0].length > 3 ? language : null;
+    }
+
+    getLanguageName(code) {
+        return LANGUAGES[code] ? LANGUAGES[code].name : code;
+    }
+
+    isSupported(code) {
+        return !!LANGUAGES[code];
+    }
+}
+
+LanguageUtils.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+LanguageUtils.LANGUAGES = LANGUAGES;
+
+module.exports = LanguageUtils;
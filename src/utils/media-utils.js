@@ -223,14 +223,16 @@ class MediaUtils {
 
     /**
      * Clean up old media files
+     * @param {string[]} keepPaths - Files that are never deleted (media library assets)
      */
-    cleanupOldFiles(maxAgeHours = 24) {
+    cleanupOldFiles(maxAgeHours = 24, keepPaths = []) {
         try {
             const mediaDir = path.join(__dirname, '../../media');
             if (!fs.existsSync(mediaDir)) return;
             
             const now = Date.now();
             const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
+            const keep = new Set(keepPaths.map(filePath => path.resolve(filePath)));
             
             const cleanDirectory = (dirPath) => {
                 const files = fs.readdirSync(dirPath);
@@ -240,7 +242,7 @@ class MediaUtils {
                     const filePath = path.join(dirPath, file);
                     const stats = fs.statSync(filePath);
                     
-                    if (stats.isFile()) {
+                    if (stats.isFile() && !keep.has(path.resolve(filePath))) {
                         const age = now - stats.mtime.getTime();
                         if (age > maxAge) {
                             fs.unlinkSync(filePath);
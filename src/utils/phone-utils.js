@@ -0,0 +1,48 @@
+/**
+ * Phone Number Utilities
+ * Validation and normalization for Indian mobile numbers from CSV uploads and campaigns
+ */
+
+class PhoneUtils {
+    constructor() {
+        this.validPatterns = [
+            /^[6789]\d{9}$/, // 10 digit starting with 6,7,8,9
+            /^91[6789]\d{9}$/, // With country code 91
+            /^0[6789]\d{9}$/ // With leading 0
+        ];
+    }
+
+    /**
+     * Strip spaces, dashes, brackets and plus signs
+     */
+    clean(number) {
+        if (!number) return '';
+        return number.toString().replace(/[\s\-\(\)\+]/g, '');
+    }
+
+    /**
+     * Check if the number is a valid Indian mobile number
+     */
+    isValid(number) {
+        if (!number) return false;
+        const cleanNumber = this.clean(number);
+        return this.validPatterns.some(pattern => pattern.test(cleanNumber));
+    }
+
+    /**
+     * Normalize to 91XXXXXXXXXX
+     */
+    normalize(number) {
+        if (!number) return null;
+        let cleanNumber = this.clean(number);
+        if (cleanNumber.startsWith('0')) {
+            cleanNumber = cleanNumber.substring(1);
+        }
+        if (cleanNumber.length === 10) {
+            cleanNumber = '91' + cleanNumber;
+        }
+        return cleanNumber;
+    }
+}
+
+module.exports = PhoneUtils;
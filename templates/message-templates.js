@@ -1,400 +1,202 @@
+const path = require('path');
 const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const TemplateLibrary = require('./template-library');
+const TemplateRenderer = require('./template-renderer');
+const LanguageUtils = require('../src/utils/language-utils');
+
+// Placeholders filled from data that is not in the default values below
+const EXTRA_PLACEHOLDERS = ['advance_amount', 'delivery_status', 'order_details', 'offer_start', 'offer_end', 'upi_link'];
 
 /**
- * Optimized Message Templates - Hindi Only (Updated Version)
+ * Optimized Message Templates - Hindi with English / Hinglish translations
  * 
  * Features:
- * - Custom Hindi templates only
- * - Modular template structure
+ * - Hindi templates, translated per template where a translation file exists
+ * - Template text kept in files (templates/library), reloaded when they change
+ * - Conditional sections, lists and formatters (templates/template-renderer.js)
  * - Dynamic template selection
  * - Template caching for performance
  * - Location added to all signatures
+ * - Templates enabled / disabled at runtime instead of commented out
  */
 class MessageTemplates {
     constructor() {
-        this.templates = {
-            // PROMOTIONAL MESSAGES ONLY - Other templates commented out for festival campaign
-            
-            /*
-            // Core Order Templates - DISABLED for promotional campaign
-            welcome: this.getWelcomeTemplate(),
-            order_confirmation: this.getOrderConfirmationTemplate(),
-            order_ready: this.getOrderReadyTemplate(),
-            delivery_notification: this.getDeliveryNotificationTemplate(),
-            
-            // Reminder Templates - DISABLED for promotional campaign
-            pickup_reminder: this.getPickupReminderTemplate(),
-            payment_reminder: this.getPaymentReminderTemplate(),
-            
-            // Fabric Templates - DISABLED for promotional campaign
-            fabric_welcome: this.getFabricWelcomeTemplate(),
-            fabric_purchase: this.getFabricPurchaseTemplate(),
-            fabric_payment_reminder: this.getFabricPaymentReminderTemplate(),
-            
-            // Combined Templates - DISABLED for promotional campaign
-            combined_order: this.getCombinedOrderTemplate(),
-            
-            // Special Templates - DISABLED for promotional campaign
-            pickup_complete: this.getPickupCompleteTemplate(),
-            */
-            
-            // Festival Promotional Templates - ACTIVE
-            durga_puja_dussehra_offer: this.getDurgaPujaDussehraOfferTemplate()
-        };
+        // type -> template text; file templates from the library, campaign templates added at runtime
+        this.templates = {};
+        
+        // type -> library metadata of the Hindi version (language, category, required placeholders, media, file)
+        this.templateInfo = {};
+        
+        // type -> language -> library template, all translations including the Hindi one
+        this.templateVariants = {};
+        this.libraryErrors = [];
+        
+        this.library = new TemplateLibrary(
+            process.env.TEMPLATE_LIBRARY_DIR || path.join(__dirname, 'library'),
+            [...Object.keys(this.getDefaultValues()), ...EXTRA_PLACEHOLDERS]
+        );
+        
+        this.renderer = new TemplateRenderer();
         
         // Template cache for performance
         this.templateCache = new Map();
         
-        console.log('🎉 PROMOTIONAL CAMPAIGN MODE - Festival Templates Only');
-        console.log(`📝 Active template types: ${Object.keys(this.templates).length} (Promotional Only)`);
-        console.log('🚫 Regular business templates are DISABLED for promotional campaign');
-    }
-
-    // Core Order Templates
-    getWelcomeTemplate() {
-        return `🙏 *RS Tailor & Fabric में आपका हार्दिक स्वागत है* 🙏
-
-प्रिय *{customer_name}* जी,
-
-आपका हमारे परिवार में शामिल होना हमारे लिए गर्व की बात है! 
-
-✨ *हमारी विशेषताएं:*
-- 20+ साल का अनुभव
-- बेहतरीन फिटिंग की गारंटी  
-- समय पर डिलीवरी
-- उच्च गुणवत्ता के कपड़े
-- Wedding/Festival स्पेशल कलेक्शन
-
-📍 *दुकान का पता:* Main Market, Kumher
-⏰ *समय:* सुबह 10 से रात 8 बजे (सातों दिन)
-📞 *संपर्क:* {shop_phone}
-
-💡 *आपको मिलेंगे:*
-- Order की पूरी जानकारी WhatsApp पर
-- तैयार होने पर तुरंत सूचना
-- Special offers की जानकारी
-
-आपके विश्वास के लिए धन्यवाद! 🌟
-
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    getOrderConfirmationTemplate() {
-        return `✅ *आपका ऑर्डर कन्फर्म हो गया है* ✅
-
-प्रिय *{customer_name}* जी,
-
-आपका ऑर्डर सफलतापूर्वक बुक हो गया है और हमने काम शुरू कर दिया है। 🪡✂️
-
-📋 *ऑर्डर विवरण:*
-- ऑर्डर नंबर: #{order_id}
-- कपड़े का प्रकार: {garment_type}
-- बुकिंग दिनांक: {order_date}
-
-💰 *भुगतान विवरण:*
-- कुल राशि: ₹{total_amount}
-- एडवांस जमा: ₹{advance_payment} ✓
-- शेष राशि: ₹{remaining_amount}
-
-🎯 *विशेष नोट:* {notes}
-
-📢 तैयार होते ही आपको सूचना भेज दी जाएगी।
-
-किसी भी प्रश्न के लिए संपर्क करें: {shop_phone}
-
-धन्यवाद! 🙏
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    getOrderReadyTemplate() {
-        return `🎉 *खुशखबरी! आपका कपड़ा तैयार है* 🎉
-
-प्रिय *{customer_name}* जी,
-
-आपका {garment_type} पूरी तरह से तैयार है और आपका इंतज़ार कर रहा है! ✨
-
-📋 *विवरण:*
-- ऑर्डर नंबर: #{order_id}
-- तैयार दिनांक: {ready_date}
-- कपड़े का प्रकार: {garment_type}
-
-💳 *भुगतान स्थिति:*
-- कुल राशि: ₹{total_amount}
-- जमा राशि: ₹{advance_payment}
-- देय राशि: ₹{remaining_amount}
-
-🏪 *पिकअप टाइमिंग:*
-- सुबह 10 से रात 8 बजे
-- फोन: {shop_phone}
-
-⭐ *महत्वपूर्ण:* कृपया 3 दिन के अंदर अपना ऑर्डर ले जाएं।
-
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    getDeliveryNotificationTemplate() {
-        return `✨ *डिलीवरी सफलतापूर्वक पूर्ण* ✨
-
-प्रिय *{customer_name}* जी,
-
-आपका ऑर्डर सफलतापूर्वक डिलीवर हो गया है। हमें उम्मीद है आपको हमारा काम पसंद आया होगा! 
-
-📋 *डिलीवरी विवरण:*
-- ऑर्डर नंबर: #{order_id}
-- डिलीवरी दिनांक: {delivery_date}
-- कपड़ा: {garment_type}
-
-💰 *भुगतान सारांश:*
-- कुल राशि: ₹{total_amount}
-- प्राप्त राशि: ₹{paid_today}
-- बकाया राशि: ₹{remaining_amount}
-
-🌟 *देखभाल के टिप्स:*
-- पहली बार ड्राई क्लीन करवाएं
-- उल्टा करके प्रेस करें
-- धूप में सीधे न सुखाएं
-
-⭐ कृपया Google पर अपना अनुभव शेयर करें!
-
-फिर मिलेंगे! 🙏
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    // Reminder Templates
-    getPickupReminderTemplate() {
-        return `🔔 *रिमाइंडर: आपका ऑर्डर तैयार है* 🔔
-
-प्रिय *{customer_name}* जी,
-
-आपका {garment_type} पिछले {days_since_ready} दिनों से तैयार है और आपका इंतज़ार कर रहा है। 
-
-📋 *ऑर्डर: #{order_id}*
-💰 *बकाया राशि: ₹{remaining_amount}*
-
-कृपया जल्द से जल्द अपना ऑर्डर ले जाएं। 🙏
-
-⏰ दुकान खुली है: 10 AM - 8 PM
-
-फोन: {shop_phone}
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    getPaymentReminderTemplate() {
-        return `💳 *भुगतान रिमाइंडर* 💳
-
-प्रिय *{customer_name}* जी,
-
-आपने {pickup_date} को अपना {garment_type} (ऑर्डर #{order_id}) ले लिया था।
-
-💰 *बकाया राशि: ₹{remaining_amount}*
-
-कृपया अपनी सुविधा अनुसार भुगतान कर दें:
-
-📱 *UPI/Online:* 8824781960@paytm
-💵 *Cash:* दुकान पर
-
-भुगतान के बाद "PAID" लिखकर भेजें।
-
-धन्यवाद! 🙏
-*RS Tailor & Fabric*
-Main Market, Kumher`;
-    }
-
-    // Fabric Templates
-    getFabricWelcomeTemplate() {
-        return `🙏 *RS Tailor & Fabric में आपका हार्दिक स्वागत है* 🙏
-
-प्रिय *{customer_name}* जी,
-
-आपका हमारे परिवार में शामिल होना हमारे लिए गर्व की बात है! 
-
-✨ *हमारी विशेषताएं:*
-- 20+ साल का अनुभव
-- बेहतरीन फिटिंग की गारंटी  
-- समय पर डिलीवरी
-- उच्च गुणवत्ता के कपड़े
-- Wedding/Festival स्पेशल कलेक्शन
-
-📍 *दुकान का पता:* Main Market, Kumher
-⏰ *समय:* सुबह 10 से रात 8 बजे (सातों दिन)
-📞 *संपर्क:* {shop_phone}
-
-💡 *आपको मिलेंगे:*
-- Order की पूरी जानकारी WhatsApp पर
-- तैयार होने पर तुरंत सूचना
-- Special offers की जानकारी
-
-आपके विश्वास के लिए धन्यवाद! 🌟
-
-*RS Tailor & Fabric*
-Main Market, Kumher`;
+        this.loadLibrary();
+        
+        // Switched-off templates stay registered, they are only skipped when sending
+        this.disabledTemplates = new Set(
+            (process.env.DISABLED_TEMPLATES || '')
+                .split(',')
+                .map(type => type.trim())
+                .filter(type => this.templates[type])
+        );
+        
+        const enabledCount = Object.keys(this.templates).length - this.disabledTemplates.size;
+        console.log(`📝 Message templates: ${enabledCount} enabled, ${this.disabledTemplates.size} disabled`);
+        if (this.disabledTemplates.size > 0) {
+            console.log(`🚫 Disabled templates: ${[...this.disabledTemplates].join(', ')}`);
+        }
     }
 
-    getFabricPurchaseTemplate() {
-        return `🛍️ *कपड़ा खरीदी की पुष्टि* 🛍️
-
-प्रिय *{customer_name}* जी,
-
-आपके द्वारा चुना गया प्रीमियम कपडे की जानकारी इस प्रकार है! ✨
-
-📦 *खरीदी विवरण:*
-- ऑर्डर नंबर: #F{order_id}
-- मात्रा: {quantity} मीटर
-
-💰 *राशि विवरण:*
-- कुल राशि: ₹{fabric_total}
-- जमा राशि: ₹{advance_payment}
-- बकाया: ₹{remaining_amount}
-
-🎁 *विशेष ऑफर:*
-इसी कपड़े की सिलाई पर 5% छूट!
-
-📍 कृपया जल्द से जल्द अपना कपड़ा ले जाएं।
-
-संपर्क: {shop_phone}
-*RS Tailor & Fabric*
-Main Market, Kumher`;
+    // Template Library Methods
+    /**
+     * (Re)load the template files
+     * A file that fails validation is rejected - if an earlier version of it was loaded, that one stays in use
+     */
+    loadLibrary() {
+        const { templates, errors } = this.library.loadAll();
+        const failedFiles = new Set(errors.map(error => error.file));
+        
+        for (const error of errors) {
+            logger.error(`❌ Template file ${error.file} rejected: ${error.error}`);
+        }
+        
+        for (const [type, languages] of Object.entries(this.templateVariants)) {
+            for (const [language, info] of Object.entries(languages)) {
+                const key = `${type}:${language}`;
+                if (templates[key]) continue;
+                
+                if (failedFiles.has(info.file)) {
+                    logger.warn(`⚠️ Keeping the previous version of ${type} (${language}) until ${info.file} is fixed`);
+                    templates[key] = info;
+                } else {
+                    logger.warn(`🗑️ Template removed (file deleted): ${type} (${language})`);
+                }
+            }
+        }
+        
+        const variants = {};
+        for (const template of Object.values(templates)) {
+            variants[template.type] = { ...variants[template.type], [template.language]: template };
+        }
+        
+        for (const type of Object.keys(this.templateVariants)) {
+            if (!variants[type]) {
+                delete this.templates[type];
+                delete this.templateInfo[type];
+            }
+        }
+        
+        // The Hindi file is the main version of a template; a type without one uses its first translation
+        for (const [type, languages] of Object.entries(variants)) {
+            const main = languages[LanguageUtils.DEFAULT_LANGUAGE] || Object.values(languages)[0];
+            this.templates[type] = main.text;
+            this.templateInfo[type] = main;
+        }
+        
+        this.templateVariants = variants;
+        this.libraryErrors = errors;
+        this.templateCache.clear();
+        
+        logger.info(`📚 Loaded ${Object.keys(templates).length} template file(s)${errors.length > 0 ? `, ${errors.length} rejected` : ''}`);
+        return { loaded: Object.keys(templates).length, errors };
+    }
+
+    /**
+     * Reload templates whenever a file in the library changes
+     */
+    watchLibrary() {
+        this.library.watch(() => {
+            try {
+                this.loadLibrary();
+            } catch (error) {
+                logger.error('❌ Template reload failed:', error);
+            }
+        });
     }
 
-    getFabricPaymentReminderTemplate() {
-        return `💳 *कपड़े का भुगतान बाकी है* 💳
-
-प्रिय *{customer_name}* जी,
-
-आपके कपड़े के ऑर्डर #F{order_id} का भुगतान अभी भी बाकी है।
-
-📦 *विवरण:*
-- कपड़ा: {fabric_type} - {brand_name}
-- मात्रा: {quantity} मीटर
-- बकाया राशि: ₹{remaining_amount}
-
-कृपया जल्द भुगतान करें:
-📱 UPI: 8824781960@paytm
-
-धन्यवाद! 🙏
-*RS Tailor & Fabric*
-Main Market, Kumher`;
+    stopWatchingLibrary() {
+        this.library.unwatch();
     }
 
-    // Combined Templates
-    getCombinedOrderTemplate() {
-        return `✅ आपका Fabric Purchase Complete और Tailoring Order Confirm हो गया है! 
-
-नमस्ते *{customer_name}* जी 🙏
-
-👉 आपका Fabric Order ✨
-📋 Order ID: {fabric_order_id}
-📏 Quantity: {fabric_quantity} meters
-📅 Purchase Date: {fabric_purchase_date}
-
-💰 Payment Details:
-- Total Amount: ₹{fabric_total}
-- Advance Payment: ₹{fabric_advance}
-- Remaining Amount: ₹{fabric_remaining}
-
-👉 आपका Tailoring Order ✨
-- Order ID: {tailor_order_id}
-- Item: {garment_type} 👔
-- Ready होगा: {delivery_date}
-
-💰 Amount Details:
-- Total: ₹{tailor_total}
-- Advance मिला: ₹{tailor_advance} ✓
-- बाकी Amount: ₹{tailor_remaining}
-
-🏪 Shop Details:
-- Timing: 10:00 AM - 8:00 PM
-- Phone: {shop_phone}
-
-हमारी दुकान पर आने के लिए धन्यवाद ! 🙏
-
-*RS Tailor & Fabric* 😊
-Main Market, Kumher`;
+    /**
+     * Library template for a language, or null when the template has no translation in it
+     */
+    getTemplateVariant(templateType, language) {
+        const languages = this.templateVariants[templateType];
+        return languages && language && languages[language] ? languages[language] : null;
     }
 
-    // Special Templates
-    getPickupCompleteTemplate() {
-        return `🧾 Order Pickup Complete! 🧾
-
-प्रिय *{customer_name}* जी 🤠
-
-आज ({pickup_date}) आपने अपना {garment_type} (Order #{order_id}) successfully ले लिया! 🎉
-
-💳 Payment Summary:
-- Total Amount: ₹{total_amount}
-- पहले से जमा: ₹{advance_amount}
-- आज दिया: ₹{final_payment}
-- बकाया राशि: ₹{remaining_amount}
-
-👕 Care Instructions:
-- हल्के हाथ से Wash करें
-- उल्टा करके Iron करें
-- Dry Clean भी कर सकते हैं
-
-💫 नये Order के लिए दुबारा जरूर आए !
-
-Again Thank You 
-*RS Tailor & Fabric* ✨
-Main Market, Kumher`;
+    getTemplateLanguages(templateType) {
+        return Object.keys(this.templateVariants[templateType] || {});
     }
 
-    // Festival Promotional Templates
-    getDurgaPujaDussehraOfferTemplate() {
-        return `🙏 *नमस्ते {customer_name} जी* 🙏
-
-🌺 *दुर्गा पूजा और दशहरा की हार्दिक शुभकामनाएं* 🌺
-
-इस पावन अवसर पर हम आपके और आपके पूरे परिवार की अच्छी सेहत और खुशहाली की प्रार्थना करते हैं। माँ दुर्गा आप सभी पर अपनी कृपा बनाए रखें। 🙏✨
-
-🎉 *इस दशहरे को बनाइए खास हमारे बेहतरीन ऑफर के साथ!* 🎉
-
-आप हमारे नियमित और प्रिय ग्राहक हैं, इसलिए आपके लिए विशेष *25% की छूट*:
-
-💰 *विशेष ऑफर:*
-▪️ ₹1000 की खरीदारी पर सीधे ₹250 की छूट 
-▪️ ₹2000 की खरीदारी पर सीधे ₹500 की छूट
-▪️ कोई छुपी हुई शर्तें नहीं, सीधी सादी छूट!
-
-📅 *ऑफर की अवधि:*
-30 सितंबर से 2 अक्टूबर तक (केवल 3 दिन)
-आप इस दौरान कभी भी आ सकते हैं।
-
-🎯 *यह ऑफर केवल आपके लिए उपलब्ध रहेगा!*
-
-📍 *RS Tailor & Fabric*
-Main Market, Kumher
-📞 *संपर्क:* 8824781960
-⏰ *समय:* सुबह 10 से रात 8 बजे
-
-जय माता दी! 🚩
-धन्यवाद! 🙏`;
+    /**
+     * Media attached to a file template - a translation without its own media uses the Hindi version's
+     * @returns {Object|null} - { type, path }, { assetId } for media library assets, or null for text-only templates
+     */
+    getTemplateMedia(templateType, language = null) {
+        const variant = this.getTemplateVariant(templateType, language);
+        if (variant && variant.media) return variant.media;
+        
+        const info = this.templateInfo[templateType];
+        return info && info.media ? info.media : null;
+    }
+
+    /**
+     * Template files whose media is a media library asset
+     * @returns {string[]} - e.g. ['order_ready (hi)', 'order_ready (en)']
+     */
+    findTemplatesUsingAsset(assetId) {
+        const found = [];
+        for (const [type, languages] of Object.entries(this.templateVariants)) {
+            for (const [language, template] of Object.entries(languages)) {
+                if (template.media && template.media.assetId === assetId) {
+                    found.push(`${type} (${language})`);
+                }
+            }
+        }
+        return found;
     }
 
     // Template Processing Methods
-    getTemplate(templateType) {
+    /**
+     * Template text in the given language, falling back to Hindi when there is no translation
+     */
+    getTemplate(templateType, language = null) {
         if (!this.templates[templateType]) {
             throw new Error(`Template type '${templateType}' not found`);
         }
-        return this.templates[templateType];
+        
+        // The main text can be changed at runtime (updateTemplate), so it is read from this.templates
+        const variant = language !== this.templateInfo[templateType]?.language
+            ? this.getTemplateVariant(templateType, language)
+            : null;
+        return variant ? variant.text : this.templates[templateType];
     }
 
-    processTemplate(templateType, data) {
+    processTemplate(templateType, data, language = null) {
         try {
             // Check cache first
-            const cacheKey = `${templateType}_${JSON.stringify(data)}`;
+            const cacheKey = `${templateType}_${language || LanguageUtils.DEFAULT_LANGUAGE}_${JSON.stringify(data)}`;
             if (this.templateCache.has(cacheKey)) {
                 return this.templateCache.get(cacheKey);
             }
 
-            let template = this.getTemplate(templateType);
+            let template = this.getTemplate(templateType, language);
             
             // Replace placeholders with actual data
-            template = this.replacePlaceholders(template, data);
+            template = this.replacePlaceholders(template, data, language || LanguageUtils.DEFAULT_LANGUAGE);
             
             // Cache the processed template
             this.templateCache.set(cacheKey, template);
@@ -413,11 +215,21 @@ Main Market, Kumher
         }
     }
 
-    replacePlaceholders(template, data) {
-        // Default values for missing data
-        const defaults = {
+    /**
+     * {placeholders} left in a rendered message - the ones no data was found for
+     */
+    findPlaceholders(text) {
+        return [...new Set([...text.matchAll(/\{(\w+)(?:\|[^{}\n]*)?\}/g)].map(match => match[1]))];
+    }
+
+    /**
+     * Default values for missing data - their names are also the placeholders every template may use
+     */
+    getDefaultValues() {
+        return {
             shop_name: 'RS Tailor & Fabric',
             shop_phone: '8824781960',
+            upi_id: '8824781960@paytm',
             business_hours: '10:00 AM - 8:00 PM',
             customer_name: 'Customer',
             order_id: 'N/A',
@@ -448,72 +260,104 @@ Main Market, Kumher
             notes: 'N/A',
             days_since_ready: '0'
         };
+    }
+
+    replacePlaceholders(template, data, language = LanguageUtils.DEFAULT_LANGUAGE) {
+        // Default values for missing data
+        const defaults = this.getDefaultValues();
 
         // Merge data with defaults
         const mergedData = { ...defaults, ...data };
 
-        // Replace placeholders
-        let processedTemplate = template;
-        for (const [key, value] of Object.entries(mergedData)) {
-            const placeholder = `{${key}}`;
-            processedTemplate = processedTemplate.replace(new RegExp(placeholder, 'g'), value);
-        }
-
-        return processedTemplate;
+        // Fill in placeholders, conditional sections, lists and formatters
+        return this.renderer.render(template, mergedData, language);
     }
 
-    // PROMOTIONAL CAMPAIGN ONLY - Other methods commented out
-    
-    /*
-    // Public API Methods (compatible with existing code) - DISABLED for promotional campaign
-    getWelcomeMessage(orderData) {
-        return this.processTemplate('welcome', orderData);
+    // Public API Methods (compatible with existing code)
+    getWelcomeMessage(orderData, language = null) {
+        return this.processTemplate('welcome', orderData, language);
     }
 
-    getOrderConfirmationMessage(orderData) {
-        return this.processTemplate('order_confirmation', orderData);
+    getOrderConfirmationMessage(orderData, language = null) {
+        return this.processTemplate('order_confirmation', orderData, language);
     }
 
-    getOrderReadyMessage(orderData) {
-        return this.processTemplate('order_ready', orderData);
+    getOrderReadyMessage(orderData, language = null) {
+        return this.processTemplate('order_ready', orderData, language);
     }
 
-    getDeliveryNotificationMessage(orderData) {
-        return this.processTemplate('delivery_notification', orderData);
+    getDeliveryNotificationMessage(orderData, language = null) {
+        return this.processTemplate('delivery_notification', orderData, language);
     }
 
-    getPickupReminderMessage(orderData) {
-        return this.processTemplate('pickup_reminder', orderData);
+    getPickupReminderMessage(orderData, language = null) {
+        return this.processTemplate('pickup_reminder', orderData, language);
     }
 
-    getPaymentReminderMessage(orderData) {
-        return this.processTemplate('payment_reminder', orderData);
+    getPaymentReminderMessage(orderData, language = null) {
+        return this.processTemplate('payment_reminder', orderData, language);
     }
 
-    getFabricWelcomeMessage(orderData) {
-        return this.processTemplate('fabric_welcome', orderData);
+    getFabricWelcomeMessage(orderData, language = null) {
+        return this.processTemplate('fabric_welcome', orderData, language);
     }
 
-    getFabricPurchaseMessage(orderData) {
-        return this.processTemplate('fabric_purchase', orderData);
+    getFabricPurchaseMessage(orderData, language = null) {
+        return this.processTemplate('fabric_purchase', orderData, language);
     }
 
-    getFabricPaymentReminderMessage(orderData) {
-        return this.processTemplate('fabric_payment_reminder', orderData);
+    getFabricPaymentReminderMessage(orderData, language = null) {
+        return this.processTemplate('fabric_payment_reminder', orderData, language);
     }
 
-    getCombinedOrderMessage(orderData) {
-        return this.processTemplate('combined_order', orderData);
+    getCombinedOrderMessage(orderData, language = null) {
+        return this.processTemplate('combined_order', orderData, language);
     }
 
-    getPickupCompleteMessage(orderData) {
-        return this.processTemplate('pickup_complete', orderData);
+    getPickupCompleteMessage(orderData, language = null) {
+        return this.processTemplate('pickup_complete', orderData, language);
     }
-    */
 
     // Festival Promotional Methods
-    getDurgaPujaDussehraOfferMessage(orderData) {
-        return this.processTemplate('durga_puja_dussehra_offer', orderData);
+    getDurgaPujaDussehraOfferMessage(orderData, language = null) {
+        return this.processTemplate('durga_puja_dussehra_offer', orderData, language);
+    }
+
+    // Customer Reply Methods
+    getOrderStatusMessage(data, language = null) {
+        return this.processTemplate('order_status', data, language);
+    }
+
+    getOrderStatusItemMessage(orderData, language = null) {
+        return this.processTemplate('order_status_item', orderData, language);
+    }
+
+    getOrderStatusNotFoundMessage(data = {}, language = null) {
+        return this.processTemplate('order_status_not_found', data, language);
+    }
+
+    getLanguageChangedMessage(data = {}, language = null) {
+        return this.processTemplate('language_changed', data, language);
+    }
+
+    getReceiptCopyMessage(data = {}, language = null) {
+        return this.processTemplate('receipt_copy', data, language);
+    }
+
+    getPaymentClaimReceivedMessage(data = {}, language = null) {
+        return this.processTemplate('payment_claim_received', data, language);
+    }
+
+    getPaymentReceivedMessage(data = {}, language = null) {
+        return this.processTemplate('payment_received', data, language);
+    }
+
+    getMeasurementCardMessage(data = {}, language = null) {
+        return this.processTemplate('measurement_card', data, language);
+    }
+
+    getMeasurementCardItemMessage(data, language = null) {
+        return this.processTemplate('measurement_card_item', data, language);
     }
 
     // Template Management Methods
@@ -536,10 +380,53 @@ Main Market, Kumher
             throw new Error(`Template type '${templateType}' not found`);
         }
         delete this.templates[templateType];
+        delete this.templateInfo[templateType];
+        delete this.templateVariants[templateType];
+        this.disabledTemplates.delete(templateType);
         this.clearTemplateCache();
         console.log(`✅ Template removed: ${templateType}`);
     }
 
+    isTemplateEnabled(templateType) {
+        return !!this.templates[templateType] && !this.disabledTemplates.has(templateType);
+    }
+
+    setTemplateEnabled(templateType, enabled) {
+        if (!this.templates[templateType]) {
+            throw new Error(`Template type '${templateType}' not found`);
+        }
+        if (enabled) {
+            this.disabledTemplates.delete(templateType);
+        } else {
+            this.disabledTemplates.add(templateType);
+        }
+        console.log(`${enabled ? '✅' : '🚫'} Template ${enabled ? 'enabled' : 'disabled'}: ${templateType}`);
+    }
+
+    /**
+     * Category of a template - templates added at runtime (campaigns) are 'campaign'
+     */
+    getTemplateCategory(templateType) {
+        const info = this.templateInfo[templateType];
+        return info ? info.category : 'campaign';
+    }
+
+    getTemplateList() {
+        return Object.keys(this.templates).map(type => {
+            const info = this.templateInfo[type];
+            return {
+                type,
+                category: this.getTemplateCategory(type),
+                enabled: this.isTemplateEnabled(type),
+                language: info ? info.language : null,
+                languages: this.getTemplateLanguages(type),
+                required: info ? info.required : [],
+                media: info ? info.media : null,
+                file: info ? info.file : null
+            };
+        });
+    }
+
     clearTemplateCache() {
         this.templateCache.clear();
         console.log('🧹 Template cache cleared');
@@ -552,6 +439,8 @@ Main Market, Kumher
     getTemplateStats() {
         return {
             totalTemplates: Object.keys(this.templates).length,
+            disabledTemplates: [...this.disabledTemplates],
+            libraryErrors: this.libraryErrors,
             cacheSize: this.templateCache.size,
             availableTypes: this.getAvailableTemplates()
         };
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('pino')({ level: process.env.LOG_LEVEL || 'info' });
+const MediaUtils = require('../src/utils/media-utils');
+const LanguageUtils = require('../src/utils/language-utils');
+const TemplateRenderer = require('./template-renderer');
+
+const TEMPLATE_EXTENSION = '.txt';
+const METADATA_FIELDS = ['type', 'language', 'category', 'required', 'placeholders', 'media'];
+const LIST_FIELDS = ['required', 'placeholders'];
+const ASSET_PREFIX = 'asset:';
+
+/**
+ * Template Library - message templates stored as text files
+ *
+ * Each file in the library folder holds one template: a metadata header between two
+ * "---" lines, followed by the message text.
+ *
+ *   ---
+ *   type: order_ready
+ *   language: hi
+ *   category: order
+ *   required: customer_name, order_id        (placeholders the text must contain)
+ *   placeholders: offer_code                 (optional - extra placeholders besides the standard ones)
+ *   media: ./media/order-ready-video.mp4     (optional - sent with the message; asset:<id> uses a
+ *                                             media library file, which staff can replace over the API)
+ *   ---
+ *   🎉 *खुशखबरी!* प्रिय *{customer_name}* जी ...
+ *
+ * Translations are separate files with the same type and another language
+ * (e.g. order_ready.en.txt with "language: en").
+ *
+ * Files are checked when they are loaded; a file with a syntax error (see template-renderer.js),
+ * an unknown placeholder or without one of its required placeholders is rejected.
+ */
+class TemplateLibrary {
+    /**
+     * @param {string} directory - Folder with the template files
+     * @param {string[]} knownPlaceholders - Placeholders every template may use
+     */
+    constructor(directory, knownPlaceholders) {
+        this.directory = directory;
+        this.knownPlaceholders = new Set(knownPlaceholders);
+        this.mediaUtils = new MediaUtils();
+        this.languageUtils = new LanguageUtils();
+        this.renderer = new TemplateRenderer();
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Read and check every template file
+     * @returns {Object} - { templates: { "type:language": template }, errors: [{ file, error }] }
+     */
+    loadAll() {
+        const templates = {};
+        const errors = [];
+        
+        const files = fs.readdirSync(this.directory)
+            .filter(file => path.extname(file) === TEMPLATE_EXTENSION)
+            .sort();
+        
+        for (const file of files) {
+            try {
+                const template = this.parseFile(path.join(this.directory, file));
+                const key = `${template.type}:${template.language}`;
+                if (templates[key]) {
+                    throw new Error(`Template type ${template.type} (${template.language}) is already defined in ${templates[key].file}`);
+                }
+                templates[key] = template;
+            } catch (error) {
+                errors.push({ file, error: error.message });
+            }
+        }
+        
+        return { templates, errors };
+    }
+
+    /**
+     * Parse and validate one template file
+     */
+    parseFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+        const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+        if (!match) {
+            throw new Error('Missing metadata header (the file must start with a block between two --- lines)');
+        }
+        
+        const metadata = this.parseMetadata(match[1]);
+        const template = {
+            type: metadata.type,
+            language: this.languageUtils.normalize(metadata.language) || metadata.language,
+            category: metadata.category || 'custom',
+            required: metadata.required || [],
+            placeholders: metadata.placeholders || [],
+            media: metadata.media ? this.parseMedia(metadata.media) : null,
+            text: match[2].replace(/\s+$/, ''),
+            file: path.basename(filePath)
+        };
+        
+        this.validate(template);
+        return template;
+    }
+
+    parseMetadata(header) {
+        const metadata = {};
+        
+        for (const line of header.split('\n')) {
+            if (!line.trim() || line.trim().startsWith('#')) continue;
+            
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                throw new Error(`Invalid metadata line: "${line.trim()}" (expected name: value)`);
+            }
+            
+            const name = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            if (!METADATA_FIELDS.includes(name)) {
+                throw new Error(`Unknown metadata field: ${name}. Fields: ${METADATA_FIELDS.join(', ')}`);
+            }
+            
+            metadata[name] = LIST_FIELDS.includes(name)
+                ? value.split(',').map(item => item.trim()).filter(Boolean)
+                : value;
+        }
+        
+        return metadata;
+    }
+
+    /**
+     * "asset:diwali-poster" -> { assetId } (type and path come from the media library when sending),
+     * anything else is a file path or URL
+     */
+    parseMedia(value) {
+        if (value.startsWith(ASSET_PREFIX)) {
+            return { assetId: value.slice(ASSET_PREFIX.length).trim(), type: null, path: null };
+        }
+        return { type: this.mediaUtils.getMediaType(value), path: value };
+    }
+
+    /**
+     * Placeholders used in a template text, e.g. "{customer_name}" or "{#if customer_name}" -> "customer_name"
+     */
+    getPlaceholders(text) {
+        return this.renderer.getPlaceholders(text);
+    }
+
+    validate(template) {
+        if (!template.type || !/^[a-z0-9_]+$/.test(template.type)) {
+            throw new Error('type is required (lowercase letters, digits and _)');
+        }
+        if (!template.language) {
+            throw new Error('language is required (e.g. hi or en)');
+        }
+        if (!this.languageUtils.isSupported(template.language)) {
+            throw new Error(`Unsupported language: ${template.language}. Languages: ${Object.keys(LanguageUtils.LANGUAGES).join(', ')}`);
+        }
+        if (!template.text) {
+            throw new Error('Template text is empty');
+        }
+        
+        this.renderer.validate(template.text);
+        
+        const allowed = new Set([...this.knownPlaceholders, ...template.placeholders]);
+        const used = this.getPlaceholders(template.text);
+        
+        const unknown = used.filter(name => !allowed.has(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}. Declare custom ones in "placeholders"`);
+        }
+        
+        const missing = template.required.filter(name => !used.includes(name));
+        if (missing.length > 0) {
+            throw new Error(`Missing required placeholder(s): ${missing.map(name => `{${name}}`).join(', ')}`);
+        }
+        
+        if (template.media && template.media.assetId !== undefined) {
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(template.media.assetId)) {
+                throw new Error(`Invalid media asset id: "${template.media.assetId}" (expected e.g. asset:diwali-poster)`);
+            }
+        } else if (template.media) {
+            if (template.media.type === 'unknown') {
+                throw new Error(`Unsupported media file type: ${template.media.path}`);
+            }
+            // Media is optional at send time - a missing file only means the message goes out as text
+            if (!this.mediaUtils.isValidMediaUrl(template.media.path) && !fs.existsSync(template.media.path)) {
+                logger.warn(`⚠️ ${template.file}: media file not found (${template.media.path}), message will be sent as text`);
+            }
+        }
+    }
+
+    /**
+     * Call onChange (debounced) whenever a template file is added, edited or removed
+     */
+    watch(onChange) {
+        if (this.watcher) return;
+        
+        this.watcher = fs.watch(this.directory, (eventType, file) => {
+            if (file && path.extname(file) !== TEMPLATE_EXTENSION) return;
+            
+            // Editors write a file in several steps - wait until they are done
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(onChange, 500);
+        });
+        
+        logger.info(`👀 Watching template files in ${this.directory}`);
+    }
+
+    unwatch() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+module.exports = TemplateLibrary;
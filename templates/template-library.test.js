@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateLibrary = require('./template-library');
+
+describe('TemplateLibrary', () => {
+    let directory;
+    let library;
+
+    const writeTemplate = (file, content) => fs.writeFileSync(path.join(directory, file), content);
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'template-library-'));
+        library = new TemplateLibrary(directory, ['customer_name', 'order_id', 'remaining_amount']);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('parses the metadata header and the message text', () => {
+        writeTemplate('order_ready.txt', [
+            '---',
+            'type: order_ready',
+            'language: hi',
+            'category: order',
+            '# comments are ignored',
+            'required: customer_name, order_id',
+            'placeholders: offer_code',
+            '---',
+            'प्रिय {customer_name} जी, ऑर्डर {order_id} तैयार है। {offer_code}',
+            ''
+        ].join('\r\n'));
+        
+        const { templates, errors } = library.loadAll();
+        
+        expect(errors).toEqual([]);
+        expect(templates['order_ready:hi']).toMatchObject({
+            type: 'order_ready',
+            language: 'hi',
+            category: 'order',
+            required: ['customer_name', 'order_id'],
+            placeholders: ['offer_code'],
+            media: null,
+            text: 'प्रिय {customer_name} जी, ऑर्डर {order_id} तैयार है। {offer_code}',
+            file: 'order_ready.txt'
+        });
+    });
+
+    test('reads media library assets from the media field', () => {
+        writeTemplate('diwali.txt', '---\ntype: diwali\nlanguage: en\nmedia: asset:diwali-poster\n---\nHappy Diwali {customer_name}');
+        
+        const { templates } = library.loadAll();
+        
+        expect(templates['diwali:en'].media).toEqual({ assetId: 'diwali-poster', type: null, path: null });
+    });
+
+    test.each([
+        ['no header', 'Hello {customer_name}', 'Missing metadata header'],
+        ['an unknown metadata field', '---\ntype: a\nlanguage: en\ncolour: red\n---\nHi', 'Unknown metadata field: colour'],
+        ['a line without a value', '---\ntype: a\nlanguage en\n---\nHi', 'Invalid metadata line: "language en"'],
+        ['no type', '---\nlanguage: en\n---\nHi', 'type is required'],
+        ['an unsupported language', '---\ntype: a\nlanguage: fr\n---\nHi', 'Unsupported language: fr'],
+        ['an undeclared placeholder', '---\ntype: a\nlanguage: en\n---\nHi {offer_code}', 'Unknown placeholder(s): {offer_code}'],
+        ['a missing required placeholder', '---\ntype: a\nlanguage: en\nrequired: order_id\n---\nHi {customer_name}', 'Missing required placeholder(s): {order_id}'],
+        ['a syntax error', '---\ntype: a\nlanguage: en\n---\n{#if order_id}Hi', '{#if order_id} is not closed'],
+        ['an invalid asset id', '---\ntype: a\nlanguage: en\nmedia: asset:Diwali Poster\n---\nHi', 'Invalid media asset id']
+    ])('rejects a file with %s', (name, content, message) => {
+        writeTemplate('broken.txt', content);
+        
+        const { templates, errors } = library.loadAll();
+        
+        expect(templates).toEqual({});
+        expect(errors).toHaveLength(1);
+        expect(errors[0].file).toBe('broken.txt');
+        expect(errors[0].error).toContain(message);
+    });
+
+    test('rejects a second file for the same type and language', () => {
+        writeTemplate('a.txt', '---\ntype: greeting\nlanguage: en\n---\nHi');
+        writeTemplate('b.txt', '---\ntype: greeting\nlanguage: en\n---\nHello');
+        writeTemplate('c.txt', '---\ntype: greeting\nlanguage: hi\n---\nनमस्ते');
+        
+        const { templates, errors } = library.loadAll();
+        
+        expect(Object.keys(templates).sort()).toEqual(['greeting:en', 'greeting:hi']);
+        expect(errors).toEqual([{ file: 'b.txt', error: 'Template type greeting (en) is already defined in a.txt' }]);
+    });
+
+    test('only reads .txt files', () => {
+        writeTemplate('notes.md', 'not a template');
+        
+        expect(library.loadAll()).toEqual({ templates: {}, errors: [] });
+    });
+});
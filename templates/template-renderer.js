@@ -0,0 +1,351 @@
+const DateUtils = require('../src/utils/date-utils');
+const LanguageUtils = require('../src/utils/language-utils');
+
+// Block tags alone on a line take the line break with them, so a hidden section leaves no empty line
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{(?:#if|#each)\s[^{}\n]*\}|\{else\}|\{\/if\}|\{\/each\})[ \t]*(?:\n|$)/gm;
+const TAG = /\{([^{}\n]*)\}/g;
+const VARIABLE = /^(\w+)((?:\|[^|]+)*)$/;
+const CONDITION = /^(!?)\s*(\w+)(?:\s*(==|!=|>=|<=|>|<)\s*(.+))?$/;
+
+// Values that count as "not filled in" (as do 0 and empty lists) - enrichOrderData fills missing notes with N/A
+const EMPTY_VALUES = ['', 'n/a', 'na', '-', 'false'];
+
+const FORMATTERS = ['currency', 'number', 'date', 'fulldate', 'plural', 'default'];
+const DATE_LOCALES = { hi: 'hi-IN', en: 'en-IN', hinglish: 'en-IN' };
+
+/**
+ * Template Renderer - the template language used by message templates
+ *
+ *   {customer_name}                          value, left as it is when there is no data for it
+ *   {remaining_amount|currency}              formatters: currency (₹1,25,000), number (1,25,000),
+ *   {delivery_date|date}                       date (21 सितंबर / 21 September), fulldate (21 सितंबर 2025),
+ *   {quantity|plural:meter:meters}             plural (1 meter / 3 meters), default:text (text when empty)
+ *   {#if remaining_amount > 0} ... {else} ... {/if}
+ *                                            shown when the condition holds - a bare name (or !name) checks
+ *                                            that the field is filled in; ==, !=, >, <, >=, <= compare
+ *   {#each garment_type} {number}. {item} {/each}
+ *                                            repeated for every item of a list (or comma separated text);
+ *                                            {item} is the item, {number} counts from 1
+ */
+class TemplateRenderer {
+    constructor() {
+        this.dateUtils = new DateUtils();
+        this.parseCache = new Map();
+    }
+
+    /**
+     * @param {string} language - Language used by the date formatters
+     */
+    render(template, data, language = LanguageUtils.DEFAULT_LANGUAGE) {
+        return this.renderNodes(this.getNodes(template), [data], language);
+    }
+
+    getNodes(template) {
+        if (!this.parseCache.has(template)) {
+            // Limit cache size - campaign templates can be edited many times
+            if (this.parseCache.size >= 200) {
+                this.parseCache.delete(this.parseCache.keys().next().value);
+            }
+            this.parseCache.set(template, this.parse(template));
+        }
+        return this.parseCache.get(template);
+    }
+
+    /**
+     * Turn template text into nodes: text, variable, if and each (with children and else branch)
+     * Throws on blocks that are not opened or closed properly
+     */
+    parse(template) {
+        const source = template.replace(STANDALONE_BLOCK_TAG, '$1');
+        const root = { children: [], otherwise: [] };
+        const stack = [root];
+        const target = () => {
+            const block = stack[stack.length - 1];
+            return block.inElse ? block.otherwise : block.children;
+        };
+        let lastIndex = 0;
+        
+        for (const match of source.matchAll(TAG)) {
+            const [tag, content] = match;
+            const body = content.trim();
+            const block = stack[stack.length - 1];
+            
+            if (match.index > lastIndex) {
+                target().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + tag.length;
+            
+            if (body.startsWith('#if ')) {
+                const node = { type: 'if', tag, condition: this.parseCondition(body.slice(4), tag), children: [], otherwise: [] };
+                target().push(node);
+                stack.push(node);
+            } else if (body.startsWith('#each ') && /^\w+$/.test(body.slice(6).trim())) {
+                const node = { type: 'each', tag, name: body.slice(6).trim(), children: [], otherwise: [] };
+                target().push(node);
+                stack.push(node);
+            } else if (body === 'else') {
+                if (stack.length === 1) {
+                    throw new Error('{else} outside {#if} / {#each}');
+                }
+                if (block.inElse) {
+                    throw new Error(`Second {else} in ${block.tag}`);
+                }
+                block.inElse = true;
+            } else if (body === '/if' || body === '/each') {
+                if (stack.length === 1 || block.type !== body.slice(1)) {
+                    throw new Error(`Unexpected ${tag}${stack.length > 1 ? ` - ${block.tag} is still open` : ''}`);
+                }
+                stack.pop();
+            } else if (body.startsWith('#') || body.startsWith('/')) {
+                throw new Error(`Invalid block tag ${tag} (use {#if ...}, {#each ...}, {else}, {/if}, {/each})`);
+            } else {
+                const variable = body.match(VARIABLE);
+                target().push(variable
+                    ? { type: 'variable', tag, name: variable[1], formatters: this.parseFormatters(variable[2]) }
+                    : { type: 'invalid', tag });
+            }
+        }
+        
+        if (lastIndex < source.length) {
+            target().push({ type: 'text', value: source.slice(lastIndex) });
+        }
+        if (stack.length > 1) {
+            throw new Error(`${stack[stack.length - 1].tag} is not closed`);
+        }
+        
+        return root.children;
+    }
+
+    parseCondition(text, tag) {
+        const match = text.trim().match(CONDITION);
+        if (!match) {
+            throw new Error(`Invalid condition in ${tag} (expected e.g. {#if remaining_amount > 0} or {#if notes})`);
+        }
+        
+        const [, negate, name, operator, operand] = match;
+        return {
+            negate: negate === '!',
+            name,
+            operator: operator || null,
+            operand: operand !== undefined ? operand.trim().replace(/^(['"])(.*)\1$/, '$2') : null
+        };
+    }
+
+    /**
+     * "|currency|plural:meter:meters" -> [{ name: 'currency', args: [] }, { name: 'plural', args: ['meter', 'meters'] }]
+     */
+    parseFormatters(text) {
+        return text.split('|').slice(1).map(part => {
+            const [name, ...args] = part.split(':');
+            return { name: name.trim(), args: args.map(arg => arg.trim()) };
+        });
+    }
+
+    /**
+     * Check a template's syntax and formatters
+     * @throws {Error} - With a message for the template author
+     */
+    validate(template) {
+        const problems = [];
+        
+        this.walk(this.parse(template), (node) => {
+            if (node.type === 'invalid') {
+                problems.push(`Invalid tag ${node.tag}`);
+            }
+            if (node.type === 'variable') {
+                const unknown = node.formatters.filter(formatter => !FORMATTERS.includes(formatter.name));
+                if (unknown.length > 0) {
+                    problems.push(`Unknown formatter in ${node.tag}: ${unknown.map(formatter => formatter.name).join(', ')}. Formatters: ${FORMATTERS.join(', ')}`);
+                }
+            }
+        });
+        
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+    }
+
+    /**
+     * Data fields a template reads (values, conditions and lists) - {item} and {number} inside
+     * {#each} belong to the loop and are not included
+     */
+    getPlaceholders(template) {
+        const names = new Set();
+        
+        this.walk(this.parse(template), (node, loopDepth) => {
+            if (node.type === 'variable' && !(loopDepth > 0 && ['item', 'number'].includes(node.name))) {
+                names.add(node.name);
+            }
+            if (node.type === 'if') names.add(node.condition.name);
+            if (node.type === 'each') names.add(node.name);
+        });
+        
+        return [...names];
+    }
+
+    walk(nodes, visit, loopDepth = 0) {
+        for (const node of nodes) {
+            visit(node, loopDepth);
+            if (node.children) {
+                const depth = node.type === 'each' ? loopDepth + 1 : loopDepth;
+                this.walk(node.children, visit, depth);
+                this.walk(node.otherwise, visit, loopDepth);
+            }
+        }
+    }
+
+    renderNodes(nodes, scopes, language) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                
+                case 'variable': {
+                    const value = this.lookup(scopes, node.name);
+                    // Left in the message so a preview can point at the missing field
+                    if (value === undefined) return node.tag;
+                    
+                    return node.formatters.reduce(
+                        (result, formatter) => this.format(result, formatter.name, formatter.args, language),
+                        value === null ? '' : value
+                    ).toString();
+                }
+                
+                case 'if': {
+                    const branch = this.evaluate(node.condition, scopes) ? node.children : node.otherwise;
+                    return this.renderNodes(branch, scopes, language);
+                }
+                
+                case 'each': {
+                    const items = this.toList(this.lookup(scopes, node.name));
+                    if (items.length === 0) {
+                        return this.renderNodes(node.otherwise, scopes, language);
+                    }
+                    
+                    return items.map((item, index) => {
+                        const itemScope = typeof item === 'object' && item !== null ? { ...item } : {};
+                        return this.renderNodes(node.children, [...scopes, { ...itemScope, item, number: index + 1 }], language);
+                    }).join('');
+                }
+                
+                default:
+                    return node.tag;
+            }
+        }).join('');
+    }
+
+    /**
+     * Value of a field - loop items first, then the message data
+     */
+    lookup(scopes, name) {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            if (Object.prototype.hasOwnProperty.call(scopes[i], name) && scopes[i][name] !== undefined) {
+                return scopes[i][name];
+            }
+        }
+        return undefined;
+    }
+
+    evaluate(condition, scopes) {
+        const value = this.lookup(scopes, condition.name);
+        let result;
+        
+        if (!condition.operator) {
+            result = !this.isEmpty(value);
+        } else {
+            const left = this.toNumber(value);
+            const right = this.toNumber(condition.operand);
+            
+            // Numbers (amounts such as "₹1,500" included) compare as numbers, anything else as text
+            const [a, b] = left !== null && right !== null
+                ? [left, right]
+                : [(value ?? '').toString().trim().toLowerCase(), condition.operand.toLowerCase()];
+            
+            switch (condition.operator) {
+                case '==': result = a === b; break;
+                case '!=': result = a !== b; break;
+                case '>': result = a > b; break;
+                case '<': result = a < b; break;
+                case '>=': result = a >= b; break;
+                case '<=': result = a <= b; break;
+            }
+        }
+        
+        return condition.negate ? !result : result;
+    }
+
+    isEmpty(value) {
+        if (value === undefined || value === null) return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (this.toNumber(value) === 0) return true;
+        return EMPTY_VALUES.includes(value.toString().trim().toLowerCase());
+    }
+
+    /**
+     * @returns {number|null} - null when the value is not a number
+     */
+    toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (value === undefined || value === null) return null;
+        
+        const cleaned = value.toString().replace(/[₹,\s]/g, '');
+        if (cleaned === '') return null;
+        
+        const number = Number(cleaned);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Lists for {#each}: arrays, or text with one item per comma / line ("Shirt, Pant")
+     */
+    toList(value) {
+        if (Array.isArray(value)) return value;
+        if (this.isEmpty(value)) return [];
+        
+        return value.toString().split(/\s*[,\n]\s*/).filter(Boolean);
+    }
+
+    format(value, name, args, language) {
+        switch (name) {
+            case 'currency':
+            case 'number': {
+                const number = this.toNumber(value);
+                if (number === null) return value;
+                
+                // en-IN groups the Indian way: 1,25,000
+                const formatted = new Intl.NumberFormat('en-IN', { maximumFractionDigits: 2 }).format(number);
+                return name === 'currency' ? `₹${formatted}` : formatted;
+            }
+            
+            case 'date':
+            case 'fulldate': {
+                const time = this.dateUtils.parseDate(value);
+                if (time === null) return value;
+                
+                return new Intl.DateTimeFormat(DATE_LOCALES[language] || DATE_LOCALES[LanguageUtils.DEFAULT_LANGUAGE], {
+                    day: 'numeric',
+                    month: 'long',
+                    ...(name === 'fulldate' ? { year: 'numeric' } : {})
+                }).format(new Date(time));
+            }
+            
+            case 'plural': {
+                const number = this.toNumber(value);
+                const [one = '', many = one] = args;
+                if (number === null) return value;
+                
+                return `${new Intl.NumberFormat('en-IN').format(number)} ${number === 1 ? one : many}`.trim();
+            }
+            
+            case 'default':
+                return this.isEmpty(value) ? args.join(':') : value;
+            
+            default:
+                return value;
+        }
+    }
+}
+
+TemplateRenderer.FORMATTERS = FORMATTERS;
+
+module.exports = TemplateRenderer;
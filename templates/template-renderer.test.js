@@ -0,0 +1,93 @@
+const TemplateRenderer = require('./template-renderer');
+
+describe('TemplateRenderer', () => {
+    const renderer = new TemplateRenderer();
+
+    describe('render', () => {
+        test('fills in values and leaves unknown placeholders as they are', () => {
+            expect(renderer.render('Hi {customer_name}, order {order_id}', { customer_name: 'Ravi' }))
+                .toBe('Hi Ravi, order {order_id}');
+        });
+        
+        test('formats amounts the Indian way', () => {
+            expect(renderer.render('{amount|currency} / {amount|number}', { amount: '125000' }))
+                .toBe('₹1,25,000 / 1,25,000');
+        });
+        
+        test('formats dates in the message language', () => {
+            const data = { delivery_date: '2025-09-21' };
+            expect(renderer.render('{delivery_date|date}', data, 'en')).toBe('21 September');
+            expect(renderer.render('{delivery_date|fulldate}', data, 'en')).toBe('21 September 2025');
+        });
+        
+        test('plural and default formatters', () => {
+            expect(renderer.render('{quantity|plural:meter:meters}', { quantity: 1 })).toBe('1 meter');
+            expect(renderer.render('{quantity|plural:meter:meters}', { quantity: 3 })).toBe('3 meters');
+            expect(renderer.render('{notes|default:No notes}', { notes: 'N/A' })).toBe('No notes');
+        });
+        
+        test('conditions compare amounts as numbers and text case-insensitively', () => {
+            const template = '{#if remaining_amount > 0}Due {remaining_amount|currency}{else}Paid{/if}';
+            expect(renderer.render(template, { remaining_amount: '₹1,500' })).toBe('Due ₹1,500');
+            expect(renderer.render(template, { remaining_amount: 0 })).toBe('Paid');
+            expect(renderer.render('{#if status == ready}yes{/if}', { status: 'Ready' })).toBe('yes');
+        });
+        
+        test('a bare condition checks that the field is filled in', () => {
+            expect(renderer.render('{#if notes}Notes: {notes}{/if}', { notes: 'N/A' })).toBe('');
+            expect(renderer.render('{#if !notes}none{/if}', {})).toBe('none');
+        });
+        
+        test('block tags alone on a line leave no empty line', () => {
+            const template = 'Hello\n{#if notes}\nNotes: {notes}\n{/if}\nBye';
+            expect(renderer.render(template, {})).toBe('Hello\nBye');
+            expect(renderer.render(template, { notes: 'Loose fit' })).toBe('Hello\nNotes: Loose fit\nBye');
+        });
+        
+        test('repeats each blocks for lists and comma separated text', () => {
+            const template = '{#each garment_type}{number}. {item}\n{else}nothing{/each}';
+            expect(renderer.render(template, { garment_type: 'Shirt, Pant' })).toBe('1. Shirt\n2. Pant\n');
+            expect(renderer.render(template, { garment_type: [] })).toBe('nothing');
+        });
+        
+        test('list items that are objects expose their fields', () => {
+            const template = '{#each orders}{order_id} for {customer_name}; {/each}';
+            expect(renderer.render(template, { customer_name: 'Ravi', orders: [{ order_id: 'TXL1' }, { order_id: 'TXL2' }] }))
+                .toBe('TXL1 for Ravi; TXL2 for Ravi; ');
+        });
+    });
+
+    describe('parse', () => {
+        test.each([
+            ['{#if notes}open', '{#if notes} is not closed'],
+            ['{/if}', 'Unexpected {/if}'],
+            ['{#if a}{/each}', 'Unexpected {/each} - {#if a} is still open'],
+            ['{else}', '{else} outside {#if} / {#each}'],
+            ['{#if a}x{else}y{else}z{/if}', 'Second {else} in {#if a}'],
+            ['{#unless a}', 'Invalid block tag {#unless a}'],
+            ['{#if a >}x{/if}', 'Invalid condition in {#if a >}']
+        ])('rejects %s', (template, message) => {
+            expect(() => renderer.parse(template)).toThrow(message);
+        });
+    });
+
+    describe('validate', () => {
+        test('rejects invalid tags and unknown formatters', () => {
+            expect(() => renderer.validate('{customer name}')).toThrow('Invalid tag {customer name}');
+            expect(() => renderer.validate('{amount|money}')).toThrow('Unknown formatter in {amount|money}: money');
+        });
+        
+        test('accepts every known formatter', () => {
+            const template = TemplateRenderer.FORMATTERS.map(name => `{value|${name}}`).join(' ');
+            expect(() => renderer.validate(template)).not.toThrow();
+        });
+    });
+
+    describe('getPlaceholders', () => {
+        test('lists values, conditions and lists but not loop variables', () => {
+            const template = '{customer_name} {#if remaining_amount > 0}{remaining_amount}{/if}{#each garment_type}{number}. {item}{/each}';
+            expect(renderer.getPlaceholders(template).sort())
+                .toEqual(['customer_name', 'garment_type', 'remaining_amount']);
+        });
+    });
+});